@@ -0,0 +1,30 @@
+/** Vehicle types returned by the AI vehicle scanner and stored on Car.vehicleType. */
+export const VEHICLE_TYPES = Object.freeze([
+  'Car',
+  'SUV',
+  'Sedan',
+  'Hatchback',
+  'MPV',
+  'Pickup',
+  'Van',
+  'Truck',
+  'Bus',
+  'Motorcycle',
+  'Scooter',
+  'Auto Rickshaw',
+  'Other',
+  'Unknown',
+  'N/A'
+]);
+
+/** Types a service can carry its own price for (scanner placeholders excluded). */
+export const PRICEABLE_VEHICLE_TYPES = Object.freeze(
+  VEHICLE_TYPES.filter((t) => t !== 'Unknown' && t !== 'N/A')
+);
+
+/** Canonical spelling of a vehicle type (case-insensitive), or null when not a known type. */
+export function canonicalVehicleType(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (!s) return null;
+  return VEHICLE_TYPES.find((t) => t.toLowerCase() === s) || null;
+}
@@ -359,7 +359,7 @@ export async function softDeleteTemplate(req, res) {
 
 export async function purchasePackage(req, res) {
   try {
-    const { templateId, customerId, carId } = req.body;
+    const { templateId, customerId, carId, soldBy } = req.body;
 
     const template = await PackageTemplate.findOne({
       _id: templateId,
@@ -401,6 +401,17 @@ export async function purchasePackage(req, res) {
 
     const purchaseBranchId = customer.branchId || req.branchId || branchIdForCreate(req);
 
+    let soldById = null;
+    if (soldBy) {
+      const seller = mongoose.isValidObjectId(soldBy)
+        ? await User.findOne({ _id: soldBy, businessId: req.businessId, role: 'EMPLOYEE' }).select('_id').lean()
+        : null;
+      if (!seller) {
+        return res.status(400).json({ success: false, message: 'Sold-by employee not found' });
+      }
+      soldById = seller._id;
+    }
+
     const customerPackage = await CustomerPackage.create({
       businessId: req.businessId,
       branchId: purchaseBranchId,
@@ -415,6 +426,7 @@ export async function purchasePackage(req, res) {
       servicesIncluded,
       servicesRemaining: buildServicesRemainingFromIncluded(servicesIncluded),
       description: template.description,
+      soldBy: soldById,
       visitsUsed: 0,
       visitsRemaining: template.totalVisits,
       startDate,
@@ -428,7 +440,8 @@ export async function purchasePackage(req, res) {
     const subtotal = roundMoney(template.price);
     const gstFields = await buildGstFieldsForNewInvoice(req.businessId, {
       companyGst: company?.gstNumber,
-      subtotal
+      subtotal,
+      items: [{ serviceName: template.name, servicePrice: subtotal }]
     });
     const invoice = await Invoice.create({
       saleType: 'PACKAGE',
@@ -446,13 +459,20 @@ export async function purchasePackage(req, res) {
       customerName: customer.name ?? '',
       customerPhone: customer.phone || customer.whatsappNumber || '',
       vehicleNumber: car?.carNumber ?? '',
-      items: [{ serviceName: template.name, servicePrice: subtotal }],
+      items: gstFields.items,
       discount: 0,
       discountType: 'PERCENT',
       discountAmount: 0,
       subtotal,
       taxPercentage: gstFields.taxPercentage,
+      pricesIncludeTax: gstFields.pricesIncludeTax,
+      placeOfSupply: gstFields.placeOfSupply,
+      supplyType: gstFields.supplyType,
+      taxableValue: gstFields.taxableValue,
       gstAmount: gstFields.gstAmount,
+      cgstAmount: gstFields.cgstAmount,
+      sgstAmount: gstFields.sgstAmount,
+      igstAmount: gstFields.igstAmount,
       finalAmount: gstFields.finalAmount,
       advancePayment: 0,
       paymentMethod: 'ONLINE',
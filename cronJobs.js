@@ -9,6 +9,8 @@ import Branch from './models/Branch.model.js';
 import BranchSubscription from './models/BranchSubscription.model.js';
 import OwnerTask from './models/OwnerTask.model.js';
 import { sendPushNotification } from './services/notificationService.js';
+import { runDailyLowStockAlerts } from './services/lowStockService.js';
+import { expireUnpaidBookings } from './services/bookingService.js';
 
 function startOfDay(d) {
   const x = new Date(d);
@@ -188,11 +190,21 @@ export function startCronJobs() {
     runDailyOwnerNotifications().catch((e) => console.error('Daily cron error:', e));
   }, { timezone: tz });
 
+  // DAILY 9:30 AM: products at or below their low-stock threshold
+  cron.schedule('30 9 * * *', () => {
+    runDailyLowStockAlerts().catch((e) => console.error('Low stock cron error:', e));
+  }, { timezone: tz });
+
   // Every 5 minutes: owner task reminders (1 hour before endAt)
   cron.schedule('*/5 * * * *', () => {
     runOwnerTaskReminders().catch((e) => console.error('Task reminder cron error:', e));
   }, { timezone: tz });
 
+  // Every 5 minutes: release bays held by online bookings whose deposit was not paid in time
+  cron.schedule('*/5 * * * *', () => {
+    expireUnpaidBookings().catch((e) => console.error('Unpaid booking expiry cron error:', e));
+  }, { timezone: tz });
+
   // Daily midnight: expire branch licenses past expiryDate
   cron.schedule('0 0 * * *', () => {
     runBranchSubscriptionExpiry().catch((e) => console.error('Branch expiry cron error:', e));
@@ -45,9 +45,33 @@ const attendanceDaySchema = new mongoose.Schema({
   breaks: { type: [breakSchema], default: [] },
   source: {
     type: String,
-    enum: ['PUNCH', 'ADMIN_CORRECTION'],
+    enum: ['PUNCH', 'ADMIN_CORRECTION', 'LEAVE_REQUEST'],
     default: 'PUNCH'
-  }
+  },
+  /** Set when the day is LEAVE from an approved LeaveRequest. */
+  leaveRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest',
+    default: null
+  },
+  leaveTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    default: null
+  },
+  leavePaid: { type: Boolean, default: null },
+  /** Shift expected on this day, resolved at first punch (roster → default shift → shop hours). */
+  shift: {
+    shiftTemplateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftTemplate', default: null },
+    name: { type: String, trim: true },
+    source: { type: String, enum: ['ROSTER', 'DEFAULT', 'SHOP_HOURS'] },
+    startAt: { type: Date },
+    endAt: { type: Date },
+    lateGraceMinutes: { type: Number },
+    earlyExitGraceMinutes: { type: Number }
+  },
+  lateMinutes: { type: Number, default: 0, min: 0 },
+  earlyExitMinutes: { type: Number, default: 0, min: 0 }
 }, {
   timestamps: true
 });
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const BANK_ENTRY_STATUSES = ['UNMATCHED', 'MATCHED', 'IGNORED'];
+export const BANK_MATCH_SOURCES = ['INVOICE', 'COLLECTION', 'OTHER_REVENUE'];
+
+const bankEntryMatchSchema = new mongoose.Schema({
+  sourceType: { type: String, enum: BANK_MATCH_SOURCES, required: true },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  /** Invoice / collection number, or the revenue type name for other revenue. */
+  number: { type: String, trim: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  amount: { type: Number, required: true, min: 0 },
+  receivedAt: { type: Date },
+  /** REFERENCE / AMOUNT_DATE from auto-matching, MANUAL when picked by a user. */
+  basis: { type: String, enum: ['REFERENCE', 'AMOUNT_DATE', 'MANUAL'], required: true },
+  matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  matchedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/** A credit line from an imported statement and the online receipt it settles, if any. */
+const bankStatementEntrySchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  importId: { type: mongoose.Schema.Types.ObjectId, ref: 'BankStatementImport', required: true, index: true },
+  line: { type: Number },
+  txnDate: { type: Date, required: true },
+  /** Calendar day of the credit in the business timezone (YYYY-MM-DD). */
+  day: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  description: { type: String, trim: true },
+  /** UTR / UPI reference from the statement. */
+  reference: { type: String, trim: true },
+  balance: { type: Number, default: null },
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: BANK_ENTRY_STATUSES, default: 'UNMATCHED', index: true },
+  match: { type: bankEntryMatchSchema, default: null },
+  /** Receipts that fit by amount and date when auto-matching could not choose one. */
+  suggestions: [{
+    sourceType: { type: String, enum: BANK_MATCH_SOURCES },
+    sourceId: { type: mongoose.Schema.Types.ObjectId },
+    number: { type: String, trim: true },
+    _id: false
+  }],
+  notes: { type: String, trim: true }
+}, { timestamps: true });
+
+bankStatementEntrySchema.index({ businessId: 1, fingerprint: 1 }, { unique: true });
+bankStatementEntrySchema.index({ businessId: 1, day: 1 });
+/** A recorded receipt can settle at most one statement credit. */
+bankStatementEntrySchema.index(
+  { businessId: 1, 'match.sourceType': 1, 'match.sourceId': 1 },
+  { unique: true, partialFilterExpression: { status: 'MATCHED' } }
+);
+
+export default mongoose.model('BankStatementEntry', bankStatementEntrySchema);
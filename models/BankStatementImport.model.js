@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/** One uploaded bank / UPI app statement file; its credits live in BankStatementEntry. */
+const bankStatementImportSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  /** Branch whose account the statement belongs to; null for a business-level account. */
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  fileName: { type: String, trim: true },
+  /** Free label for the account, e.g. "HDFC current 1234" or "PhonePe Business". */
+  accountLabel: { type: String, trim: true },
+  /** First and last credit day found in the file (business timezone). */
+  periodFrom: { type: Date, default: null },
+  periodTo: { type: Date, default: null },
+  /** Receipt day may differ from the credit day by up to this many days when matching. */
+  windowDays: { type: Number, default: 2, min: 0, max: 7 },
+  creditCount: { type: Number, default: 0, min: 0 },
+  creditAmount: { type: Number, default: 0, min: 0 },
+  /** Rows already imported from an earlier (overlapping) statement. */
+  duplicateCount: { type: Number, default: 0, min: 0 },
+  debitCount: { type: Number, default: 0, min: 0 },
+  skippedCount: { type: Number, default: 0, min: 0 },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+bankStatementImportSchema.index({ businessId: 1, createdAt: -1 });
+
+export default mongoose.model('BankStatementImport', bankStatementImportSchema);
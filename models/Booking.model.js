@@ -1,7 +1,10 @@
 import mongoose from 'mongoose';
 
-export const BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'REJECTED', 'CANCELLED', 'CONVERTED_TO_JOB'];
-export const BOOKING_OCCUPYING_STATUSES = ['PENDING', 'CONFIRMED', 'CONVERTED_TO_JOB'];
+export const BOOKING_STATUSES = [
+  'PENDING_PAYMENT', 'PENDING', 'CONFIRMED', 'REJECTED', 'CANCELLED', 'CONVERTED_TO_JOB', 'NO_SHOW'
+];
+/** PENDING_PAYMENT holds the bay until paymentDueAt (deposit not yet paid). */
+export const BOOKING_OCCUPYING_STATUSES = ['PENDING_PAYMENT', 'PENDING', 'CONFIRMED', 'CONVERTED_TO_JOB'];
 
 const bookingSchema = new mongoose.Schema({
   businessId: {
@@ -87,10 +90,33 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Job',
     default: null
   },
+  /** Promo code entered on the booking; its discount is billed on the job's invoice. */
+  promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null },
+  promoCode: { type: String, trim: true, default: null },
+  promoDiscountAmount: { type: Number, default: 0, min: 0 },
+  /** Advance requested from the customer; paid online through a payment link. */
+  depositAmount: { type: Number, default: 0, min: 0 },
+  depositPaidAmount: { type: Number, default: 0, min: 0 },
+  depositPaidAt: { type: Date, default: null },
+  depositOnlinePaymentMode: { type: String, enum: ['UPI', 'CARD'], default: 'UPI' },
+  /** PENDING_PAYMENT bookings are released (cancelled) when this passes unpaid. */
+  paymentDueAt: { type: Date, default: null },
+  /** Deposit kept as other revenue when the customer did not turn up. */
+  depositForfeitedAt: { type: Date, default: null },
+  depositOtherRevenueId: { type: mongoose.Schema.Types.ObjectId, ref: 'OtherRevenue', default: null },
+  /** Paid deposit owed back after a cancel / reject, or a no-show whose deposit was not kept. */
+  depositRefundStatus: { type: String, enum: ['NONE', 'DUE', 'REFUNDED'], default: 'NONE' },
+  depositRefundAmount: { type: Number, default: 0, min: 0 },
+  depositRefundDueAt: { type: Date, default: null },
+  depositRefundedAt: { type: Date, default: null },
+  depositRefundReference: { type: String, trim: true, default: null },
+  depositRefundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   confirmedAt: { type: Date },
   rejectedAt: { type: Date },
   cancelledAt: { type: Date },
   convertedAt: { type: Date },
+  noShowAt: { type: Date },
+  cancelReason: { type: String, trim: true },
   rescheduledFrom: {
     bookingDate: Date,
     slotId: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingSlot' },
@@ -102,6 +128,7 @@ const bookingSchema = new mongoose.Schema({
 
 bookingSchema.index({ businessId: 1, status: 1, bookingDate: -1 });
 bookingSchema.index({ businessId: 1, createdAt: -1 });
+bookingSchema.index({ status: 1, paymentDueAt: 1 });
 bookingSchema.index({ businessId: 1, customerId: 1, createdAt: -1 });
 bookingSchema.index({ businessId: 1, slotId: 1, bookingDate: 1, bayNumber: 1 });
 bookingSchema.index(
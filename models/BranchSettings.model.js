@@ -41,7 +41,18 @@ const branchSettingsSchema = new mongoose.Schema({
   taxPercentage: { type: Number, min: 0, max: 100 },
   onlineBookingEnabled: { type: Boolean, default: true },
   bookingAllowedDays: [{ type: Number, min: 0, max: 6 }],
-  bookingAdvanceDays: { type: Number, min: 1, max: 365, default: 30 }
+  bookingAdvanceDays: { type: Number, min: 1, max: 365, default: 30 },
+  /** Advance required on online bookings (see utils/bookingDeposit.js). Empty lists → every booking. */
+  bookingDeposit: {
+    enabled: { type: Boolean, default: false },
+    type: { type: String, enum: ['FIXED', 'PERCENT'], default: 'FIXED' },
+    value: { type: Number, default: 0, min: 0 },
+    serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+    slotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BookingSlot' }],
+    /** Minutes a PENDING_PAYMENT booking holds its bay before it is released. */
+    holdMinutes: { type: Number, default: 30, min: 5 },
+    forfeitOnNoShow: { type: Boolean, default: false }
+  }
 }, {
   timestamps: true
 });
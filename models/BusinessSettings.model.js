@@ -52,8 +52,10 @@ const businessSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  /** Customer WhatsApp on job status changes (when autoSendWhatsApp is on). workStarted is opt-in. */
   notificationPreferences: {
     jobCreated: { type: Boolean, default: true },
+    jobWorkStarted: { type: Boolean, default: false },
     jobCompleted: { type: Boolean, default: true },
     jobDelivered: { type: Boolean, default: true },
     planExpiry: { type: Boolean, default: true }
@@ -82,6 +84,10 @@ const businessSettingsSchema = new mongoose.Schema({
   // GST (optional) - shown on invoice when set
   gstNumber: { type: String, trim: true },
   taxPercentage: { type: Number, min: 0, max: 100 },
+  /** When true, service and product prices include GST; the invoice carves tax out instead of adding it. */
+  gstPricesIncludeTax: { type: Boolean, default: false },
+  /** HSN/SAC used for items without their own code (e.g. package sales). */
+  defaultHsnSac: { type: String, trim: true },
   /** Minimum before/after photos required on a job (unless "without images"). */
   jobImagesMin: { type: Number, min: 0, max: 20, default: 2 },
   /** Maximum before/after photos allowed on a job. */
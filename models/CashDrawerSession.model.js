@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import {
+  formatSequentialNumber,
+  loadNumberingSettings,
+  nextSequenceValue
+} from '../utils/numbering.utils.js';
+
+/** Sequential per business: CD-0001, CD-0002 … (never reset). */
+export const CASH_DRAWER_NUMBER_SETTINGS = {
+  prefix: 'CD',
+  datePart: 'NONE',
+  sequenceScope: 'GLOBAL',
+  padLength: 4,
+  separator: '-'
+};
+
+export const CASH_DRAWER_STATUSES = ['OPEN', 'CLOSED', 'LOCKED'];
+
+const denominationSchema = new mongoose.Schema({
+  value: { type: Number, required: true, min: 1 },
+  count: { type: Number, required: true, min: 0 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+/** Expected cash snapshot taken at close (the Z-report figures). */
+const expectedCashSchema = new mongoose.Schema({
+  openingFloat: { type: Number, default: 0 },
+  advances: { type: Number, default: 0 },
+  fullPayCheckout: { type: Number, default: 0 },
+  creditCheckout: { type: Number, default: 0 },
+  creditRecovery: { type: Number, default: 0 },
+  otherRevenue: { type: Number, default: 0 },
+  expenses: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  cashIn: { type: Number, default: 0 },
+  cashOut: { type: Number, default: 0 },
+  expectedCash: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * One cash register shift for a branch: opened with a counted float, closed with a counted
+ * drawer. OPEN → CLOSED (count entered) → LOCKED (owner reviewed; no further changes).
+ */
+const cashDrawerSessionSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  sessionNumber: { type: String, required: true, trim: true },
+  status: { type: String, enum: CASH_DRAWER_STATUSES, default: 'OPEN', index: true },
+
+  openedAt: { type: Date, required: true, default: Date.now },
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  openingFloat: { type: Number, required: true, min: 0 },
+  openingDenominations: { type: [denominationSchema], default: [] },
+  /** Float the previous shift left in the drawer; opening float − this is the handover difference. */
+  previousSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'CashDrawerSession', default: null },
+  expectedOpeningFloat: { type: Number, default: null },
+  openingDifference: { type: Number, default: 0 },
+  openingNotes: { type: String, trim: true },
+
+  closedAt: { type: Date, default: null },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  expected: { type: expectedCashSchema, default: null },
+  /** UPI / card taken during the session, for the Z-report tender summary (not in the drawer). */
+  onlineReceived: {
+    upi: { type: Number, default: 0 },
+    card: { type: Number, default: 0 }
+  },
+  countedDenominations: { type: [denominationSchema], default: [] },
+  countedCash: { type: Number, default: null, min: 0 },
+  /** countedCash − expected.expectedCash; negative is a shortage. */
+  variance: { type: Number, default: null },
+  varianceReason: { type: String, trim: true },
+  /** Cash taken out at close (to the safe or bank); the rest stays as the next shift's float. */
+  cashRemoved: { type: Number, default: 0, min: 0 },
+  closingFloat: { type: Number, default: null, min: 0 },
+  handoverTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  closingNotes: { type: String, trim: true },
+
+  lockedAt: { type: Date, default: null },
+  lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewNotes: { type: String, trim: true }
+}, { timestamps: true });
+
+cashDrawerSessionSchema.index({ businessId: 1, sessionNumber: 1 }, { unique: true });
+cashDrawerSessionSchema.index({ businessId: 1, branchId: 1, openedAt: -1 });
+/** One open drawer per branch. */
+cashDrawerSessionSchema.index(
+  { businessId: 1, branchId: 1 },
+  { unique: true, partialFilterExpression: { status: 'OPEN' } }
+);
+
+export async function generateCashDrawerNumberForBusiness(businessId) {
+  const { timezone } = await loadNumberingSettings(businessId);
+  const SessionModel = mongoose.models.CashDrawerSession || mongoose.model('CashDrawerSession', cashDrawerSessionSchema);
+  let attempts = 0;
+  while (attempts < 8) {
+    const seq = await nextSequenceValue({
+      businessId,
+      branchId: null,
+      kind: 'CASH_DRAWER',
+      scopeKey: 'GLOBAL'
+    });
+    const sessionNumber = formatSequentialNumber(CASH_DRAWER_NUMBER_SETTINGS, seq, timezone);
+    const exists = await SessionModel.findOne({ businessId, sessionNumber }).select('_id').lean();
+    if (!exists) return sessionNumber;
+    attempts++;
+  }
+  throw new Error('Unable to allocate unique cash drawer number');
+}
+
+export default mongoose.model('CashDrawerSession', cashDrawerSessionSchema);
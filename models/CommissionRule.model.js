@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const commissionTierSchema = new mongoose.Schema({
+  /** Monthly volume (units or revenue, per tierBasis) at which this rate starts. */
+  minVolume: { type: Number, required: true, min: 0 },
+  rate: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+/**
+ * Employee commission rule.
+ * SERVICE / CATEGORY rules pay on delivered + paid job lines; PACKAGE rules pay the seller of a package.
+ * The most specific rule wins: SERVICE over CATEGORY, branch rule over business-wide rule.
+ */
+const commissionRuleSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  /** null = all branches. */
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  name: { type: String, required: true, trim: true },
+  targetType: { type: String, enum: ['SERVICE', 'CATEGORY', 'PACKAGE'], required: true },
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', default: null },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceCategory', default: null },
+  /** PACKAGE rules: null = every package template. */
+  packageTemplateId: { type: mongoose.Schema.Types.ObjectId, ref: 'PackageTemplate', default: null },
+  /** FLAT = amount per unit sold; PERCENT = % of line amount. Split evenly among line assignees. */
+  rateType: { type: String, enum: ['FLAT', 'PERCENT'], default: 'PERCENT' },
+  rate: { type: Number, required: true, min: 0 },
+  tierBasis: { type: String, enum: ['QUANTITY', 'REVENUE'], default: 'QUANTITY' },
+  /** Optional slabs: the highest tier reached in a calendar month sets the rate for that whole month. */
+  tiers: { type: [commissionTierSchema], default: [] },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+commissionRuleSchema.index({ businessId: 1, isActive: 1, targetType: 1 });
+
+export default mongoose.model('CommissionRule', commissionRuleSchema);
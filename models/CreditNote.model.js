@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import {
+  formatSequentialNumber,
+  loadNumberingSettings,
+  nextSequenceValue
+} from '../utils/numbering.utils.js';
+
+/** Sequential per business: CN-0001, CN-0002 … (never reset). */
+export const CREDIT_NOTE_NUMBER_SETTINGS = {
+  prefix: 'CN',
+  datePart: 'NONE',
+  sequenceScope: 'GLOBAL',
+  padLength: 4,
+  separator: '-'
+};
+
+const creditNoteItemSchema = new mongoose.Schema({
+  /** Position in invoice.items (line identity — invoice items have no _id). */
+  lineIndex: { type: Number, required: true, min: 0 },
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
+  serviceName: { type: String, trim: true },
+  servicePrice: { type: Number, default: 0, min: 0 },
+  quantity: { type: Number, default: 1, min: 1 },
+  /** Share of the refund for this line (after invoice discount / GST apportionment). */
+  amount: { type: Number, default: 0, min: 0 },
+  restockedQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const creditNoteSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  creditNoteNumber: { type: String, required: true, trim: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true, index: true },
+  invoiceNumber: { type: String, trim: true },
+  /** Copied from the invoice so reports can split job vs package returns. */
+  saleType: { type: String, enum: ['JOB', 'PACKAGE'], default: 'JOB' },
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+  customerName: { type: String, trim: true },
+  refundType: { type: String, enum: ['FULL', 'PARTIAL'], required: true },
+  items: [creditNoteItemSchema],
+  /** Total credited (GST-inclusive, like invoice.finalAmount). */
+  amount: { type: Number, required: true, min: 0 },
+  gstAmount: { type: Number, default: 0, min: 0 },
+  /** Part written off the pay-later balance instead of being paid back. */
+  adjustedAgainstOutstanding: { type: Number, default: 0, min: 0 },
+  /** CASH / ONLINE payout; CREDIT_ADJUSTMENT when nothing was paid back. */
+  refundMethod: { type: String, enum: ['CASH', 'ONLINE', 'CREDIT_ADJUSTMENT'], required: true },
+  onlinePaymentMode: { type: String, enum: ['UPI', 'CARD'], default: 'UPI' },
+  refundCashAmount: { type: Number, default: 0, min: 0 },
+  refundOnlineAmount: { type: Number, default: 0, min: 0 },
+  loyaltyPointsReversed: { type: Number, default: 0, min: 0 },
+  loyaltyPointsReturned: { type: Number, default: 0, min: 0 },
+  reason: { type: String, trim: true },
+  refundDate: { type: Date, default: Date.now },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+creditNoteSchema.index({ businessId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ businessId: 1, refundDate: -1 });
+creditNoteSchema.index({ businessId: 1, branchId: 1, refundDate: -1 });
+
+/** Allocate the next credit note number for a business. */
+export async function generateCreditNoteNumberForBusiness(businessId) {
+  const { timezone } = await loadNumberingSettings(businessId);
+  const CreditNoteModel = mongoose.models.CreditNote || mongoose.model('CreditNote', creditNoteSchema);
+  let attempts = 0;
+  while (attempts < 8) {
+    const seq = await nextSequenceValue({
+      businessId,
+      branchId: null,
+      kind: 'CREDIT_NOTE',
+      scopeKey: 'GLOBAL'
+    });
+    const creditNoteNumber = formatSequentialNumber(CREDIT_NOTE_NUMBER_SETTINGS, seq, timezone);
+    const exists = await CreditNoteModel.findOne({ businessId, creditNoteNumber }).select('_id').lean();
+    if (!exists) return creditNoteNumber;
+    attempts++;
+  }
+  throw new Error('Unable to allocate unique credit note number');
+}
+
+export default mongoose.model('CreditNote', creditNoteSchema);
@@ -35,6 +35,8 @@ const customerPackageSchema = new mongoose.Schema({
   servicesIncluded: { type: [serviceQtySchema], default: [] },
   servicesRemaining: { type: [serviceRemainingSchema], default: [] },
   description: { type: String, trim: true },
+  /** Staff member credited with the sale (package commission rules). */
+  soldBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 
   visitsUsed: { type: Number, default: 0, min: 0 },
   visitsRemaining: { type: Number, required: true, min: 0 },
@@ -70,6 +70,28 @@ const expenseSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  /** Set for supplier bills (purchasing) so payables can be grouped by supplier. */
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null,
+    index: true
+  },
+  supplierBillId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierBill',
+    default: null
+  },
+  /** Book-only expense with no cash / bank outflow (stocktake shrinkage). */
+  nonCash: {
+    type: Boolean,
+    default: false
+  },
+  stocktakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import {
+  formatSequentialNumber,
+  loadNumberingSettings,
+  nextSequenceValue
+} from '../utils/numbering.utils.js';
+
+/** Sequential per business: GRN-0001, GRN-0002 … (never reset). */
+export const GOODS_RECEIPT_NUMBER_SETTINGS = {
+  prefix: 'GRN',
+  datePart: 'NONE',
+  sequenceScope: 'GLOBAL',
+  padLength: 4,
+  separator: '-'
+};
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+  name: { type: String, trim: true },
+  quantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+/** Goods received entry (GRN): adds quantity to Service.stockQuantity at unitCost. */
+const goodsReceiptSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  grnNumber: { type: String, required: true, trim: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+  supplierName: { type: String, trim: true },
+  purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder', default: null, index: true },
+  poNumber: { type: String, trim: true },
+  receivedDate: { type: Date, default: () => new Date() },
+  items: { type: [goodsReceiptItemSchema], default: [] },
+  totalAmount: { type: Number, default: 0, min: 0 },
+  /** Set once the receipt is included on a supplier bill. */
+  supplierBillId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierBill', default: null },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+goodsReceiptSchema.index({ businessId: 1, grnNumber: 1 }, { unique: true });
+goodsReceiptSchema.index({ businessId: 1, receivedDate: -1 });
+
+export async function generateGoodsReceiptNumberForBusiness(businessId) {
+  const { timezone } = await loadNumberingSettings(businessId);
+  const GoodsReceiptModel = mongoose.models.GoodsReceipt || mongoose.model('GoodsReceipt', goodsReceiptSchema);
+  let attempts = 0;
+  while (attempts < 8) {
+    const seq = await nextSequenceValue({
+      businessId,
+      branchId: null,
+      kind: 'GOODS_RECEIPT',
+      scopeKey: 'GLOBAL'
+    });
+    const grnNumber = formatSequentialNumber(GOODS_RECEIPT_NUMBER_SETTINGS, seq, timezone);
+    const exists = await GoodsReceiptModel.findOne({ businessId, grnNumber }).select('_id').lean();
+    if (!exists) return grnNumber;
+    attempts++;
+  }
+  throw new Error('Unable to allocate unique goods receipt number');
+}
+
+export default mongoose.model('GoodsReceipt', goodsReceiptSchema);
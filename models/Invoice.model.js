@@ -11,7 +11,23 @@ const invoiceItemSchema = new mongoose.Schema({
   serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' },
   serviceName: { type: String, required: true, trim: true },
   servicePrice: { type: Number, required: true, min: 0 },
-  quantity: { type: Number, default: 1, min: 1 }
+  quantity: { type: Number, default: 1, min: 1 },
+  /** HSN (goods) / SAC (services) code snapshotted from the catalog. */
+  hsnSac: { type: String, trim: true },
+  /** Line tax % snapshotted from the service; null → invoice taxPercentage. */
+  taxRate: { type: Number, min: 0, max: 100, default: null },
+  /** Pricing rule applied to the catalog price (copied from the job line); ruleAdjustment is per unit. */
+  listPrice: { type: Number },
+  pricingRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+  pricingRuleName: { type: String, trim: true },
+  ruleAdjustment: { type: Number },
+  // Computed line tax (see utils/invoiceGst.js): after the line's share of the discount
+  gstRate: { type: Number, min: 0, max: 100 },
+  taxableValue: { type: Number, min: 0 },
+  gstAmount: { type: Number, min: 0 },
+  cgstAmount: { type: Number, min: 0 },
+  sgstAmount: { type: Number, min: 0 },
+  igstAmount: { type: Number, min: 0 }
 }, { _id: false });
 
 const invoiceSchema = new mongoose.Schema({
@@ -33,6 +49,8 @@ const invoiceSchema = new mongoose.Schema({
   customerName: { type: String, trim: true },
   customerPhone: { type: String, trim: true },
   customerGst: { type: String, trim: true },
+  /** Two-digit GST state code of an unregistered customer billed for another state (place of supply). */
+  customerState: { type: String, trim: true, default: null },
   vehicleNumber: { type: String, trim: true },
   // Line items & totals
   items: [invoiceItemSchema],
@@ -42,9 +60,24 @@ const invoiceSchema = new mongoose.Schema({
   discountType: { type: String, enum: ['PERCENT', 'AMOUNT'], default: 'PERCENT' },
   /** Monetary discount applied (always persisted for reports/display). */
   discountAmount: { type: Number, default: 0, min: 0 },
+  /** Promo code behind the discount (discountType AMOUNT = promoDiscountAmount); see services/promoCodeService.js. */
+  promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null },
+  promoCode: { type: String, trim: true, default: null },
+  promoDiscountAmount: { type: Number, default: 0, min: 0 },
   subtotal: { type: Number, required: true, min: 0 },
   taxPercentage: { type: Number, min: 0, max: 100 },
+  /** When true, line prices already include GST (snapshotted from settings at creation). */
+  pricesIncludeTax: { type: Boolean, default: false },
+  /** State code of the customer GSTIN, else customerState, else the supplier's; INTER when it differs from the supplier's state. */
+  placeOfSupply: { type: String, trim: true },
+  supplyType: { type: String, enum: ['INTRA', 'INTER', null], default: null },
+  /** Sum of line taxable values (after discount, excluding GST). */
+  taxableValue: { type: Number, min: 0 },
+  /** Total GST = cgstAmount + sgstAmount + igstAmount. */
   gstAmount: { type: Number, default: 0, min: 0 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstAmount: { type: Number, default: 0, min: 0 },
   loyaltyRedeemedPoints: { type: Number, default: 0, min: 0 },
   loyaltyRedeemedAmount: { type: Number, default: 0, min: 0 },
   /** Set when redeemed points are deducted from the customer balance (once per invoice). */
@@ -74,6 +107,10 @@ const invoiceSchema = new mongoose.Schema({
   /** Cached outstanding balance; recomputed on every collection write. */
   outstandingAmount: { type: Number, default: 0, min: 0 },
   creditDueDate: { type: Date },
+  /** Sum of credit notes issued against this invoice (GST-inclusive). */
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  /** Part of refundedAmount written off the pay-later balance (reduces outstanding, not paid back). */
+  refundAdjustedAmount: { type: Number, default: 0, min: 0 },
   // Share (public view by token)
   shareToken: { type: String, trim: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { emitJobStatusChange } from '../services/jobStatusEvents.js';
 
 const jobStatusHistorySchema = new mongoose.Schema({
   status: {
@@ -37,6 +38,12 @@ const jobServiceSchema = new mongoose.Schema({
     default: 1,
     min: [1, 'Quantity must be at least 1']
   },
+  /** Set when a pricing rule (happy hour, weekend surcharge…) changed the catalog price. */
+  listPrice: { type: Number },
+  pricingRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+  pricingRuleName: { type: String, trim: true },
+  /** price − listPrice per unit (negative = discount). */
+  ruleAdjustment: { type: Number },
   /**
    * Employees who performed this service line (subset of job assignedToUsers).
    * Used when perServiceEmployeeAssignEnabled is on.
@@ -123,6 +130,11 @@ const jobSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  /** When the advance was received, if before the job (booking deposit paid online); null = createdAt. */
+  advanceReceivedAt: {
+    type: Date,
+    default: null
+  },
   estimatedDelivery: {
     type: Date
   },
@@ -185,11 +197,48 @@ const jobSchema = new mongoose.Schema({
   productStockDeductedAt: {
     type: Date,
     default: null
+  },
+  /** Consumables deducted on delivery from the wash services' recipes, costed at average cost. */
+  consumablesUsed: {
+    type: [new mongoose.Schema({
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+      name: { type: String, trim: true },
+      /** Wash service whose recipe used it. */
+      forServiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', default: null },
+      quantity: { type: Number, default: 0 },
+      /** Short of the recipe when stock ran out (delivery is never blocked by consumables). */
+      shortQuantity: { type: Number, default: 0 },
+      unitCost: { type: Number, default: null },
+      cost: { type: Number, default: 0 }
+    }, { _id: false })],
+    default: []
   }
 }, {
   timestamps: true
 });
 
+// Status transition hook: remember the loaded status so post-save listeners get { from, to }.
+// Only document saves (create / job.save()) emit — raw updateOne/findOneAndUpdate do not.
+jobSchema.post('init', function rememberLoadedStatus() {
+  this.$locals.loadedStatus = this.status;
+});
+
+jobSchema.pre('save', function captureStatusTransition(next) {
+  this.$locals.statusTransition = null;
+  if (this.isNew || this.isModified('status')) {
+    const from = this.isNew ? null : (this.$locals.loadedStatus ?? null);
+    if (from !== this.status) this.$locals.statusTransition = { from, to: this.status };
+  }
+  next();
+});
+
+jobSchema.post('save', function emitStatusTransition(doc) {
+  const transition = doc.$locals.statusTransition;
+  doc.$locals.statusTransition = null;
+  doc.$locals.loadedStatus = doc.status;
+  if (transition) emitJobStatusChange(doc, transition);
+});
+
 // Indexes
 jobSchema.index({ businessId: 1, branchId: 1 });
 jobSchema.index({ assignedTo: 1 });
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * Per employee, leave type and calendar year.
+ * Available = carriedForward + accrued (computed from LeaveType) + adjustment − used.
+ */
+const leaveBalanceSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  year: { type: Number, required: true },
+  carriedForward: { type: Number, default: 0, min: 0 },
+  /** Manual admin correction (+/−), e.g. opening balance when going live mid-year. */
+  adjustment: { type: Number, default: 0 },
+  /** Approved leave days falling in this year. */
+  used: { type: Number, default: 0, min: 0 }
+}, {
+  timestamps: true
+});
+
+leaveBalanceSchema.index({ businessId: 1, userId: 1, leaveTypeId: 1, year: 1 }, { unique: true });
+
+export default mongoose.model('LeaveBalance', leaveBalanceSchema);
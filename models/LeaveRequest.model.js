@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const leaveRequestSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  leaveTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  /** Snapshot of the leave type at request time. */
+  leaveTypeName: { type: String, trim: true },
+  isPaid: { type: Boolean, default: true },
+  /** Business-timezone calendar days YYYY-MM-DD (inclusive). */
+  from: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  to: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  /** Working days in the range (weekly offs and shop-closed days are not counted). */
+  days: { type: Number, required: true, min: 1 },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    default: 'PENDING',
+    index: true
+  },
+  actionedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actionedAt: { type: Date },
+  reviewNote: { type: String, trim: true, maxlength: 1000 },
+  /** Days written to AttendanceDay as LEAVE on approval (days off and days already worked are skipped). */
+  appliedDates: { type: [String], default: [] }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ businessId: 1, status: 1, createdAt: -1 });
+leaveRequestSchema.index({ businessId: 1, userId: 1, from: 1, to: 1 });
+
+export default mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * Business leave type (Casual, Sick, Unpaid …).
+ * annualAllowance null = no balance limit (e.g. unpaid leave).
+ */
+const leaveTypeSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  code: { type: String, required: true, trim: true, uppercase: true, maxlength: 20 },
+  /** Paid leave days are paid in payroll; unpaid ones are deducted. */
+  isPaid: { type: Boolean, default: true },
+  annualAllowance: { type: Number, default: null, min: 0 },
+  /** YEARLY = full allowance on 1 Jan; MONTHLY = allowance / 12 credited as each month starts. */
+  accrual: { type: String, enum: ['YEARLY', 'MONTHLY'], default: 'YEARLY' },
+  /** Unused days carried into next year (capped). */
+  carryForwardMax: { type: Number, default: 0, min: 0 },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+leaveTypeSchema.index({ businessId: 1, code: 1 }, { unique: true });
+
+export default mongoose.model('LeaveType', leaveTypeSchema);
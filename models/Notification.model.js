@@ -34,7 +34,9 @@ const notificationSchema = new mongoose.Schema({
       'BOOKING_REQUEST',
       'BOOKING_CONFIRMED',
       'BOOKING_CANCELLED',
-      'BOOKING_SLOT_FULL'
+      'BOOKING_SLOT_FULL',
+      'LOW_STOCK',
+      'PAYMENT_RECEIVED'
     ],
     required: true
   },
@@ -1,7 +1,7 @@
 import mongoose from 'mongoose';
 
 /**
- * Atomic counters for custom job tokens / invoice numbers.
+ * Atomic counters for custom job tokens / invoice numbers / credit notes / purchase documents.
  * scopeKey examples: GLOBAL | 2026-08-05 (daily) | 2026-08 (monthly)
  */
 const numberSequenceSchema = new mongoose.Schema({
@@ -18,7 +18,7 @@ const numberSequenceSchema = new mongoose.Schema({
   },
   kind: {
     type: String,
-    enum: ['JOB_TOKEN', 'INVOICE'],
+    enum: ['JOB_TOKEN', 'INVOICE', 'CREDIT_NOTE', 'PURCHASE_ORDER', 'GOODS_RECEIPT', 'STOCKTAKE', 'CASH_DRAWER'],
     required: true
   },
   scopeKey: {
@@ -75,6 +75,12 @@ const otherRevenueSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  /** Set when the entry is a forfeited booking deposit (no-show fee). */
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
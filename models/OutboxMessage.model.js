@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+/**
+ * Durable outbound delivery queue (push notifications, customer WhatsApp).
+ * Written by request handlers / cron; drained by services/outbox/outboxWorker.js.
+ * DEAD rows are kept for super-admin inspection and replay.
+ */
+const outboxFailureSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  attempt: { type: Number, default: 0 },
+  message: { type: String, trim: true, default: '' },
+  code: { type: String, trim: true, default: null }
+}, { _id: false });
+
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['PUSH', 'WHATSAPP'],
+    required: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null,
+    index: true
+  },
+  /** Channel-specific delivery input (kept small — ids and rendered text, not documents). */
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'SENT', 'DEAD'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  lastError: { type: String, trim: true, default: null },
+  /** Last few failures (newest last) for inspection. */
+  failures: [outboxFailureSchema],
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  sentAt: { type: Date, default: null },
+  deadAt: { type: Date, default: null },
+  replayCount: { type: Number, default: 0 },
+  replayedAt: { type: Date, default: null },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, lockedAt: 1 });
+outboxMessageSchema.index({ channel: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const PAYMENT_LINK_PURPOSES = ['INVOICE', 'BOOKING_DEPOSIT'];
+export const PAYMENT_LINK_STATUSES = ['CREATED', 'PAID', 'FAILED', 'EXPIRED', 'CANCELLED'];
+
+/**
+ * One customer-payable amount (invoice balance or booking deposit) collected through the
+ * online gateway. The link token is the customer's only credential, like Invoice.shareToken.
+ */
+const paymentLinkSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  purpose: { type: String, enum: PAYMENT_LINK_PURPOSES, required: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+  /** Rupees; the gateway is sent minor units. */
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String, default: 'INR', trim: true },
+  description: { type: String, trim: true },
+  token: { type: String, required: true, trim: true },
+  status: { type: String, enum: PAYMENT_LINK_STATUSES, default: 'CREATED', index: true },
+  provider: { type: String, trim: true },
+  providerOrderId: { type: String, trim: true, default: null },
+  providerPaymentId: { type: String, trim: true, default: null },
+  /** Gateway instrument mapped to UPI / CARD for the invoice. */
+  onlinePaymentMode: { type: String, enum: ['UPI', 'CARD'], default: 'UPI' },
+  paidAt: { type: Date, default: null },
+  /** Set once the payment has been applied to the invoice / booking (settlement is idempotent). */
+  settledAt: { type: Date, default: null },
+  /** Why a captured payment could not be applied (e.g. invoice settled at the counter meanwhile). */
+  settlementError: { type: String, trim: true, default: null },
+  paymentCollectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentCollection', default: null },
+  failureReason: { type: String, trim: true, default: null },
+  expiresAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+paymentLinkSchema.index({ token: 1 }, { unique: true });
+paymentLinkSchema.index({ providerOrderId: 1 }, { sparse: true });
+paymentLinkSchema.index({ businessId: 1, createdAt: -1 });
+paymentLinkSchema.index({ businessId: 1, invoiceId: 1, status: 1 });
+paymentLinkSchema.index({ businessId: 1, bookingId: 1, status: 1 });
+
+export function generatePaymentLinkToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+export default mongoose.model('PaymentLink', paymentLinkSchema);
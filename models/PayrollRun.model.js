@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const payrollDeductionSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const payrollLineSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true },
+  employeeCode: { type: String, trim: true },
+  /** Snapshot of User.salaryProfile at compute time. */
+  payType: { type: String, enum: ['MONTHLY', 'DAILY', 'HOURLY'], required: true },
+  rate: { type: Number, default: 0, min: 0 },
+  periodDays: { type: Number, default: 0, min: 0 },
+  presentDays: { type: Number, default: 0, min: 0 },
+  leaveDays: { type: Number, default: 0, min: 0 },
+  paidLeaveDays: { type: Number, default: 0, min: 0 },
+  unpaidLeaveDays: { type: Number, default: 0, min: 0 },
+  hoursWorked: { type: Number, default: 0, min: 0 },
+  overtimeHours: { type: Number, default: 0, min: 0 },
+  basePay: { type: Number, default: 0, min: 0 },
+  overtimePay: { type: Number, default: 0, min: 0 },
+  commission: { type: Number, default: 0, min: 0 },
+  grossPay: { type: Number, default: 0, min: 0 },
+  /** Salary advances already handed over in the period (recovered from this payout). */
+  advances: { type: Number, default: 0, min: 0 },
+  deductions: { type: [payrollDeductionSchema], default: [] },
+  netPay: { type: Number, default: 0, min: 0 },
+  note: { type: String, trim: true },
+  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null }
+}, { _id: false });
+
+/**
+ * One payroll run per business (+branch) and date range.
+ * DRAFT runs can be recomputed / adjusted; POSTED runs created Expense rows and are frozen.
+ */
+const payrollRunSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  /** Business-timezone calendar days YYYY-MM-DD (inclusive). */
+  from: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  to: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  status: { type: String, enum: ['DRAFT', 'POSTED'], default: 'DRAFT', index: true },
+  lines: { type: [payrollLineSchema], default: [] },
+  totals: {
+    grossPay: { type: Number, default: 0 },
+    advances: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 },
+    netPay: { type: Number, default: 0 }
+  },
+  paymentMethod: { type: String, enum: ['CASH', 'ONLINE'], default: 'CASH' },
+  postedAt: { type: Date, default: null },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+payrollRunSchema.index({ businessId: 1, branchId: 1, from: 1, to: 1 }, { unique: true });
+payrollRunSchema.index({ businessId: 1, createdAt: -1 });
+
+export default mongoose.model('PayrollRun', payrollRunSchema);
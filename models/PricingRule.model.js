@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * Time-of-day / weekday / date price adjustment (happy hours, weekend surcharges, festival days).
+ * Applied to fixed catalog prices when a job or booking is priced; the applied rule is recorded
+ * on the job line and invoice item (see utils/pricingRules.js).
+ */
+const pricingRuleSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  /** null = all branches. */
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  name: { type: String, required: true, trim: true },
+  adjustmentType: { type: String, enum: ['DISCOUNT', 'SURCHARGE'], default: 'DISCOUNT' },
+  /** PERCENT of the catalog price, or a FLAT amount per unit. */
+  valueType: { type: String, enum: ['PERCENT', 'FLAT'], default: 'PERCENT' },
+  value: { type: Number, required: true, min: 0 },
+  /** 0 = Sunday … 6 = Saturday; empty = every day. Ignored when `dates` is set. */
+  weekdays: [{ type: Number, min: 0, max: 6 }],
+  /** Business-local HH:mm window [startTime, endTime); blank = all day. */
+  startTime: { type: String, trim: true, default: '' },
+  endTime: { type: String, trim: true, default: '' },
+  /** YYYY-MM-DD festival / special days; a dated rule beats weekday rules on those days. */
+  dates: [{ type: String, trim: true }],
+  /** Empty = every fixed-price service. */
+  serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+  /** Tie-breaker between equally specific rules (higher wins). */
+  priority: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+pricingRuleSchema.index({ businessId: 1, isActive: 1, branchId: 1 });
+
+export default mongoose.model('PricingRule', pricingRuleSchema);
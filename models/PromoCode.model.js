@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * Coupon / promo code redeemable at admin checkout and on the public booking form.
+ * Each use is recorded as a PromoRedemption; `usedCount` is the live (non-released) total
+ * and is incremented atomically against `maxUses` (see services/promoCodeService.js).
+ */
+const promoCodeSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  /** null = all branches. */
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  /** Upper-case, unique per business (e.g. DIWALI20). */
+  code: { type: String, required: true, trim: true, uppercase: true },
+  /** Campaign the code belongs to; several codes can share one (report groups by it). */
+  campaign: { type: String, trim: true, default: '' },
+  description: { type: String, trim: true, default: '' },
+  /** PERCENT of the eligible bill, or a flat AMOUNT off it. */
+  discountType: { type: String, enum: ['PERCENT', 'AMOUNT'], default: 'PERCENT' },
+  value: { type: Number, required: true, min: 0 },
+  /** Cap on a PERCENT discount; null = no cap. */
+  maxDiscount: { type: Number, default: null, min: 0 },
+  /** Business-local YYYY-MM-DD, inclusive; blank = open-ended. */
+  validFrom: { type: String, trim: true, default: '' },
+  validTo: { type: String, trim: true, default: '' },
+  /** Bill subtotal (before discount and GST) needed to use the code. */
+  minBillAmount: { type: Number, default: 0, min: 0 },
+  /** Total uses across all customers; null = unlimited. */
+  maxUses: { type: Number, default: null, min: 1 },
+  /** Uses per customer; null = unlimited. */
+  maxUsesPerCustomer: { type: Number, default: 1, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+  /** Restrict the discount to these services / categories (empty = whole bill). */
+  serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ServiceCategory' }],
+  /** Only customers with no earlier job. */
+  firstVisitOnly: { type: Boolean, default: false },
+  usableAtCheckout: { type: Boolean, default: true },
+  usableOnBooking: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+promoCodeSchema.index({ businessId: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ businessId: 1, isActive: 1 });
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * One use of a promo code. A booking redemption is linked to the invoice once the booking's
+ * job is billed. RELEASED = the code was removed or the booking cancelled (use given back).
+ */
+const promoRedemptionSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', required: true },
+  code: { type: String, required: true, trim: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+  channel: { type: String, enum: ['CHECKOUT', 'BOOKING'], required: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+  /** Bill subtotal the discount was worked out on, and the discount given. */
+  billAmount: { type: Number, default: 0, min: 0 },
+  discountAmount: { type: Number, default: 0, min: 0 },
+  /** Customer had no earlier job when the code was used. */
+  firstVisit: { type: Boolean, default: false },
+  status: { type: String, enum: ['APPLIED', 'RELEASED'], default: 'APPLIED' },
+  releasedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promoCodeId: 1, customerId: 1, status: 1 });
+promoRedemptionSchema.index({ businessId: 1, createdAt: -1 });
+promoRedemptionSchema.index({ invoiceId: 1 });
+promoRedemptionSchema.index({ bookingId: 1 });
+
+export default mongoose.model('PromoRedemption', promoRedemptionSchema);
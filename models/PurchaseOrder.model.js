@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import {
+  formatSequentialNumber,
+  loadNumberingSettings,
+  nextSequenceValue
+} from '../utils/numbering.utils.js';
+
+/** Sequential per business: PO-0001, PO-0002 … (never reset). */
+export const PURCHASE_ORDER_NUMBER_SETTINGS = {
+  prefix: 'PO',
+  datePart: 'NONE',
+  sequenceScope: 'GLOBAL',
+  padLength: 4,
+  separator: '-'
+};
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+  name: { type: String, trim: true },
+  quantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+/**
+ * Order to a supplier for tracked products. Stock only changes when goods are received (GoodsReceipt).
+ * DRAFT → ORDERED → PARTIALLY_RECEIVED → RECEIVED; DRAFT / ORDERED can be CANCELLED.
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  poNumber: { type: String, required: true, trim: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+  supplierName: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'],
+    default: 'DRAFT',
+    index: true
+  },
+  orderDate: { type: Date, default: () => new Date() },
+  expectedDate: { type: Date, default: null },
+  items: { type: [purchaseOrderItemSchema], default: [] },
+  totalAmount: { type: Number, default: 0, min: 0 },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+purchaseOrderSchema.index({ businessId: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ businessId: 1, createdAt: -1 });
+
+export async function generatePurchaseOrderNumberForBusiness(businessId) {
+  const { timezone } = await loadNumberingSettings(businessId);
+  const PurchaseOrderModel = mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', purchaseOrderSchema);
+  let attempts = 0;
+  while (attempts < 8) {
+    const seq = await nextSequenceValue({
+      businessId,
+      branchId: null,
+      kind: 'PURCHASE_ORDER',
+      scopeKey: 'GLOBAL'
+    });
+    const poNumber = formatSequentialNumber(PURCHASE_ORDER_NUMBER_SETTINGS, seq, timezone);
+    const exists = await PurchaseOrderModel.findOne({ businessId, poNumber }).select('_id').lean();
+    if (!exists) return poNumber;
+    attempts++;
+  }
+  throw new Error('Unable to allocate unique purchase order number');
+}
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
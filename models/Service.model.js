@@ -47,6 +47,30 @@ const serviceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  /** HSN (goods) / SAC (services) code printed on invoice lines; blank → business default. */
+  hsnSac: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  /** GST % for this item; null → business taxPercentage. */
+  taxRate: {
+    type: Number,
+    default: null,
+    min: [0, 'Tax rate must be between 0 and 100'],
+    max: [100, 'Tax rate must be between 0 and 100']
+  },
+  /**
+   * Optional price per Car.vehicleType (e.g. SUV 600, Hatchback 400). A type without a row
+   * uses `price`. Not used for direct-sale products.
+   */
+  vehiclePrices: {
+    type: [new mongoose.Schema({
+      vehicleType: { type: String, required: true, trim: true },
+      price: { type: Number, required: true, min: [0, 'Price must be non-negative'] }
+    }, { _id: false })],
+    default: []
+  },
   /** When true, price is entered per job/invoice (catalog price is optional guide only). */
   isVariable: {
     type: Boolean,
@@ -72,6 +96,29 @@ const serviceSchema = new mongoose.Schema({
     default: 5,
     min: [0, 'Low stock threshold cannot be negative']
   },
+  /** Moving weighted-average unit cost of stock on hand; used to cost sales (COGS). */
+  averageCost: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  /** Unit cost on the most recent goods receipt. */
+  lastPurchaseCost: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  /**
+   * Consumables recipe for wash services: tracked products used per unit of this service
+   * (e.g. 50 of shampoo tracked in ml). Deducted when the job is delivered.
+   */
+  consumables: {
+    type: [new mongoose.Schema({
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+      quantity: { type: Number, required: true, min: 0.001 }
+    }, { _id: false })],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true
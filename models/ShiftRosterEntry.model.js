@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Branch weekly roster: one row per employee per day.
+ * Overrides the employee's default shift (User.shiftTemplateId / weeklyOffDays) for that date.
+ */
+const shiftRosterEntrySchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  /** Business-timezone calendar day YYYY-MM-DD */
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  shiftTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftTemplate',
+    default: null
+  },
+  /** Rostered day off (no punch expected). */
+  isOff: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+shiftRosterEntrySchema.index({ businessId: 1, userId: 1, date: 1 }, { unique: true });
+shiftRosterEntrySchema.index({ businessId: 1, branchId: 1, date: 1 });
+
+export default mongoose.model('ShiftRosterEntry', shiftRosterEntrySchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/** Named staff shift, e.g. Morning 08:00–16:00. end before start = overnight shift. */
+const shiftTemplateSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  /** null = usable in every branch. */
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  end: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  /** Minutes after start before a punch-in counts as late. */
+  lateGraceMinutes: { type: Number, default: 10, min: 0, max: 240 },
+  /** Minutes before end a punch-out may happen without counting as early exit. */
+  earlyExitGraceMinutes: { type: Number, default: 10, min: 0, max: 240 },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('ShiftTemplate', shiftTemplateSchema);
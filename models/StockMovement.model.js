@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_TYPES = [
+  'OPENING',
+  'SALE',
+  'DELIVERY',
+  'RESTORE',
+  'ADJUSTMENT',
+  'PURCHASE_RECEIPT',
+  'STOCKTAKE',
+  'CONSUMPTION'
+];
+
+/**
+ * Append-only ledger of every change to Service.stockQuantity.
+ * quantity is signed (+ in, − out); before / after are the product's stock around the change.
+ */
+const stockMovementSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+  serviceName: { type: String, trim: true },
+  type: { type: String, enum: STOCK_MOVEMENT_TYPES, required: true },
+  quantity: { type: Number, required: true },
+  before: { type: Number, required: true },
+  after: { type: Number, required: true },
+  unitCost: { type: Number, default: null, min: 0 },
+  /** Document that caused the change. */
+  source: {
+    kind: { type: String, enum: ['JOB', 'INVOICE', 'CREDIT_NOTE', 'GOODS_RECEIPT', 'STOCKTAKE', 'SERVICE'], default: null },
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    label: { type: String, trim: true }
+  },
+  notes: { type: String, trim: true, maxlength: 500 },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ businessId: 1, serviceId: 1, createdAt: -1 });
+stockMovementSchema.index({ businessId: 1, createdAt: -1 });
+stockMovementSchema.index({ businessId: 1, 'source.kind': 1, 'source.id': 1 });
+
+function rejectMutation(next) {
+  next(new Error('Stock movements are append-only'));
+}
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  stockMovementSchema.pre(op, rejectMutation);
+}
+
+export default mongoose.model('StockMovement', stockMovementSchema);
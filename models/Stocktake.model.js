@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import {
+  formatSequentialNumber,
+  loadNumberingSettings,
+  nextSequenceValue
+} from '../utils/numbering.utils.js';
+
+/** Sequential per business: ST-0001, ST-0002 … (never reset). */
+export const STOCKTAKE_NUMBER_SETTINGS = {
+  prefix: 'ST',
+  datePart: 'NONE',
+  sequenceScope: 'GLOBAL',
+  padLength: 4,
+  separator: '-'
+};
+
+const stocktakeItemSchema = new mongoose.Schema({
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+  name: { type: String, trim: true },
+  /** Book stock when the session was opened; variance is counted − this. */
+  bookQuantity: { type: Number, required: true, min: 0 },
+  /** Physical count; null until entered. */
+  countedQuantity: { type: Number, default: null, min: 0 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  variance: { type: Number, default: null },
+  varianceValue: { type: Number, default: null },
+  countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  countedAt: { type: Date, default: null },
+  /** Set once the variance has been applied to stock on finalize. */
+  adjustedAt: { type: Date, default: null }
+}, { _id: false });
+
+/**
+ * Physical stock count. Opening snapshots book stock for every tracked product;
+ * finalizing applies the variance to stock and posts shrinkage as an expense.
+ */
+const stocktakeSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  stocktakeNumber: { type: String, required: true, trim: true },
+  status: {
+    type: String,
+    /** FINALIZING: claimed by a finalize that is applying the variance. */
+    enum: ['OPEN', 'FINALIZING', 'FINALIZED', 'CANCELLED'],
+    default: 'OPEN',
+    index: true
+  },
+  items: { type: [stocktakeItemSchema], default: [] },
+  notes: { type: String, trim: true },
+  /** Value of units missing (shown positive) and units found, at unit cost. */
+  shrinkageValue: { type: Number, default: 0, min: 0 },
+  surplusValue: { type: Number, default: 0, min: 0 },
+  /** Shrinkage expense posted on finalize (none when nothing was missing). */
+  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  finalizedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+stocktakeSchema.index({ businessId: 1, stocktakeNumber: 1 }, { unique: true });
+stocktakeSchema.index({ businessId: 1, createdAt: -1 });
+
+export async function generateStocktakeNumberForBusiness(businessId) {
+  const { timezone } = await loadNumberingSettings(businessId);
+  const StocktakeModel = mongoose.models.Stocktake || mongoose.model('Stocktake', stocktakeSchema);
+  let attempts = 0;
+  while (attempts < 8) {
+    const seq = await nextSequenceValue({
+      businessId,
+      branchId: null,
+      kind: 'STOCKTAKE',
+      scopeKey: 'GLOBAL'
+    });
+    const stocktakeNumber = formatSequentialNumber(STOCKTAKE_NUMBER_SETTINGS, seq, timezone);
+    const exists = await StocktakeModel.findOne({ businessId, stocktakeNumber }).select('_id').lean();
+    if (!exists) return stocktakeNumber;
+    attempts++;
+  }
+  throw new Error('Unable to allocate unique stocktake number');
+}
+
+export default mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  name: { type: String, required: [true, 'Supplier name is required'], trim: true, maxlength: 120 },
+  contactName: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  gstin: { type: String, trim: true, uppercase: true },
+  address: { type: String, trim: true },
+  /** Default days until a supplier bill is due (pay-later due date). */
+  paymentTermsDays: { type: Number, default: 0, min: 0 },
+  notes: { type: String, trim: true },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ businessId: 1, name: 1 });
+
+export default mongoose.model('Supplier', supplierSchema);
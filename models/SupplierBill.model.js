@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+/**
+ * Supplier invoice entered against goods receipts (or a standalone amount).
+ * The money side lives on the linked Expense (settlementMode FULL / CREDIT), so payables,
+ * part payments and the P&L use the existing expense flow.
+ */
+const supplierBillSchema = new mongoose.Schema({
+  businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+  branchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null, index: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+  supplierName: { type: String, trim: true },
+  /** Supplier's own invoice number. */
+  billNumber: { type: String, trim: true },
+  billDate: { type: Date, required: true, default: () => new Date() },
+  goodsReceiptIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GoodsReceipt' }],
+  amount: { type: Number, required: true, min: 0 },
+  expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', required: true },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+supplierBillSchema.index({ businessId: 1, billDate: -1 });
+
+export default mongoose.model('SupplierBill', supplierBillSchema);
@@ -49,6 +49,29 @@ const userSchema = new mongoose.Schema({
   // Firebase Cloud Messaging tokens for push notifications (BUSINESS OWNERS ONLY).
   // Do NOT store tokens for customers (customers do not log into the app).
   fcmTokens: { type: [String], default: [] },
+  /**
+   * Pay terms used by payroll runs (employees only).
+   * MONTHLY rate is pro-rated over the run's calendar days; DAILY/HOURLY pay attended days/hours.
+   * paidLeaveDaysPerMonth also covers weekly offs for MONTHLY staff.
+   */
+  salaryProfile: {
+    payType: { type: String, enum: ['MONTHLY', 'DAILY', 'HOURLY'], default: 'MONTHLY' },
+    rate: { type: Number, default: 0, min: 0 },
+    standardHoursPerDay: { type: Number, default: 8, min: 1, max: 24 },
+    /** Hours beyond standardHoursPerDay are paid at hourly rate × this (0 = no overtime pay). */
+    overtimeMultiplier: { type: Number, default: 1.5, min: 0 },
+    paidLeaveDaysPerMonth: { type: Number, default: 0, min: 0 },
+    /** Whether earned commission (reports/commissions) is added to payroll. */
+    includeCommission: { type: Boolean, default: true }
+  },
+  /** Default shift when the branch roster has no entry for the day. */
+  shiftTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftTemplate',
+    default: null
+  },
+  /** Regular weekly off days (0=Sun … 6=Sat). */
+  weeklyOffDays: { type: [Number], default: [] },
   /** Primary branch for employees / branch managers. */
   branchId: {
     type: mongoose.Schema.Types.ObjectId,
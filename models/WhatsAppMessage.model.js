@@ -17,6 +17,11 @@ const whatsAppMessageSchema = new mongoose.Schema({
     ref: 'Job',
     default: null
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   templateId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'WhatsAppTemplate',
@@ -32,11 +37,70 @@ const whatsAppMessageSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'SENT', 'FAILED'],
+    // DELIVERED / READ come from provider status callbacks (POST /api/public/whatsapp/webhook)
+    enum: ['PENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED'],
     default: 'PENDING'
   },
   sentAt: {
     type: Date
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  /** Last time a provider callback changed status. */
+  statusUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  /** Settings template key (received, completed, invoiceShare …) when sent from whatsappTemplates. */
+  templateKey: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  /** Delivery provider that handled the send (meta | local | log). */
+  provider: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  /** Provider message id (Meta wamid…) used to match delivery callbacks. */
+  providerMessageId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  /**
+   * Idempotency key for automatic messages (e.g. job:<id>:completed).
+   * Unique per business so re-saving a status never messages the customer twice.
+   */
+  dedupeKey: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  errorCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -45,6 +109,12 @@ const whatsAppMessageSchema = new mongoose.Schema({
 // Indexes
 whatsAppMessageSchema.index({ businessId: 1 });
 whatsAppMessageSchema.index({ jobId: 1 });
+whatsAppMessageSchema.index({ businessId: 1, customerId: 1, createdAt: -1 });
 whatsAppMessageSchema.index({ status: 1 });
+whatsAppMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+whatsAppMessageSchema.index(
+  { businessId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
 
 export default mongoose.model('WhatsAppMessage', whatsAppMessageSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * Provider status callback that arrived before its WhatsAppMessage had a providerMessageId
+ * (the webhook can beat the send response). Applied and removed once the send is recorded;
+ * anything never matched expires after a week.
+ */
+const whatsAppStatusEventSchema = new mongoose.Schema({
+  providerMessageId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['SENT', 'DELIVERED', 'READ', 'FAILED'],
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  errorCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  errorMessage: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('WhatsAppStatusEvent', whatsAppStatusEventSchema);
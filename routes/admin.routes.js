@@ -7,9 +7,12 @@ import { uploadBuffer } from '../utils/cloudinary.js';
 import Customer from '../models/Customer.model.js';
 import Car from '../models/Car.model.js';
 import Service from '../models/Service.model.js';
+import StockMovement, { STOCK_MOVEMENT_TYPES } from '../models/StockMovement.model.js';
+import { adjustServiceStock, normalizeConsumablesRecipe, recordStockMovement, summarizeStockMovements } from '../utils/serviceInventory.js';
+import { buildInvoiceUpiPayment, isValidUpiId } from '../utils/upiQr.js';
+import { invoicePayableAmount } from '../services/payments/paymentLinkService.js';
 import Job from '../models/Job.model.js';
 import Lead from '../models/Lead.model.js';
-import WhatsAppTemplate from '../models/WhatsAppTemplate.model.js';
 import WhatsAppMessage from '../models/WhatsAppMessage.model.js';
 import BusinessSettings from '../models/BusinessSettings.model.js';
 import Notification from '../models/Notification.model.js';
@@ -26,14 +29,15 @@ import {
 import { resolveDirectBillFromCatalog, workCatalogServices } from '../utils/jobCart.js';
 import {
   assertProductStockForJobLines,
-  deductProductStockOnWashJobDelivery
+  deductProductStockOnWashJobDelivery,
+  markJobDeliveredWithProductStock,
+  summarizeConsumablesUsage
 } from '../utils/jobProductStock.js';
 import { buildServicesListQuery } from '../utils/serviceCatalog.js';
 import { findRecentDuplicate } from '../utils/createIdempotency.js';
 import { loadDashboardStats } from '../services/dashboardStatsService.js';
 import { getDashboardServicesDistribution } from '../utils/dashboardServicesDistribution.js';
 import { getDashboardUnclosedInvoices } from '../utils/dashboardUnclosedInvoices.js';
-import { sendWhatsAppMessage, formatTemplate } from '../utils/whatsapp.utils.js';
 import Business from '../models/Business.model.js';
 import SubscriptionPlan from '../models/SubscriptionPlan.model.js';
 import ShopSubscription from '../models/ShopSubscription.model.js';
@@ -74,9 +78,25 @@ import { parseBusinessDateRange, applyCreatedAtRange, applyDateFieldRange } from
 import { balanceDue, assertSettlementMatchesDue, normalizeInvoicePaymentFields, relabelLockedInvoicePaymentMethod, roundMoney } from '../utils/invoicePayment.js';
 import { rejectLockedFinancialBodyFields, applyOpenInvoiceFinancialFields, applyOwnerLockedInvoiceFinancialFields } from '../utils/invoiceCheckout.js';
 import { reopenInvoiceAsUnpaid } from '../utils/invoiceReopen.js';
+import { refundInvoice } from '../utils/invoiceRefund.js';
+import CreditNote from '../models/CreditNote.model.js';
+import CommissionRule from '../models/CommissionRule.model.js';
+import { buildCommissionReport, normalizeCommissionRuleInput } from '../services/commissionService.js';
+import PricingRule from '../models/PricingRule.model.js';
+import { buildPricingRuleReport, normalizePricingRuleForBusiness } from '../services/pricingRuleService.js';
+import PromoCode from '../models/PromoCode.model.js';
+import PromoRedemption from '../models/PromoRedemption.model.js';
+import {
+  buildPromoCampaignReport,
+  normalizePromoForBusiness,
+  previewInvoicePromo
+} from '../services/promoCodeService.js';
 import { resolveInvoiceDiscount } from '../utils/invoiceDiscount.js';
+import { isValidHsnSac, normalizeHsnSac } from '../utils/invoiceGst.js';
+import { lookupVehicleType, normalizeVehiclePrices } from '../utils/servicePricing.js';
+import { PRICEABLE_VEHICLE_TYPES } from '../constants/vehicleTypes.js';
 import { normalizeCreditCheckoutPayment } from '../utils/creditPayment.js';
-import { normalizeJobAdvanceForCreate } from '../utils/jobAdvance.js';
+import { advanceReceivedMatch, normalizeJobAdvanceForCreate } from '../utils/jobAdvance.js';
 import {
   assertJobImageCount,
   JOB_IMAGES_HARD_MAX,
@@ -264,7 +284,7 @@ router.use(async (req, res, next) => {
     const modules = req.businessModules || await getBusinessModules(req.businessId);
     req.businessModules = modules;
     const p = req.path;
-    if (/^\/reports\/(trial-balance|profit-loss|sales-expenses)/.test(p) && !isModuleEnabled(modules, 'accounting')) {
+    if (/^\/reports\/(trial-balance|profit-loss|sales-expenses|product-margins)/.test(p) && !isModuleEnabled(modules, 'accounting')) {
       return moduleDisabledResponse(res, 'accounting');
     }
     if (/^\/reports\/(collections|outstanding)/.test(p) && !isModuleEnabled(modules, 'credit')) {
@@ -1236,7 +1256,7 @@ async function backfillCustomerInvoiceLinks(businessId, customerId) {
 
 const INVOICE_METADATA_FIELDS = [
   'companyName', 'companyOwnerName', 'companyAddress', 'companyPhone', 'companyGst',
-  'customerName', 'customerPhone', 'customerGst', 'vehicleNumber'
+  'customerName', 'customerPhone', 'customerGst', 'customerState', 'vehicleNumber'
 ];
 
 function applyInvoiceMetadataFields(invoice, body) {
@@ -1446,18 +1466,26 @@ router.get('/invoices/:id', async (req, res) => {
         customerId,
         settlementMode: 'CREDIT',
         saleConfirmedAt: { $ne: null }
-      }, req)).select('_id finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment').lean();
+      }, req)).select('_id finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment refundAdjustedAmount').lean();
       customerOutstanding = sumCustomerOutstanding(creditInvoices);
       const prior = creditInvoices.filter((inv) => String(inv._id) !== String(invoice._id));
       previousOutstanding = sumCustomerOutstanding(prior);
     }
 
+    // Dynamic UPI QR for the exact balance due (invoice number as the payment reference)
+    const upiPayment = await buildInvoiceUpiPayment(invoice, { amountDue: invoicePayableAmount(invoice) })
+      .catch((err) => {
+        console.error('Invoice UPI QR error:', err?.message || err);
+        return null;
+      });
+
     res.json({
       success: true,
       invoice,
       business: companySnapshot,
       customerOutstanding,
-      previousOutstanding
+      previousOutstanding,
+      upiPayment
     });
   } catch (error) {
     console.error('Get invoice error:', error);
@@ -1474,10 +1502,12 @@ router.put('/invoices/:id', [
   body('customerName').optional().trim(),
   body('customerPhone').optional().trim(),
   body('customerGst').optional().trim(),
+  body('customerState').optional({ nullable: true, checkFalsy: true }).trim().matches(/^\d{2}$/).withMessage('customerState must be a two-digit GST state code'),
   body('vehicleNumber').optional().trim(),
   body('discount').optional().isFloat({ min: 0 }),
   body('discountType').optional().isIn(['PERCENT', 'AMOUNT']),
   body('discountAmount').optional().isFloat({ min: 0 }),
+  body('promoCode').optional({ nullable: true }).isString().trim().isLength({ max: 30 }),
   body('finalAmount').optional().isFloat({ min: 0 }),
   body('taxPercentage').optional().isFloat({ min: 0, max: 100 }),
   body('gstAmount').optional().isFloat({ min: 0 }),
@@ -1622,7 +1652,8 @@ router.post('/invoices/:id/add-products', [
 
     try {
       await addProductLinesToOpenInvoice(invoiceDoc, req.businessId, req.body.services, {
-        allowClosed: isBusinessOwner(req.user.role)
+        allowClosed: isBusinessOwner(req.user.role),
+        userId: req.user._id
       });
     } catch (addErr) {
       return res.status(addErr.status || 400).json({
@@ -1681,7 +1712,8 @@ router.post('/invoices/:id/remove-product', [
       await removeProductLineFromOpenInvoice(invoiceDoc, req.businessId, {
         serviceId: req.body.serviceId
       }, {
-        allowClosed: isBusinessOwner(req.user.role)
+        allowClosed: isBusinessOwner(req.user.role),
+        userId: req.user._id
       });
     } catch (removeErr) {
       return res.status(removeErr.status || 400).json({
@@ -1805,6 +1837,91 @@ router.patch('/invoices/:id/mark-unpaid', async (req, res) => {
   }
 });
 
+// POST /api/admin/invoices/:id/refunds — owner only: issue a credit note against a closed invoice
+// Body: { full?, items?: [{ lineIndex, quantity }], amount?, refundMethod?: CASH|ONLINE, onlinePaymentMode?, restock?, reason? }
+router.post('/invoices/:id/refunds', [
+  body('full').optional().isBoolean(),
+  body('items').optional().isArray(),
+  body('items.*.lineIndex').optional().isInt({ min: 0 }),
+  body('items.*.quantity').optional().isInt({ min: 1 }),
+  body('amount').optional().isFloat({ min: 0.01 }),
+  body('refundMethod').optional().isIn(['CASH', 'ONLINE']),
+  body('onlinePaymentMode').optional().isIn(['UPI', 'CARD']),
+  body('restock').optional().isBoolean(),
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    if (!isBusinessOwner(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the business owner can refund an invoice'
+      });
+    }
+
+    const invoice = await Invoice.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }));
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+    assertBranchAccess(req, invoice, { allowLegacyNull: true });
+
+    const result = await refundInvoice({
+      businessId: req.businessId,
+      invoiceId: invoice._id,
+      user: req.user,
+      full: req.body.full === true,
+      items: req.body.items || [],
+      amount: req.body.amount,
+      refundMethod: req.body.refundMethod,
+      onlinePaymentMode: req.body.onlinePaymentMode,
+      restock: req.body.restock !== false,
+      reason: req.body.reason
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Credit note ${result.creditNote.creditNoteNumber} issued`,
+      creditNote: result.creditNote,
+      invoice: result.invoice
+    });
+  } catch (error) {
+    console.error('Refund invoice error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// GET /api/admin/invoices/:id/credit-notes
+router.get('/invoices/:id/credit-notes', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }))
+      .select('_id branchId finalAmount refundedAmount')
+      .lean();
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+    assertBranchAccess(req, invoice, { allowLegacyNull: true });
+    const creditNotes = await CreditNote.find({ businessId: req.businessId, invoiceId: invoice._id })
+      .populate('createdBy', 'name email')
+      .sort({ refundDate: -1 })
+      .lean();
+    res.json({
+      success: true,
+      data: creditNotes,
+      refundedAmount: roundMoney(Number(invoice.refundedAmount) || 0),
+      refundableAmount: roundMoney(Math.max(0, (Number(invoice.finalAmount) || 0) - (Number(invoice.refundedAmount) || 0)))
+    });
+  } catch (error) {
+    console.error('Invoice credit notes error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
 // PATCH /api/admin/invoices/:id/close-job - set payment received & close job (DELIVERED)
 router.patch('/invoices/:id/close-job', async (req, res) => {
   try {
@@ -1896,7 +2013,7 @@ router.patch('/invoices/:id/close-job', async (req, res) => {
     try {
       const jobForStock = await Job.findOne({ _id: invoice.jobId, businessId: req.businessId });
       if (jobForStock) {
-        await deductProductStockOnWashJobDelivery(jobForStock, req.businessId);
+        await deductProductStockOnWashJobDelivery(jobForStock, req.businessId, { userId: req.user._id });
         if (jobForStock.isModified()) await jobForStock.save();
       }
     } catch (stockErr) {
@@ -1910,10 +2027,10 @@ router.patch('/invoices/:id/close-job', async (req, res) => {
     invoice.paymentReceivedAt = new Date();
     await invoice.save();
     invalidateDashboardForBusiness(req.businessId);
-    await Job.findOneAndUpdate(
-      { _id: invoice.jobId, businessId: req.businessId },
-      { $set: { status: 'DELIVERED', actualDelivery: new Date() } }
-    );
+    // Saves through the document so the job status hook (customer WhatsApp) fires
+    if (job) {
+      await markJobDeliveredWithProductStock({ jobId: invoice.jobId, businessId: req.businessId, userId: req.user._id });
+    }
 
     // Loyalty: deduct redeemed points and earn from services when job is closed
     if (job?.customerId) {
@@ -2292,7 +2409,34 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
       );
     }
 
-    const data = [...invoices, ...packageSales, ...otherRevenueSales].sort((a, b) => {
+    // Credit notes in the period count as negative sales (service filters skip them — they are invoice-level)
+    let refundRows = [];
+    const includeJobRefunds = shouldIncludeJobSales(salesSource);
+    const includePackageRefunds = shouldIncludePackageSales(salesSource, hasServiceFilter);
+    if (!forceEmpty && !hasServiceFilter && (includeJobRefunds || includePackageRefunds)) {
+      const saleTypes = [
+        ...(includeJobRefunds ? ['JOB'] : []),
+        ...(includePackageRefunds ? ['PACKAGE'] : [])
+      ];
+      const creditNotes = await CreditNote.find(applyBranchScope({
+        businessId: req.businessId,
+        saleType: { $in: saleTypes },
+        refundDate: deliveryRange
+      }, req))
+        .sort({ refundDate: -1 })
+        .lean();
+      refundRows = creditNotes.map((note) => ({
+        ...note,
+        saleType: 'refund',
+        saleSubType: note.saleType === 'PACKAGE' ? 'package' : 'job',
+        finalAmount: -roundMoney(note.amount),
+        gstAmount: -roundMoney(note.gstAmount),
+        refundCashAmount: roundMoney(note.refundCashAmount),
+        refundOnlineAmount: roundMoney(note.refundOnlineAmount)
+      }));
+    }
+
+    const data = [...invoices, ...packageSales, ...otherRevenueSales, ...refundRows].sort((a, b) => {
       const dateOf = (row) => {
         if (row.saleType === 'job') {
           return row.jobId?.actualDelivery || row.paymentReceivedAt || row.jobId?.createdAt || row.createdAt;
@@ -2300,6 +2444,9 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
         if (row.saleType === 'other-revenue') {
           return row.revenueDate || row.createdAt;
         }
+        if (row.saleType === 'refund') {
+          return row.refundDate || row.createdAt;
+        }
         return row.paymentReceivedAt || row.createdAt;
       };
       return new Date(dateOf(b)).getTime() - new Date(dateOf(a)).getTime();
@@ -2311,6 +2458,13 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
     let totalUpiReceived = 0;
     let totalCardReceived = 0;
     for (const inv of data) {
+      if (inv.saleType === 'refund') {
+        totalCashReceived -= inv.refundCashAmount;
+        totalOnlineReceived -= inv.refundOnlineAmount;
+        if (inv.onlinePaymentMode === 'CARD') totalCardReceived -= inv.refundOnlineAmount;
+        else totalUpiReceived -= inv.refundOnlineAmount;
+        continue;
+      }
       const pc = roundMoney(Number(inv.paymentCashAmount) || 0);
       const po = roundMoney(Number(inv.paymentOnlineAmount) || 0);
       if (pc + po > 0.02) {
@@ -2355,7 +2509,7 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
 
     const endExclusive = exclusiveEnd ? end : new Date(end.getTime() + 1);
     const advanceRows = await Job.aggregate([
-      { $match: { businessId: new mongoose.Types.ObjectId(req.businessId), createdAt: dateRangeQuery(start, end, exclusiveEnd) } },
+      { $match: { businessId: new mongoose.Types.ObjectId(req.businessId), ...advanceReceivedMatch(dateRangeQuery(start, end, exclusiveEnd)) } },
       {
         $addFields: {
           advCash: {
@@ -2432,8 +2586,17 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
       success: true,
       data,
       summary: {
-        totalSales: data.length,
+        totalSales: data.length - refundRows.length,
         totalRevenue: Math.round(totalRevenue * 100) / 100,
+        refunds: {
+          count: refundRows.length,
+          total: roundMoney(refundRows.reduce((s, r) => s - r.finalAmount, 0)),
+          cash: roundMoney(refundRows.reduce((s, r) => s + r.refundCashAmount, 0)),
+          online: roundMoney(refundRows.reduce((s, r) => s + r.refundOnlineAmount, 0)),
+          adjustedAgainstOutstanding: roundMoney(
+            refundRows.reduce((s, r) => s + (Number(r.adjustedAgainstOutstanding) || 0), 0)
+          )
+        },
         totalCashReceived: paymentAtDeliveryCash,
         totalOnlineReceived: paymentAtDeliveryOnline,
         paymentAtDelivery: {
@@ -2468,6 +2631,513 @@ router.get('/reports/sales', adminPanelOnly, async (req, res) => {
   }
 });
 
+// ==================== COMMISSIONS ====================
+
+/** Rules and codes without a branch apply to every branch, so only the all-branches view may manage them. */
+function assertBranchOrAllScope(req, branchId) {
+  if (!branchId && req.branchScope !== 'all' && req.branchId) {
+    const err = new Error('Switch to all branches to manage entries that apply to every branch');
+    err.status = 403;
+    throw err;
+  }
+  assertBranchAccess(req, { branchId });
+}
+
+// GET /api/admin/commission-rules
+router.get('/commission-rules', adminPanelOnly, async (req, res) => {
+  try {
+    const rules = await CommissionRule.find({ businessId: req.businessId })
+      .populate('serviceId', 'name')
+      .populate('categoryId', 'name')
+      .populate('packageTemplateId', 'name')
+      .sort({ targetType: 1, name: 1 })
+      .lean();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('List commission rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/commission-rules
+// Body: { name, targetType: SERVICE|CATEGORY|PACKAGE, serviceId?, categoryId?, packageTemplateId?, rateType: FLAT|PERCENT, rate, tierBasis?, tiers?: [{ minVolume, rate }], branchId? }
+router.post('/commission-rules', adminPanelOnly, async (req, res) => {
+  try {
+    const input = await normalizeCommissionRuleInput(req.businessId, req.body);
+    assertBranchOrAllScope(req, input.branchId);
+    const rule = await CommissionRule.create({ ...input, businessId: req.businessId });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// PUT /api/admin/commission-rules/:id
+router.put('/commission-rules/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+    const rule = await CommissionRule.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+    assertBranchOrAllScope(req, rule.branchId);
+    const input = await normalizeCommissionRuleInput(req.businessId, req.body, rule.toObject());
+    assertBranchOrAllScope(req, input.branchId);
+    Object.assign(rule, input);
+    await rule.save();
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// DELETE /api/admin/commission-rules/:id
+router.delete('/commission-rules/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+    const rule = await CommissionRule.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Commission rule not found' });
+    }
+    assertBranchOrAllScope(req, rule.branchId);
+    await rule.deleteOne();
+    res.json({ success: true, message: 'Commission rule deleted' });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/commissions?range=...&from=&to=&employeeId=&details=1
+// Commission per employee from delivered jobs / paid package sales; unpaid invoices show as pending.
+router.get('/reports/commissions', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to, employeeId, details } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    if (employeeId && !mongoose.isValidObjectId(employeeId)) {
+      return res.status(400).json({ success: false, message: 'Invalid employeeId' });
+    }
+    const report = await buildCommissionReport(req.businessId, {
+      startUtc,
+      endUtc,
+      branchId: req.branchScope === 'all' ? null : (req.branchId || null),
+      employeeId: employeeId || null,
+      includeLines: details === '1' || details === 'true' || !!employeeId
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Commission report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// ==================== PRICING RULES ====================
+
+// GET /api/admin/pricing-rules
+router.get('/pricing-rules', adminPanelOnly, async (req, res) => {
+  try {
+    const rules = await PricingRule.find({ businessId: req.businessId })
+      .populate('serviceIds', 'name price')
+      .populate('branchId', 'name code')
+      .sort({ isActive: -1, priority: -1, name: 1 })
+      .lean();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('List pricing rules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/pricing-rules
+// Body: { name, adjustmentType: DISCOUNT|SURCHARGE, valueType: PERCENT|FLAT, value, weekdays?: [0-6], startTime?, endTime?, dates?: [YYYY-MM-DD], serviceIds?, branchId?, priority?, isActive? }
+router.post('/pricing-rules', adminPanelOnly, async (req, res) => {
+  try {
+    const input = await normalizePricingRuleForBusiness(req.businessId, req.body);
+    assertBranchOrAllScope(req, input.branchId);
+    const rule = await PricingRule.create({ ...input, businessId: req.businessId });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('Create pricing rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// PUT /api/admin/pricing-rules/:id
+router.put('/pricing-rules/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+    const rule = await PricingRule.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+    assertBranchOrAllScope(req, rule.branchId);
+    const input = await normalizePricingRuleForBusiness(req.businessId, req.body, rule.toObject());
+    assertBranchOrAllScope(req, input.branchId);
+    Object.assign(rule, input);
+    await rule.save();
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Update pricing rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// DELETE /api/admin/pricing-rules/:id — past lines keep the rule name they were priced with
+router.delete('/pricing-rules/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+    const rule = await PricingRule.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Pricing rule not found' });
+    }
+    assertBranchOrAllScope(req, rule.branchId);
+    await rule.deleteOne();
+    res.json({ success: true, message: 'Pricing rule deleted' });
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/pricing-rules?range=...&from=&to=
+// Revenue lost to discounts / gained from surcharges per pricing rule on confirmed sales.
+router.get('/reports/pricing-rules', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    const report = await buildPricingRuleReport(req.businessId, {
+      startUtc,
+      endUtc,
+      branchId: req.branchScope === 'all' ? null : (req.branchId || null)
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Pricing rule report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// ==================== PROMO CODES ====================
+
+// GET /api/admin/promo-codes
+router.get('/promo-codes', adminPanelOnly, async (req, res) => {
+  try {
+    const codes = await PromoCode.find({ businessId: req.businessId })
+      .populate('serviceIds', 'name price')
+      .populate('categoryIds', 'name')
+      .populate('branchId', 'name code')
+      .sort({ isActive: -1, createdAt: -1 })
+      .lean();
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    console.error('List promo codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/admin/promo-codes
+// Body: { code, campaign?, description?, discountType: PERCENT|AMOUNT, value, maxDiscount?, validFrom?, validTo? (YYYY-MM-DD),
+//   minBillAmount?, maxUses?, maxUsesPerCustomer? (default 1, null = unlimited), serviceIds?, categoryIds?,
+//   firstVisitOnly?, usableAtCheckout?, usableOnBooking?, branchId?, isActive? }
+router.post('/promo-codes', adminPanelOnly, async (req, res) => {
+  try {
+    const input = await normalizePromoForBusiness(req.businessId, req.body);
+    assertBranchOrAllScope(req, input.branchId);
+    const promo = await PromoCode.create({ ...input, businessId: req.businessId });
+    res.status(201).json({ success: true, promo });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// PUT /api/admin/promo-codes/:id
+router.put('/promo-codes/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    const promo = await PromoCode.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    assertBranchOrAllScope(req, promo.branchId);
+    const input = await normalizePromoForBusiness(req.businessId, req.body, promo.toObject());
+    assertBranchOrAllScope(req, input.branchId);
+    if (input.code !== promo.code && promo.usedCount > 0) {
+      return res.status(400).json({ success: false, message: 'A code that has been used cannot be renamed; create a new code instead' });
+    }
+    Object.assign(promo, input);
+    await promo.save();
+    res.json({ success: true, promo });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// DELETE /api/admin/promo-codes/:id — a used code is deactivated instead, so its redemptions stay reportable
+router.delete('/promo-codes/:id', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    const promo = await PromoCode.findOne({ _id: req.params.id, businessId: req.businessId });
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    assertBranchOrAllScope(req, promo.branchId);
+    if (await PromoRedemption.exists({ promoCodeId: promo._id })) {
+      promo.isActive = false;
+      await promo.save();
+      return res.json({ success: true, message: 'Promo code has been used, so it was deactivated', promo });
+    }
+    await promo.deleteOne();
+    res.json({ success: true, message: 'Promo code deleted' });
+  } catch (error) {
+    console.error('Delete promo code error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// GET /api/admin/promo-codes/:id/redemptions
+router.get('/promo-codes/:id/redemptions', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    const promo = await PromoCode.findOne({ _id: req.params.id, businessId: req.businessId }).lean();
+    if (!promo) {
+      return res.status(404).json({ success: false, message: 'Promo code not found' });
+    }
+    const redemptions = await PromoRedemption.find(scopedFilter(req, { promoCodeId: promo._id }))
+      .populate('customerId', 'name phone')
+      .populate('invoiceId', 'invoiceNumber finalAmount paymentStatus')
+      .populate('bookingId', 'bookingDate status')
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+    res.json({ success: true, promo, data: redemptions });
+  } catch (error) {
+    console.error('Promo redemptions error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/promo-codes/check — preview a code against an invoice without applying it
+// Body: { code, invoiceId }
+router.post('/promo-codes/check', adminPanelOnly, async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.body?.invoiceId)
+      ? await findScoped(Invoice, req, { _id: req.body.invoiceId })
+      : null;
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+    const evaluation = await previewInvoicePromo(invoice, req.body.code, req.businessId);
+    res.json({
+      success: true,
+      code: evaluation.promo.code,
+      description: evaluation.promo.description,
+      discountAmount: evaluation.discountAmount,
+      eligibleSubtotal: evaluation.eligibleSubtotal
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/promo-campaigns?range=...&from=&to=
+// Uses, new customers, discount given and revenue per promo code and campaign.
+router.get('/reports/promo-campaigns', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    const report = await buildPromoCampaignReport(req.businessId, {
+      startUtc,
+      endUtc,
+      branchId: req.branchScope === 'all' ? null : (req.branchId || null)
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Promo campaign report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// PUT /api/admin/services/:id/consumables — recipe deducted from stock when a wash is delivered
+// Body: { consumables: [{ serviceId, quantity }] } (quantity per unit of this service)
+router.put('/services/:id/consumables', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Service not found' });
+    }
+    const service = await findScoped(Service, req, { _id: req.params.id });
+    if (!service) {
+      return res.status(404).json({ success: false, message: 'Service not found' });
+    }
+    const recipe = req.body?.consumables;
+    const ids = (Array.isArray(recipe) ? recipe : [])
+      .map((i) => String(i?.serviceId || ''))
+      .filter((id) => mongoose.isValidObjectId(id) && id !== String(service._id));
+    const products = ids.length
+      ? await Service.find({ businessId: req.businessId, _id: { $in: ids } }).lean()
+      : [];
+    service.consumables = normalizeConsumablesRecipe(recipe, products, service);
+    await service.save();
+    await service.populate('consumables.serviceId', 'name stockQuantity averageCost');
+    res.json({ success: true, service });
+  } catch (error) {
+    console.error('Service consumables error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/services/:id/stock-adjustments — manual correction with a reason
+// Body: { newQuantity } to set the count, or { delta } to add / remove units.
+router.post('/services/:id/stock-adjustments', adminPanelOnly, [
+  body('newQuantity').optional({ nullable: true }).isInt({ min: 0 }),
+  body('delta').optional({ nullable: true }).isInt(),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array()[0]?.msg, errors: errors.array() });
+    }
+    if (req.body.newQuantity == null && req.body.delta == null) {
+      return res.status(400).json({ success: false, message: 'Enter the new quantity or a change' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const { service, movement } = await adjustServiceStock(req.businessId, req.params.id, {
+      newQuantity: req.body.newQuantity ?? undefined,
+      delta: req.body.delta ?? undefined,
+      userId: req.user._id,
+      branchId: req.branchId || null,
+      source: { kind: 'SERVICE', id: req.params.id },
+      notes: req.body.reason
+    });
+    res.json({ success: true, service, movement });
+  } catch (error) {
+    console.error('Stock adjustment error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/consumables?range=...&from=&to=
+// Consumables used by washes delivered in the period, and consumable cost per wash service.
+router.get('/reports/consumables', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    const jobs = await Job.find(applyDateFieldRange(applyBranchScope({
+      businessId: req.businessId,
+      status: 'DELIVERED',
+      'consumablesUsed.0': { $exists: true }
+    }, req), 'actualDelivery', startUtc, endUtc))
+      .select('services consumablesUsed')
+      .lean();
+    const washIds = [...new Set(jobs.flatMap((j) => (j.consumablesUsed || []).map((u) => String(u.forServiceId || ''))).filter(Boolean))];
+    const washes = washIds.length
+      ? await Service.find({ businessId: req.businessId, _id: { $in: washIds } }).select('name').lean()
+      : [];
+    const usage = summarizeConsumablesUsage(jobs, new Map(washes.map((w) => [String(w._id), w.name])));
+    res.json({
+      success: true,
+      range: { start: startUtc, end: endUtc },
+      jobCount: jobs.length,
+      ...usage
+    });
+  } catch (error) {
+    console.error('Consumables report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/stock-movements?range=...&from=&to=&serviceId=&type=
+// Stock is held per business, so movements are not branch-filtered.
+router.get('/reports/stock-movements', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to, serviceId, type } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    const query = applyDateFieldRange({ businessId: req.businessId }, 'createdAt', startUtc, endUtc);
+    if (serviceId) {
+      if (!mongoose.isValidObjectId(serviceId)) {
+        return res.status(400).json({ success: false, message: 'Invalid serviceId' });
+      }
+      query.serviceId = serviceId;
+    }
+    if (type && STOCK_MOVEMENT_TYPES.includes(type)) query.type = type;
+
+    const movements = await StockMovement.find(query)
+      .populate('userId', 'name')
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(5000)
+      .lean();
+
+    const products = summarizeStockMovements(movements);
+
+    res.json({
+      success: true,
+      range: { start: startUtc, end: endUtc },
+      products,
+      movements: movements.reverse(),
+      truncated: movements.length >= 5000
+    });
+  } catch (error) {
+    console.error('Stock movements report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/credit-notes?range=...&from=&to=&customerId=
+router.get('/credit-notes', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'monthly', from, to, customerId } = req.query;
+    const { startUtc, endUtc } = await loadBusinessDateRange(req.businessId, range, from, to);
+    const query = applyDateFieldRange({ businessId: req.businessId }, 'refundDate', startUtc, endUtc);
+    if (customerId && mongoose.isValidObjectId(customerId)) query.customerId = customerId;
+    const creditNotes = await CreditNote.find(applyBranchScope(query, req))
+      .populate('createdBy', 'name email')
+      .sort({ refundDate: -1 })
+      .lean();
+    const total = roundMoney(creditNotes.reduce((s, n) => s + (Number(n.amount) || 0), 0));
+    res.json({ success: true, data: creditNotes, summary: { count: creditNotes.length, total } });
+  } catch (error) {
+    console.error('List credit notes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/credit-notes/:id
+router.get('/credit-notes/:id', adminPanelOnly, async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }))
+      .populate('createdBy', 'name email')
+      .lean();
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+    assertBranchAccess(req, creditNote, { allowLegacyNull: true });
+    res.json({ success: true, creditNote });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
 // GET /api/admin/reports/visits?range=...&from=&to=
 router.get('/reports/visits', adminPanelOnly, async (req, res) => {
   try {
@@ -2626,6 +3296,62 @@ router.get('/reports/profit-loss', adminPanelOnly, async (req, res) => {
   }
 });
 
+// GET /api/admin/reports/product-margins?range=...&from=&to=
+router.get('/reports/product-margins', adminPanelOnly, async (req, res) => {
+  try {
+    const { range = 'this_month', from, to } = req.query;
+    const { buildProductMarginReport } = await import('../services/financialStatementsService.js');
+    const report = await buildProductMarginReport(req.businessId, range, from, to);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Product margins report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/admin/reports/gst-returns?month=YYYY-MM&gstin=&format=json|portal|csv&return=gstr1|gstr3b&section=b2b|b2cl|b2cs|cdnr|cdnur|hsn|nil
+// format=portal downloads the GST portal JSON for one return; format=csv downloads one GSTR-1 section or GSTR-3B.
+router.get('/reports/gst-returns', adminPanelOnly, async (req, res) => {
+  try {
+    const { month, gstin, format = 'json', return: returnType = 'gstr1', section = 'b2b' } = req.query;
+    if (!['json', 'portal', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json, portal or csv' });
+    }
+    if (!['gstr1', 'gstr3b'].includes(returnType)) {
+      return res.status(400).json({ success: false, message: 'return must be gstr1 or gstr3b' });
+    }
+    const { buildGstReturns } = await import('../services/gstReturnsService.js');
+    const report = await buildGstReturns(req, { month, gstin });
+    if (format === 'json') {
+      return res.json({ success: true, report });
+    }
+
+    const {
+      gstr1PortalJson,
+      gstr3bPortalJson,
+      gstr1SectionCsv,
+      gstr3bCsv
+    } = await import('../utils/gstReturns.js');
+    const base = `${returnType.toUpperCase()}_${report.gstin}_${report.fp}`;
+    if (format === 'portal') {
+      const payload = returnType === 'gstr1'
+        ? gstr1PortalJson(report.gstr1, report)
+        : gstr3bPortalJson(report.gstr3b, report);
+      res.attachment(`${base}.json`);
+      return res.send(JSON.stringify(payload, null, 2));
+    }
+    const csv = returnType === 'gstr1'
+      ? gstr1SectionCsv(report.gstr1, section, report)
+      : gstr3bCsv(report.gstr3b);
+    res.attachment(returnType === 'gstr1' ? `${base}_${section}.csv` : `${base}.csv`);
+    res.type('text/csv');
+    return res.send(csv);
+  } catch (error) {
+    console.error('GST returns report error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
 // ==================== DASHBOARD ====================
 
 // @route   GET /api/admin/dashboard/branch-overview
@@ -3069,6 +3795,7 @@ function serializeEmployee(user) {
     photoUrl: obj.photoUrl || '',
     aadhaarCardUrl: obj.aadhaarCardUrl || '',
     panCardUrl: obj.panCardUrl || '',
+    salaryProfile: obj.salaryProfile || null,
     createdAt: obj.createdAt
   };
 }
@@ -3082,7 +3809,7 @@ router.get('/employees', async (req, res) => {
       return res.status(403).json({ success: false, message: 'Access denied.' });
     }
     const employees = await User.find(employeeListQuery(req))
-      .select('name email phone address employeeCode employeeType status branchId photoUrl aadhaarCardUrl panCardUrl createdAt')
+      .select('name email phone address employeeCode employeeType status branchId photoUrl aadhaarCardUrl panCardUrl salaryProfile createdAt')
       .populate('branchId', 'name code')
       .sort({ employeeCode: 1 })
       .lean();
@@ -3574,6 +4301,47 @@ router.put('/employees/:id', [
   }
 });
 
+// @route   PUT /api/admin/employees/:id/salary-profile
+// @desc    Set pay type / rate / overtime / paid leave used by payroll runs
+// @access  Private (Car Wash Admin)
+router.put('/employees/:id/salary-profile', [
+  body('payType').isIn(['MONTHLY', 'DAILY', 'HOURLY']).withMessage('Pay type must be MONTHLY, DAILY or HOURLY'),
+  body('rate').isFloat({ min: 0 }).withMessage('Rate must be zero or more'),
+  body('standardHoursPerDay').optional().isFloat({ min: 1, max: 24 }),
+  body('overtimeMultiplier').optional().isFloat({ min: 0 }),
+  body('paidLeaveDaysPerMonth').optional().isFloat({ min: 0 }),
+  body('includeCommission').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (!isAdminPanelRole(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied.' });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: errors.array()[0]?.msg, errors: errors.array() });
+    }
+    const user = await findManagedEmployee(req, req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    const current = user.salaryProfile?.toObject?.() || user.salaryProfile || {};
+    user.salaryProfile = {
+      ...current,
+      payType: req.body.payType,
+      rate: Number(req.body.rate),
+      ...(req.body.standardHoursPerDay != null && { standardHoursPerDay: Number(req.body.standardHoursPerDay) }),
+      ...(req.body.overtimeMultiplier != null && { overtimeMultiplier: Number(req.body.overtimeMultiplier) }),
+      ...(req.body.paidLeaveDaysPerMonth != null && { paidLeaveDaysPerMonth: Number(req.body.paidLeaveDaysPerMonth) }),
+      ...(req.body.includeCommission != null && { includeCommission: req.body.includeCommission === true || req.body.includeCommission === 'true' })
+    };
+    await user.save();
+    res.json({ success: true, employee: serializeEmployee(user) });
+  } catch (error) {
+    console.error('Update salary profile error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/admin/employees/:id
 // @desc    Delete employee (business owner only)
 // @access  Private (Car Wash Admin)
@@ -3713,7 +4481,7 @@ router.get('/customers/:id', async (req, res) => {
         customerId,
         settlementMode: 'CREDIT',
         saleConfirmedAt: { $ne: null }
-      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment').lean();
+      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment refundAdjustedAmount').lean();
       totalOutstanding = sumCustomerOutstanding(creditInvoices);
     }
 
@@ -3824,7 +4592,7 @@ router.get('/customers/:id/history-export', adminPanelOnly, async (req, res) =>
         customerId: customer._id,
         settlementMode: 'CREDIT',
         saleConfirmedAt: { $ne: null }
-      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment').lean();
+      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment refundAdjustedAmount').lean();
       totalOutstanding = sumCustomerOutstanding(creditInvoices);
     }
 
@@ -3943,7 +4711,7 @@ router.get('/customers/:id/visits', async (req, res) => {
         customerId: customer._id,
         settlementMode: 'CREDIT',
         saleConfirmedAt: { $ne: null }
-      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment').lean();
+      }, req)).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment refundAdjustedAmount').lean();
       outstanding = sumCustomerOutstanding(creditInvoices);
     }
 
@@ -3972,6 +4740,35 @@ router.get('/customers/:id/loyalty', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/customers/:id/whatsapp-messages
+// @desc    WhatsApp messages sent to this customer with delivery/read status
+// @access  Private (Car Wash Admin, Employee)
+router.get('/customers/:id/whatsapp-messages', async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, businessId: req.businessId }).select('_id').lean();
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+    // Older records only carry jobId — include messages for this customer's jobs too
+    const jobIds = await Job.find({ businessId: req.businessId, customerId: customer._id }).distinct('_id');
+    const filter = applyBranchScope({
+      businessId: req.businessId,
+      $or: [{ customerId: customer._id }, { jobId: { $in: jobIds } }]
+    }, req);
+    if (req.query.status) filter.status = String(req.query.status).toUpperCase();
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const messages = await WhatsAppMessage.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('jobId', 'tokenNumber status')
+      .lean();
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Get customer WhatsApp messages error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   GET /api/admin/customers
 // @desc    Get customers (search, pagination)
 // @access  Private (Car Wash Admin)
@@ -4625,6 +5422,12 @@ router.delete('/cars/:id', async (req, res) => {
 
 // ==================== SERVICE MANAGEMENT ====================
 
+/** Blank tax rate → the service follows the business tax %. */
+function parseServiceTaxRate(raw) {
+  if (raw === '' || raw == null) return null;
+  return Math.max(0, Math.min(100, Number(raw) || 0));
+}
+
 // @route   GET /api/admin/services
 // @desc    Get all services (search, pagination)
 // @access  Private (Car Wash Admin)
@@ -4637,7 +5440,7 @@ router.get('/services', async (req, res) => {
       variableModuleOn ? list : list.filter((s) => !s.isVariable)
     );
     const serviceSelect =
-      'name price minTime maxTime description loyaltyPointsEarned isVariable skipWorkProcess trackInventory stockQuantity lowStockThreshold isActive showOnBookingForm categoryId subCategoryId qualityChecklist createdAt';
+      'name price vehiclePrices minTime maxTime description loyaltyPointsEarned hsnSac taxRate isVariable skipWorkProcess trackInventory stockQuantity lowStockThreshold averageCost lastPurchaseCost consumables isActive showOnBookingForm categoryId subCategoryId qualityChecklist createdAt';
     const returnAll = all === '1' || all === 'true';
     if (returnAll) {
       const services = filterVariable(await Service.find(query)
@@ -4650,6 +5453,7 @@ router.get('/services', async (req, res) => {
       return res.json({
         success: true,
         services,
+        vehicleTypes: PRICEABLE_VEHICLE_TYPES,
         pagination: { page: 1, limit: total, total, totalPages: 1 }
       });
     }
@@ -4665,6 +5469,7 @@ router.get('/services', async (req, res) => {
     res.json({
       success: true,
       services,
+      vehicleTypes: PRICEABLE_VEHICLE_TYPES,
       pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) || 0 }
     });
   } catch (error) {
@@ -4687,10 +5492,13 @@ router.post('/services', adminPanelOnly, [
   body('trackInventory').optional().isBoolean(),
   body('stockQuantity').optional({ values: 'null' }).isFloat({ min: 0 }),
   body('lowStockThreshold').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('averageCost').optional({ nullable: true }).isFloat({ min: 0 }),
   body('minTime').optional({ values: 'null' }).isInt({ min: 0 }),
   body('maxTime').optional({ values: 'null' }).isInt({ min: 0 }),
   body('isActive').optional().isBoolean(),
-  body('showOnBookingForm').optional().isBoolean()
+  body('showOnBookingForm').optional().isBoolean(),
+  body('hsnSac').optional({ nullable: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('taxRate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -4728,6 +5536,15 @@ router.post('/services', adminPanelOnly, [
       ? 0
       : Number(req.body.loyaltyPointsEarned) || 0;
 
+    let vehiclePrices = [];
+    if (!skipWorkProcess) {
+      try {
+        vehiclePrices = normalizeVehiclePrices(req.body.vehiclePrices);
+      } catch (priceErr) {
+        return res.status(priceErr.status || 400).json({ success: false, message: priceErr.message });
+      }
+    }
+
     const trackInventory = skipWorkProcess && req.body.trackInventory !== false;
     const stockQuantity = skipWorkProcess && trackInventory
       ? Math.max(0, Math.floor(Number(req.body.stockQuantity) || 0))
@@ -4735,6 +5552,10 @@ router.post('/services', adminPanelOnly, [
     const lowStockThreshold = skipWorkProcess && trackInventory
       ? Math.max(0, Math.floor(Number(req.body.lowStockThreshold ?? 5) || 5))
       : 5;
+    // Cost price of opening stock; later goods receipts move it as a weighted average.
+    const averageCost = skipWorkProcess && trackInventory && req.body.averageCost != null && req.body.averageCost !== ''
+      ? roundMoney(Number(req.body.averageCost))
+      : null;
 
     const settingsForCat = await BusinessSettings.findOne({ businessId: req.businessId })
       .select('serviceCategoriesEnabled serviceSubcategoriesEnabled')
@@ -4782,10 +5603,14 @@ router.post('/services', adminPanelOnly, [
       trackInventory: skipWorkProcess ? trackInventory : false,
       stockQuantity,
       lowStockThreshold,
+      averageCost,
       price: isVariable ? Math.max(0, price) : price,
+      vehiclePrices,
       minTime: timeCheck.minTime,
       maxTime: timeCheck.maxTime,
       loyaltyPointsEarned,
+      hsnSac: normalizeHsnSac(req.body.hsnSac),
+      taxRate: parseServiceTaxRate(req.body.taxRate),
       isActive: req.body.isActive !== false,
       showOnBookingForm: req.body.showOnBookingForm !== false,
       categoryId,
@@ -4797,6 +5622,15 @@ router.post('/services', adminPanelOnly, [
       branchId: branchIdForCreate(req)
     });
 
+    if (service.stockQuantity > 0) {
+      await recordStockMovement(req.businessId, service, service.stockQuantity, {
+        type: 'OPENING',
+        unitCost: service.averageCost,
+        userId: req.user._id,
+        source: { kind: 'SERVICE', id: service._id, label: service.name }
+      });
+    }
+
     await service.populate('categoryId', 'name isDefault');
     await service.populate('subCategoryId', 'name categoryId');
 
@@ -4824,10 +5658,13 @@ router.put('/services/:id', adminPanelOnly, [
   body('trackInventory').optional().isBoolean(),
   body('stockQuantity').optional({ values: 'null' }).isFloat({ min: 0 }),
   body('lowStockThreshold').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('averageCost').optional({ nullable: true }).isFloat({ min: 0 }),
   body('minTime').optional({ values: 'null' }).isInt({ min: 0 }),
   body('maxTime').optional({ values: 'null' }).isInt({ min: 0 }),
   body('isActive').optional().isBoolean(),
-  body('showOnBookingForm').optional().isBoolean()
+  body('showOnBookingForm').optional().isBoolean(),
+  body('hsnSac').optional({ nullable: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('taxRate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -4881,6 +5718,17 @@ router.put('/services/:id', adminPanelOnly, [
         : Number(req.body.loyaltyPointsEarned) || 0)
       : existing.loyaltyPointsEarned;
 
+    let vehiclePrices = existing.vehiclePrices || [];
+    if (skipWorkProcess) {
+      vehiclePrices = [];
+    } else if (req.body.vehiclePrices !== undefined) {
+      try {
+        vehiclePrices = normalizeVehiclePrices(req.body.vehiclePrices);
+      } catch (priceErr) {
+        return res.status(priceErr.status || 400).json({ success: false, message: priceErr.message });
+      }
+    }
+
     const trackInventory = skipWorkProcess
       ? (req.body.trackInventory !== undefined ? !!req.body.trackInventory : !!existing.trackInventory)
       : false;
@@ -4908,14 +5756,22 @@ router.put('/services/:id', adminPanelOnly, [
       stockQuantity,
       lowStockThreshold,
       price: isVariable ? Math.max(0, price) : price,
+      vehiclePrices,
       minTime: timeCheck.minTime,
       maxTime: timeCheck.maxTime,
       loyaltyPointsEarned,
+      hsnSac: req.body.hsnSac !== undefined ? normalizeHsnSac(req.body.hsnSac) : (existing.hsnSac || ''),
+      taxRate: req.body.taxRate !== undefined ? parseServiceTaxRate(req.body.taxRate) : (existing.taxRate ?? null),
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : existing.isActive,
       showOnBookingForm: req.body.showOnBookingForm !== undefined
         ? !!req.body.showOnBookingForm
         : (existing.showOnBookingForm !== false)
     };
+    if (req.body.averageCost !== undefined && skipWorkProcess && trackInventory) {
+      update.averageCost = req.body.averageCost != null && req.body.averageCost !== ''
+        ? roundMoney(Number(req.body.averageCost))
+        : null;
+    }
     if (skipWorkProcess) {
       update.qualityChecklist = { name: '', items: [] };
     } else if (req.body.qualityChecklist !== undefined) {
@@ -4969,6 +5825,15 @@ router.put('/services/:id', adminPanelOnly, [
         message: 'Service not found'
       });
     }
+    const stockDelta = (Number(service.stockQuantity) || 0) - (Number(existing.stockQuantity) || 0);
+    if (service.trackInventory && stockDelta !== 0) {
+      await recordStockMovement(req.businessId, service, stockDelta, {
+        type: 'ADJUSTMENT',
+        userId: req.user._id,
+        source: { kind: 'SERVICE', id: service._id, label: service.name },
+        notes: 'Stock edited on product'
+      });
+    }
     res.json({
       success: true,
       service
@@ -5280,7 +6145,9 @@ router.post('/jobs', [
     try {
       ({ lines, totalPrice, catalogServices } = await resolveJobServiceLines(req.businessId, {
         serviceIds: hasServiceIds ? serviceIds : undefined,
-        services: hasServicesArray ? servicesBody : undefined
+        services: hasServicesArray ? servicesBody : undefined,
+        vehicleType: await lookupVehicleType(req.businessId, { carId }),
+        pricing: { at: new Date(), branchId: req.branchId }
       }));
     } catch (svcErr) {
       return res.status(svcErr.status || 400).json({
@@ -5550,43 +6417,7 @@ router.post('/jobs', [
     await job.populate('carId', 'carNumber brand model color');
     await job.populate('services.serviceId', 'name isVariable');
 
-    // Send WhatsApp notification
-    try {
-      const template = await WhatsAppTemplate.findOne({
-        $or: [
-          { businessId: req.businessId, name: 'Job Received', isActive: true },
-          { isGlobal: true, name: 'Job Received', isActive: true }
-        ]
-      });
-
-      if (template) {
-        const message = formatTemplate(template.template, {
-          customerName: customer.name,
-          carNumber: car.carNumber,
-          tokenNumber: job.tokenNumber,
-          estimatedTime: estimatedDelivery.toLocaleTimeString()
-        });
-
-        const whatsappResult = await sendWhatsAppMessage(
-          customer.whatsappNumber,
-          message,
-          template._id
-        );
-
-        await WhatsAppMessage.create({
-          businessId: req.businessId,
-          jobId: job._id,
-          templateId: template._id,
-          recipient: customer.whatsappNumber,
-          message,
-          status: whatsappResult.success ? 'SENT' : 'FAILED',
-          sentAt: whatsappResult.success ? new Date() : null
-        });
-      }
-    } catch (whatsappError) {
-      console.error('WhatsApp send error:', whatsappError);
-      // Don't fail job creation if WhatsApp fails
-    }
+    // Customer WhatsApp (received) is sent by the job status hook — see services/jobStatusNotificationService.js
 
     res.status(201).json({
       success: true,
@@ -5677,6 +6508,27 @@ router.get('/jobs/:id/quality-checklist', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/jobs/:id/whatsapp-messages
+// @desc    WhatsApp messages for a job (e.g. was the "car ready" message delivered / read)
+// @access  Private (Car Wash Admin, Employee on assigned job)
+router.get('/jobs/:id/whatsapp-messages', async (req, res) => {
+  try {
+    const job = await Job.findOne(jobAccessFilter(req, { _id: req.params.id })).select('_id branchId').lean();
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    assertBranchAccess(req, job, { allowLegacyNull: true });
+    const messages = await WhatsAppMessage.find({ businessId: req.businessId, jobId: job._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('Get job WhatsApp messages error:', error);
+    res.status(error?.status || 500).json({ success: false, message: error?.message || 'Server error' });
+  }
+});
+
 // @route   PATCH /api/admin/jobs/:id/status
 // @desc    Update job status
 // @access  Private (Car Wash Admin)
@@ -5752,7 +6604,7 @@ router.patch('/jobs/:id/status', [
     // Mixed wash jobs: deduct product inventory when delivering (idempotent)
     if (status === 'DELIVERED' && !job.directBill) {
       try {
-        await deductProductStockOnWashJobDelivery(job, req.businessId);
+        await deductProductStockOnWashJobDelivery(job, req.businessId, { userId: req.user._id });
       } catch (stockErr) {
         return res.status(stockErr.status || 409).json({
           success: false,
@@ -5834,43 +6686,7 @@ router.patch('/jobs/:id/status', [
       }
     }
 
-    // Send WhatsApp notification
-    try {
-      const template = await WhatsAppTemplate.findOne({
-        $or: [
-          { businessId: req.businessId, name: `Job ${status}`, isActive: true },
-          { isGlobal: true, name: `Job ${status}`, isActive: true }
-        ]
-      });
-
-      if (template && job.customerId?.whatsappNumber) {
-        const message = formatTemplate(template.template, {
-          customerName: job.customerId?.name || 'Customer',
-          carNumber: job.carId?.carNumber || '—',
-          tokenNumber: job.tokenNumber,
-          status,
-          totalPrice: String(job.totalPrice ?? 0)
-        });
-
-        await sendWhatsAppMessage(
-          job.customerId.whatsappNumber,
-          message,
-          template._id
-        );
-
-        await WhatsAppMessage.create({
-          businessId: req.businessId,
-          jobId: job._id,
-          templateId: template._id,
-          recipient: job.customerId.whatsappNumber,
-          message,
-          status: 'SENT',
-          sentAt: new Date()
-        });
-      }
-    } catch (whatsappError) {
-      console.error('WhatsApp send error:', whatsappError);
-    }
+    // Customer WhatsApp for the new status is sent by the job status hook (branch settings + idempotency)
 
     await job.populate('customerId', 'name phone whatsappNumber');
     await job.populate('carId', 'carNumber brand model color');
@@ -6000,7 +6816,9 @@ router.put('/jobs/:id', [
       try {
         ({ lines, totalPrice, catalogServices } = await resolveJobServiceLines(req.businessId, {
           serviceIds: hasServiceIds ? serviceIds : undefined,
-          services: hasServicesArray ? servicesBody : undefined
+          services: hasServicesArray ? servicesBody : undefined,
+          vehicleType: await lookupVehicleType(req.businessId, { carId: job.carId?._id || job.carId }),
+          pricing: { at: job.createdAt || new Date(), branchId: job.branchId }
         }));
       } catch (svcErr) {
         return res.status(svcErr.status || 400).json({
@@ -6427,6 +7245,8 @@ router.put('/settings', [
   body('paymentMobileNumber').optional().trim().isString(),
   body('gstNumber').optional({ nullable: true }).trim().isString(),
   body('taxPercentage').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  body('gstPricesIncludeTax').optional().isBoolean(),
+  body('defaultHsnSac').optional({ nullable: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
   body('jobImagesMin').optional({ nullable: true }).isInt({ min: 0, max: 20 }),
   body('jobImagesMax').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
   body('cardPaymentEnabled').optional().isBoolean(),
@@ -6480,7 +7300,13 @@ router.put('/settings', [
         ...req.body.whatsappTemplates
       });
     }
-    if (req.body.upiId !== undefined) updateFields.upiId = req.body.upiId?.trim() || null;
+    if (req.body.upiId !== undefined) {
+      const upiId = req.body.upiId?.trim() || null;
+      if (upiId && !isValidUpiId(upiId)) {
+        return res.status(400).json({ success: false, message: 'Enter a valid UPI ID (e.g. shopname@okaxis)' });
+      }
+      updateFields.upiId = upiId;
+    }
     if (req.body.qrCodeImage !== undefined) updateFields.qrCodeImage = req.body.qrCodeImage?.trim() || null;
     if (req.body.paymentMobileNumber !== undefined) updateFields.paymentMobileNumber = req.body.paymentMobileNumber?.trim() || null;
     if (req.body.gstNumber !== undefined) {
@@ -6488,6 +7314,8 @@ router.put('/settings', [
       if (!updateFields.gstNumber) updateFields.taxPercentage = null;
     }
     if (req.body.taxPercentage !== undefined) updateFields.taxPercentage = req.body.taxPercentage;
+    if (req.body.gstPricesIncludeTax !== undefined) updateFields.gstPricesIncludeTax = !!req.body.gstPricesIncludeTax;
+    if (req.body.defaultHsnSac !== undefined) updateFields.defaultHsnSac = normalizeHsnSac(req.body.defaultHsnSac) || null;
     if (req.body.jobImagesMin !== undefined || req.body.jobImagesMax !== undefined) {
       const resolved = resolveJobImageLimits({
         jobImagesMin: req.body.jobImagesMin !== undefined ? Number(req.body.jobImagesMin) : settings?.jobImagesMin,
@@ -16,8 +16,37 @@ import {
   createCorrectionRequest,
   listCorrectionRequests,
   approveCorrectionRequest,
-  rejectCorrectionRequest
+  rejectCorrectionRequest,
+  listBranchEmployees,
+  businessTodayKey
 } from '../services/attendanceService.js';
+import {
+  listShiftTemplates,
+  saveShiftTemplate,
+  setEmployeeShiftDefaults,
+  getWeeklyRoster,
+  saveWeeklyRoster,
+  buildAttendanceExceptions
+} from '../services/shiftService.js';
+import {
+  listLeaveTypes,
+  saveLeaveType,
+  getLeaveBalances,
+  adjustLeaveBalance,
+  createLeaveRequest,
+  listLeaveRequests,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest
+} from '../services/leaveService.js';
+import {
+  computePayrollRun,
+  listPayrollRuns,
+  getPayrollRun,
+  updatePayrollLine,
+  postPayrollRun,
+  deletePayrollRun
+} from '../services/payrollService.js';
 
 const router = express.Router();
 
@@ -211,4 +240,274 @@ router.patch('/correction-requests/:id/reject', adminPanelOnly, async (req, res)
   }
 });
 
+// Shifts: templates, employee default shift / weekly offs, branch weekly roster, exceptions report.
+
+router.get('/shift-templates', async (req, res) => {
+  try {
+    const shiftTemplates = await listShiftTemplates(req);
+    res.json({ success: true, shiftTemplates });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.post('/shift-templates', adminPanelOnly, async (req, res) => {
+  try {
+    const shiftTemplate = await saveShiftTemplate(req, req.body || {});
+    res.status(201).json({ success: true, shiftTemplate });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.put('/shift-templates/:id', adminPanelOnly, async (req, res) => {
+  try {
+    const shiftTemplate = await saveShiftTemplate(req, req.body || {}, req.params.id);
+    res.json({ success: true, shiftTemplate });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.put('/employees/:userId/shift', adminPanelOnly, async (req, res) => {
+  try {
+    const employee = await setEmployeeShiftDefaults(req, await listBranchEmployees(req), req.params.userId, {
+      shiftTemplateId: req.body?.shiftTemplateId,
+      weeklyOffDays: req.body?.weeklyOffDays
+    });
+    res.json({ success: true, employee });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.get('/roster', adminPanelOnly, async (req, res) => {
+  try {
+    const weekStart = req.query.weekStart || await businessTodayKey(req.businessId);
+    const roster = await getWeeklyRoster(req, await listBranchEmployees(req), weekStart);
+    res.json({ success: true, ...roster });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.put('/roster', adminPanelOnly, [
+  body('weekStart').notEmpty().withMessage('weekStart is required'),
+  body('assignments').isArray().withMessage('assignments must be a list')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    const roster = await saveWeeklyRoster(req, await listBranchEmployees(req), {
+      weekStart: req.body.weekStart,
+      assignments: req.body.assignments
+    });
+    res.json({ success: true, ...roster });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.get('/exceptions', adminPanelOnly, async (req, res) => {
+  try {
+    let employees = await listBranchEmployees(req);
+    if (req.query.userId) employees = employees.filter((e) => String(e._id) === String(req.query.userId));
+    const report = await buildAttendanceExceptions(req, employees, {
+      from: req.query.from,
+      to: req.query.to,
+      todayKey: await businessTodayKey(req.businessId)
+    });
+    res.json({ success: true, ...report });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// Leave: types + yearly balances; employees request, admins approve (writes LEAVE attendance days).
+
+router.get('/leave-types', async (req, res) => {
+  try {
+    const leaveTypes = await listLeaveTypes(req.businessId, {
+      activeOnly: !isAdminPanelRole(req.user.role)
+    });
+    res.json({ success: true, leaveTypes });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.post('/leave-types', adminPanelOnly, async (req, res) => {
+  try {
+    const leaveType = await saveLeaveType(req.businessId, req.body || {});
+    res.status(201).json({ success: true, leaveType });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.put('/leave-types/:id', adminPanelOnly, async (req, res) => {
+  try {
+    const leaveType = await saveLeaveType(req.businessId, req.body || {}, req.params.id);
+    res.json({ success: true, leaveType });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.get('/leave-balances', async (req, res) => {
+  try {
+    const payload = await getLeaveBalances(req, { year: req.query.year, userId: req.query.userId });
+    res.json({ success: true, ...payload });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.put('/leave-balances/adjustment', adminPanelOnly, [
+  body('userId').notEmpty().withMessage('Employee is required'),
+  body('leaveTypeId').notEmpty().withMessage('Leave type is required'),
+  body('adjustment').isFloat().withMessage('Adjustment must be a number')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    const balance = await adjustLeaveBalance(req, {
+      userId: req.body.userId,
+      leaveTypeId: req.body.leaveTypeId,
+      year: req.body.year,
+      adjustment: req.body.adjustment
+    });
+    res.json({ success: true, balance });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.post('/leave-requests', [
+  body('leaveTypeId').notEmpty().withMessage('Leave type is required'),
+  body('from').notEmpty().withMessage('From date is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    if (req.user.role !== 'EMPLOYEE') {
+      return res.status(403).json({ success: false, message: 'Only employees can request leave' });
+    }
+    const request = await createLeaveRequest(req, {
+      leaveTypeId: req.body.leaveTypeId,
+      from: req.body.from,
+      to: req.body.to,
+      reason: req.body.reason
+    });
+    res.status(201).json({ success: true, request });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.get('/leave-requests', async (req, res) => {
+  try {
+    const requests = await listLeaveRequests(req, { status: req.query.status, userId: req.query.userId });
+    res.json({ success: true, requests });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.patch('/leave-requests/:id/approve', adminPanelOnly, async (req, res) => {
+  try {
+    const request = await approveLeaveRequest(req, req.params.id, { reviewNote: req.body?.reviewNote });
+    res.json({ success: true, request });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.patch('/leave-requests/:id/reject', adminPanelOnly, async (req, res) => {
+  try {
+    const request = await rejectLeaveRequest(req, req.params.id, { reviewNote: req.body?.reviewNote });
+    res.json({ success: true, request });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.patch('/leave-requests/:id/cancel', async (req, res) => {
+  try {
+    const request = await cancelLeaveRequest(req, req.params.id, { reviewNote: req.body?.reviewNote });
+    res.json({ success: true, request });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// Payroll runs (admin panel): salary from attendance + commission, posted as Salary expenses.
+
+router.get('/payroll-runs', adminPanelOnly, async (req, res) => {
+  try {
+    const runs = await listPayrollRuns(req);
+    res.json({ success: true, runs });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.post('/payroll-runs', adminPanelOnly, [
+  body('from').notEmpty().withMessage('From date is required'),
+  body('to').notEmpty().withMessage('To date is required')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    const run = await computePayrollRun(req, {
+      from: req.body.from,
+      to: req.body.to,
+      userIds: req.body.userIds
+    });
+    res.status(201).json({ success: true, run });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.get('/payroll-runs/:id', adminPanelOnly, async (req, res) => {
+  try {
+    const run = await getPayrollRun(req, req.params.id);
+    res.json({ success: true, run });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.patch('/payroll-runs/:id/lines/:userId', adminPanelOnly, async (req, res) => {
+  try {
+    const run = await updatePayrollLine(req, req.params.id, req.params.userId, {
+      advances: req.body?.advances,
+      deductions: req.body?.deductions,
+      note: req.body?.note
+    });
+    res.json({ success: true, run });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.post('/payroll-runs/:id/post', adminPanelOnly, async (req, res) => {
+  try {
+    const run = await postPayrollRun(req, req.params.id, {
+      paymentMethod: req.body?.paymentMethod,
+      expenseDate: req.body?.expenseDate
+    });
+    res.json({ success: true, run });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+router.delete('/payroll-runs/:id', adminPanelOnly, async (req, res) => {
+  try {
+    await deletePayrollRun(req, req.params.id);
+    res.json({ success: true, message: 'Payroll run deleted' });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
 export default router;
@@ -0,0 +1,119 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveBranchContext } from '../middleware/branchContext.middleware.js';
+import { enforceActiveSubscription } from '../middleware/subscription.middleware.js';
+import { adminPanelOnly } from '../middleware/adminPanel.middleware.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import { BANK_ENTRY_STATUSES } from '../models/BankStatementEntry.model.js';
+import { parseBusinessDateRange } from '../utils/businessDateRange.js';
+import {
+  buildReconciliationReport,
+  deleteStatementImport,
+  getStatementImport,
+  importBankStatement,
+  listStatementImports,
+  rematchStatementImport,
+  updateStatementEntry
+} from '../services/bankReconciliationService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use((req, res, next) => {
+  if (!req.user?.businessId) {
+    return res.status(403).json({ success: false, message: 'Business not assigned' });
+  }
+  req.businessId = req.user.businessId;
+  next();
+});
+router.use(resolveBranchContext);
+router.use(enforceActiveSubscription());
+router.use(adminPanelOnly);
+
+// GET /api/admin/bank-reconciliation/imports
+router.get('/imports', async (req, res) => {
+  try {
+    const imports = await listStatementImports(req);
+    res.json({ success: true, imports });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/bank-reconciliation/imports — { csv, fileName?, accountLabel?, windowDays? }
+router.post('/imports', async (req, res) => {
+  try {
+    const result = await importBankStatement(req, req.body || {});
+    res.status(201).json({ success: true, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/bank-reconciliation/imports/:id?status=UNMATCHED
+router.get('/imports/:id', async (req, res) => {
+  try {
+    const status = BANK_ENTRY_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    const result = await getStatementImport(req, req.params.id, { status });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/bank-reconciliation/imports/:id/rematch
+router.post('/imports/:id/rematch', async (req, res) => {
+  try {
+    const result = await rematchStatementImport(req, req.params.id);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// DELETE /api/admin/bank-reconciliation/imports/:id
+router.delete('/imports/:id', async (req, res) => {
+  try {
+    await deleteStatementImport(req, req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// PATCH /api/admin/bank-reconciliation/entries/:id — { action: match|unmatch|ignore, sourceType?, sourceId?, notes? }
+router.patch('/entries/:id', async (req, res) => {
+  try {
+    const entry = await updateStatementEntry(req, req.params.id, req.body || {});
+    res.json({ success: true, entry });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/bank-reconciliation/report?range=today|weekly|monthly|custom&from=&to=
+router.get('/report', async (req, res) => {
+  try {
+    const settings = await BusinessSettings.findOne({ businessId: req.businessId }).select('timezone').lean();
+    let bounds;
+    try {
+      bounds = parseBusinessDateRange(
+        settings?.timezone,
+        String(req.query.range || 'week'),
+        String(req.query.from || '').trim(),
+        String(req.query.to || '').trim()
+      );
+    } catch (boundsErr) {
+      if (boundsErr.statusCode === 400) {
+        return res.status(400).json({ success: false, message: boundsErr.message });
+      }
+      throw boundsErr;
+    }
+    const report = await buildReconciliationReport(req, bounds);
+    res.json({ success: true, rangeLabel: bounds.rangeLabel, ...report });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+export default router;
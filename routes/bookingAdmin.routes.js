@@ -12,7 +12,9 @@ import {
   convertBookingToJob,
   getBookingConvertJobContext,
   getBookingStats,
-  createAdminBooking
+  createAdminBooking,
+  markBookingNoShow,
+  recordDepositRefund
 } from '../services/bookingService.js';
 import { sendBookingErrorResponse } from '../utils/bookingErrors.js';
 import { resolveFrontendBaseUrl } from '../utils/frontendUrl.js';
@@ -37,7 +39,7 @@ import { isSalesEmployee } from '../utils/employeeType.js';
 async function findBookingScoped(req, id) {
   const booking = await Booking.findOne(scopedFilter(req, { _id: id }))
     .populate('slotId')
-    .populate('serviceIds', 'name price')
+    .populate('serviceIds', 'name price vehiclePrices')
     .populate('customerId', 'name phone whatsappNumber address')
     .populate('carId', 'carNumber brand model vehicleType')
     .populate('jobId', 'tokenNumber status');
@@ -367,7 +369,7 @@ router.post('/', adminPanelOrSalesEmployee, [
     const booking = await createAdminBooking(req.businessId, req.body, req.branchId);
     const populated = await Booking.findById(booking._id)
       .populate('slotId', 'name startTime endTime')
-      .populate('serviceIds', 'name price')
+      .populate('serviceIds', 'name price vehiclePrices')
       .lean();
     res.status(201).json({ success: true, booking: populated });
   } catch (e) {
@@ -398,7 +400,7 @@ router.get('/', async (req, res) => {
 
     const bookings = await Booking.find(filter)
       .populate('slotId', 'name startTime endTime')
-      .populate('serviceIds', 'name price')
+      .populate('serviceIds', 'name price vehiclePrices')
       .sort({ createdAt: -1, bookingDate: -1 })
       .limit(Math.min(Number(req.query.limit) || 100, 200))
       .lean();
@@ -474,6 +476,48 @@ router.patch('/:id/cancel', adminPanelOrSalesEmployee, async (req, res) => {
   }
 });
 
+// PATCH /api/admin/bookings/:id/no-show — { forfeitDeposit? } (default from the branch deposit rule)
+router.patch('/:id/no-show', adminPanelOrSalesEmployee, [
+  body('forfeitDeposit').optional().isBoolean()
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    const existing = await Booking.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }))
+      .select('branchId')
+      .lean();
+    if (!existing) return res.status(404).json({ success: false, message: 'Booking not found' });
+    assertBranchAccess(req, existing, { allowLegacyNull: true });
+    const booking = await markBookingNoShow(req.businessId, req.params.id, {
+      forfeitDeposit: req.body.forfeitDeposit,
+      userId: req.user._id
+    });
+    res.json({ success: true, booking });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message || 'Failed to mark no-show' });
+  }
+});
+
+// PATCH /api/admin/bookings/:id/deposit-refund — { reference? } once the deposit is paid back
+router.patch('/:id/deposit-refund', adminPanelOnly, [
+  body('reference').optional({ nullable: true }).isString().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+    const existing = await Booking.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }))
+      .select('branchId')
+      .lean();
+    if (!existing) return res.status(404).json({ success: false, message: 'Booking not found' });
+    assertBranchAccess(req, existing, { allowLegacyNull: true });
+    const booking = await recordDepositRefund(req.businessId, req.params.id, {
+      reference: req.body.reference,
+      userId: req.user._id
+    });
+    res.json({ success: true, booking });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message || 'Failed to record the refund' });
+  }
+});
+
 router.patch('/:id/reschedule', adminPanelOrSalesEmployee, [
   body('bookingDate').isISO8601(),
   body('slotId').notEmpty()
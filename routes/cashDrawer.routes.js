@@ -0,0 +1,125 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveBranchContext } from '../middleware/branchContext.middleware.js';
+import { enforceActiveSubscription } from '../middleware/subscription.middleware.js';
+import { adminPanelOnly } from '../middleware/adminPanel.middleware.js';
+import { isAdminPanelRole, isBusinessOwner } from '../utils/adminRoles.js';
+import { CASH_DRAWER_STATUSES } from '../models/CashDrawerSession.model.js';
+import {
+  closeCashDrawer,
+  getCashDrawerSession,
+  getOpenCashDrawer,
+  listCashDrawerSessions,
+  lockCashDrawer,
+  openCashDrawer,
+  recountCashDrawer,
+  serializeCashDrawerSession,
+  summarizeCashDrawerSessions
+} from '../services/cashDrawerService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use((req, res, next) => {
+  if (!req.user?.businessId) {
+    return res.status(403).json({ success: false, message: 'Business not assigned' });
+  }
+  req.businessId = req.user.businessId;
+  next();
+});
+router.use(resolveBranchContext);
+router.use(enforceActiveSubscription());
+
+function serializeFor(req, session) {
+  return serializeCashDrawerSession(session, { withExpected: isAdminPanelRole(req.user.role) });
+}
+
+// GET /api/admin/cash-drawer?status=&limit= — Z-report history
+router.get('/', adminPanelOnly, async (req, res) => {
+  try {
+    const status = CASH_DRAWER_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    const sessions = await listCashDrawerSessions(req, { status, limit: req.query.limit });
+    res.json({ success: true, sessions, summary: summarizeCashDrawerSessions(sessions) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/cash-drawer/current — open drawer for the current branch (null when closed)
+router.get('/current', async (req, res) => {
+  try {
+    const session = await getOpenCashDrawer(req);
+    res.json({ success: true, session: session ? serializeFor(req, session) : null });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/cash-drawer — open a shift: { denominations } or { openingFloat }, notes?
+router.post('/', async (req, res) => {
+  try {
+    const session = await openCashDrawer(req, req.body || {});
+    res.status(201).json({ success: true, session: serializeFor(req, session) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/cash-drawer/:id — Z-report
+router.get('/:id', adminPanelOnly, async (req, res) => {
+  try {
+    const session = await getCashDrawerSession(req, req.params.id);
+    await session.populate([
+      { path: 'openedBy', select: 'name' },
+      { path: 'closedBy', select: 'name' },
+      { path: 'lockedBy', select: 'name' },
+      { path: 'handoverTo', select: 'name' }
+    ]);
+    res.json({ success: true, session });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/cash-drawer/:id/close — { denominations } or { countedCash }, cashRemoved?, varianceReason?, handoverTo?, notes?
+router.post('/:id/close', async (req, res) => {
+  try {
+    const session = await closeCashDrawer(req, req.params.id, req.body || {});
+    res.json({ success: true, session: serializeFor(req, session) });
+  } catch (e) {
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.message || 'Server error',
+      ...(e.code ? { code: e.code } : {})
+    });
+  }
+});
+
+// PUT /api/admin/cash-drawer/:id/count — correct the count before the owner locks it
+router.put('/:id/count', adminPanelOnly, async (req, res) => {
+  try {
+    const session = await recountCashDrawer(req, req.params.id, req.body || {});
+    res.json({ success: true, session });
+  } catch (e) {
+    res.status(e.status || 500).json({
+      success: false,
+      message: e.message || 'Server error',
+      ...(e.code ? { code: e.code } : {})
+    });
+  }
+});
+
+// POST /api/admin/cash-drawer/:id/lock — owner only: { reviewNotes? }
+router.post('/:id/lock', async (req, res) => {
+  try {
+    if (!isBusinessOwner(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Only the business owner can lock a Z-report' });
+    }
+    const session = await lockCashDrawer(req, req.params.id, req.body || {});
+    res.json({ success: true, session });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+export default router;
@@ -95,7 +95,7 @@ router.get('/customers/:id/summary', async (req, res) => {
       customerId,
       settlementMode: 'CREDIT',
       saleConfirmedAt: { $ne: null }
-    }).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment finalAmount settlementMode saleConfirmedAt paymentStatus').lean();
+    }).select('finalAmount outstandingAmount amountCollectedAtCheckout amountCollectedLater paymentCashAmount paymentOnlineAmount advancePayment finalAmount settlementMode saleConfirmedAt paymentStatus refundAdjustedAmount').lean();
 
     let totalSales = 0;
     let totalCollections = 0;
@@ -142,7 +142,7 @@ router.get('/customers/:id/invoices', async (req, res) => {
     }
 
     const invoices = await Invoice.find(query)
-      .select('invoiceNumber createdAt saleConfirmedAt finalAmount outstandingAmount paymentStatus settlementMode advancePayment paymentCashAmount paymentOnlineAmount amountCollectedLater creditDueDate')
+      .select('invoiceNumber createdAt saleConfirmedAt finalAmount outstandingAmount paymentStatus settlementMode advancePayment paymentCashAmount paymentOnlineAmount amountCollectedLater creditDueDate refundAdjustedAmount')
       .sort({ saleConfirmedAt: 1, createdAt: 1 })
       .lean();
 
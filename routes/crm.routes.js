@@ -1197,7 +1197,9 @@ router.post('/leads/:id/convert-job', async (req, res) => {
     try {
       ({ lines, totalPrice, catalogServices } = await resolveJobServiceLines(req.businessId, {
         serviceIds: overrides.serviceIds,
-        services: overrides.services
+        services: overrides.services,
+        vehicleType: car.vehicleType || overrides.vehicleType || lead.vehicleType,
+        pricing: { at: new Date(), branchId: req.branchId }
       }));
     } catch (svcErr) {
       return res.status(svcErr.status || 400).json({ success: false, message: svcErr.message });
@@ -19,6 +19,7 @@ import {
   resolveCatalogItemMeta
 } from '../utils/estimateService.js';
 import { pushLeadActivity, markLeadConverted } from '../utils/crmService.js';
+import { lookupVehicleType } from '../utils/servicePricing.js';
 import { createAdminBooking } from '../services/bookingService.js';
 import { getBusinessModules, isModuleEnabled } from '../services/businessModulesService.js';
 
@@ -50,11 +51,11 @@ function parseItemsInput(rawItems) {
   }));
 }
 
-async function enrichItemsFromCatalog(businessId, items) {
+async function enrichItemsFromCatalog(businessId, items, vehicleType = null) {
   const out = [];
   for (const item of items) {
     if (item.serviceId && (!item.name || item.unitPrice == null)) {
-      const meta = await resolveCatalogItemMeta(businessId, item.serviceId);
+      const meta = await resolveCatalogItemMeta(businessId, item.serviceId, vehicleType);
       if (meta) {
         out.push({
           ...item,
@@ -66,7 +67,7 @@ async function enrichItemsFromCatalog(businessId, items) {
       }
     }
     if (item.serviceId && !item.itemType) {
-      const meta = await resolveCatalogItemMeta(businessId, item.serviceId);
+      const meta = await resolveCatalogItemMeta(businessId, item.serviceId, vehicleType);
       if (meta) item.itemType = meta.itemType;
     }
     out.push(item);
@@ -177,7 +178,11 @@ router.post('/estimates', async (req, res) => {
       assertBranchAccess(req, lead, { allowLegacyNull: true });
     }
 
-    const rawItems = await enrichItemsFromCatalog(req.businessId, parseItemsInput(body.items));
+    const vehicleType = await lookupVehicleType(req.businessId, {
+      vehicleType: body.vehicleType || lead?.vehicleType,
+      vehicleNumber: body.vehicleNumber || lead?.vehicleNumber
+    });
+    const rawItems = await enrichItemsFromCatalog(req.businessId, parseItemsInput(body.items), vehicleType);
     const totals = computeEstimateTotals({
       items: rawItems,
       discountType: body.discountType,
@@ -298,7 +303,11 @@ router.put('/estimates/:id', async (req, res) => {
     }
 
     if (Array.isArray(body.items)) {
-      const rawItems = await enrichItemsFromCatalog(req.businessId, parseItemsInput(body.items));
+      const vehicleType = await lookupVehicleType(req.businessId, {
+        vehicleType: estimate.vehicleType,
+        vehicleNumber: estimate.vehicleNumber
+      });
+      const rawItems = await enrichItemsFromCatalog(req.businessId, parseItemsInput(body.items), vehicleType);
       const totals = computeEstimateTotals({
         items: rawItems,
         discountType: body.discountType ?? estimate.discountType,
@@ -686,7 +695,9 @@ router.post('/estimates/:id/convert-job', async (req, res) => {
     try {
       ({ lines, totalPrice, catalogServices } = await resolveJobServiceLines(req.businessId, {
         serviceIds: overrides.serviceIds?.length ? overrides.serviceIds : fromEstimate.serviceIds,
-        services: overrides.services?.length ? overrides.services : fromEstimate.services
+        services: overrides.services?.length ? overrides.services : fromEstimate.services,
+        vehicleType: car.vehicleType || overrides.vehicleType || estimate.vehicleType,
+        pricing: { at: new Date(), branchId: req.branchId }
       }));
     } catch (svcErr) {
       return res.status(svcErr.status || 400).json({ success: false, message: svcErr.message });
@@ -79,7 +79,8 @@ router.delete('/template/:id', adminPanelOnly, softDeleteTemplate);
 router.post('/purchase', adminPanelOnly, [
   body('templateId').notEmpty().isMongoId(),
   body('customerId').notEmpty().isMongoId(),
-  body('carId').optional({ checkFalsy: true }).isMongoId()
+  body('carId').optional({ checkFalsy: true }).isMongoId(),
+  body('soldBy').optional({ checkFalsy: true }).isMongoId()
 ], (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
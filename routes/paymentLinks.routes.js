@@ -0,0 +1,129 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveBranchContext } from '../middleware/branchContext.middleware.js';
+import { enforceActiveSubscription } from '../middleware/subscription.middleware.js';
+import { adminPanelOnly } from '../middleware/adminPanel.middleware.js';
+import Invoice from '../models/Invoice.model.js';
+import Booking from '../models/Booking.model.js';
+import PaymentLink, { PAYMENT_LINK_PURPOSES, PAYMENT_LINK_STATUSES } from '../models/PaymentLink.model.js';
+import { scopedFilter, assertBranchAccess } from '../utils/branchAccess.js';
+import { resolveFrontendBaseUrl } from '../utils/frontendUrl.js';
+import {
+  cancelPaymentLink,
+  ensureBookingDepositLink,
+  ensureInvoicePaymentLink,
+  listPaymentLinks,
+  settlePaymentLink
+} from '../services/payments/paymentLinkService.js';
+import { getPaymentGateway } from '../services/payments/paymentGatewayProvider.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use((req, res, next) => {
+  if (!req.user?.businessId) {
+    return res.status(403).json({ success: false, message: 'Business not assigned' });
+  }
+  req.businessId = req.user.businessId;
+  next();
+});
+router.use(resolveBranchContext);
+router.use(enforceActiveSubscription());
+
+function linkResponse(req, link) {
+  const raw = typeof link.toObject === 'function' ? link.toObject() : link;
+  const base = resolveFrontendBaseUrl(req, { customerFacing: true });
+  return { ...raw, url: `${base}/pay/${raw.token}` };
+}
+
+// GET /api/admin/payment-links?status=&purpose=&invoiceId=&bookingId=
+router.get('/', async (req, res) => {
+  try {
+    const filter = scopedFilter(req, { businessId: req.businessId });
+    const { status, purpose, invoiceId, bookingId } = req.query;
+    if (PAYMENT_LINK_STATUSES.includes(status)) filter.status = status;
+    if (PAYMENT_LINK_PURPOSES.includes(purpose)) filter.purpose = purpose;
+    if (mongoose.isValidObjectId(invoiceId)) filter.invoiceId = invoiceId;
+    if (mongoose.isValidObjectId(bookingId)) filter.bookingId = bookingId;
+    const links = await listPaymentLinks(filter, { limit: req.query.limit });
+    res.json({ success: true, links, gateway: getPaymentGateway()?.name || null });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/payment-links — { invoiceId } or { bookingId, amount } → shareable link
+router.post('/', async (req, res) => {
+  try {
+    if (!getPaymentGateway()) {
+      return res.status(503).json({ success: false, message: 'Online payment is not configured' });
+    }
+    const { invoiceId, bookingId, amount } = req.body || {};
+    let link;
+    if (invoiceId) {
+      if (!mongoose.isValidObjectId(invoiceId)) {
+        return res.status(400).json({ success: false, message: 'Invalid invoice' });
+      }
+      const invoice = await Invoice.findOne(scopedFilter(req, { _id: invoiceId, businessId: req.businessId })).lean();
+      if (!invoice) {
+        return res.status(404).json({ success: false, message: 'Invoice not found' });
+      }
+      assertBranchAccess(req, invoice, { allowLegacyNull: true });
+      link = await ensureInvoicePaymentLink(invoice, { createdBy: req.user._id });
+    } else if (bookingId) {
+      if (!mongoose.isValidObjectId(bookingId)) {
+        return res.status(400).json({ success: false, message: 'Invalid booking' });
+      }
+      const booking = await Booking.findOne(scopedFilter(req, { _id: bookingId, businessId: req.businessId }));
+      if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found' });
+      }
+      assertBranchAccess(req, booking, { allowLegacyNull: true });
+      link = await ensureBookingDepositLink(booking, { amount, createdBy: req.user._id });
+    } else {
+      return res.status(400).json({ success: false, message: 'invoiceId or bookingId is required' });
+    }
+    res.status(201).json({ success: true, link: linkResponse(req, link) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/payment-links/:id/cancel
+router.post('/:id/cancel', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Payment link not found' });
+    }
+    const link = await cancelPaymentLink(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }));
+    res.json({ success: true, link: linkResponse(req, link) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/payment-links/:id/settle — retry applying a paid link whose settlement failed
+router.post('/:id/settle', adminPanelOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Payment link not found' });
+    }
+    const link = await PaymentLink.findOne(scopedFilter(req, { _id: req.params.id, businessId: req.businessId }));
+    if (!link) {
+      return res.status(404).json({ success: false, message: 'Payment link not found' });
+    }
+    if (link.status !== 'PAID') {
+      return res.status(409).json({ success: false, message: 'Only paid links can be settled' });
+    }
+    const settled = await settlePaymentLink(link);
+    if (settled.settlementError) {
+      return res.status(409).json({ success: false, message: settled.settlementError, link: linkResponse(req, settled) });
+    }
+    res.json({ success: true, link: linkResponse(req, settled) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+export default router;
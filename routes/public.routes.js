@@ -8,7 +8,13 @@ import BusinessSettings from '../models/BusinessSettings.model.js';
 import Service from '../models/Service.model.js';
 import ServiceCategory from '../models/ServiceCategory.model.js';
 import ServiceSubCategory from '../models/ServiceSubCategory.model.js';
+import BookingSlot from '../models/BookingSlot.model.js';
 import { createPublicBooking } from '../services/bookingService.js';
+import { PRICEABLE_VEHICLE_TYPES, canonicalVehicleType } from '../constants/vehicleTypes.js';
+import { resolveServicePrice } from '../utils/servicePricing.js';
+import { bookingPricingAt, priceLineWithRules } from '../utils/pricingRules.js';
+import { loadPricingContext } from '../services/pricingRuleService.js';
+import { previewBookingPromo } from '../services/promoCodeService.js';
 import { sendBookingErrorResponse } from '../utils/bookingErrors.js';
 import { getSlotAvailabilityForDate, getBookingSettings } from '../utils/booking.utils.js';
 import {
@@ -19,6 +25,22 @@ import {
 import Branch from '../models/Branch.model.js';
 import { isBranchOperational } from '../services/branchService.js';
 import { getBusinessModules, isModuleEnabled } from '../services/businessModulesService.js';
+import {
+  processWhatsAppWebhook,
+  verifyWhatsAppWebhookSignature
+} from '../services/whatsapp/whatsappStatusService.js';
+import Booking from '../models/Booking.model.js';
+import {
+  confirmCheckoutPayment,
+  ensureInvoicePaymentLink,
+  getPaymentLinkByToken,
+  handleGatewayWebhook,
+  invoicePayableAmount,
+  serializePublicPaymentLink,
+  startCheckout
+} from '../services/payments/paymentLinkService.js';
+import { getPaymentGateway } from '../services/payments/paymentGatewayProvider.js';
+import { buildInvoiceUpiPayment } from '../utils/upiQr.js';
 
 const router = express.Router();
 
@@ -30,6 +52,14 @@ const bookingLimiter = rateLimit({
   message: { success: false, message: 'Too many booking attempts. Please try again later.' }
 });
 
+const paymentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many payment attempts. Please try again later.' }
+});
+
 // GET /api/public/branch-portal/:branchId — branch login page info (no auth)
 router.get('/branch-portal/:branchId', async (req, res) => {
   try {
@@ -80,7 +110,7 @@ router.get('/branch-portal/:branchId', async (req, res) => {
   }
 });
 
-// GET /api/public/book/:businessId — business info + services for booking page
+// GET /api/public/book/:businessId?vehicleType=&date=&slotId= — business info + services for booking page
 router.get('/book/:businessId', async (req, res) => {
   try {
     const { businessId } = req.params;
@@ -124,12 +154,48 @@ router.get('/book/:businessId', async (req, res) => {
           }
         : { isVariable: { $ne: true } })
     };
-    const services = await Service.find(serviceQuery)
-      .select('name price minTime maxTime description categoryId subCategoryId isVariable skipWorkProcess showOnBookingForm')
+    const catalog = await Service.find(serviceQuery)
+      .select('name price vehiclePrices minTime maxTime description categoryId subCategoryId isVariable skipWorkProcess showOnBookingForm')
       .sort({ name: 1 })
       .lean();
 
     const bookingSettingsFull = await getBookingSettings(businessId);
+
+    // ?vehicleType=SUV → each service priced for that vehicle; basePrice keeps the catalog price.
+    // ?date=YYYY-MM-DD&slotId= also applies happy-hour / weekday rules for that slot.
+    const vehicleType = canonicalVehicleType(req.query.vehicleType);
+    let pricingContext = { rules: [], moment: null, branchId: null };
+    const pricingDate = String(req.query.date || '').slice(0, 10);
+    const pricingSlotId = String(req.query.slotId || '');
+    if (pricingDate && /^[a-f\d]{24}$/i.test(pricingSlotId)) {
+      const [slot, defaultBranch] = await Promise.all([
+        BookingSlot.findOne({ _id: pricingSlotId, businessId, isEnabled: true }).select('startTime').lean(),
+        Branch.findOne({ businessId, isDefault: true }).select('_id').lean()
+      ]);
+      if (slot) {
+        pricingContext = await loadPricingContext(businessId, {
+          branchId: defaultBranch?._id || null,
+          at: bookingPricingAt(pricingDate, slot.startTime, bookingSettingsFull.timezone),
+          timezone: bookingSettingsFull.timezone
+        });
+      }
+    }
+    const services = catalog.map((svc) => {
+      const listPrice = resolveServicePrice(svc, vehicleType);
+      const priced = svc.isVariable
+        ? { price: listPrice }
+        : priceLineWithRules(pricingContext.rules, pricingContext.moment, {
+          serviceId: svc._id,
+          branchId: pricingContext.branchId,
+          listPrice
+        });
+      return {
+        ...svc,
+        basePrice: Number(svc.price) || 0,
+        price: priced.price,
+        ...(priced.pricingRuleId ? { listPrice: priced.listPrice, pricingRuleName: priced.pricingRuleName } : {})
+      };
+    });
     const serviceCategoriesEnabled = !!settings?.serviceCategoriesEnabled;
     const serviceSubcategoriesEnabled = serviceCategoriesEnabled && !!settings?.serviceSubcategoriesEnabled;
     let serviceCategories = [];
@@ -166,6 +232,8 @@ router.get('/book/:businessId', async (req, res) => {
         whatsappNumber: business.whatsappNumber
       },
       services,
+      vehicleTypes: PRICEABLE_VEHICLE_TYPES,
+      vehicleType,
       serviceCategoriesEnabled,
       serviceCategories,
       serviceSubcategoriesEnabled,
@@ -206,6 +274,48 @@ router.get('/book/:businessId/slots', async (req, res) => {
   }
 });
 
+// POST /api/public/book/:businessId/promo-check — preview a promo code on the booking form
+// Body: { code, serviceIds, vehicleType?, customerPhone? }. Catalog prices; the booking re-checks at slot prices.
+router.post('/book/:businessId/promo-check', bookingLimiter, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    if (!businessId || !/^[a-f\d]{24}$/i.test(businessId)) {
+      return res.status(400).json({ success: false, message: 'Invalid business' });
+    }
+    const modules = await getBusinessModules(businessId);
+    if (!isModuleEnabled(modules, 'bookings')) {
+      return res.status(403).json({ success: false, message: 'Online booking is not available' });
+    }
+    const serviceIds = (Array.isArray(req.body?.serviceIds) ? req.body.serviceIds : [])
+      .map(String)
+      .filter((id) => /^[a-f\d]{24}$/i.test(id));
+    if (!serviceIds.length) return res.status(400).json({ success: false, message: 'Select at least one service' });
+
+    const [services, defaultBranch] = await Promise.all([
+      Service.find({ _id: { $in: serviceIds }, businessId, isActive: { $ne: false }, showOnBookingForm: { $ne: false } })
+        .select('price vehiclePrices')
+        .lean(),
+      Branch.findOne({ businessId, isDefault: true }).select('_id').lean()
+    ]);
+    const vehicleType = canonicalVehicleType(req.body.vehicleType);
+    const evaluation = await previewBookingPromo(businessId, {
+      code: req.body.code,
+      branchId: defaultBranch?._id || null,
+      customerPhone: req.body.customerPhone,
+      lines: services.map((svc) => ({ serviceId: svc._id, amount: resolveServicePrice(svc, vehicleType) }))
+    });
+    res.json({
+      success: true,
+      code: evaluation.promo.code,
+      description: evaluation.promo.description,
+      discountAmount: evaluation.discountAmount
+    });
+  } catch (error) {
+    if (!error.status) console.error('Public promo check error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Server error' });
+  }
+});
+
 // POST /api/public/book/:businessId — submit booking
 router.post('/book/:businessId', bookingLimiter, async (req, res) => {
   try {
@@ -217,16 +327,23 @@ router.post('/book/:businessId', bookingLimiter, async (req, res) => {
     if (!isModuleEnabled(modules, 'bookings')) {
       return res.status(403).json({ success: false, message: 'Online booking is not available' });
     }
-    const booking = await createPublicBooking(businessId, req.body);
+    const { booking, paymentLink } = await createPublicBooking(businessId, req.body);
     res.status(201).json({
       success: true,
-      message: 'Booking submitted successfully. You will receive confirmation from the shop.',
+      message: paymentLink
+        ? 'Pay the deposit to hold your slot. The booking is released if it is not paid in time.'
+        : 'Booking submitted successfully. You will receive confirmation from the shop.',
       booking: {
         _id: booking._id,
         status: booking.status,
         bookingDate: booking.bookingDate,
-        bayNumber: booking.bayNumber
-      }
+        bayNumber: booking.bayNumber,
+        depositAmount: booking.depositAmount || 0,
+        promoCode: booking.promoCode || null,
+        promoDiscountAmount: booking.promoDiscountAmount || 0,
+        paymentDueAt: booking.paymentDueAt || null
+      },
+      payment: paymentLink ? serializePublicPaymentLink(paymentLink) : null
     });
   } catch (error) {
     console.error('Public booking create error:', error);
@@ -268,14 +385,148 @@ router.get('/invoice/:id/view', async (req, res) => {
       isProductSale
     };
     const currency = platform?.defaultCurrency || 'USD';
+    const amountDue = invoicePayableAmount(invoice);
+    const onlinePayment = {
+      available: !!getPaymentGateway(),
+      amountDue
+    };
+    const upiPayment = await buildInvoiceUpiPayment(invoiceForView, { amountDue }).catch((err) => {
+      console.error('Invoice UPI QR error:', err?.message || err);
+      return null;
+    });
 
-    res.json({ success: true, invoice: invoiceForView, currency, business });
+    res.json({ success: true, invoice: invoiceForView, currency, business, onlinePayment, upiPayment });
   } catch (error) {
     console.error('Public invoice view error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// POST /api/public/invoice/:id/pay?token=xxx — start online checkout for the invoice balance
+router.post('/invoice/:id/pay', paymentLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const token = req.query.token || req.body?.token;
+    if (!token || !/^[a-f\d]{24}$/i.test(id)) {
+      return res.status(400).json({ success: false, message: 'Token required' });
+    }
+    const invoice = await Invoice.findOne({ _id: id, shareToken: String(token) }).lean();
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+    const link = await ensureInvoicePaymentLink(invoice);
+    const checkout = await startCheckout(link.token);
+    res.json({ success: true, checkout });
+  } catch (error) {
+    if (!error.status) console.error('Public invoice pay error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// GET /api/public/pay/:token — payment link summary (invoice balance or booking deposit)
+router.get('/pay/:token', async (req, res) => {
+  try {
+    const link = await getPaymentLinkByToken(req.params.token);
+    const business = await Business.findById(link.businessId).select('businessName').lean();
+    let target = {};
+    if (link.purpose === 'INVOICE') {
+      const invoice = await Invoice.findById(link.invoiceId).select('invoiceNumber customerName finalAmount').lean();
+      target = { invoiceNumber: invoice?.invoiceNumber || '', customerName: invoice?.customerName || '' };
+    } else {
+      const booking = await Booking.findById(link.bookingId).select('bookingDate customerName status').lean();
+      target = { bookingDate: booking?.bookingDate || null, customerName: booking?.customerName || '' };
+    }
+    res.json({
+      success: true,
+      payment: serializePublicPaymentLink(link, { businessName: business?.businessName || '', ...target }),
+      available: !!getPaymentGateway()
+    });
+  } catch (error) {
+    if (!error.status) console.error('Public payment link error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/public/pay/:token/checkout — create the gateway order for a payment link
+router.post('/pay/:token/checkout', paymentLimiter, async (req, res) => {
+  try {
+    const checkout = await startCheckout(req.params.token);
+    res.json({ success: true, checkout });
+  } catch (error) {
+    if (!error.status) console.error('Public checkout error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/public/pay/:token/confirm — checkout callback { orderId, paymentId, signature, method }
+router.post('/pay/:token/confirm', paymentLimiter, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const link = await confirmCheckoutPayment(req.params.token, {
+      orderId: body.orderId || body.razorpay_order_id,
+      paymentId: body.paymentId || body.razorpay_payment_id,
+      signature: body.signature || body.razorpay_signature,
+      method: body.method
+    });
+    res.json({ success: true, message: 'Payment received', payment: serializePublicPaymentLink(link) });
+  } catch (error) {
+    if (!error.status) console.error('Public payment confirm error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/public/payments/webhook — gateway payment events (signature over the raw body)
+router.post('/payments/webhook', async (req, res) => {
+  try {
+    const signature = req.get('x-razorpay-signature') || req.get('x-payment-signature');
+    const result = await handleGatewayWebhook(req.rawBody, signature, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (!error.status) console.error('Payment webhook error:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// POST /api/public/payments/mock/:orderId/pay — mock gateway only: plays the customer's checkout
+router.post('/payments/mock/:orderId/pay', paymentLimiter, (req, res) => {
+  const gateway = getPaymentGateway();
+  if (gateway?.name !== 'mock') {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  const method = req.body?.method === 'card' ? 'card' : 'upi';
+  res.json({ success: true, ...gateway.simulatePayment({ orderId: req.params.orderId, method }) });
+});
+
+// GET /api/public/whatsapp/webhook — Meta subscription handshake (hub.verify_token must match)
+router.get('/whatsapp/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+  const expected = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+  if (mode === 'subscribe' && expected && token === expected) {
+    return res.status(200).type('text/plain').send(String(challenge ?? ''));
+  }
+  return res.status(403).json({ success: false, message: 'Verification failed' });
+});
+
+// POST /api/public/whatsapp/webhook — delivery/read status callbacks (X-Hub-Signature-256 verified)
+router.post('/whatsapp/webhook', async (req, res) => {
+  try {
+    if (!process.env.WHATSAPP_APP_SECRET) {
+      return res.status(503).json({ success: false, message: 'WhatsApp webhook is not configured' });
+    }
+    const signature = req.get('x-hub-signature-256');
+    if (!verifyWhatsAppWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+    const result = await processWhatsAppWebhook(req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('WhatsApp webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // GET /api/public/estimate/:id/view?token=xxx
 router.get('/estimate/:id/view', async (req, res) => {
   try {
@@ -0,0 +1,198 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveBranchContext } from '../middleware/branchContext.middleware.js';
+import { enforceActiveSubscription } from '../middleware/subscription.middleware.js';
+import { adminPanelOnly } from '../middleware/adminPanel.middleware.js';
+import { requireBusinessModule } from '../middleware/businessModules.middleware.js';
+import {
+  listSuppliers,
+  saveSupplier,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  listGoodsReceipts,
+  receiveGoods,
+  listSupplierBills,
+  createSupplierBill,
+  paySupplierBill
+} from '../services/purchasingService.js';
+import { buildReorderSuggestions, listLowStockProducts } from '../services/lowStockService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use((req, res, next) => {
+  if (!req.user?.businessId) {
+    return res.status(403).json({ success: false, message: 'Business not assigned' });
+  }
+  req.businessId = req.user.businessId;
+  next();
+});
+router.use(adminPanelOnly);
+router.use(resolveBranchContext);
+// Supplier bills are expenses, so purchasing sits under the accounting module.
+router.use(requireBusinessModule('accounting'));
+router.use(enforceActiveSubscription());
+
+// ---------- Suppliers ----------
+
+// GET /api/admin/purchasing/suppliers
+router.get('/suppliers', async (req, res) => {
+  try {
+    const suppliers = await listSuppliers(req, { includeInactive: req.query.includeInactive === 'true' });
+    res.json({ success: true, suppliers });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/purchasing/suppliers
+router.post('/suppliers', async (req, res) => {
+  try {
+    const supplier = await saveSupplier(req, req.body || {});
+    res.status(201).json({ success: true, supplier });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// PUT /api/admin/purchasing/suppliers/:id
+router.put('/suppliers/:id', async (req, res) => {
+  try {
+    const supplier = await saveSupplier(req, req.body || {}, req.params.id);
+    res.json({ success: true, supplier });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// ---------- Purchase orders ----------
+
+// GET /api/admin/purchasing/purchase-orders
+router.get('/purchase-orders', async (req, res) => {
+  try {
+    const purchaseOrders = await listPurchaseOrders(req, {
+      status: req.query.status,
+      supplierId: req.query.supplierId
+    });
+    res.json({ success: true, purchaseOrders });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/purchasing/purchase-orders/:id
+router.get('/purchase-orders/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await getPurchaseOrder(req, req.params.id);
+    res.json({ success: true, purchaseOrder });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/purchasing/purchase-orders
+router.post('/purchase-orders', async (req, res) => {
+  try {
+    const purchaseOrder = await createPurchaseOrder(req, req.body || {});
+    res.status(201).json({ success: true, purchaseOrder });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// PUT /api/admin/purchasing/purchase-orders/:id — edit draft, or set status ORDERED / CANCELLED
+router.put('/purchase-orders/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await updatePurchaseOrder(req, req.params.id, req.body || {});
+    res.json({ success: true, purchaseOrder });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// ---------- Goods received ----------
+
+// GET /api/admin/purchasing/goods-receipts
+router.get('/goods-receipts', async (req, res) => {
+  try {
+    const goodsReceipts = await listGoodsReceipts(req, {
+      supplierId: req.query.supplierId,
+      unbilled: req.query.unbilled
+    });
+    res.json({ success: true, goodsReceipts });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/purchasing/goods-receipts — adds stock
+router.post('/goods-receipts', async (req, res) => {
+  try {
+    const result = await receiveGoods(req, req.body || {});
+    res.status(201).json({ success: true, goodsReceipt: result.receipt, purchaseOrder: result.purchaseOrder });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// ---------- Reordering ----------
+
+// GET /api/admin/purchasing/low-stock
+router.get('/low-stock', async (req, res) => {
+  try {
+    const products = await listLowStockProducts(req.businessId);
+    res.json({ success: true, products });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/purchasing/reorder-suggestions?days=30|90&coverDays=30&all=true
+router.get('/reorder-suggestions', async (req, res) => {
+  try {
+    const result = await buildReorderSuggestions(req, {
+      days: req.query.days,
+      coverDays: req.query.coverDays,
+      includeAll: req.query.all === 'true'
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// ---------- Supplier bills ----------
+
+// GET /api/admin/purchasing/bills
+router.get('/bills', async (req, res) => {
+  try {
+    const bills = await listSupplierBills(req, { supplierId: req.query.supplierId });
+    res.json({ success: true, bills });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/purchasing/bills — creates the Purchases expense (FULL or CREDIT)
+router.post('/bills', async (req, res) => {
+  try {
+    const { bill, expense } = await createSupplierBill(req, req.body || {});
+    res.status(201).json({ success: true, bill, expense });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/purchasing/bills/:id/pay — payment toward a pay-later bill
+router.post('/bills/:id/pay', async (req, res) => {
+  try {
+    const { bill, expense } = await paySupplierBill(req, req.params.id, req.body || {});
+    res.json({ success: true, bill, expense });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+export default router;
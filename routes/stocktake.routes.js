@@ -0,0 +1,100 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { resolveBranchContext } from '../middleware/branchContext.middleware.js';
+import { enforceActiveSubscription } from '../middleware/subscription.middleware.js';
+import { adminPanelOnly } from '../middleware/adminPanel.middleware.js';
+import { isAdminPanelRole } from '../utils/adminRoles.js';
+import {
+  listStocktakes,
+  getStocktake,
+  openStocktake,
+  saveStocktakeCounts,
+  finalizeStocktake,
+  cancelStocktake,
+  serializeStocktake
+} from '../services/stocktakeService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use((req, res, next) => {
+  if (!req.user?.businessId) {
+    return res.status(403).json({ success: false, message: 'Business not assigned' });
+  }
+  req.businessId = req.user.businessId;
+  next();
+});
+router.use(resolveBranchContext);
+router.use(enforceActiveSubscription());
+
+/** Floor staff count blind: no book stock, variance or valuation. */
+function serializeFor(req, stocktake) {
+  return serializeStocktake(stocktake, { withBook: isAdminPanelRole(req.user.role) });
+}
+
+// GET /api/admin/stocktakes
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listStocktakes(req, { status: req.query.status });
+    const stocktakes = isAdminPanelRole(req.user.role)
+      ? rows
+      : rows.map(({ shrinkageValue, surplusValue, expenseId, ...row }) => row);
+    res.json({ success: true, stocktakes });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/stocktakes — start a count for the current branch
+router.post('/', adminPanelOnly, async (req, res) => {
+  try {
+    const stocktake = await openStocktake(req, req.body || {});
+    res.status(201).json({ success: true, stocktake: serializeFor(req, stocktake) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// GET /api/admin/stocktakes/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const stocktake = await getStocktake(req, req.params.id);
+    res.json({ success: true, stocktake: serializeFor(req, stocktake) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// PUT /api/admin/stocktakes/:id/counts — body: { counts: [{ serviceId, countedQuantity }] }
+router.put('/:id/counts', async (req, res) => {
+  try {
+    const stocktake = await saveStocktakeCounts(req, req.params.id, req.body?.counts);
+    res.json({ success: true, stocktake: serializeFor(req, stocktake) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+// POST /api/admin/stocktakes/:id/finalize — adjusts stock and posts the shrinkage expense
+router.post('/:id/finalize', adminPanelOnly, async (req, res) => {
+  try {
+    const stocktake = await finalizeStocktake(req, req.params.id, {
+      skipUncounted: req.body?.skipUncounted === true
+    });
+    res.json({ success: true, stocktake: serializeFor(req, stocktake) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error', code: e.code });
+  }
+});
+
+// POST /api/admin/stocktakes/:id/cancel
+router.post('/:id/cancel', adminPanelOnly, async (req, res) => {
+  try {
+    const stocktake = await cancelStocktake(req, req.params.id);
+    res.json({ success: true, stocktake: serializeFor(req, stocktake) });
+  } catch (e) {
+    res.status(e.status || 500).json({ success: false, message: e.message || 'Server error' });
+  }
+});
+
+export default router;
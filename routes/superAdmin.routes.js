@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 import { authenticate, authorize } from '../middleware/auth.middleware.js';
 import Business from '../models/Business.model.js';
@@ -23,6 +24,8 @@ import { getBusinessModules, updateBusinessModules } from '../services/businessM
 import { createDefaultShopSubscription, invalidateSubscriptionCache } from '../services/subscriptionService.js';
 import bcrypt from 'bcryptjs';
 import AuditLog from '../models/AuditLog.model.js';
+import OutboxMessage from '../models/OutboxMessage.model.js';
+import { OUTBOX_CHANNELS, OUTBOX_STATUSES, replayOutboxMessages } from '../services/outbox/outboxService.js';
 import { auditSensitive } from '../middleware/auditLog.middleware.js';
 
 const router = express.Router();
@@ -1367,6 +1370,118 @@ router.put('/settings', [
   }
 });
 
+// ==================== OUTBOX (PUSH / WHATSAPP DELIVERY) ====================
+
+// @route   GET /api/super-admin/outbox
+// @desc    Queued / failed outbound deliveries (filter by status, channel, businessId)
+// @access  Private (Super Admin)
+router.get('/outbox', async (req, res) => {
+  try {
+    const { status, channel, businessId, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (status && OUTBOX_STATUSES.includes(String(status).toUpperCase())) query.status = String(status).toUpperCase();
+    if (channel && OUTBOX_CHANNELS.includes(String(channel).toUpperCase())) query.channel = String(channel).toUpperCase();
+    if (businessId && /^[a-f\d]{24}$/i.test(String(businessId))) query.businessId = businessId;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [total, messages, counts] = await Promise.all([
+      OutboxMessage.countDocuments(query),
+      OutboxMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('businessId', 'businessName')
+        .lean(),
+      OutboxMessage.aggregate([{ $group: { _id: { channel: '$channel', status: '$status' }, count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      messages,
+      counts: counts.map((c) => ({ channel: c._id.channel, status: c._id.status, count: c.count })),
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) || 0 }
+    });
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   GET /api/super-admin/outbox/:id
+// @access  Private (Super Admin)
+router.get('/outbox/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Outbox message not found' });
+    }
+    const message = await OutboxMessage.findById(req.params.id)
+      .populate('businessId', 'businessName')
+      .populate('replayedBy', 'email')
+      .lean();
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Outbox message not found' });
+    }
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error('Get outbox message error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/super-admin/outbox/:id/replay
+// @desc    Re-queue one dead (or pending) delivery with a fresh attempt budget
+// @access  Private (Super Admin)
+router.post('/outbox/:id/replay', auditSensitive('OUTBOX_REPLAY', {
+  severity: 'MEDIUM',
+  targetType: 'OutboxMessage'
+}), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'No dead or pending message to replay' });
+    }
+    const replayed = await replayOutboxMessages({ _id: req.params.id }, { userId: req.user._id });
+    if (!replayed) {
+      return res.status(404).json({ success: false, message: 'No dead or pending message to replay' });
+    }
+    res.json({ success: true, replayed });
+  } catch (error) {
+    console.error('Replay outbox message error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/super-admin/outbox/replay
+// @desc    Bulk re-queue dead deliveries. Body: { channel?, businessId? }
+// @access  Private (Super Admin)
+router.post('/outbox/replay', auditSensitive('OUTBOX_REPLAY_BULK', {
+  severity: 'HIGH',
+  targetType: 'OutboxMessage',
+  meta: (req) => ({ channel: req.body?.channel || null, businessId: req.body?.businessId || null })
+}), async (req, res) => {
+  try {
+    const filter = { status: 'DEAD' };
+    const channel = String(req.body?.channel || '').toUpperCase();
+    if (channel) {
+      if (!OUTBOX_CHANNELS.includes(channel)) {
+        return res.status(400).json({ success: false, message: 'Invalid channel' });
+      }
+      filter.channel = channel;
+    }
+    if (req.body?.businessId) {
+      if (!mongoose.isValidObjectId(req.body.businessId)) {
+        return res.status(400).json({ success: false, message: 'Invalid businessId' });
+      }
+      filter.businessId = req.body.businessId;
+    }
+    const replayed = await replayOutboxMessages(filter, { userId: req.user._id });
+    res.json({ success: true, replayed });
+  } catch (error) {
+    console.error('Bulk replay outbox error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   GET /api/super-admin/security-alerts/summary
 // @desc    Counts of CRITICAL/HIGH alerts for last 24h and 7d
 // @access  Private (Super Admin)
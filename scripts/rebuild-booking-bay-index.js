@@ -0,0 +1,53 @@
+/**
+ * Rebuild the unique bay index on bookings after PENDING_PAYMENT joined the occupying statuses.
+ * MongoDB cannot change a partial filter in place, so the old index is dropped and recreated
+ * from the model definition.
+ *
+ * Usage: node scripts/rebuild-booking-bay-index.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Booking from '../models/Booking.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/washq_saas';
+const INDEX_NAME = 'businessId_1_bookingDate_1_slotId_1_bayNumber_1';
+
+async function rebuildIndex() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    try {
+      await Booking.collection.dropIndex(INDEX_NAME);
+      console.log(`✅ Dropped ${INDEX_NAME}`);
+    } catch (error) {
+      if (error.code === 27 || error.message.includes('index not found')) {
+        console.log(`ℹ️  ${INDEX_NAME} does not exist`);
+      } else {
+        throw error;
+      }
+    }
+
+    await Booking.createIndexes();
+    const rebuilt = (await Booking.collection.indexes()).find((idx) => idx.name === INDEX_NAME);
+    console.log('Partial filter now:', JSON.stringify(rebuilt?.partialFilterExpression || null));
+    console.log('\n✅ Booking bay index rebuilt');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nMongoDB connection closed');
+  }
+}
+
+rebuildIndex();
@@ -0,0 +1,121 @@
+import {
+  assignStatementFingerprints,
+  extractUtr,
+  matchStatementEntries,
+  parseBankStatementCsv,
+  parseStatementAmount,
+  parseStatementDate
+} from '../utils/bankStatement.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function throws(fn, msg) {
+  try {
+    fn();
+  } catch (e) {
+    assert(e.status === 400, `${msg} (status 400)`);
+    return;
+  }
+  throw new Error(msg);
+}
+
+const tz = 'Asia/Kolkata';
+
+// --- amounts and dates ---
+assert(parseStatementAmount('1,25,000.50').value === 125000.5, 'Indian digit grouping');
+assert(parseStatementAmount('₹ 1,250.00 Cr').sign === 1, 'Cr suffix');
+assert(parseStatementAmount('500.00 Dr').sign === -1, 'Dr suffix');
+assert(parseStatementAmount('(500.00)').sign === -1, 'bracketed debit');
+assert(parseStatementAmount('') === null && parseStatementAmount('n/a') === null, 'blank / text');
+assert(parseStatementDate('05/10/2026', tz).day === '2026-10-05', 'dd/MM/yyyy');
+assert(parseStatementDate('05-Oct-26', tz).day === '2026-10-05', 'dd-LLL-yy');
+assert(parseStatementDate('5 Oct 2026, 09:15 PM', tz).hasTime, 'date with time');
+assert(parseStatementDate('2026-10-05 23:30:00', tz).day === '2026-10-05', 'ISO with time stays on the local day');
+assert(parseStatementDate('Opening Balance', tz) === null, 'not a date');
+assert(extractUtr('UPI/628112345678/RAVI KUMAR/okaxis/Payment') === '628112345678', 'UPI RRN from narration');
+
+// --- HDFC-style layout with preamble and footer ---
+const hdfc = [
+  'HDFC BANK Ltd.,,,,,,',
+  'Account No : 50200012345678,,,,,,',
+  'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+  '05/10/26,UPI-RAVI KUMAR-ravi@okaxis-INV-2026-0042,0000628112345678,05/10/26,,"1,299.50","11,299.50"',
+  '05/10/26,NEFT DR-RENT,N278262012345,05/10/26,"8,000.00",,"3,299.50"',
+  '06/10/26,UPI-SURESH-9876543210@ybl-PAYMENT,0000628299999999,06/10/26,,500.00,"3,799.50"',
+  '06/10/26,UPI-ANITA-anita@oksbi-PAYMENT,0000628288888888,06/10/26,,500.00,"4,299.50"',
+  'STATEMENT SUMMARY :-,,,,,,'
+].join('\n');
+const parsedHdfc = parseBankStatementCsv(hdfc, { timezone: tz });
+assert(parsedHdfc.entries.length === 3, 'three credits');
+assert(parsedHdfc.debitCount === 1, 'rent debit counted, not returned');
+assert(parsedHdfc.entries[0].amount === 1299.5 && parsedHdfc.entries[0].day === '2026-10-05', 'credit amount and day');
+assert(parsedHdfc.entries[0].reference === '0000628112345678', 'reference column');
+
+// --- UPI app export: single amount column, status filter ---
+const upiApp = [
+  'Transaction Date,Transaction ID,UTR,Amount,Status,Payer Name',
+  '2026-10-07 10:12:00,T2610071012,628311111111,750,SUCCESS,Kiran',
+  '2026-10-07 10:20:00,T2610071020,628322222222,750,FAILED,Kiran',
+  '2026-10-07 11:00:00,T2610071100,628333333333,-200,SUCCESS,Refund'
+].join('\n');
+const parsedUpi = parseBankStatementCsv(upiApp, { timezone: tz });
+assert(parsedUpi.entries.length === 1 && parsedUpi.entries[0].reference === '628311111111', 'successful credit with UTR');
+assert(parsedUpi.skippedCount === 1 && parsedUpi.debitCount === 1, 'failed attempt skipped, refund is a debit');
+
+throws(() => parseBankStatementCsv('Name,Phone\nRavi,98765'), 'header row required');
+throws(() => parseBankStatementCsv(''), 'empty file');
+
+// --- re-import fingerprints ---
+const fp1 = assignStatementFingerprints(parsedHdfc.entries);
+const fp2 = assignStatementFingerprints(parseBankStatementCsv(hdfc, { timezone: tz }).entries);
+assert(fp1.every((e, i) => e.fingerprint === fp2[i].fingerprint), 'same statement → same fingerprints');
+const twins = assignStatementFingerprints([
+  { day: '2026-10-06', amount: 100, description: 'UPI', reference: '', balance: null },
+  { day: '2026-10-06', amount: 100, description: 'UPI', reference: '', balance: null }
+]);
+assert(twins[0].fingerprint !== twins[1].fingerprint, 'identical rows in one file stay distinct');
+
+// --- matching ---
+const entries = [
+  { key: 'e1', day: '2026-10-05', amount: 1299.5, description: 'UPI-RAVI-INV-2026-0042', reference: '' },
+  { key: 'e2', day: '2026-10-06', amount: 500, description: 'UPI-SURESH', reference: '' },
+  { key: 'e3', day: '2026-10-06', amount: 500, description: 'UPI-ANITA', reference: '' },
+  { key: 'e4', day: '2026-10-08', amount: 999, description: 'UPI-UNKNOWN', reference: '' },
+  { key: 'e5', day: '2026-10-09', amount: 300, description: 'UPI-X', reference: '' }
+];
+const receipts = [
+  { key: 'inv42', day: '2026-10-05', amount: 1299.5, reference: 'INV-2026-0042' },
+  { key: 'inv43', day: '2026-10-05', amount: 1299.5, reference: 'INV-2026-0043' },
+  { key: 'inv50', day: '2026-10-06', amount: 500, reference: 'INV-2026-0050' },
+  { key: 'col7', day: '2026-10-04', amount: 500, reference: 'COL-A7K9X2M4' },
+  { key: 'rev1', day: '2026-10-09', amount: 300, reference: '' },
+  { key: 'rev2', day: '2026-10-09', amount: 300, reference: '' },
+  { key: 'old', day: '2026-09-20', amount: 999, reference: 'INV-2026-0001' }
+];
+const { matches, ambiguous } = matchStatementEntries(entries, receipts, { windowDays: 2 });
+assert(matches.get('e1')?.receiptKey === 'inv42' && matches.get('e1').basis === 'REFERENCE', 'invoice number in narration wins over same amount');
+const fiveHundred = [matches.get('e2')?.receiptKey, matches.get('e3')?.receiptKey].sort();
+assert(fiveHundred[0] === 'col7' && fiveHundred[1] === 'inv50', 'equal credits share the two receipts');
+assert(!matches.has('e4') && !ambiguous.has('e4'), 'receipt outside the window is not matched');
+assert(!matches.has('e5') && ambiguous.get('e5')?.length === 2, 'two equal receipts on the same day are left for review');
+assert(new Set([...matches.values()].map((m) => m.receiptKey)).size === matches.size, 'each receipt used once');
+
+const sameDay = matchStatementEntries(
+  [{ key: 'a', day: '2026-10-06', amount: 500, description: '', reference: '' }],
+  [
+    { key: 'near', day: '2026-10-06', amount: 500, reference: '' },
+    { key: 'far', day: '2026-10-04', amount: 500, reference: '' }
+  ],
+  { windowDays: 2 }
+);
+assert(sameDay.matches.get('a')?.receiptKey === 'near', 'closest day breaks a tie');
+const strict = matchStatementEntries(
+  [{ key: 'a', day: '2026-10-06', amount: 500, description: '', reference: '' }],
+  [{ key: 'r', day: '2026-10-05', amount: 500.01, reference: '' }],
+  { windowDays: 2 }
+);
+assert(!strict.matches.size, 'amounts must agree to the paisa');
+
+console.log('bank reconciliation tests passed');
@@ -0,0 +1,71 @@
+import {
+  bookingDepositRefundDue,
+  computeBookingDeposit,
+  depositRuleApplies,
+  normalizeBookingDepositSettings
+} from '../utils/bookingDeposit.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function throws(fn, msg) {
+  try {
+    fn();
+  } catch (e) {
+    assert(e.status === 400, `${msg} (status 400)`);
+    return;
+  }
+  throw new Error(msg);
+}
+
+const ceramic = '64b000000000000000000001';
+const wash = '64b000000000000000000002';
+const eveningSlot = '64b0000000000000000000a1';
+const morningSlot = '64b0000000000000000000a2';
+
+// --- settings validation ---
+const rule = normalizeBookingDepositSettings({
+  enabled: true,
+  type: 'percent',
+  value: 20,
+  serviceIds: [ceramic, ceramic],
+  forfeitOnNoShow: true
+});
+assert(rule.type === 'PERCENT' && rule.serviceIds.length === 1, 'type upper-cased, ids de-duplicated');
+assert(rule.holdMinutes === 30 && rule.slotIds.length === 0, 'defaults');
+throws(() => normalizeBookingDepositSettings({ enabled: true, value: 0 }), 'enabled rule needs an amount');
+throws(() => normalizeBookingDepositSettings({ enabled: true, type: 'PERCENT', value: 150 }), 'percent capped at 100');
+throws(() => normalizeBookingDepositSettings({ enabled: true, value: 100, serviceIds: ['nope'] }), 'bad service id');
+throws(() => normalizeBookingDepositSettings({ enabled: true, value: 100, holdMinutes: 1 }), 'payment window too short');
+assert(!normalizeBookingDepositSettings({ value: 0 }).enabled, 'disabled rule may be empty');
+
+// --- which bookings need a deposit ---
+assert(depositRuleApplies(rule, { serviceIds: [wash, ceramic] }), 'listed service');
+assert(!depositRuleApplies(rule, { serviceIds: [wash], slotId: eveningSlot }), 'other services are free');
+const slotRule = { enabled: true, type: 'FIXED', value: 200, serviceIds: [], slotIds: [eveningSlot] };
+assert(depositRuleApplies(slotRule, { serviceIds: [wash], slotId: eveningSlot }), 'listed slot');
+assert(!depositRuleApplies(slotRule, { serviceIds: [wash], slotId: morningSlot }), 'other slots are free');
+const everyBooking = { enabled: true, type: 'FIXED', value: 200, serviceIds: [], slotIds: [] };
+assert(depositRuleApplies(everyBooking, { serviceIds: [wash] }), 'no lists → every booking');
+assert(!depositRuleApplies({ ...everyBooking, enabled: false }, { serviceIds: [wash] }), 'disabled rule');
+assert(!depositRuleApplies(null, { serviceIds: [wash] }), 'no rule');
+
+// --- amounts ---
+assert(computeBookingDeposit(rule, { serviceIds: [ceramic], total: 4999 }) === 999.8, 'percent of booking total');
+assert(computeBookingDeposit(rule, { serviceIds: [wash], total: 4999 }) === 0, 'rule does not apply');
+assert(computeBookingDeposit(everyBooking, { serviceIds: [wash], total: 150 }) === 150, 'fixed capped at booking total');
+assert(computeBookingDeposit(everyBooking, { serviceIds: [wash], total: 0 }) === 200, 'unpriced booking pays the fixed deposit');
+assert(computeBookingDeposit(rule, { serviceIds: [ceramic], total: 0 }) === 0, 'percent of an unpriced booking is nothing');
+
+// --- refund owed when the booking ends without a visit ---
+const paidBooking = { status: 'CANCELLED', depositPaidAmount: 200 };
+assert(bookingDepositRefundDue(paidBooking) === 200, 'cancelled booking owes the paid deposit back');
+assert(bookingDepositRefundDue({ ...paidBooking, status: 'REJECTED' }) === 200, 'rejected booking owes it back');
+assert(bookingDepositRefundDue({ ...paidBooking, status: 'NO_SHOW' }) === 200, 'no-show without forfeit owes it back');
+assert(bookingDepositRefundDue({ ...paidBooking, status: 'NO_SHOW', depositForfeitedAt: new Date() }) === 0, 'forfeited deposit is kept');
+assert(bookingDepositRefundDue({ ...paidBooking, depositRefundStatus: 'DUE' }) === 0, 'refund recorded once');
+assert(bookingDepositRefundDue({ ...paidBooking, status: 'CONVERTED_TO_JOB' }) === 0, 'converted booking carries it to the job');
+assert(bookingDepositRefundDue({ status: 'CANCELLED', depositPaidAmount: 0 }) === 0, 'nothing paid, nothing owed');
+
+console.log('booking deposit tests passed');
@@ -0,0 +1,85 @@
+import {
+  computeExpectedCash,
+  normalizeDenominations,
+  resolveCashCount,
+  sumDenominations
+} from '../utils/cashDrawer.js';
+import { jobAdvanceCashOnlineByMode } from '../utils/paymentChannelAmounts.js';
+import { serializeCashDrawerSession, summarizeCashDrawerSessions } from '../services/cashDrawerService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function throws(fn, msg) {
+  try {
+    fn();
+  } catch (e) {
+    assert(e.status === 400, `${msg} (status 400)`);
+    return;
+  }
+  throw new Error(msg);
+}
+
+// --- denomination counts ---
+const lines = normalizeDenominations({ 100: 7, 500: '3', 10: 0, 2: 4 });
+assert(lines.map((l) => l.value).join(',') === '500,100,2', 'largest note first, zero counts dropped');
+assert(sumDenominations(lines) === 2208, 'denomination total');
+assert(normalizeDenominations([{ value: 50, count: 2 }, { value: 50, count: 1 }])[0].count === 3, 'repeated notes add up');
+throws(() => normalizeDenominations({ 25: 1 }), 'unknown note');
+throws(() => normalizeDenominations({ 100: -1 }), 'negative count');
+throws(() => normalizeDenominations({ 100: 1.5 }), 'fractional count');
+assert(resolveCashCount({ denominations: { 500: 2 } }).amount === 1000, 'count from notes');
+assert(resolveCashCount({ amount: '1500.5' }).amount === 1500.5, 'plain amount when no breakdown');
+assert(resolveCashCount({ denominations: {} }).amount === 0, 'empty drawer');
+throws(() => resolveCashCount({}), 'count required');
+throws(() => resolveCashCount({ amount: -5 }), 'negative amount');
+
+// --- job advances (cash vs online) ---
+assert(jobAdvanceCashOnlineByMode({ advancePayment: 300, advancePaymentMethod: 'CASH' }).cash === 300, 'legacy cash advance');
+const split = jobAdvanceCashOnlineByMode({
+  advancePayment: 500, advancePaymentMethod: 'SPLIT', advanceCashAmount: 200, advanceOnlineAmount: 300, advanceOnlinePaymentMode: 'CARD'
+});
+assert(split.cash === 200 && split.card === 300 && split.upi === 0, 'split advance by mode');
+assert(jobAdvanceCashOnlineByMode({ advancePayment: 400, advancePaymentMethod: 'SPLIT' }).cash === 400, 'split without amounts is cash');
+assert(jobAdvanceCashOnlineByMode({ advancePayment: 0 }).cash === 0, 'no advance');
+
+// --- expected cash ---
+const expected = computeExpectedCash({
+  openingFloat: 2000,
+  advances: 300,
+  fullPayCheckout: 4599.5,
+  creditCheckout: 1000,
+  creditRecovery: 750,
+  otherRevenue: 200,
+  expenses: 450,
+  refunds: 99.5
+});
+assert(expected.cashIn === 6849.5 && expected.cashOut === 549.5, 'cash in and out');
+assert(expected.expectedCash === 8300, 'float + in − out');
+
+// --- blind close for floor staff ---
+const closed = {
+  sessionNumber: 'CD-0001',
+  status: 'CLOSED',
+  countedCash: 8250,
+  expected,
+  variance: -50,
+  onlineReceived: { upi: 1200, card: 0 },
+  expectedOpeningFloat: 2000,
+  openingDifference: 0
+};
+const blind = serializeCashDrawerSession(closed, { withExpected: false });
+assert(blind.countedCash === 8250 && blind.expected === undefined && blind.variance === undefined, 'staff see only their count');
+assert(serializeCashDrawerSession(closed).variance === -50, 'admins see the variance');
+
+// --- Z-report history ---
+const summary = summarizeCashDrawerSessions([
+  closed,
+  { status: 'LOCKED', countedCash: 5020, expected: { expectedCash: 5000 }, variance: 20 },
+  { status: 'OPEN', countedCash: null, expected: null, variance: null }
+]);
+assert(summary.sessions === 2 && summary.unlocked === 1, 'open drawers are not in the history totals');
+assert(summary.shortage === 50 && summary.overage === 20 && summary.netVariance === -30, 'shortage and overage');
+
+console.log('cash drawer tests passed');
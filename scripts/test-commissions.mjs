@@ -0,0 +1,57 @@
+import {
+  commissionForShare,
+  invoiceNetShare,
+  lineAssignees,
+  pickCommissionRule,
+  tierRate
+} from '../services/commissionService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const SVC = 'svc1';
+const CAT = 'cat1';
+const BRANCH = 'br1';
+
+const categoryRule = { _id: 'r1', targetType: 'CATEGORY', categoryId: CAT, rateType: 'PERCENT', rate: 5 };
+const serviceRule = { _id: 'r2', targetType: 'SERVICE', serviceId: SVC, rateType: 'FLAT', rate: 20 };
+const branchCategoryRule = { _id: 'r3', targetType: 'CATEGORY', categoryId: CAT, branchId: BRANCH, rateType: 'PERCENT', rate: 8 };
+const otherBranchRule = { _id: 'r4', targetType: 'SERVICE', serviceId: SVC, branchId: 'br2', rateType: 'FLAT', rate: 99 };
+const anyPackage = { _id: 'r5', targetType: 'PACKAGE', packageTemplateId: null, rateType: 'PERCENT', rate: 2 };
+const goldPackage = { _id: 'r6', targetType: 'PACKAGE', packageTemplateId: 'gold', rateType: 'FLAT', rate: 150 };
+
+// --- rule resolution ---
+let rule = pickCommissionRule([categoryRule, serviceRule], { serviceId: SVC, categoryId: CAT });
+assert(rule._id === 'r2', 'service rule beats category rule');
+rule = pickCommissionRule([categoryRule, branchCategoryRule], { serviceId: 'x', categoryId: CAT, branchId: BRANCH });
+assert(rule._id === 'r3', 'branch rule beats business-wide rule');
+rule = pickCommissionRule([categoryRule, otherBranchRule], { serviceId: SVC, categoryId: CAT, branchId: BRANCH });
+assert(rule._id === 'r1', 'other branch rule ignored');
+assert(pickCommissionRule([categoryRule], { serviceId: 'x', categoryId: 'none' }) === null, 'no matching rule');
+assert(pickCommissionRule([anyPackage, goldPackage], { packageTemplateId: 'gold' })._id === 'r6', 'named package beats any');
+assert(pickCommissionRule([anyPackage, goldPackage], { packageTemplateId: 'silver' })._id === 'r5', 'any package fallback');
+assert(pickCommissionRule([anyPackage], { serviceId: SVC }) === null, 'package rule never pays job lines');
+
+// --- assignees / split ---
+const job = { assignedTo: 'e1', assignedToUsers: ['e1', 'e2'] };
+assert(lineAssignees(job, { assignedToUsers: ['e3'] }).join() === 'e3', 'line assignees win');
+assert(lineAssignees(job, { assignedToUsers: [] }).join() === 'e1,e2', 'job assignees deduped');
+
+// --- tiers ---
+const tiered = { rate: 5, tiers: [{ minVolume: 50, rate: 7 }, { minVolume: 100, rate: 10 }] };
+assert(tierRate(tiered, 10) === 5, 'base rate below first tier');
+assert(tierRate(tiered, 50) === 7, 'first tier at threshold');
+assert(tierRate(tiered, 250) === 10, 'highest tier reached');
+
+// --- amounts ---
+assert(commissionForShare(serviceRule, 20, { amount: 500, quantity: 1.5 }) === 30, 'flat per unit share');
+assert(commissionForShare(categoryRule, 5, { amount: 300, quantity: 1 }) === 15, 'percent of line amount');
+
+// --- refunds reduce the commission base ---
+assert(invoiceNetShare({ finalAmount: 1000, refundedAmount: 0 }) === 1, 'nothing refunded');
+assert(invoiceNetShare({ finalAmount: 1000, refundedAmount: 250 }) === 0.75, 'partial refund keeps the rest');
+assert(invoiceNetShare({ finalAmount: 1000, refundedAmount: 1000 }) === 0, 'full refund earns nothing');
+assert(invoiceNetShare({ finalAmount: 0 }) === 1 && invoiceNetShare(null) === 1, 'free or unbilled job unchanged');
+
+console.log('commission tests passed');
@@ -0,0 +1,81 @@
+import {
+  consumablesForJobLines,
+  normalizeConsumablesRecipe,
+  summarizeCostOfGoodsSold
+} from '../utils/serviceInventory.js';
+import { summarizeConsumablesUsage } from '../utils/jobProductStock.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function throws(fn, pattern, msg) {
+  try {
+    fn();
+  } catch (e) {
+    assert(pattern.test(e.message), `${msg} (got "${e.message}")`);
+    return;
+  }
+  throw new Error(`${msg} (did not throw)`);
+}
+
+const shampoo = { _id: 'shampoo', name: 'Shampoo (ml)', isVariable: true, skipWorkProcess: true, trackInventory: true };
+const cloth = { _id: 'cloth', name: 'Microfiber', isVariable: true, skipWorkProcess: true, trackInventory: true };
+const sedanWash = {
+  _id: 'sedan',
+  name: 'Sedan wash',
+  consumables: [{ serviceId: 'shampoo', quantity: 50 }, { serviceId: 'cloth', quantity: 0.25 }]
+};
+const suvWash = { _id: 'suv', name: 'SUV wash', consumables: [{ serviceId: 'shampoo', quantity: 80 }] };
+const vacuum = { _id: 'vacuum', name: 'Vacuum', consumables: [] };
+
+// --- recipe validation ---
+const recipe = normalizeConsumablesRecipe([{ serviceId: 'shampoo', quantity: '50' }, { serviceId: 'cloth', quantity: 0.2504 }], [shampoo, cloth], sedanWash);
+assert(recipe.length === 2 && recipe[0].quantity === 50 && recipe[1].quantity === 0.25, 'recipe normalized');
+throws(() => normalizeConsumablesRecipe([{ serviceId: 'shampoo', quantity: 0 }], [shampoo], sedanWash), /greater than zero/, 'quantity required');
+throws(() => normalizeConsumablesRecipe([{ serviceId: 'vacuum', quantity: 1 }], [vacuum], sedanWash), /track stock/, 'only tracked products');
+throws(() => normalizeConsumablesRecipe([{ serviceId: 'shampoo', quantity: 1 }, { serviceId: 'shampoo', quantity: 2 }], [shampoo], sedanWash), /more than once/, 'no duplicates');
+throws(() => normalizeConsumablesRecipe([{ serviceId: 'cloth', quantity: 1 }], [cloth], shampoo), /wash services/, 'products have no recipe');
+assert(normalizeConsumablesRecipe([], [], sedanWash).length === 0, 'recipe can be cleared');
+
+// --- consumables for a job ---
+const rows = consumablesForJobLines(
+  [{ serviceId: 'sedan', quantity: 2 }, { serviceId: 'suv' }, { serviceId: 'vacuum' }],
+  [sedanWash, suvWash, vacuum]
+);
+const find = (sid, wash) => rows.find((r) => r.serviceId === sid && String(r.forServiceId) === wash);
+assert(rows.length === 3, 'one row per consumable and wash');
+assert(find('shampoo', 'sedan').quantity === 100 && find('cloth', 'sedan').quantity === 0.5, 'recipe × line quantity');
+assert(find('shampoo', 'suv').quantity === 80, 'second wash');
+
+// --- usage report ---
+const usage = summarizeConsumablesUsage([
+  {
+    services: [{ serviceId: 'sedan', quantity: 2 }],
+    consumablesUsed: [
+      { serviceId: 'shampoo', name: 'Shampoo (ml)', forServiceId: 'sedan', quantity: 100, cost: 40 },
+      { serviceId: 'cloth', name: 'Microfiber', forServiceId: 'sedan', quantity: 0.5, cost: 30 }
+    ]
+  },
+  {
+    services: [{ serviceId: 'sedan' }, { serviceId: 'suv' }],
+    consumablesUsed: [
+      { serviceId: 'shampoo', name: 'Shampoo (ml)', forServiceId: 'sedan', quantity: 50, cost: 20 },
+      { serviceId: 'shampoo', name: 'Shampoo (ml)', forServiceId: 'suv', quantity: 60, shortQuantity: 20, cost: 24 }
+    ]
+  }
+], new Map([['sedan', 'Sedan wash'], ['suv', 'SUV wash']]));
+const sedan = usage.services.find((s) => s.serviceId === 'sedan');
+const shampooUse = usage.consumables.find((c) => c.serviceId === 'shampoo');
+assert(sedan.washes === 3 && sedan.cost === 90 && sedan.costPerWash === 30, 'cost per wash');
+assert(shampooUse.quantity === 210 && shampooUse.shortQuantity === 20 && shampooUse.cost === 84, 'consumable totals');
+assert(usage.totalCost === 114, 'total consumable cost');
+
+// --- consumables are cost of sales ---
+const cogs = summarizeCostOfGoodsSold([
+  { serviceId: 'shampoo', type: 'CONSUMPTION', quantity: -100, unitCost: 0.4 },
+  { serviceId: 'wax', type: 'SALE', quantity: -1, unitCost: 60 }
+]);
+assert(cogs.total === 100, 'consumption counted in COGS');
+
+console.log('consumables tests passed');
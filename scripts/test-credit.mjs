@@ -22,6 +22,7 @@ import {
 import { applyCreditCloseToInvoice } from '../services/credit/creditInvoiceService.js';
 import { normalizeInvoicePaymentFields } from '../utils/invoicePayment.js';
 import { collectionCashOnline, creditCheckoutCashOnline } from '../utils/paymentChannelAmounts.js';
+import { buildRefundLines, isInvoiceClosedForRefund, splitRefundSettlement } from '../utils/invoiceRefund.js';
 
 function assert(cond, msg) {
   if (!cond) throw new Error(msg);
@@ -247,4 +248,46 @@ const creditCheckout = creditCheckoutCashOnline({
 });
 assert(creditCheckout.cash === 100 && creditCheckout.online === 50, 'credit checkout split');
 
+// --- refunds / credit notes ---
+const refundInv = mockInvoice({
+  finalAmount: 900,
+  items: [
+    { serviceName: 'Wash', servicePrice: 600, quantity: 1 },
+    { serviceName: 'Shampoo', servicePrice: 200, quantity: 2 }
+  ]
+});
+let refundLines = buildRefundLines(refundInv, [{ lineIndex: 1, quantity: 1 }]);
+assert(refundLines.length === 1 && refundLines[0].amount === 180, 'line refund apportions discount/GST');
+refundLines = buildRefundLines(refundInv, [], {
+  full: true,
+  priorCreditNotes: [{ items: [{ lineIndex: 1, quantity: 1 }] }]
+});
+assert(refundLines.length === 2 && refundLines[1].quantity === 1, 'full refund skips already credited quantity');
+threw = false;
+try {
+  buildRefundLines(refundInv, [{ lineIndex: 1, quantity: 2 }], {
+    priorCreditNotes: [{ items: [{ lineIndex: 1, quantity: 1 }] }]
+  });
+} catch {
+  threw = true;
+}
+assert(threw, 'cannot refund more than remaining quantity');
+
+let split = splitRefundSettlement(300, 200);
+assert(split.adjusted === 200 && split.paidOut === 100, 'refund writes down outstanding first');
+split = splitRefundSettlement(300, 0);
+assert(split.adjusted === 0 && split.paidOut === 300, 'paid invoice refund is paid out');
+
+assert(isInvoiceClosedForRefund({ paymentStatus: 'RECEIVED' }), 'paid invoice refundable');
+assert(!isInvoiceClosedForRefund({ paymentStatus: 'PENDING', settlementMode: 'FULL' }), 'open invoice not refundable');
+
+const adjustedInv = mockInvoice({
+  finalAmount: 1000,
+  settlementMode: 'CREDIT',
+  saleConfirmedAt: new Date(),
+  paymentCashAmount: 400,
+  refundAdjustedAmount: 250
+});
+assert(computeOutstanding(adjustedInv) === 350, 'credit note adjustment reduces outstanding');
+
 console.log('credit module tests passed');
@@ -0,0 +1,147 @@
+import { applyComputedGstAmount } from '../utils/invoiceGst.js';
+import {
+  buildGstDocuments,
+  buildGstr1,
+  buildGstr3b,
+  creditNoteTaxRows,
+  gstr1PortalJson,
+  gstr1SectionCsv,
+  gstr3bPortalJson,
+  gstr3bCsv,
+  invoiceSupplyDate,
+  invoiceTaxRows,
+  parseGstReturnPeriod
+} from '../utils/gstReturns.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const KA = '29ABCDE1234F1Z5';
+const KA_CUSTOMER = '29PQRST6789K1Z2';
+const MH_CUSTOMER = '27PQRST6789K1Z2';
+const tz = 'Asia/Kolkata';
+
+function invoice(id, over = {}) {
+  const inv = {
+    _id: id,
+    invoiceNumber: `INV-${id}`,
+    companyGst: KA,
+    taxPercentage: 18,
+    discount: 0,
+    discountType: 'PERCENT',
+    paymentStatus: 'RECEIVED',
+    paymentReceivedAt: new Date('2026-09-10T06:00:00Z'),
+    items: [
+      { serviceName: 'Foam wash', servicePrice: 1000, quantity: 1, hsnSac: '998729', taxRate: null },
+      { serviceName: 'Seat cover', servicePrice: 250, quantity: 2, hsnSac: '8708', taxRate: 28 }
+    ],
+    subtotal: 1500,
+    ...over
+  };
+  applyComputedGstAmount(inv);
+  return inv;
+}
+
+// --- period ---
+const period = parseGstReturnPeriod('2026-09', tz);
+assert(period.fp === '092026', 'portal return period');
+assert(period.startUtc.toISOString() === '2026-08-31T18:30:00.000Z', 'month starts at local midnight');
+let bad = null;
+try { parseGstReturnPeriod('Sept', tz); } catch (e) { bad = e; }
+assert(bad?.status === 400, 'bad month rejected');
+
+// --- supply date ---
+const credit = { settlementMode: 'CREDIT', saleConfirmedAt: new Date('2026-09-05'), paymentStatus: 'RECEIVED', paymentReceivedAt: new Date('2026-10-02') };
+assert(invoiceSupplyDate(credit).toISOString().startsWith('2026-09-05'), 'credit sale dated at confirmation');
+assert(invoiceSupplyDate({ paymentStatus: 'PENDING' }) === null, 'open invoices are not supplies');
+
+// --- rows from stored and legacy invoices ---
+const b2c = invoice('1');
+const rows = invoiceTaxRows(b2c);
+assert(rows.length === 2 && rows[1].rate === 28 && rows[1].cgstAmount === 70, 'stored line tax used');
+const legacy = { companyGst: KA, taxPercentage: 18, subtotal: 500, gstAmount: 90, items: [{ serviceName: 'Wash', servicePrice: 500, quantity: 1 }] };
+const legacyRows = invoiceTaxRows(legacy);
+assert(legacyRows[0].rate === 18 && legacyRows[0].cgstAmount === 45 && legacyRows[0].taxableValue === 500, 'legacy invoice re-derived');
+const noLines = invoiceTaxRows({ companyGst: KA, taxPercentage: 18, subtotal: 500, gstAmount: 90, items: [] });
+assert(noLines.length === 1 && noLines[0].sgstAmount === 45, 'invoice without lines → one row');
+
+// --- credit notes ---
+const b2b = invoice('2', { customerGst: KA_CUSTOMER, customerName: 'Fleet Co' });
+const inter = invoice('3', { customerGst: MH_CUSTOMER, customerName: 'MH Fleet' });
+const note = { _id: 'n1', creditNoteNumber: 'CN-0001', invoiceId: '3', amount: 640, gstAmount: 140, refundDate: new Date('2026-09-20'), items: [{ lineIndex: 1, quantity: 2, amount: 640 }] };
+const noteRows = creditNoteTaxRows(note, inter);
+assert(noteRows.length === 1 && noteRows[0].rate === 28, 'note sits on the credited line');
+assert(noteRows[0].igstAmount === 140 && noteRows[0].taxableValue === 500, 'inter-state note → IGST');
+
+const b2cNote = { _id: 'n2', creditNoteNumber: 'CN-0002', invoiceId: '1', amount: 182, gstAmount: 32, refundDate: new Date('2026-09-21'), items: [] };
+const proRata = creditNoteTaxRows(b2cNote, b2c);
+assert(proRata.reduce((s, r) => s + r.cgstAmount + r.sgstAmount, 0) === 32, 'pro-rata note keeps its GST total');
+
+// --- GSTR-1 ---
+const exempt = invoice('4', { items: [{ serviceName: 'Exempt', servicePrice: 300, quantity: 1, taxRate: 0, hsnSac: '9987' }], subtotal: 300 });
+const docs = buildGstDocuments({
+  invoices: [b2c, b2b, inter, exempt],
+  creditNotes: [note, b2cNote, { invoiceId: 'missing', amount: 1 }],
+  invoicesById: new Map([['1', b2c], ['3', inter]])
+});
+assert(docs.length === 6, 'credit notes without a loaded invoice are skipped');
+const gstr1 = buildGstr1(docs);
+assert(gstr1.b2b.length === 2 && gstr1.b2b[0].items.length === 2, 'B2B invoices by rate');
+assert(gstr1.b2b.find((d) => d.ctin === MH_CUSTOMER).items[0].igstAmount === 180, 'B2B inter-state IGST');
+assert(gstr1.cdnr.length === 1 && gstr1.cdnr[0].invoiceNumber === 'INV-3', 'credit note to registered customer');
+const b2cs18 = gstr1.b2cs.find((r) => r.rate === 18);
+assert(b2cs18.placeOfSupply === '29' && b2cs18.supplyType === 'INTRA', 'B2C summary by place of supply');
+assert(b2cs18.taxableValue === 1000 - proRata.find((r) => r.rate === 18).taxableValue, 'B2C net of its credit notes');
+assert(gstr1.nil.INTRAB2C === 300, 'zero-rated line is nil rated');
+const hsn8708 = gstr1.hsn.find((h) => h.hsnSac === '8708');
+assert(hsn8708.uqc === 'NOS' && hsn8708.qty === 4, 'HSN quantity net of returned units');
+assert(gstr1.hsn.find((h) => h.hsnSac === '998729').uqc === 'NA', 'services have no unit');
+
+// --- GSTR-3B ---
+const gstr3b = buildGstr3b(docs);
+const total = (k) => gstr1.hsn.filter((h) => h.rate > 0).reduce((s, h) => s + h[k], 0);
+assert(Math.abs(gstr3b.outwardTaxable.taxableValue - total('taxableValue')) < 0.001, '3B taxable matches HSN summary');
+assert(gstr3b.outwardTaxable.igstAmount === 320 - 140, '3B IGST net of credit note');
+assert(gstr3b.outwardNilExempt.taxableValue === 300, '3B nil rated');
+
+// --- portal JSON / CSV ---
+const portal = gstr1PortalJson(gstr1, { gstin: KA, fp: '092026', timezone: tz });
+assert(portal.b2b.length === 2 && portal.b2b[0].inv[0].idt === '10-09-2026', 'portal B2B grouped by customer GSTIN');
+assert(portal.cdnr[0].nt[0].ntty === 'C' && portal.hsn.data.length === gstr1.hsn.length, 'portal notes and HSN');
+const portal3b = gstr3bPortalJson(gstr3b, { gstin: KA, fp: '092026' });
+assert(portal3b.ret_period === '092026' && portal3b.sup_details.osup_det.iamt === 180, 'portal 3B');
+const csv = gstr1SectionCsv(gstr1, 'b2b', { timezone: tz });
+assert(csv.split('\r\n')[0].startsWith('GSTIN/UIN of Recipient,Receiver Name'), 'offline-tool headings');
+assert(csv.includes('27-Maharashtra'), 'place of supply labelled');
+assert(gstr3bCsv(gstr3b).split('\r\n').length === 7, '3B rows');
+
+// --- B2CL: large inter-state invoices to unregistered customers ---
+const large = (id, servicePrice, over = {}) => invoice(id, {
+  customerState: '27',
+  items: [{ serviceName: 'Ceramic coat', servicePrice, quantity: 1, hsnSac: '998729', taxRate: null }],
+  subtotal: servicePrice,
+  ...over
+});
+const big = large('10', 90000);
+const small = large('11', 80000);
+const old = large('12', 150000, { paymentReceivedAt: new Date('2024-06-10T06:00:00Z') });
+const bigNote = { _id: 'n3', creditNoteNumber: 'CN-0003', invoiceId: '10', amount: 11800, gstAmount: 1800, refundDate: new Date('2026-09-22'), items: [] };
+const b2clDocs = buildGstDocuments({ invoices: [big, small, old], creditNotes: [bigNote], invoicesById: new Map([['10', big]]) });
+const b2clReturn = buildGstr1(b2clDocs);
+assert(b2clReturn.b2cl.length === 1 && b2clReturn.b2cl[0].number === 'INV-10', 'inter-state B2C invoice above ₹1 lakh is B2CL');
+assert(b2clReturn.b2cl[0].value === 106200 && b2clReturn.b2cl[0].items[0].igstAmount === 16200, 'B2CL invoice value and IGST');
+assert(b2clReturn.b2cs.length === 1 && b2clReturn.b2cs[0].taxableValue === 230000, 'smaller and pre-August-2024 invoices stay in B2CS');
+assert(b2clReturn.cdnur.length === 1 && b2clReturn.cdnur[0].invoiceNumber === 'INV-10', 'note on a B2CL invoice is CDNUR');
+assert(b2clReturn.totals.b2cl.taxableValue === 90000 && b2clReturn.totals.cdnur.taxableValue === 10000, 'B2CL / CDNUR totals');
+const b2clPortal = gstr1PortalJson(b2clReturn, { gstin: KA, fp: '092026', timezone: tz });
+assert(b2clPortal.b2cl[0].pos === '27' && b2clPortal.b2cl[0].inv[0].val === 106200, 'portal B2CL grouped by place of supply');
+assert(b2clPortal.cdnur[0].typ === 'B2CL' && b2clPortal.cdnur[0].nt_num === 'CN-0003', 'portal CDNUR');
+assert(gstr1SectionCsv(b2clReturn, 'b2cl', { timezone: tz }).includes('INV-10,10-Sep-2026,106200,27-Maharashtra'), 'B2CL CSV');
+assert(gstr1SectionCsv(b2clReturn, 'cdnur', { timezone: tz }).includes('B2CL,CN-0003'), 'CDNUR CSV');
+
+let badSection = null;
+try { gstr1SectionCsv(gstr1, 'exp', { timezone: tz }); } catch (e) { badSection = e; }
+assert(badSection?.status === 400, 'unknown section rejected');
+
+console.log('GST returns tests passed');
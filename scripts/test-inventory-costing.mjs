@@ -0,0 +1,39 @@
+import {
+  weightedAverageCost,
+  productUnitCost,
+  summarizeCostOfGoodsSold
+} from '../utils/serviceInventory.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- moving weighted average ---
+assert(weightedAverageCost({ stock: 0, averageCost: null, quantity: 10, unitCost: 50 }) === 50, 'first receipt sets cost');
+assert(weightedAverageCost({ stock: 10, averageCost: 50, quantity: 10, unitCost: 70 }) === 60, 'equal lots average');
+assert(weightedAverageCost({ stock: 4, averageCost: 100, quantity: 2, unitCost: 130 }) === 110, 'weighted by quantity');
+assert(weightedAverageCost({ stock: 5, averageCost: null, quantity: 5, unitCost: 40 }) === 40, 'uncosted stock takes new cost');
+assert(weightedAverageCost({ stock: 0, averageCost: 90, quantity: 3, unitCost: 30 }) === 30, 'empty stock restarts at new cost');
+assert(weightedAverageCost({ stock: 3, averageCost: 10, quantity: 3, unitCost: 10.01 }) === 10.01, 'rounded to paise');
+
+// --- cost used when stock leaves ---
+assert(productUnitCost({ averageCost: 12, lastPurchaseCost: 15 }) === 12, 'average cost preferred');
+assert(productUnitCost({ averageCost: null, lastPurchaseCost: 15 }) === 15, 'falls back to last purchase cost');
+assert(productUnitCost({}) === null, 'unknown cost');
+
+// --- COGS from the stock ledger ---
+const cogs = summarizeCostOfGoodsSold([
+  { serviceId: 'wax', serviceName: 'Wax', type: 'SALE', quantity: -3, unitCost: 60 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'DELIVERY', quantity: -1, unitCost: 62 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'RESTORE', quantity: 1, unitCost: 60 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'PURCHASE_RECEIPT', quantity: 10, unitCost: 70 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'STOCKTAKE', quantity: -2, unitCost: 60 },
+  { serviceId: 'foam', serviceName: 'Foam', type: 'SALE', quantity: -2, unitCost: null }
+]);
+const wax = cogs.products.find((p) => p.serviceId === 'wax');
+const foam = cogs.products.find((p) => p.serviceId === 'foam');
+assert(wax.quantity === 3 && wax.cost === 182, 'sales less restores, receipts and stocktakes ignored');
+assert(foam.quantity === 2 && foam.cost === 0 && foam.uncostedQuantity === 2, 'uncosted sales kept apart');
+assert(cogs.total === 182, 'total COGS');
+
+console.log('inventory costing tests passed');
@@ -0,0 +1,129 @@
+import {
+  computeInvoiceTaxLines,
+  computeInvoiceGstAmount,
+  applyComputedGstAmount,
+  applyGstAmountOverride,
+  refreshGstSplit,
+  gstChargedOnTop,
+  gstinStateCode,
+  isValidHsnSac,
+  resolveSupplyType,
+  splitGst
+} from '../utils/invoiceGst.js';
+import { recalculateInvoiceFinalAmount } from '../utils/jobServiceLines.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const KA = '29ABCDE1234F1Z5';
+const KA_CUSTOMER = '29PQRST6789K1Z2';
+const MH_CUSTOMER = '27PQRST6789K1Z2';
+
+const invoice = (over = {}) => ({
+  companyGst: KA,
+  taxPercentage: 18,
+  subtotal: 1500,
+  discount: 0,
+  discountType: 'PERCENT',
+  items: [
+    { serviceName: 'Foam wash', servicePrice: 1000, quantity: 1, hsnSac: '998729', taxRate: null },
+    { serviceName: 'Seat cover', servicePrice: 250, quantity: 2, hsnSac: '8708', taxRate: 28 }
+  ],
+  ...over
+});
+
+// --- codes ---
+assert(gstinStateCode(KA) === '29', 'state code from GSTIN');
+assert(gstinStateCode(' 27pqrst6789k1z2 ') === '27', 'lower case / padded GSTIN');
+assert(gstinStateCode('29ABC') === null, 'short GSTIN has no state');
+assert(isValidHsnSac('') && isValidHsnSac('9987 29') && isValidHsnSac('8708'), 'blank, spaced and 4-digit codes');
+assert(!isValidHsnSac('12') && !isValidHsnSac('ABCD12'), 'bad codes rejected');
+
+// --- place of supply ---
+assert(resolveSupplyType({ companyGst: KA }).supplyType === 'INTRA', 'unregistered customer → supplier state');
+assert(resolveSupplyType({ companyGst: KA, customerGst: KA_CUSTOMER }).placeOfSupply === '29', 'same-state customer');
+const inter = resolveSupplyType({ companyGst: KA, customerGst: MH_CUSTOMER });
+assert(inter.supplyType === 'INTER' && inter.placeOfSupply === '27', 'other-state customer → IGST');
+const unregInter = resolveSupplyType({ companyGst: KA, customerState: '27' });
+assert(unregInter.supplyType === 'INTER' && unregInter.placeOfSupply === '27', 'unregistered customer in another state → IGST');
+assert(resolveSupplyType({ companyGst: KA, customerGst: KA_CUSTOMER, customerState: '27' }).placeOfSupply === '29', 'GSTIN state wins');
+
+const half = splitGst(10.01, 'INTRA');
+assert(half.cgstAmount + half.sgstAmount === 10.01 && half.igstAmount === 0, 'odd paisa split stays whole');
+assert(splitGst(90, 'INTER').igstAmount === 90, 'IGST carries the whole tax');
+
+// --- mixed rates ---
+const mixed = computeInvoiceTaxLines(invoice());
+assert(mixed.items[0].gstRate === 18 && mixed.items[0].gstAmount === 180, 'service falls back to business 18%');
+assert(mixed.items[1].gstRate === 28 && mixed.items[1].gstAmount === 140, 'accessory taxed at its own 28%');
+assert(mixed.gstAmount === 320 && mixed.taxableValue === 1500, 'totals');
+assert(mixed.cgstAmount === 160 && mixed.sgstAmount === 160 && mixed.igstAmount === 0, 'intra-state split');
+
+const interMixed = computeInvoiceTaxLines(invoice({ customerGst: MH_CUSTOMER }));
+assert(interMixed.igstAmount === 320 && interMixed.cgstAmount === 0, 'inter-state → IGST');
+assert(interMixed.supplyType === 'INTER' && interMixed.placeOfSupply === '27', 'supply type recorded');
+
+// --- discount spread over lines ---
+const discounted = computeInvoiceTaxLines(invoice({ discount: 10 }));
+assert(discounted.items[0].taxableValue === 900 && discounted.items[1].taxableValue === 450, 'discount pro-rata');
+assert(discounted.gstAmount === 162 + 126, 'tax on discounted lines');
+
+const amountOff = computeInvoiceTaxLines(invoice({ subtotal: 300, discountType: 'AMOUNT', discountAmount: 100, items: [
+  { serviceName: 'A', servicePrice: 100, quantity: 1 },
+  { serviceName: 'B', servicePrice: 100, quantity: 1 },
+  { serviceName: 'C', servicePrice: 100, quantity: 1 }
+] }));
+assert(amountOff.taxableValue === 200, 'rounded shares add back to the discounted total');
+
+// --- tax-inclusive prices ---
+const inclusive = computeInvoiceTaxLines(invoice({ pricesIncludeTax: true, subtotal: 1180, items: [
+  { serviceName: 'Foam wash', servicePrice: 1180, quantity: 1 }
+] }));
+assert(inclusive.gstAmount === 180 && inclusive.taxableValue === 1000, 'GST carved out of an inclusive price');
+const inclusiveDoc = invoice({ pricesIncludeTax: true, subtotal: 1180, items: [
+  { serviceName: 'Foam wash', servicePrice: 1180, quantity: 1 }
+] });
+applyComputedGstAmount(inclusiveDoc);
+assert(gstChargedOnTop(inclusiveDoc) === 0, 'inclusive GST is not added again');
+assert(recalculateInvoiceFinalAmount(inclusiveDoc) === 1180, 'inclusive bill = price');
+
+// --- legacy parity ---
+const legacy = { companyGst: KA, taxPercentage: 18, subtotal: 333.33, discount: 7, items: [
+  { serviceName: 'A', servicePrice: 111.11, quantity: 1 },
+  { serviceName: 'B', servicePrice: 111.11, quantity: 1 },
+  { serviceName: 'C', servicePrice: 111.11, quantity: 1 }
+] };
+assert(computeInvoiceGstAmount(legacy) === 55.8, 'single rate matches whole-bill rounding');
+assert(computeInvoiceGstAmount({ ...legacy, items: [] }) === 55.8, 'no lines → whole-bill GST');
+assert(computeInvoiceGstAmount({ ...legacy, companyGst: '' }) === 0, 'no GSTIN → no GST');
+const exempt = invoice({ items: [{ serviceName: 'Exempt', servicePrice: 1500, quantity: 1, taxRate: 0 }] });
+assert(computeInvoiceGstAmount(exempt) === 0, 'explicit 0% is not the default rate');
+
+// --- writing onto the invoice ---
+const doc = invoice();
+applyComputedGstAmount(doc);
+recalculateInvoiceFinalAmount(doc);
+assert(doc.gstAmount === 320 && doc.finalAmount === 1820, 'exclusive bill = taxable + GST');
+assert(doc.items[1].igstAmount === 0 && doc.items[1].cgstAmount === 70, 'line split written');
+
+applyGstAmountOverride(doc, 100);
+assert(doc.gstAmount === 100 && doc.items[0].gstAmount + doc.items[1].gstAmount === 100, 'manual GST spread over lines');
+
+doc.customerGst = MH_CUSTOMER;
+refreshGstSplit(doc);
+assert(doc.gstAmount === 100 && doc.igstAmount === 100 && doc.supplyType === 'INTER', 'GSTIN edit re-splits, total unchanged');
+
+// --- manual GST override is validated ---
+const overrideStatus = (inv, value) => {
+  try { computeInvoiceTaxLines(inv, { gstAmountOverride: value }); } catch (e) { return e.status; }
+  return 200;
+};
+const inclusiveBill = invoice({ pricesIncludeTax: true, subtotal: 1180, items: [
+  { serviceName: 'Wash', servicePrice: 1180, quantity: 1, taxRate: 18 }
+] });
+assert(overrideStatus(inclusiveBill, 180) === 200, 'inclusive override within the line');
+assert(overrideStatus(inclusiveBill, 1500) === 400, 'inclusive override above the line amount rejected');
+assert(overrideStatus(invoice(), -5) === 400 && overrideStatus(invoice(), 'abc') === 400, 'negative / non-numeric override rejected');
+
+console.log('invoice GST tests passed');
@@ -0,0 +1,43 @@
+import { accruedDays, daysByYear, summarizeBalance } from '../services/leaveService.js';
+import { computePayrollLine } from '../services/payrollService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const casual = { _id: 't1', code: 'CASUAL', name: 'Casual leave', isPaid: true, annualAllowance: 12, accrual: 'MONTHLY' };
+const sick = { _id: 't2', code: 'SICK', name: 'Sick leave', isPaid: true, annualAllowance: 6, accrual: 'YEARLY' };
+const unpaid = { _id: 't3', code: 'UNPAID', name: 'Unpaid leave', isPaid: false, annualAllowance: null };
+
+// --- accrual ---
+assert(accruedDays(sick, 2026, '2026-03-10') === 6, 'yearly allowance up front');
+assert(accruedDays(casual, 2026, '2026-03-10') === 3, 'monthly: 3 of 12 by March');
+assert(accruedDays({ ...casual, annualAllowance: 7 }, 2026, '2026-01-15') === 0.5, 'monthly rounds down to half days');
+assert(accruedDays(casual, 2025, '2026-03-10') === 12, 'past year fully accrued');
+assert(accruedDays(casual, 2027, '2026-03-10') === 0, 'future year not accrued');
+assert(accruedDays(unpaid, 2026, '2026-03-10') === null, 'unlimited type');
+
+// --- balance ---
+let b = summarizeBalance(casual, { carriedForward: 2, adjustment: 1, used: 4 }, 2026, '2026-06-01');
+assert(b.accrued === 6 && b.available === 5, `available = carry + accrued + adjustment − used (got ${b.available})`);
+b = summarizeBalance(unpaid, { used: 10 }, 2026, '2026-06-01');
+assert(b.available === null && b.used === 10, 'unlimited balance stays null');
+
+// --- year split ---
+const split = daysByYear(['2025-12-30', '2025-12-31', '2026-01-01']);
+assert(split.get(2025) === 2 && split.get(2026) === 1, 'days split across years');
+
+// --- payroll uses approved leave pay flags ---
+const calendar = [
+  { date: '2026-06-01', status: 'PRESENT', hours: 8 },
+  { date: '2026-06-02', status: 'LEAVE', leavePaid: true },
+  { date: '2026-06-03', status: 'LEAVE', leavePaid: false },
+  { date: '2026-06-04', status: 'LEAVE', leavePaid: null }
+];
+let line = computePayrollLine({ payType: 'DAILY', rate: 1000, paidLeaveDaysPerMonth: 0 }, calendar);
+assert(line.paidLeaveDays === 1 && line.unpaidLeaveDays === 2, 'approved paid leave is paid, others unpaid');
+assert(line.basePay === 2000, 'daily pay for present + approved paid leave');
+line = computePayrollLine({ payType: 'DAILY', rate: 1000, paidLeaveDaysPerMonth: 5 }, calendar);
+assert(line.paidLeaveDays === 2, 'allowance covers plain absences but not approved unpaid leave');
+
+console.log('leave tests passed');
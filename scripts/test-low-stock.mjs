@@ -0,0 +1,28 @@
+import { crossedLowStock, reorderQuantity } from '../services/lowStockService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- threshold crossing (alert once, on the way down) ---
+assert(crossedLowStock({ before: 6, after: 5, threshold: 5 }), 'reaching the threshold alerts');
+assert(crossedLowStock({ before: 12, after: 0, threshold: 5 }), 'dropping past the threshold alerts');
+assert(!crossedLowStock({ before: 5, after: 4, threshold: 5 }), 'already low does not alert again');
+assert(!crossedLowStock({ before: 9, after: 6, threshold: 5 }), 'still above threshold');
+assert(crossedLowStock({ before: 1, after: 0, threshold: 0 }), 'zero threshold alerts when out of stock');
+
+// --- reorder quantities ---
+let plan = reorderQuantity({ consumed: 60, windowDays: 30, stock: 10, threshold: 5, coverDays: 30 });
+assert(plan.dailyUsage === 2 && plan.daysOfStockLeft === 5, 'usage rate');
+assert(plan.suggestedQuantity === 55, 'cover 30 days plus threshold, less stock');
+
+plan = reorderQuantity({ consumed: 60, windowDays: 30, stock: 10, threshold: 5, onOrder: 40, coverDays: 30 });
+assert(plan.suggestedQuantity === 15, 'open purchase orders count as on order');
+
+plan = reorderQuantity({ consumed: 45, windowDays: 90, stock: 100, threshold: 5, coverDays: 30 });
+assert(plan.suggestedQuantity === 0, 'enough stock');
+
+plan = reorderQuantity({ consumed: 0, windowDays: 30, stock: 2, threshold: 5 });
+assert(plan.daysOfStockLeft === null && plan.suggestedQuantity === 3, 'no usage tops up to threshold');
+
+console.log('low stock tests passed');
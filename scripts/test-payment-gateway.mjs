@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import {
+  parseGatewayWebhook,
+  signPayment,
+  toMinorUnits,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+} from '../services/payments/razorpayProvider.js';
+import { createMockGatewayProvider } from '../services/payments/mockGatewayProvider.js';
+import {
+  gatewayMethodToOnlineMode,
+  resolvePaymentGatewayName
+} from '../services/payments/paymentGatewayProvider.js';
+import {
+  bookingDepositDue,
+  invoicePayableAmount,
+  isPaymentLinkExpired,
+  serializePublicPaymentLink
+} from '../services/payments/paymentLinkService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- checkout signatures (Razorpay scheme: HMAC-SHA256 of "order|payment") ---
+const expected = crypto.createHmac('sha256', 'sec').update('order_1|pay_1').digest('hex');
+assert(signPayment('sec', 'order_1', 'pay_1') === expected, 'signature matches Razorpay scheme');
+assert(verifyPaymentSignature('sec', { orderId: 'order_1', paymentId: 'pay_1', signature: expected }), 'valid signature');
+assert(!verifyPaymentSignature('sec', { orderId: 'order_2', paymentId: 'pay_1', signature: expected }), 'other order rejected');
+assert(!verifyPaymentSignature('other', { orderId: 'order_1', paymentId: 'pay_1', signature: expected }), 'wrong secret rejected');
+assert(!verifyPaymentSignature('sec', { orderId: 'order_1', paymentId: 'pay_1', signature: 'zz' }), 'garbage rejected');
+assert(!verifyPaymentSignature('', { orderId: 'order_1', paymentId: 'pay_1', signature: expected }), 'no secret rejects');
+
+// --- webhook ---
+const webhook = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_9', order_id: 'order_9', method: 'card', amount: 49950 } } }
+};
+const raw = Buffer.from(JSON.stringify(webhook));
+const hookSig = crypto.createHmac('sha256', 'whsec').update(raw).digest('hex');
+assert(verifyWebhookSignature('whsec', raw, hookSig), 'webhook signature over raw body');
+assert(!verifyWebhookSignature('whsec', Buffer.from(`${raw} `), hookSig), 'tampered body rejected');
+const event = parseGatewayWebhook(webhook);
+assert(event.orderId === 'order_9' && event.paymentId === 'pay_9', 'webhook ids');
+assert(event.amount === 499.5 && event.status === 'PAID', 'webhook amount in rupees');
+assert(parseGatewayWebhook({ ...webhook, event: 'payment.failed' }).status === 'FAILED', 'failed event');
+assert(parseGatewayWebhook({ ...webhook, event: 'refund.created' }) === null, 'unrelated event ignored');
+assert(toMinorUnits(499.5) === 49950 && toMinorUnits(0.1 + 0.2) === 30, 'minor units round');
+
+// --- mock gateway round trip ---
+const mock = createMockGatewayProvider({ secret: 'mock_sec' });
+const order = await mock.createOrder({ amount: 250, currency: 'INR' });
+assert(order.orderId.startsWith('order_mock_'), 'mock order id');
+const paid = mock.simulatePayment({ orderId: order.orderId, method: 'card' });
+assert(mock.verifyPayment(paid), 'mock payment verifies');
+assert(!mock.verifyPayment({ ...paid, paymentId: 'pay_forged' }), 'forged payment rejected');
+assert(mock.checkoutOptions({ orderId: order.orderId, amount: 250, currency: 'INR' }).amount === 25000, 'checkout in paise');
+
+// --- provider selection ---
+const savedEnv = { ...process.env };
+delete process.env.PAYMENT_GATEWAY_PROVIDER;
+delete process.env.RAZORPAY_KEY_ID;
+delete process.env.RAZORPAY_KEY_SECRET;
+assert(resolvePaymentGatewayName() === null, 'no credentials → online payment off (mock never implicit)');
+process.env.RAZORPAY_KEY_ID = 'rzp_test';
+process.env.RAZORPAY_KEY_SECRET = 'secret';
+assert(resolvePaymentGatewayName() === 'razorpay', 'credentials → razorpay');
+process.env.PAYMENT_GATEWAY_PROVIDER = 'mock';
+assert(resolvePaymentGatewayName() === 'mock', 'explicit mock');
+process.env = savedEnv;
+assert(gatewayMethodToOnlineMode('card') === 'CARD' && gatewayMethodToOnlineMode('netbanking') === 'UPI', 'method mapping');
+
+// --- payable amounts ---
+assert(invoicePayableAmount({ finalAmount: 1000, advancePayment: 300, paymentStatus: 'PENDING' }) === 700, 'balance after advance');
+assert(invoicePayableAmount({ finalAmount: 1000, advancePayment: 300, paymentStatus: 'RECEIVED' }) === 0, 'settled invoice owes nothing');
+assert(invoicePayableAmount({
+  finalAmount: 1000,
+  settlementMode: 'CREDIT',
+  saleConfirmedAt: new Date(),
+  paymentCashAmount: 200,
+  amountCollectedLater: 100,
+  paymentStatus: 'PENDING'
+}) === 700, 'credit invoice pays outstanding');
+assert(bookingDepositDue({ depositAmount: 500, depositPaidAmount: 200 }) === 300, 'deposit remainder');
+assert(bookingDepositDue({ depositAmount: 500, depositPaidAmount: 600 }) === 0, 'overpaid deposit owes nothing');
+
+// --- link expiry & public shape ---
+const past = new Date(Date.now() - 1000);
+assert(isPaymentLinkExpired({ status: 'CREATED', expiresAt: past }), 'lapsed link expires');
+assert(!isPaymentLinkExpired({ status: 'PAID', expiresAt: past }), 'paid link never expires');
+const view = serializePublicPaymentLink({
+  token: 't', purpose: 'INVOICE', amount: 10, currency: 'INR', status: 'CREATED', expiresAt: past,
+  providerPaymentId: 'pay_x', settlementError: 'x'
+});
+assert(view.status === 'EXPIRED' && !('providerPaymentId' in view) && !('settlementError' in view), 'public view');
+
+console.log('payment gateway tests passed');
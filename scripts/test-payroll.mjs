@@ -0,0 +1,83 @@
+import {
+  applyPayrollAdjustments,
+  computePayrollLine,
+  monthsInRange,
+  workedHoursForDay
+} from '../services/payrollService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function near(a, b, msg) {
+  assert(Math.abs(a - b) < 0.011, `${msg} (got ${a}, expected ${b})`);
+}
+
+function calendar(statuses, hours = 8) {
+  return statuses.split('').map((c, i) => ({
+    date: `2026-06-${String(i + 1).padStart(2, '0')}`,
+    status: c === 'P' ? 'PRESENT' : c === 'O' ? 'OFF' : 'LEAVE',
+    hours: c === 'P' ? hours : 0
+  }));
+}
+
+// --- hours from sessions / breaks ---
+const at = (h, m = 0) => new Date(Date.UTC(2026, 5, 1, h, m));
+near(workedHoursForDay({
+  sessions: [{ punchInAt: at(9), punchOutAt: at(13) }, { punchInAt: at(14), punchOutAt: at(19) }, { punchInAt: at(20), punchOutAt: null }],
+  breaks: [{ startAt: at(11), endAt: at(11, 30) }, { startAt: at(20, 30), endAt: null }]
+}), 8.5, 'closed sessions minus closed breaks');
+near(workedHoursForDay(null), 0, 'no attendance → 0 hours');
+
+// --- months ---
+near(monthsInRange('2026-06-01', '2026-06-30'), 1, 'full June = 1 month');
+near(monthsInRange('2026-06-01', '2026-06-15'), 0.5, 'half June');
+near(monthsInRange('2026-01-01', '2026-02-28'), 2, 'Jan + Feb');
+
+// --- monthly: full attendance pays the rate ---
+const june = calendar('P'.repeat(30));
+let line = computePayrollLine({ payType: 'MONTHLY', rate: 30000 }, june);
+near(line.basePay, 30000, 'monthly full month');
+near(line.overtimePay, 0, 'no overtime at standard hours');
+
+// monthly: 3 leave days, 1 paid → 2 unpaid days deducted
+const withLeave = calendar('PPPLLL' + 'P'.repeat(24));
+line = computePayrollLine({ payType: 'MONTHLY', rate: 30000, paidLeaveDaysPerMonth: 1 }, withLeave);
+assert(line.leaveDays === 3 && line.paidLeaveDays === 1 && line.unpaidLeaveDays === 2, 'leave split');
+near(line.basePay, 28000, 'monthly minus unpaid leave');
+
+// weekly offs are not leave: 4 Sundays off + 1 absence with 1 paid leave day → full salary
+const withOffs = calendar('PPPPPPO'.repeat(4) + 'LP');
+line = computePayrollLine({ payType: 'MONTHLY', rate: 30000, paidLeaveDaysPerMonth: 1 }, withOffs);
+assert(line.offDays === 4 && line.leaveDays === 1 && line.unpaidLeaveDays === 0, 'offs kept out of leave');
+near(line.basePay, 30000, 'monthly salary covers weekly offs');
+near(computePayrollLine({ payType: 'DAILY', rate: 800 }, calendar('PPO')).basePay, 1600, 'daily: off day unpaid');
+
+// monthly overtime: 10h days with 8h standard, 1.5x
+line = computePayrollLine({ payType: 'MONTHLY', rate: 24000, standardHoursPerDay: 8, overtimeMultiplier: 1.5 }, calendar('PP', 10), {
+  months: monthsInRange('2026-06-01', '2026-06-02')
+});
+near(line.basePay, 1600, 'two days of a 24000 June salary');
+near(line.overtimeHours, 4, 'overtime hours');
+near(line.overtimePay, 4 * (800 / 8) * 1.5, 'overtime at hourly × multiplier');
+
+// --- daily ---
+line = computePayrollLine({ payType: 'DAILY', rate: 800, paidLeaveDaysPerMonth: 2 }, calendar('PPPPLLL'), { months: 1 });
+near(line.basePay, 800 * 6, 'daily: present + paid leave');
+
+// --- hourly ---
+line = computePayrollLine({ payType: 'HOURLY', rate: 100, standardHoursPerDay: 8, overtimeMultiplier: 2 }, calendar('PP', 9));
+near(line.basePay, 1600, 'hourly base excludes overtime hours');
+near(line.overtimePay, 400, 'hourly overtime at 2x');
+
+// --- commission, advances, deductions ---
+line = computePayrollLine({ payType: 'DAILY', rate: 1000 }, calendar('PP'), { commission: 250 });
+near(line.grossPay, 2250, 'gross includes commission');
+line = computePayrollLine({ payType: 'DAILY', rate: 1000, includeCommission: false }, calendar('PP'), { commission: 250 });
+near(line.commission, 0, 'commission can be excluded');
+
+const adjusted = applyPayrollAdjustments({ grossPay: 2250, advances: 500, deductions: [{ label: 'Uniform', amount: 150 }] });
+near(adjusted.netPay, 1600, 'net = gross − advances − deductions');
+near(applyPayrollAdjustments({ grossPay: 100, advances: 500 }).netPay, 0, 'net never negative');
+
+console.log('payroll tests passed');
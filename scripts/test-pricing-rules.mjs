@@ -0,0 +1,103 @@
+import {
+  applyPricingRule,
+  bookingPricingAt,
+  normalizePricingRuleInput,
+  pickPricingRule,
+  priceLineWithRules,
+  pricingMoment,
+  pricingRuleMatches
+} from '../utils/pricingRules.js';
+import { jobLinesToInvoiceItems } from '../utils/jobServiceLines.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const tz = 'Asia/Kolkata';
+const BRANCH = '64b000000000000000000001';
+const OTHER_BRANCH = '64b000000000000000000002';
+const WASH = '64a000000000000000000001';
+const POLISH = '64a000000000000000000002';
+
+const rejects = (raw) => {
+  try { normalizePricingRuleInput(raw); } catch (e) { return e.status === 400; }
+  return false;
+};
+
+// --- input ---
+const happy = {
+  _id: 'r1',
+  ...normalizePricingRuleInput({
+    name: ' Weekday happy hour ',
+    value: 15,
+    weekdays: [1, 2, 3, 4, 5, 3],
+    startTime: '11:00',
+    endTime: '15:00'
+  })
+};
+assert(happy.name === 'Weekday happy hour' && happy.adjustmentType === 'DISCOUNT' && happy.valueType === 'PERCENT', 'defaults');
+assert(happy.weekdays.join() === '1,2,3,4,5' && happy.branchId === null, 'weekdays de-duplicated, all branches');
+assert(normalizePricingRuleInput({ name: 'x', value: 5, startTime: '9:00', endTime: '10:30' }).startTime === '09:00', 'time normalised');
+assert(rejects({ name: 'x', value: 0 }), 'zero adjustment rejected');
+assert(rejects({ name: 'x', value: 120 }), 'discount over 100% rejected');
+assert(!rejects({ name: 'x', value: 120, adjustmentType: 'SURCHARGE' }), 'surcharge over 100% allowed');
+assert(rejects({ name: 'x', value: 5, weekdays: [7] }), 'bad weekday rejected');
+assert(rejects({ name: 'x', value: 5, startTime: '15:00', endTime: '11:00' }), 'backwards window rejected');
+assert(rejects({ name: 'x', value: 5, startTime: '11:00' }), 'half window rejected');
+assert(rejects({ name: 'x', value: 5, dates: ['2026-13-01'] }), 'bad date rejected');
+assert(rejects({ name: '', value: 5 }), 'name required');
+const partial = normalizePricingRuleInput({ value: 20 }, happy);
+assert(partial.value === 20 && partial.startTime === '11:00', 'update keeps unspecified fields');
+
+// --- moments ---
+const wedNoon = pricingMoment(new Date('2026-10-21T06:30:00Z'), tz);
+assert(wedNoon.date === '2026-10-21' && wedNoon.weekday === 3 && wedNoon.time === '12:00', 'business-local moment');
+const sunday = pricingMoment(new Date('2026-10-25T06:30:00Z'), tz);
+assert(sunday.weekday === 0, 'Sunday is 0');
+const slotAt = bookingPricingAt('2026-10-21', '9:30', tz);
+assert(slotAt.toISOString() === '2026-10-21T04:00:00.000Z', 'booking priced at slot start');
+const fromStoredDate = bookingPricingAt(new Date('2026-10-20T18:30:00Z'), '11:00', tz);
+assert(pricingMoment(fromStoredDate, tz).date === '2026-10-21', 'stored booking date read in business zone');
+
+// --- matching ---
+assert(pricingRuleMatches(happy, wedNoon, { serviceId: WASH }), 'weekday inside window');
+assert(!pricingRuleMatches(happy, { ...wedNoon, time: '15:00' }, {}), 'window end is exclusive');
+assert(!pricingRuleMatches(happy, sunday, {}), 'weekend excluded');
+const sundaySurcharge = { _id: 'r2', ...normalizePricingRuleInput({ name: 'Sunday rush', adjustmentType: 'SURCHARGE', value: 10, weekdays: [0], branchId: BRANCH }) };
+assert(pricingRuleMatches(sundaySurcharge, sunday, { branchId: BRANCH }), 'branch rule in its branch');
+assert(!pricingRuleMatches(sundaySurcharge, sunday, { branchId: OTHER_BRANCH }), 'branch rule not elsewhere');
+const diwali = { _id: 'r3', ...normalizePricingRuleInput({ name: 'Diwali', adjustmentType: 'SURCHARGE', valueType: 'FLAT', value: 100, dates: ['2026-10-21'], weekdays: [0] }) };
+assert(pricingRuleMatches(diwali, wedNoon, {}), 'festival date ignores weekdays');
+const polishOnly = { _id: 'r4', ...normalizePricingRuleInput({ name: 'Polish deal', valueType: 'FLAT', value: 50, serviceIds: [POLISH] }) };
+assert(!pricingRuleMatches(polishOnly, wedNoon, { serviceId: WASH }), 'service-specific rule');
+assert(!pricingRuleMatches({ ...happy, isActive: false }, wedNoon, {}), 'inactive rule');
+
+// --- picking ---
+const rules = [happy, sundaySurcharge, diwali, polishOnly];
+assert(pickPricingRule(rules, wedNoon, { serviceId: WASH })._id === 'r3', 'festival date beats happy hour');
+assert(pickPricingRule(rules, { ...wedNoon, date: '2026-10-22', weekday: 4 }, { serviceId: POLISH })._id === 'r4', 'service rule beats all-services rule');
+const boosted = { ...happy, _id: 'r5', priority: 5, value: 25 };
+assert(pickPricingRule([happy, boosted], wedNoon, {})._id === 'r5', 'priority breaks ties');
+assert(pickPricingRule(rules, { ...sunday, time: '08:00' }, { branchId: null }) === null, 'nothing matches');
+
+// --- applying ---
+assert(applyPricingRule(happy, 500) === 425, '15% off');
+assert(applyPricingRule(sundaySurcharge, 333) === 366.3, '10% surcharge rounded');
+assert(applyPricingRule(polishOnly, 30) === 0, 'flat discount never below zero');
+
+const line = priceLineWithRules(rules, { ...wedNoon, date: '2026-10-22', weekday: 4 }, { serviceId: WASH, listPrice: 500 });
+assert(line.price === 425 && line.listPrice === 500 && line.ruleAdjustment === -75, 'line records the discount');
+assert(line.pricingRuleName === 'Weekday happy hour' && line.pricingRuleId === 'r1', 'line records the rule');
+const untouched = priceLineWithRules(rules, { ...sunday, time: '08:00' }, { serviceId: WASH, listPrice: 500 });
+assert(untouched.price === 500 && untouched.pricingRuleId === undefined, 'no rule → list price, nothing recorded');
+assert(priceLineWithRules(rules, null, { serviceId: WASH, listPrice: 500 }).price === 500, 'no pricing context');
+
+// --- carried onto invoice items ---
+const [item, plain] = jobLinesToInvoiceItems([
+  { serviceId: WASH, price: 425, quantity: 1, ...line },
+  { serviceId: POLISH, price: 800, quantity: 1 }
+], new Map([[WASH, 'Foam wash'], [POLISH, 'Polish']]));
+assert(item.servicePrice === 425 && item.listPrice === 500 && item.ruleAdjustment === -75, 'invoice item keeps the rule');
+assert(plain.pricingRuleId === undefined, 'unadjusted item has no rule fields');
+
+console.log('pricing rules tests passed');
@@ -0,0 +1,85 @@
+import {
+  computePromoDiscount,
+  normalizePromoCodeValue,
+  normalizePromoInput,
+  promoEligibleSubtotal,
+  promoIneligibilityReason
+} from '../utils/promoCodes.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const BRANCH = '64b000000000000000000001';
+const WASH = '64a000000000000000000001';
+const POLISH = '64a000000000000000000002';
+const DETAILING = '64c000000000000000000001';
+
+const rejects = (raw, existing) => {
+  try { normalizePromoInput(raw, existing); } catch (e) { return e.status === 400; }
+  return false;
+};
+
+// --- input ---
+const diwali = normalizePromoInput({ code: ' diwali20 ', value: 20, maxDiscount: 300, validFrom: '2026-10-15', validTo: '2026-11-05' });
+assert(diwali.code === 'DIWALI20' && diwali.discountType === 'PERCENT', 'code upper-cased, percent by default');
+assert(diwali.maxUsesPerCustomer === 1 && diwali.maxUses === null, 'once per customer, unlimited overall by default');
+assert(diwali.usableAtCheckout && diwali.usableOnBooking && diwali.isActive && !diwali.firstVisitOnly, 'flag defaults');
+assert(normalizePromoCodeValue(' ab-12 ') === 'AB-12', 'typed code normalised');
+assert(normalizePromoInput({ code: 'FLAT100', discountType: 'amount', value: 100, maxDiscount: 50 }).maxDiscount === null, 'cap only for percent');
+assert(normalizePromoInput({ code: 'OPEN', value: 5, maxUsesPerCustomer: null }).maxUsesPerCustomer === null, 'per-customer limit can be lifted');
+assert(rejects({ code: 'AB', value: 5 }), 'short code rejected');
+assert(rejects({ code: 'NO SPACES', value: 5 }), 'space in code rejected');
+assert(rejects({ code: 'ZERO', value: 0 }), 'zero value rejected');
+assert(rejects({ code: 'BIG', value: 120 }), 'over 100% rejected');
+assert(!rejects({ code: 'BIG', value: 120, discountType: 'AMOUNT' }), 'large flat amount allowed');
+assert(rejects({ code: 'BACK', value: 5, validFrom: '2026-11-05', validTo: '2026-10-15' }), 'backwards window rejected');
+assert(rejects({ code: 'BADDAY', value: 5, validTo: '2026-02-30' }), 'invalid date rejected');
+assert(rejects({ code: 'LIMIT', value: 5, maxUses: 0 }), 'zero uses rejected');
+assert(rejects({ code: 'NOWHERE', value: 5, usableAtCheckout: false, usableOnBooking: false }), 'must be usable somewhere');
+assert(rejects({ code: 'SVC', value: 5, serviceIds: ['nope'] }), 'bad service id rejected');
+const edited = normalizePromoInput({ value: 25 }, { ...diwali, maxUsesPerCustomer: 3 });
+assert(edited.value === 25 && edited.code === 'DIWALI20' && edited.maxUsesPerCustomer === 3, 'update keeps unspecified fields');
+
+// --- eligible part of the bill ---
+const lines = [
+  { serviceId: WASH, categoryId: null, amount: 400 },
+  { serviceId: POLISH, categoryId: DETAILING, amount: 1200 }
+];
+assert(promoEligibleSubtotal(diwali, lines) === 1600, 'unrestricted code covers the whole bill');
+assert(promoEligibleSubtotal({ serviceIds: [WASH] }, lines) === 400, 'service restriction');
+assert(promoEligibleSubtotal({ categoryIds: [DETAILING] }, lines) === 1200, 'category restriction');
+assert(promoEligibleSubtotal({ serviceIds: [WASH], categoryIds: [DETAILING] }, lines) === 1600, 'service or category');
+
+// --- discount ---
+assert(computePromoDiscount(diwali, { subtotal: 1000, eligibleSubtotal: 1000 }) === 200, '20% off');
+assert(computePromoDiscount(diwali, { subtotal: 2000, eligibleSubtotal: 2000 }) === 300, 'percent capped by maxDiscount');
+assert(computePromoDiscount({ discountType: 'PERCENT', value: 10 }, { subtotal: 1600, eligibleSubtotal: 400 }) === 40, 'percent of eligible lines only');
+assert(computePromoDiscount({ discountType: 'AMOUNT', value: 500 }, { subtotal: 1600, eligibleSubtotal: 400 }) === 400, 'flat amount capped by eligible lines');
+assert(computePromoDiscount({ discountType: 'AMOUNT', value: 500 }, { subtotal: 300 }) === 300, 'never more than the bill');
+assert(computePromoDiscount({ discountType: 'PERCENT', value: 12.5 }, { subtotal: 333.33, eligibleSubtotal: 333.33 }) === 41.67, 'rounded to paise');
+
+// --- eligibility ---
+const ctx = { today: '2026-10-20', channel: 'CHECKOUT', branchId: BRANCH, subtotal: 1000, eligibleSubtotal: 1000, customerUses: 0, isFirstVisit: false };
+assert(promoIneligibilityReason(diwali, ctx) === null, 'usable inside its window');
+assert(/valid from/.test(promoIneligibilityReason(diwali, { ...ctx, today: '2026-10-14' })), 'not yet valid');
+assert(promoIneligibilityReason(diwali, { ...ctx, today: '2026-11-05' }) === null, 'last day inclusive');
+assert(/expired/.test(promoIneligibilityReason(diwali, { ...ctx, today: '2026-11-06' })), 'expired');
+assert(/already been used/.test(promoIneligibilityReason(diwali, { ...ctx, customerUses: 1 })), 'per-customer limit');
+assert(/usage limit/.test(promoIneligibilityReason({ ...diwali, maxUses: 50, usedCount: 50 }, ctx)), 'global limit');
+assert(promoIneligibilityReason({ ...diwali, maxUses: 50, usedCount: 49 }, ctx) === null, 'last use available');
+assert(/minimum bill/.test(promoIneligibilityReason({ ...diwali, minBillAmount: 1500 }, ctx)), 'minimum bill');
+assert(/first-time/.test(promoIneligibilityReason({ ...diwali, firstVisitOnly: true }, ctx)), 'first visit only');
+assert(promoIneligibilityReason({ ...diwali, firstVisitOnly: true }, { ...ctx, isFirstVisit: true }) === null, 'first visit allowed');
+assert(/selected services/.test(promoIneligibilityReason({ ...diwali, serviceIds: [POLISH] }, { ...ctx, eligibleSubtotal: 0 })), 'no eligible lines');
+assert(/counter/.test(promoIneligibilityReason({ ...diwali, usableOnBooking: false }, { ...ctx, channel: 'BOOKING' })), 'checkout-only code on booking');
+assert(/online bookings/.test(promoIneligibilityReason({ ...diwali, usableAtCheckout: false }, ctx)), 'booking-only code at checkout');
+assert(/branch/.test(promoIneligibilityReason({ ...diwali, branchId: '64b000000000000000000002' }, ctx)), 'other branch');
+assert(/not valid/.test(promoIneligibilityReason({ ...diwali, isActive: false }, ctx)), 'inactive');
+
+// A code taken on a booking is honoured at billing even after it expires or runs out
+const booked = { ...ctx, reserved: true, today: '2026-12-01', customerUses: 1 };
+assert(promoIneligibilityReason({ ...diwali, maxUses: 1, usedCount: 1 }, booked) === null, 'reserved use skips date and limits');
+assert(/minimum bill/.test(promoIneligibilityReason({ ...diwali, minBillAmount: 1500 }, booked)), 'reserved use still needs the minimum bill');
+
+console.log('promo code tests passed');
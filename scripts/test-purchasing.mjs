@@ -0,0 +1,47 @@
+import { applyReceiptToOrder, normalizeSupplierInput, purchaseLinesTotal } from '../services/purchasingService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+function throws(fn, pattern, msg) {
+  try {
+    fn();
+  } catch (e) {
+    assert(pattern.test(e.message), `${msg} (got "${e.message}")`);
+    return;
+  }
+  throw new Error(`${msg} (did not throw)`);
+}
+
+// --- totals ---
+assert(purchaseLinesTotal([{ quantity: 3, unitCost: 12.5 }, { quantity: 2, unitCost: 40 }]) === 117.5, 'line totals');
+
+// --- receiving against an order ---
+const order = () => ({
+  poNumber: 'PO-0001',
+  status: 'ORDERED',
+  items: [
+    { serviceId: 'wax', name: 'Wax', quantity: 10, receivedQuantity: 0 },
+    { serviceId: 'shampoo', name: 'Shampoo', quantity: 5, receivedQuantity: 0 }
+  ]
+});
+
+let po = applyReceiptToOrder(order(), [{ serviceId: 'wax', quantity: 4 }]);
+assert(po.status === 'PARTIALLY_RECEIVED' && po.items[0].receivedQuantity === 4, 'partial receipt');
+po = applyReceiptToOrder(po, [{ serviceId: 'wax', quantity: 6 }, { serviceId: 'shampoo', quantity: 5 }]);
+assert(po.status === 'RECEIVED', 'fully received');
+
+throws(() => applyReceiptToOrder(order(), [{ serviceId: 'wax', quantity: 11 }]), /Only 10 of "Wax"/, 'over-receipt rejected');
+throws(() => applyReceiptToOrder(order(), [{ serviceId: 'polish', name: 'Polish', quantity: 1 }]), /not on purchase order/, 'unknown product rejected');
+const untouched = order();
+throws(() => applyReceiptToOrder(untouched, [{ serviceId: 'wax', quantity: 2 }, { serviceId: 'shampoo', quantity: 9 }]), /Only 5/, 'bad line');
+assert(untouched.items[0].receivedQuantity === 0, 'no partial update when a line is rejected');
+
+// --- supplier input ---
+throws(() => normalizeSupplierInput({ name: '  ' }), /name is required/, 'supplier name required');
+throws(() => normalizeSupplierInput({ name: 'A', paymentTermsDays: 2.5 }), /Payment terms/, 'terms must be whole days');
+const s = normalizeSupplierInput({ name: ' Shine Supplies ', paymentTermsDays: '30' });
+assert(s.name === 'Shine Supplies' && s.paymentTermsDays === 30, 'supplier normalized');
+
+console.log('purchasing tests passed');
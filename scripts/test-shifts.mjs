@@ -0,0 +1,30 @@
+import { punchDeviation, shiftWindow, weekStartKey } from '../services/shiftService.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const TZ = 'Asia/Kolkata';
+
+// --- windows ---
+let w = shiftWindow('2026-06-10', '09:00', '18:00', TZ);
+assert(w.startAt.toISOString() === '2026-06-10T03:30:00.000Z', 'day shift start in business tz');
+assert(w.endAt.toISOString() === '2026-06-10T12:30:00.000Z', 'day shift end in business tz');
+w = shiftWindow('2026-06-10', '22:00', '06:00', TZ);
+assert(w.endAt.toISOString() === '2026-06-11T00:30:00.000Z', 'overnight shift ends next day');
+
+// --- late / early ---
+const shift = { ...shiftWindow('2026-06-10', '09:00', '18:00', TZ), lateGraceMinutes: 10, earlyExitGraceMinutes: 15 };
+const at = (hm) => new Date(`2026-06-10T${hm}:00+05:30`);
+assert(punchDeviation(shift, { firstInAt: at('09:08') }).lateMinutes === 0, 'within late grace');
+assert(punchDeviation(shift, { firstInAt: at('09:25') }).lateMinutes === 25, 'late counted from shift start');
+assert(punchDeviation(shift, { firstInAt: at('08:40') }).lateMinutes === 0, 'early arrival is not late');
+assert(punchDeviation(shift, { lastOutAt: at('17:50') }).earlyExitMinutes === 0, 'within early-exit grace');
+assert(punchDeviation(shift, { lastOutAt: at('17:00') }).earlyExitMinutes === 60, 'early exit minutes');
+assert(punchDeviation(null, { firstInAt: at('11:00') }).lateMinutes === 0, 'no shift → no flags');
+
+// --- weeks ---
+assert(weekStartKey('2026-06-10') === '2026-06-08', 'Wednesday → Monday');
+assert(weekStartKey('2026-06-14') === '2026-06-08', 'Sunday belongs to the week starting Monday');
+
+console.log('shift tests passed');
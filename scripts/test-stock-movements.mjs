@@ -0,0 +1,24 @@
+import { summarizeStockMovements } from '../utils/serviceInventory.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const movements = [
+  { serviceId: 'wax', serviceName: 'Wax', type: 'OPENING', quantity: 10, before: 0, after: 10 },
+  { serviceId: 'shampoo', serviceName: 'Shampoo', type: 'PURCHASE_RECEIPT', quantity: 6, before: 2, after: 8 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'SALE', quantity: -3, before: 10, after: 7 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'RESTORE', quantity: 1, before: 7, after: 8 },
+  { serviceId: 'wax', serviceName: 'Wax', type: 'ADJUSTMENT', quantity: -2, before: 8, after: 6 }
+];
+
+const [shampoo, wax] = summarizeStockMovements(movements);
+assert(shampoo.serviceName === 'Shampoo' && wax.serviceName === 'Wax', 'sorted by product name');
+assert(wax.opening === 0 && wax.closing === 6, 'opening / closing from first and last movement');
+assert(wax.in === 11 && wax.out === 5, 'in / out totals');
+assert(wax.opening + wax.in - wax.out === wax.closing, 'ledger balances');
+assert(wax.byType.SALE === -3 && wax.byType.ADJUSTMENT === -2, 'net by type');
+assert(shampoo.opening === 2 && shampoo.closing === 8, 'single movement product');
+assert(summarizeStockMovements([]).length === 0, 'empty');
+
+console.log('stock movement tests passed');
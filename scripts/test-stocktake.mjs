@@ -0,0 +1,42 @@
+import { computeStocktakeVariance, serializeStocktake } from '../services/stocktakeService.js';
+import { expenseCashOnline, sumExpenseChannelTotals } from '../utils/expensePayment.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- variance against book stock ---
+const items = [
+  { serviceId: 'wax', name: 'Wax', bookQuantity: 10, countedQuantity: 7, unitCost: 120 },
+  { serviceId: 'shampoo', name: 'Shampoo', bookQuantity: 4, countedQuantity: 5, unitCost: 80.5 },
+  { serviceId: 'cloth', name: 'Cloth', bookQuantity: 20, countedQuantity: 20, unitCost: 15 },
+  { serviceId: 'polish', name: 'Polish', bookQuantity: 3, countedQuantity: null, unitCost: 200 }
+];
+const { items: lines, totals } = computeStocktakeVariance(items);
+assert(lines[0].variance === -3 && lines[0].varianceValue === -360, 'missing units valued at cost');
+assert(lines[1].variance === 1 && lines[1].varianceValue === 80.5, 'surplus valued at cost');
+assert(lines[2].variance === 0, 'matching count');
+assert(lines[3].variance === null && lines[3].varianceValue === null, 'uncounted has no variance');
+assert(totals.counted === 3 && totals.uncounted === 1, 'count progress');
+assert(totals.shrinkageValue === 360 && totals.surplusValue === 80.5 && totals.netValue === -279.5, 'session totals');
+assert(totals.bookValue === 1200 + 322 + 300 + 600, 'book valuation');
+
+// --- part units of consumables ---
+const [shampooLitres] = computeStocktakeVariance([{ serviceId: 'shampoo', bookQuantity: 2.3, countedQuantity: 2.1, unitCost: 300 }]).items;
+assert(shampooLitres.variance === -0.2 && shampooLitres.varianceValue === -60, 'decimal counts without float noise');
+
+// --- blind count for floor staff ---
+const blind = serializeStocktake({ stocktakeNumber: 'ST-0001', items, shrinkageValue: 0 }, { withBook: false });
+assert(blind.items.every((i) => i.bookQuantity === undefined && i.unitCost === undefined && i.variance === undefined), 'book figures hidden');
+assert(blind.totals.shrinkageValue === undefined && blind.totals.uncounted === 1, 'only progress shown');
+assert(serializeStocktake({ items }).totals.shrinkageValue === 360, 'admin sees values');
+
+// --- shrinkage expense moves no money ---
+const shrinkage = { amount: 360, settlementMode: 'FULL', paymentMethod: 'CASH', nonCash: true };
+const cashExpense = { amount: 100, settlementMode: 'FULL', paymentMethod: 'CASH' };
+const channels = expenseCashOnline(shrinkage);
+assert(channels.cash === 0 && channels.online === 0, 'non-cash expense has no channel');
+const sum = sumExpenseChannelTotals([shrinkage, cashExpense]);
+assert(sum.totalAmount === 460 && sum.totalCashAmount === 100, 'expense total includes shrinkage, cash does not');
+
+console.log('stocktake tests passed');
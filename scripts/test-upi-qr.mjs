@@ -0,0 +1,46 @@
+import QRCode from 'qrcode';
+import { buildUpiIntent, isValidUpiId } from '../utils/upiQr.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- UPI IDs ---
+assert(isValidUpiId('shine.carwash@okaxis'), 'bank handle');
+assert(isValidUpiId('9876543210@ybl'), 'mobile number handle');
+assert(!isValidUpiId('shine carwash@okaxis'), 'spaces rejected');
+assert(!isValidUpiId('shine.carwash'), 'handle required');
+assert(!isValidUpiId(''), 'empty rejected');
+
+// --- intent ---
+const intent = buildUpiIntent({
+  upiId: 'shine.carwash@okaxis',
+  payeeName: 'Shine & Co Car Spa',
+  amount: 1299.5,
+  reference: 'INV-2026-0042',
+  note: 'Invoice INV-2026-0042'
+});
+assert(intent.startsWith('upi://pay?pa=shine.carwash%40okaxis&'), 'payee address first');
+const params = new URLSearchParams(intent.slice('upi://pay?'.length));
+assert(params.get('pn') === 'Shine & Co Car Spa', 'payee name encoded');
+assert(params.get('am') === '1299.50', 'amount has two decimals');
+assert(params.get('cu') === 'INR', 'currency');
+assert(params.get('tr') === 'INV-2026-0042', 'invoice number as reference');
+assert(params.get('tn') === 'Invoice INV-2026-0042', 'invoice note');
+
+const long = new URLSearchParams(buildUpiIntent({
+  upiId: 'a@b',
+  payeeName: 'Café ✨ Wash',
+  amount: 10,
+  reference: 'R'.repeat(60),
+  note: 'N'.repeat(80)
+}).split('?')[1]);
+assert(long.get('tr').length === 35 && long.get('tn').length === 50, 'reference and note clipped');
+assert(long.get('pn') === 'Caf  Wash', 'non-ASCII stripped from payee name');
+assert(!new URLSearchParams(buildUpiIntent({ upiId: 'a@b', amount: 5 }).split('?')[1]).has('tr'), 'reference optional');
+
+// --- QR renders locally ---
+const dataUrl = await QRCode.toDataURL(intent, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+assert(dataUrl.startsWith('data:image/png;base64,'), 'PNG data URL');
+
+console.log('UPI QR tests passed');
@@ -0,0 +1,57 @@
+import { PRICEABLE_VEHICLE_TYPES, canonicalVehicleType } from '../constants/vehicleTypes.js';
+import {
+  lookupVehicleType,
+  normalizeVehiclePrices,
+  resolveServicePrice,
+  vehicleMatrixPrice
+} from '../utils/servicePricing.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- vehicle types ---
+assert(canonicalVehicleType(' suv ') === 'SUV', 'scanner spelling, any case');
+assert(canonicalVehicleType('auto rickshaw') === 'Auto Rickshaw', 'multi-word type');
+assert(canonicalVehicleType('Tractor') === null && canonicalVehicleType('') === null, 'unknown types');
+assert(!PRICEABLE_VEHICLE_TYPES.includes('Unknown') && !PRICEABLE_VEHICLE_TYPES.includes('N/A'), 'placeholders are not priceable');
+
+// --- matrix input ---
+const matrix = normalizeVehiclePrices([
+  { vehicleType: 'suv', price: '600' },
+  { vehicleType: 'Hatchback', price: 399.999 },
+  { vehicleType: 'Sedan', price: '' },
+  { vehicleType: '', price: 100 }
+]);
+assert(matrix.length === 2, 'blank rows dropped');
+assert(matrix[0].vehicleType === 'SUV' && matrix[0].price === 600, 'type canonicalised, price numeric');
+assert(matrix[1].price === 400, 'price rounded to paisa');
+const fromObject = normalizeVehiclePrices({ Truck: 900, Car: 500 });
+assert(fromObject[0].vehicleType === 'Car' && fromObject[1].vehicleType === 'Truck', 'object form, scanner order');
+assert(normalizeVehiclePrices(null).length === 0, 'no matrix');
+assert(normalizeVehiclePrices([{ vehicleType: 'SUV', price: 500 }, { vehicleType: 'suv', price: 550 }])[0].price === 550, 'last duplicate wins');
+
+const rejects = (input) => {
+  try { normalizeVehiclePrices(input); } catch (e) { return e.status === 400; }
+  return false;
+};
+assert(rejects([{ vehicleType: 'Tractor', price: 100 }]), 'unknown type rejected');
+assert(rejects([{ vehicleType: 'Unknown', price: 100 }]), 'scanner placeholder rejected');
+assert(rejects([{ vehicleType: 'SUV', price: -1 }]), 'negative price rejected');
+assert(rejects('SUV=600'), 'malformed matrix rejected');
+
+// --- price resolution ---
+const wash = { name: 'Foam wash', price: 450, vehiclePrices: matrix };
+assert(resolveServicePrice(wash, 'SUV') === 600, 'matrix price for the vehicle');
+assert(resolveServicePrice(wash, 'suv') === 600, 'car type matched case-insensitively');
+assert(resolveServicePrice(wash, 'Sedan') === 450, 'type without a row → base price');
+assert(resolveServicePrice(wash, null) === 450 && resolveServicePrice(wash, 'Unknown') === 450, 'unscanned car → base price');
+assert(resolveServicePrice({ price: 300 }, 'SUV') === 300, 'service without a matrix');
+assert(vehicleMatrixPrice({ price: 0, vehiclePrices: [{ vehicleType: 'SUV', price: 0 }] }, 'SUV') === 0, 'explicit 0 is a price');
+assert(vehicleMatrixPrice(wash, 'Bus') === null, 'no row → null');
+
+// --- lookup without a car ---
+assert(await lookupVehicleType('b1', { vehicleType: 'hatchback' }) === 'Hatchback', 'explicit type wins');
+assert(await lookupVehicleType('b1', {}) === null, 'nothing to look up');
+
+console.log('vehicle pricing tests passed');
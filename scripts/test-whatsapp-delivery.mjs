@@ -0,0 +1,122 @@
+import { startWhatsAppStandIn } from './whatsapp-local-server.mjs';
+import { createLocalHttpProvider } from '../services/whatsapp/localHttpProvider.js';
+import { buildMetaMessageBody, toMetaRecipient } from '../services/whatsapp/metaCloudProvider.js';
+import { sendWithRetry, WhatsAppProviderError } from '../services/whatsapp/whatsappProvider.js';
+import {
+  extractWhatsAppStatuses,
+  verifyWhatsAppWebhookSignature,
+  whatsAppStatusCanMove
+} from '../services/whatsapp/whatsappStatusService.js';
+import {
+  buildJobTemplateVariables,
+  jobStatusDedupeKey,
+  shouldAutoNotifyJobStatus
+} from '../services/jobStatusNotificationService.js';
+import { outboxBackoffMs } from '../services/outbox/outboxService.js';
+import { formatTemplate } from '../utils/whatsapp.utils.js';
+import { DEFAULT_WHATSAPP_TEMPLATES, resolveApprovedTemplate } from '../utils/whatsappTemplates.js';
+import crypto from 'crypto';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+// --- request body ---
+assert(toMetaRecipient('+91 98765-43210') === '919876543210', 'recipient digits only');
+
+const template = resolveApprovedTemplate('completed', { vehicleNumber: 'KL07AB1234', token: 'T-001' });
+assert(template.name === 'vashq_completed', 'approved template name');
+assert(template.parameters.join('|') === 'KL07AB1234|T-001', 'template parameters in order');
+assert(resolveApprovedTemplate('unknownKey', {}) === null, 'unknown key has no template');
+
+let body = buildMetaMessageBody({ to: '+919876543210', text: 'ignored', template });
+assert(body.type === 'template' && body.template.name === 'vashq_completed', 'template body');
+assert(body.template.components[0].parameters.length === 2, 'body parameters');
+
+body = buildMetaMessageBody({ to: '+919876543210', text: 'Hello' });
+assert(body.type === 'text' && body.text.body === 'Hello', 'text body');
+
+// --- retry against local stand-in ---
+const standIn = await startWhatsAppStandIn({ port: 0, failFirst: 2 });
+try {
+  const provider = createLocalHttpProvider({ baseUrl: standIn.url });
+
+  let r = await sendWithRetry(provider, { to: '+919876543210', template }, { maxAttempts: 3, baseDelayMs: 1 });
+  assert(r.ok && r.attempts === 3, 'transient failures retried until success');
+  assert(String(r.messageId).startsWith('wamid.local_'), 'provider message id returned');
+  assert(standIn.received.length === 1, 'stand-in recorded one delivered message');
+
+  r = await sendWithRetry(provider, { to: '', text: 'x' }, { maxAttempts: 3, baseDelayMs: 1 });
+  assert(!r.ok && r.attempts === 1, 'permanent 4xx not retried');
+  assert(r.error instanceof WhatsAppProviderError && r.error.code === '131009', 'provider error code kept');
+} finally {
+  await standIn.close();
+}
+
+// --- network failure is transient ---
+const downProvider = createLocalHttpProvider({ baseUrl: 'http://127.0.0.1:9' });
+const down = await sendWithRetry(downProvider, { to: '919876543210', text: 'x' }, { maxAttempts: 2, baseDelayMs: 1 });
+assert(!down.ok && down.attempts === 2, 'network error retried');
+
+// --- status webhook ---
+const webhookBody = Buffer.from(JSON.stringify({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      field: 'messages',
+      value: {
+        statuses: [
+          { id: 'wamid.A', status: 'delivered', timestamp: '1760000000', recipient_id: '919876543210' },
+          { id: 'wamid.A', status: 'read', timestamp: '1760000060', recipient_id: '919876543210' },
+          { id: 'wamid.B', status: 'failed', timestamp: '1760000000', errors: [{ code: 131026, title: 'Message undeliverable' }] },
+          { id: 'wamid.C', status: 'unknown_status' }
+        ]
+      }
+    }]
+  }]
+}));
+const goodSig = `sha256=${crypto.createHmac('sha256', 'test-secret').update(webhookBody).digest('hex')}`;
+assert(verifyWhatsAppWebhookSignature(webhookBody, goodSig, 'test-secret'), 'valid signature accepted');
+assert(!verifyWhatsAppWebhookSignature(webhookBody, goodSig, 'other-secret'), 'wrong secret rejected');
+assert(!verifyWhatsAppWebhookSignature(webhookBody, 'sha256=abcd', 'test-secret'), 'bad signature rejected');
+assert(!verifyWhatsAppWebhookSignature(webhookBody, goodSig, ''), 'missing secret rejected');
+
+const statuses = extractWhatsAppStatuses(JSON.parse(webhookBody.toString()));
+assert(statuses.length === 3, 'unknown statuses skipped');
+assert(statuses[1].status === 'READ' && statuses[1].at.getTime() === 1760000060000, 'read status + timestamp');
+assert(statuses[2].status === 'FAILED' && statuses[2].errorCode === '131026', 'failed error code');
+assert(statuses[2].errorMessage === 'Message undeliverable', 'failed error message');
+
+// --- status only moves forward ---
+assert(whatsAppStatusCanMove('SENT', 'DELIVERED') && whatsAppStatusCanMove('PENDING', 'READ'), 'forward moves');
+assert(!whatsAppStatusCanMove('READ', 'DELIVERED') && !whatsAppStatusCanMove('DELIVERED', 'SENT'), 'no backward moves');
+assert(whatsAppStatusCanMove('SENT', 'FAILED') && whatsAppStatusCanMove('PENDING', 'FAILED'), 'failure before delivery');
+assert(!whatsAppStatusCanMove('DELIVERED', 'FAILED') && !whatsAppStatusCanMove('READ', 'FAILED'), 'late failure ignored');
+assert(!whatsAppStatusCanMove('FAILED', 'DELIVERED'), 'failed is final');
+
+// --- automatic job status messages ---
+const bizOn = { autoSendWhatsApp: true, notificationPreferences: { jobCreated: true, jobCompleted: false } };
+assert(shouldAutoNotifyJobStatus('RECEIVED', bizOn, null), 'jobCreated on');
+assert(!shouldAutoNotifyJobStatus('COMPLETED', bizOn, null), 'jobCompleted off');
+assert(shouldAutoNotifyJobStatus('DELIVERED', bizOn, null), 'missing pref defaults on');
+assert(!shouldAutoNotifyJobStatus('WORK_STARTED', bizOn, null), 'work started opt-in');
+assert(!shouldAutoNotifyJobStatus('CANCELLED', bizOn, null), 'cancelled never messages');
+assert(!shouldAutoNotifyJobStatus('RECEIVED', bizOn, { autoSendWhatsApp: false }), 'branch auto-send off wins');
+assert(!shouldAutoNotifyJobStatus('RECEIVED', { ...bizOn, autoSendWhatsApp: false }, null), 'business auto-send off');
+assert(jobStatusDedupeKey('abc', 'completed') === 'job:abc:completed', 'dedupe key');
+
+const vars = buildJobTemplateVariables({
+  job: { tokenNumber: 'T-7', status: 'COMPLETED', totalPrice: 500, beforeImages: ['https://a/1.jpg'], afterImages: [] },
+  customer: { name: 'Anu' },
+  car: { carNumber: 'KL07AB1234', brand: 'Maruti', model: 'Swift' }
+});
+const rendered = formatTemplate(DEFAULT_WHATSAPP_TEMPLATES.completed, vars);
+assert(rendered.includes('KL07AB1234') && rendered.includes('T-7') && !rendered.includes('{{'), 'completed template rendered');
+assert(vars.afterImagesLink === '—' && vars.beforeImagesLink === 'https://a/1.jpg', 'image links');
+
+// --- outbox backoff ---
+assert(outboxBackoffMs(1) === 30_000 && outboxBackoffMs(2) === 60_000, 'backoff doubles');
+assert(outboxBackoffMs(20) === 60 * 60 * 1000, 'backoff capped at 1h');
+assert(outboxBackoffMs(0) === 30_000, 'backoff floor');
+
+console.log('whatsapp delivery tests passed');
@@ -0,0 +1,73 @@
+/**
+ * Local WhatsApp Cloud API stand-in.
+ *
+ *   node scripts/whatsapp-local-server.mjs
+ *   WHATSAPP_PROVIDER=local WHATSAPP_LOCAL_URL=http://127.0.0.1:4010 npm run dev
+ *
+ * POST /messages accepts the Cloud API message body and answers { messages: [{ id }] }.
+ * GET  /messages lists everything received (newest last).
+ * WHATSAPP_LOCAL_FAIL_FIRST=n answers the first n sends with 503 to exercise retries.
+ */
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+export function startWhatsAppStandIn({ port = 4010, failFirst = 0, failWith = 503 } = {}) {
+  const received = [];
+  let failuresLeft = Math.max(0, Number(failFirst) || 0);
+
+  const server = http.createServer((req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.method === 'GET' && req.url === '/messages') {
+      return send(200, { messages: received });
+    }
+    if (req.method !== 'POST' || req.url !== '/messages') {
+      return send(404, { error: { code: 404, message: 'Not found' } });
+    }
+
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        return send(failWith, { error: { code: 131000, message: 'Simulated provider failure' } });
+      }
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch {
+        return send(400, { error: { code: 100, message: 'Invalid JSON' } });
+      }
+      if (!body.to) {
+        return send(400, { error: { code: 131009, message: 'Recipient is required' } });
+      }
+      const id = `wamid.local_${Date.now()}_${received.length + 1}`;
+      received.push({ id, ...body, receivedAt: new Date().toISOString() });
+      console.log('[whatsapp-local] message', id, body.type, body.template?.name || '', '→', body.to);
+      return send(200, { messaging_product: 'whatsapp', contacts: [{ wa_id: body.to }], messages: [{ id }] });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${boundPort}`,
+        received,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.WHATSAPP_LOCAL_PORT || 4010);
+  const standIn = await startWhatsAppStandIn({
+    port,
+    failFirst: Number(process.env.WHATSAPP_LOCAL_FAIL_FIRST || 0)
+  });
+  console.log(`WhatsApp stand-in listening on ${standIn.url}`);
+}
@@ -25,11 +25,18 @@ import aiInsightsRoutes from './routes/aiInsights.routes.js';
 import bookingAdminRoutes from './routes/bookingAdmin.routes.js';
 import crmRoutes from './routes/crm.routes.js';
 import attendanceRoutes from './routes/attendance.routes.js';
+import purchasingRoutes from './routes/purchasing.routes.js';
+import stocktakeRoutes from './routes/stocktake.routes.js';
+import paymentLinksRoutes from './routes/paymentLinks.routes.js';
+import bankReconciliationRoutes from './routes/bankReconciliation.routes.js';
+import cashDrawerRoutes from './routes/cashDrawer.routes.js';
 import otherRevenueRoutes from './routes/otherRevenue.routes.js';
 import vehicleScannerRoutes from './routes/vehicleScanner.routes.js';
 import { initFirebaseAdmin } from './services/firebaseAdmin.js';
 import branchesRoutes from './routes/branches.routes.js';
 import { startCronJobs } from './cronJobs.js';
+import { registerJobStatusNotifications } from './services/jobStatusNotificationService.js';
+import { startOutboxWorker } from './services/outbox/outboxWorker.js';
 import { resolveCorsAllowlist } from './utils/frontendUrl.js';
 
 const app = express();
@@ -100,7 +107,16 @@ app.use(cors({
 app.options('*', cors());
 
 app.use(compression());
-app.use(express.json({ limit: '2mb' }));
+app.use(express.json({
+  limit: '2mb',
+  // Keep the exact bytes for provider webhooks — signatures are HMACs over the raw payload
+  verify: (req, res, buf) => {
+    if (
+      req.originalUrl?.startsWith('/api/public/whatsapp/webhook') ||
+      req.originalUrl?.startsWith('/api/public/payments/webhook')
+    ) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 // Note: Image uploads use multipart (multer), max 20MB per file × 4. Client compresses before upload. If you see "Upload failed" on mobile, set proxy body limit: nginx client_max_body_size 10M; or API Gateway payload limit ≥ 10MB.
 
@@ -178,6 +194,11 @@ app.use('/api/admin/ai-insights', aiInsightsRoutes);
 app.use('/api/admin/bookings', bookingAdminRoutes);
 app.use('/api/admin/crm', crmRoutes);
 app.use('/api/admin/attendance', attendanceRoutes);
+app.use('/api/admin/purchasing', purchasingRoutes);
+app.use('/api/admin/stocktakes', stocktakeRoutes);
+app.use('/api/admin/payment-links', paymentLinksRoutes);
+app.use('/api/admin/bank-reconciliation', bankReconciliationRoutes);
+app.use('/api/admin/cash-drawer', cashDrawerRoutes);
 app.use('/api/admin', otherRevenueRoutes);
 app.use('/api/admin/vehicle-scanner', vehicleScannerRoutes);
 app.use('/api/admin', adminRoutes);
@@ -233,6 +254,13 @@ const connectDB = async () => {
     } catch (e) {
       console.warn('Firebase init skipped:', e?.message || e);
     }
+    registerJobStatusNotifications();
+    try {
+      startOutboxWorker();
+      console.log('Outbox worker started');
+    } catch (e) {
+      console.warn('Outbox worker not started:', e?.message || e);
+    }
     try {
       startCronJobs();
       console.log('Cron jobs scheduled');
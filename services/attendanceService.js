@@ -9,6 +9,7 @@ import {
   assertInsideAttendanceGeoFence,
   buildAttendanceGeoFencePublic
 } from '../utils/attendanceGeoFence.js';
+import { punchDeviation, resolveShiftForDay, resolveShifts } from './shiftService.js';
 
 function httpError(message, status = 400, code) {
   const err = new Error(message);
@@ -122,6 +123,13 @@ export async function punchIn(req, userId) {
     throw httpError('Already punched in. Punch out or end your break first.');
   }
   const now = new Date();
+  if (!day.sessions.length) {
+    const shift = await resolveShiftForDay(req.businessId, userId, day.date);
+    if (shift) {
+      day.shift = shift;
+      day.lateMinutes = punchDeviation(shift, { firstInAt: now }).lateMinutes;
+    }
+  }
   day.sessions.push({ punchInAt: now, punchOutAt: null });
   day.status = 'PRESENT';
   day.source = 'PUNCH';
@@ -142,6 +150,9 @@ export async function punchOut(req, userId) {
   }
   const open = day.sessions.find((s) => s.punchInAt && !s.punchOutAt);
   open.punchOutAt = new Date();
+  if (day.shift?.endAt) {
+    day.earlyExitMinutes = punchDeviation(day.shift, { lastOutAt: open.punchOutAt }).earlyExitMinutes;
+  }
   await day.save();
   return getTodayAttendance(req, userId);
 }
@@ -169,7 +180,7 @@ export async function breakEnd(req, userId) {
   return getTodayAttendance(req, userId);
 }
 
-function eachDateInclusive(fromKey, toKey) {
+export function eachDateInclusive(fromKey, toKey) {
   const dates = [];
   let cursor = DateTime.fromISO(fromKey, { zone: 'utc' }).startOf('day');
   const end = DateTime.fromISO(toKey, { zone: 'utc' }).startOf('day');
@@ -181,7 +192,11 @@ function eachDateInclusive(fromKey, toKey) {
   return dates;
 }
 
-function dayDisplayStatus(dayDoc, dateKey, todayKey) {
+/**
+ * Day status for calendars and payroll. Pass workingDay=false for a weekly off / shop-closed day
+ * (see shiftService.resolveShifts): a past day there with no attendance is OFF, not LEAVE.
+ */
+export function dayDisplayStatus(dayDoc, dateKey, todayKey, { workingDay = true } = {}) {
   if (dayDoc) {
     if (dayDoc.status === 'CORRECTED' || dayDoc.status === 'PRESENT') return 'PRESENT';
     if ((dayDoc.sessions || []).length > 0) return 'PRESENT';
@@ -189,7 +204,7 @@ function dayDisplayStatus(dayDoc, dateKey, todayKey) {
   }
   if (dateKey > todayKey) return 'FUTURE';
   if (dateKey === todayKey) return dayDoc?.sessions?.length ? 'PRESENT' : 'OPEN';
-  return 'LEAVE';
+  return workingDay ? 'LEAVE' : 'OFF';
 }
 
 export async function getCalendar(req, { from, to, userId: filterUserId } = {}) {
@@ -239,17 +254,26 @@ export async function getCalendar(req, { from, to, userId: filterUserId } = {})
   }
 
   const dateKeys = eachDateInclusive(fromKey, toKey);
+  // Same working-day rule as payroll: roster / weekly off / shop schedule, null = day off
+  const profiles = await User.find({ _id: { $in: userIds }, businessId: req.businessId })
+    .select('shiftTemplateId weeklyOffDays')
+    .lean();
+  const shifts = await resolveShifts(req.businessId, profiles, dateKeys);
   const people = employees.map((emp) => {
     const id = String(emp._id);
     const calendar = dateKeys.map((date) => {
       const doc = byUserDate.get(`${id}:${date}`) || null;
-      const status = dayDisplayStatus(doc, date, todayKey);
+      const status = dayDisplayStatus(doc, date, todayKey, { workingDay: !!shifts.get(`${id}:${date}`) });
       return {
         date,
         status,
         sessions: doc?.sessions || [],
         breaks: doc?.breaks || [],
-        source: doc?.source || null
+        source: doc?.source || null,
+        leaveTypeId: status === 'LEAVE' ? doc?.leaveTypeId || null : null,
+        leavePaid: status === 'LEAVE' ? doc?.leavePaid ?? null : null,
+        lateMinutes: doc?.lateMinutes || 0,
+        earlyExitMinutes: doc?.earlyExitMinutes || 0
       };
     });
     const workingDays = calendar.filter((d) => d.status === 'PRESENT').length;
@@ -0,0 +1,495 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import BankStatementImport from '../models/BankStatementImport.model.js';
+import BankStatementEntry, { BANK_MATCH_SOURCES } from '../models/BankStatementEntry.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import Branch from '../models/Branch.model.js';
+import Invoice from '../models/Invoice.model.js';
+import PaymentCollection from '../models/PaymentCollection.model.js';
+import OtherRevenue from '../models/OtherRevenue.model.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { resolveBusinessTimezone } from '../utils/businessDateRange.js';
+import { scopedFilter, assertBranchAccess } from '../utils/branchAccess.js';
+import {
+  assignStatementFingerprints,
+  matchStatementEntries,
+  parseBankStatementCsv
+} from '../utils/bankStatement.js';
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+async function loadTimezone(businessId) {
+  const settings = await BusinessSettings.findOne({ businessId }).select('timezone').lean();
+  return resolveBusinessTimezone(settings?.timezone);
+}
+
+function normalizeWindowDays(value, fallback = 2) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 7) throw httpError('Date window must be 0–7 days');
+  return n;
+}
+
+/** Receipts for a branch-scoped request: its own branch plus legacy records without one. */
+function inBranchScope(req, branchId) {
+  if (req.branchScope === 'all' || !req.branchId) return true;
+  return !branchId || String(branchId) === String(req.branchId);
+}
+
+// ---------- recorded online receipts ----------
+
+const receiptKey = (sourceType, sourceId) => `${sourceType}:${sourceId}`;
+
+function toReceipt(sourceType, doc, { reference, label, branchId, receivedAt, timezone }) {
+  return {
+    key: receiptKey(sourceType, doc._id),
+    sourceType,
+    sourceId: doc._id,
+    reference: reference || '',
+    label: label || reference || '',
+    branchId: branchId || null,
+    amount: roundMoney(doc.paymentOnlineAmount),
+    onlinePaymentMode: doc.onlinePaymentMode || 'UPI',
+    receivedAt,
+    day: DateTime.fromJSDate(new Date(receivedAt)).setZone(timezone).toISODate()
+  };
+}
+
+/**
+ * Full-pay invoices count on paymentReceivedAt; credit invoices on saleConfirmedAt for the
+ * online part taken at checkout (later payments are PaymentCollections).
+ */
+function invoiceReceivedAt(inv) {
+  return inv.settlementMode === 'CREDIT' ? inv.saleConfirmedAt : inv.paymentReceivedAt;
+}
+
+const INVOICE_FIELDS = 'invoiceNumber customerName branchId settlementMode paymentStatus paymentReceivedAt saleConfirmedAt paymentOnlineAmount onlinePaymentMode';
+const COLLECTION_FIELDS = 'collectionNumber customerId allocations collectionDate paymentOnlineAmount onlinePaymentMode';
+const OTHER_REVENUE_FIELDS = 'branchId otherRevenueTypeId revenueDate paymentOnlineAmount paymentMethod notes';
+
+function invoiceReceipt(inv, timezone) {
+  return toReceipt('INVOICE', inv, {
+    reference: inv.invoiceNumber,
+    label: [inv.invoiceNumber, inv.customerName].filter(Boolean).join(' · '),
+    branchId: inv.branchId,
+    receivedAt: invoiceReceivedAt(inv),
+    timezone
+  });
+}
+
+function collectionReceipt(col, branchId, timezone) {
+  const invoices = (col.allocations || []).map((a) => a.invoiceNumber).filter(Boolean);
+  return toReceipt('COLLECTION', col, {
+    reference: col.collectionNumber,
+    label: [col.collectionNumber, invoices.join(', ')].filter(Boolean).join(' · '),
+    branchId,
+    receivedAt: col.collectionDate,
+    timezone
+  });
+}
+
+function otherRevenueReceipt(rev, timezone) {
+  return toReceipt('OTHER_REVENUE', rev, {
+    reference: '',
+    label: rev.otherRevenueTypeId?.name || 'Other revenue',
+    branchId: rev.branchId,
+    receivedAt: rev.revenueDate,
+    timezone
+  });
+}
+
+/** Collections have no branch of their own; they take the branch of the first invoice they pay. */
+async function collectionBranches(collections) {
+  const invoiceIds = collections.map((c) => c.allocations?.[0]?.invoiceId).filter(Boolean);
+  if (!invoiceIds.length) return new Map();
+  const invoices = await Invoice.find({ _id: { $in: invoiceIds } }).select('branchId').lean();
+  const byInvoice = new Map(invoices.map((inv) => [String(inv._id), inv.branchId || null]));
+  return new Map(collections.map((c) => [String(c._id), byInvoice.get(String(c.allocations?.[0]?.invoiceId)) || null]));
+}
+
+/** Online amounts recorded in the app within [startUtc, endUtc), across invoices, collections and other revenue. */
+export async function loadOnlineReceipts(req, { startUtc, endUtc, timezone }) {
+  const range = { $gte: startUtc, $lt: endUtc };
+  const [invoices, collections, revenues] = await Promise.all([
+    Invoice.find(scopedFilter(req, {
+      paymentOnlineAmount: { $gt: 0 },
+      $and: [{
+        $or: [
+          { settlementMode: { $ne: 'CREDIT' }, paymentStatus: 'RECEIVED', paymentReceivedAt: range },
+          { settlementMode: 'CREDIT', saleConfirmedAt: range }
+        ]
+      }]
+    })).select(INVOICE_FIELDS).lean(),
+    PaymentCollection.find({
+      businessId: req.businessId,
+      paymentOnlineAmount: { $gt: 0 },
+      collectionDate: range
+    }).select(COLLECTION_FIELDS).lean(),
+    OtherRevenue.find(scopedFilter(req, {
+      paymentOnlineAmount: { $gt: 0 },
+      revenueDate: range
+    })).select(OTHER_REVENUE_FIELDS).populate('otherRevenueTypeId', 'name').lean()
+  ]);
+
+  const branches = await collectionBranches(collections);
+  return [
+    ...invoices.map((inv) => invoiceReceipt(inv, timezone)),
+    ...collections
+      .filter((c) => inBranchScope(req, branches.get(String(c._id))))
+      .map((c) => collectionReceipt(c, branches.get(String(c._id)), timezone)),
+    ...revenues.map((rev) => otherRevenueReceipt(rev, timezone))
+  ].sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+}
+
+async function loadReceipt(req, sourceType, sourceId, timezone) {
+  if (!BANK_MATCH_SOURCES.includes(sourceType)) throw httpError('Choose an invoice, collection or other revenue entry');
+  if (!mongoose.isValidObjectId(sourceId)) throw httpError('Payment not found', 404);
+  const base = { _id: sourceId, businessId: req.businessId };
+  let receipt = null;
+  if (sourceType === 'INVOICE') {
+    const inv = await Invoice.findOne(base).select(INVOICE_FIELDS).lean();
+    if (inv && invoiceReceivedAt(inv)) {
+      assertBranchAccess(req, inv, { allowLegacyNull: true });
+      receipt = invoiceReceipt(inv, timezone);
+    }
+  } else if (sourceType === 'COLLECTION') {
+    const col = await PaymentCollection.findOne(base).select(COLLECTION_FIELDS).lean();
+    if (col) {
+      const branchId = (await collectionBranches([col])).get(String(col._id)) || null;
+      if (!inBranchScope(req, branchId)) throw httpError('Payment not found', 404);
+      receipt = collectionReceipt(col, branchId, timezone);
+    }
+  } else {
+    const rev = await OtherRevenue.findOne(base).select(OTHER_REVENUE_FIELDS).populate('otherRevenueTypeId', 'name').lean();
+    if (rev) {
+      assertBranchAccess(req, rev, { allowLegacyNull: true });
+      receipt = otherRevenueReceipt(rev, timezone);
+    }
+  }
+  if (!receipt) throw httpError('Payment not found', 404);
+  if (!(receipt.amount > 0)) throw httpError('This payment has no online amount to reconcile');
+  return receipt;
+}
+
+function matchFromReceipt(receipt, basis, userId = null) {
+  return {
+    sourceType: receipt.sourceType,
+    sourceId: receipt.sourceId,
+    number: receipt.label,
+    branchId: receipt.branchId,
+    amount: receipt.amount,
+    receivedAt: receipt.receivedAt,
+    basis,
+    matchedBy: userId,
+    matchedAt: new Date()
+  };
+}
+
+async function matchedReceiptKeys(businessId, receipts) {
+  if (!receipts.length) return new Set();
+  const rows = await BankStatementEntry.find({
+    businessId,
+    status: 'MATCHED',
+    'match.sourceId': { $in: receipts.map((r) => r.sourceId) }
+  }).select('match.sourceType match.sourceId').lean();
+  return new Set(rows.map((row) => receiptKey(row.match.sourceType, row.match.sourceId)));
+}
+
+// ---------- matching ----------
+
+/** Auto-match UNMATCHED statement entries against receipts not yet claimed by another credit. */
+export async function autoMatchEntries(req, entries, { windowDays = 2, timezone }) {
+  const open = entries.filter((e) => e.status === 'UNMATCHED');
+  if (!open.length) return { matched: 0, ambiguous: 0 };
+
+  const days = open.map((e) => e.day).sort();
+  const startUtc = DateTime.fromISO(days[0], { zone: timezone }).minus({ days: windowDays }).toJSDate();
+  const endUtc = DateTime.fromISO(days[days.length - 1], { zone: timezone }).plus({ days: windowDays + 1 }).toJSDate();
+  const all = await loadOnlineReceipts(req, { startUtc, endUtc, timezone });
+  const claimed = await matchedReceiptKeys(req.businessId, all);
+  const receipts = all.filter((r) => !claimed.has(r.key));
+  const byKey = new Map(receipts.map((r) => [r.key, r]));
+
+  const { matches, ambiguous } = matchStatementEntries(
+    open.map((e) => ({ key: String(e._id), day: e.day, amount: e.amount, description: e.description, reference: e.reference })),
+    receipts,
+    { windowDays }
+  );
+
+  let matched = 0;
+  for (const [entryId, { receiptKey: key, basis }] of matches) {
+    try {
+      const res = await BankStatementEntry.updateOne(
+        { _id: entryId, status: 'UNMATCHED' },
+        { $set: { status: 'MATCHED', match: matchFromReceipt(byKey.get(key), basis), suggestions: [] } }
+      );
+      matched += res.modifiedCount;
+    } catch (err) {
+      // Another import claimed the same receipt in the meantime; leave this credit for review.
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  for (const [entryId, keys] of ambiguous) {
+    await BankStatementEntry.updateOne(
+      { _id: entryId, status: 'UNMATCHED' },
+      {
+        $set: {
+          suggestions: keys.map((key) => {
+            const r = byKey.get(key);
+            return { sourceType: r.sourceType, sourceId: r.sourceId, number: r.label };
+          })
+        }
+      }
+    );
+  }
+  return { matched, ambiguous: ambiguous.size };
+}
+
+// ---------- imports ----------
+
+/** Parse a statement CSV, store new credits (skipping ones already imported) and auto-match them. */
+export async function importBankStatement(req, body = {}) {
+  const csv = String(body.csv || '');
+  if (!csv.trim()) throw httpError('Statement CSV is required');
+  const windowDays = normalizeWindowDays(body.windowDays);
+  const timezone = await loadTimezone(req.businessId);
+  const parsed = parseBankStatementCsv(csv, { timezone });
+  if (!parsed.entries.length) throw httpError('No credits found in this statement');
+
+  const rows = assignStatementFingerprints(parsed.entries);
+  const existing = new Set(await BankStatementEntry.find({
+    businessId: req.businessId,
+    fingerprint: { $in: rows.map((r) => r.fingerprint) }
+  }).distinct('fingerprint'));
+  const fresh = rows.filter((r) => !existing.has(r.fingerprint));
+  const days = rows.map((r) => r.day).sort();
+
+  const branchId = req.branchScope === 'all' ? null : (req.branchId || null);
+  const statement = await BankStatementImport.create({
+    businessId: req.businessId,
+    branchId,
+    fileName: String(body.fileName || '').trim().slice(0, 200),
+    accountLabel: String(body.accountLabel || '').trim().slice(0, 100),
+    periodFrom: DateTime.fromISO(days[0], { zone: timezone }).toJSDate(),
+    periodTo: DateTime.fromISO(days[days.length - 1], { zone: timezone }).toJSDate(),
+    windowDays,
+    creditCount: fresh.length,
+    creditAmount: roundMoney(fresh.reduce((s, r) => s + r.amount, 0)),
+    duplicateCount: rows.length - fresh.length,
+    debitCount: parsed.debitCount,
+    skippedCount: parsed.skippedCount,
+    importedBy: req.user._id
+  });
+
+  let entries = [];
+  if (fresh.length) {
+    entries = await BankStatementEntry.insertMany(fresh.map((r) => ({
+      businessId: req.businessId,
+      branchId,
+      importId: statement._id,
+      line: r.line,
+      txnDate: r.txnDate,
+      day: r.day,
+      amount: r.amount,
+      description: r.description,
+      reference: r.reference,
+      balance: r.balance,
+      fingerprint: r.fingerprint
+    })), { ordered: false });
+  }
+  const result = await autoMatchEntries(req, entries, { windowDays, timezone });
+  return { statement, ...result, unmatched: fresh.length - result.matched };
+}
+
+export async function listStatementImports(req) {
+  return BankStatementImport.find(scopedFilter(req, {}))
+    .populate('importedBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+}
+
+async function findImport(req, importId) {
+  if (!mongoose.isValidObjectId(importId)) throw httpError('Statement not found', 404);
+  const statement = await BankStatementImport.findOne({ _id: importId, businessId: req.businessId });
+  if (!statement) throw httpError('Statement not found', 404);
+  assertBranchAccess(req, statement, { allowLegacyNull: true });
+  return statement;
+}
+
+export async function getStatementImport(req, importId, { status } = {}) {
+  const statement = await findImport(req, importId);
+  const filter = { importId: statement._id };
+  if (status) filter.status = status;
+  const entries = await BankStatementEntry.find(filter).sort({ txnDate: 1, line: 1 }).lean();
+  const summary = { MATCHED: 0, UNMATCHED: 0, IGNORED: 0 };
+  for (const row of await BankStatementEntry.aggregate([
+    { $match: { importId: statement._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ])) summary[row._id] = row.count;
+  return { statement: statement.toObject(), entries, summary };
+}
+
+/** Re-run auto-matching for this statement's open credits (e.g. after back-dated bills were entered). */
+export async function rematchStatementImport(req, importId) {
+  const statement = await findImport(req, importId);
+  const timezone = await loadTimezone(req.businessId);
+  const entries = await BankStatementEntry.find({ importId: statement._id, status: 'UNMATCHED' }).lean();
+  return autoMatchEntries(req, entries, { windowDays: statement.windowDays, timezone });
+}
+
+/** Remove a statement and its credits (wrong file or account); matched receipts become free again. */
+export async function deleteStatementImport(req, importId) {
+  const statement = await findImport(req, importId);
+  await BankStatementEntry.deleteMany({ importId: statement._id });
+  await statement.deleteOne();
+}
+
+/**
+ * Review a single credit. action: match (with sourceType + sourceId), unmatch, or ignore
+ * (money that is not a sale, e.g. an owner transfer).
+ */
+export async function updateStatementEntry(req, entryId, body = {}) {
+  if (!mongoose.isValidObjectId(entryId)) throw httpError('Statement entry not found', 404);
+  const entry = await BankStatementEntry.findOne({ _id: entryId, businessId: req.businessId });
+  if (!entry) throw httpError('Statement entry not found', 404);
+  assertBranchAccess(req, entry, { allowLegacyNull: true });
+
+  if (body.notes !== undefined) entry.notes = String(body.notes || '').trim().slice(0, 500);
+  const action = String(body.action || '');
+  if (action === 'match') {
+    const timezone = await loadTimezone(req.businessId);
+    const receipt = await loadReceipt(req, body.sourceType, body.sourceId, timezone);
+    entry.status = 'MATCHED';
+    entry.match = matchFromReceipt(receipt, 'MANUAL', req.user._id);
+    entry.suggestions = [];
+  } else if (action === 'unmatch') {
+    entry.status = 'UNMATCHED';
+    entry.match = null;
+  } else if (action === 'ignore') {
+    entry.status = 'IGNORED';
+    entry.match = null;
+    entry.suggestions = [];
+  } else if (body.notes === undefined) {
+    throw httpError('Action must be match, unmatch or ignore');
+  }
+
+  try {
+    await entry.save();
+  } catch (err) {
+    if (err?.code === 11000) throw httpError('That payment is already matched to another bank credit', 409);
+    throw err;
+  }
+  return entry;
+}
+
+// ---------- report ----------
+
+/**
+ * Per branch per day: online receipts recorded in the app vs credits on imported statements,
+ * with matched / unmatched totals on both sides and the lists that need review.
+ */
+export async function buildReconciliationReport(req, { startUtc, endUtc }) {
+  if (!startUtc || !endUtc) throw httpError('Choose a date range');
+  const timezone = await loadTimezone(req.businessId);
+  const fromDay = DateTime.fromJSDate(startUtc).setZone(timezone).toISODate();
+  const toDay = DateTime.fromJSDate(endUtc).setZone(timezone).minus({ milliseconds: 1 }).toISODate();
+
+  const [receipts, entryRows] = await Promise.all([
+    loadOnlineReceipts(req, { startUtc, endUtc, timezone }),
+    BankStatementEntry.find({ businessId: req.businessId, day: { $gte: fromDay, $lte: toDay } }).lean()
+  ]);
+  const effectiveBranch = (e) => (e.status === 'MATCHED' ? e.match?.branchId : e.branchId) || null;
+  const entries = entryRows.filter((e) => inBranchScope(req, effectiveBranch(e)));
+  const claimed = await matchedReceiptKeys(req.businessId, receipts);
+
+  const rows = new Map();
+  const rowFor = (branchId, day) => {
+    const key = `${branchId || ''}|${day}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        branchId: branchId || null,
+        day,
+        recordedOnline: 0,
+        recordedMatched: 0,
+        recordedUnmatched: 0,
+        unmatchedReceiptCount: 0,
+        bankCredits: 0,
+        bankMatched: 0,
+        bankUnmatched: 0,
+        bankIgnored: 0,
+        unmatchedEntryCount: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  const unmatchedReceipts = [];
+  for (const r of receipts) {
+    const row = rowFor(r.branchId, r.day);
+    row.recordedOnline += r.amount;
+    if (claimed.has(r.key)) {
+      row.recordedMatched += r.amount;
+    } else {
+      row.recordedUnmatched += r.amount;
+      row.unmatchedReceiptCount += 1;
+      unmatchedReceipts.push(r);
+    }
+  }
+
+  const unmatchedEntries = [];
+  for (const e of entries) {
+    const row = rowFor(effectiveBranch(e), e.day);
+    if (e.status === 'IGNORED') {
+      row.bankIgnored += e.amount;
+      continue;
+    }
+    row.bankCredits += e.amount;
+    if (e.status === 'MATCHED') {
+      row.bankMatched += e.amount;
+    } else {
+      row.bankUnmatched += e.amount;
+      row.unmatchedEntryCount += 1;
+      unmatchedEntries.push(e);
+    }
+  }
+
+  const branchIds = [...new Set([...rows.values()].map((r) => r.branchId).filter(Boolean).map(String))];
+  const branches = branchIds.length
+    ? await Branch.find({ _id: { $in: branchIds } }).select('name').lean()
+    : [];
+  const branchName = new Map(branches.map((b) => [String(b._id), b.name]));
+
+  const moneyKeys = ['recordedOnline', 'recordedMatched', 'recordedUnmatched', 'bankCredits', 'bankMatched', 'bankUnmatched', 'bankIgnored'];
+  const totals = Object.fromEntries(moneyKeys.map((k) => [k, 0]));
+  const days = [...rows.values()]
+    .map((row) => {
+      for (const k of moneyKeys) {
+        row[k] = roundMoney(row[k]);
+        totals[k] += row[k];
+      }
+      return {
+        ...row,
+        branchName: row.branchId ? (branchName.get(String(row.branchId)) || '') : '',
+        difference: roundMoney(row.bankCredits - row.recordedOnline)
+      };
+    })
+    .sort((a, b) => a.day.localeCompare(b.day) || a.branchName.localeCompare(b.branchName));
+  for (const k of moneyKeys) totals[k] = roundMoney(totals[k]);
+  totals.difference = roundMoney(totals.bankCredits - totals.recordedOnline);
+
+  return {
+    timezone,
+    from: fromDay,
+    to: toDay,
+    days,
+    totals,
+    unmatchedEntries,
+    unmatchedReceipts
+  };
+}
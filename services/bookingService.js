@@ -8,6 +8,9 @@ import Car from '../models/Car.model.js';
 import Service from '../models/Service.model.js';
 import Job from '../models/Job.model.js';
 import User from '../models/User.model.js';
+import PaymentLink from '../models/PaymentLink.model.js';
+import OtherRevenue from '../models/OtherRevenue.model.js';
+import OtherRevenueType from '../models/OtherRevenueType.model.js';
 import { generateTokenNumber, calculateETA, canAcceptNewJob } from '../utils/job.utils.js';
 import { resolveJobServiceLines } from '../utils/jobServiceLines.js';
 import { normalizeJobAdvanceForCreate } from '../utils/jobAdvance.js';
@@ -22,6 +25,21 @@ import {
 import { applyCreatedAtRange } from '../utils/businessDateRange.js';
 import { findOrCreateCustomer, normalizePhone, applyDefaultCountryCode } from '../utils/customer.utils.js';
 import { assertJobImageCount, normalizeJobImageUrls, resolveJobImageLimits } from '../utils/jobImages.js';
+import { bookingDepositRefundDue, computeBookingDeposit, loadBranchDepositRule } from '../utils/bookingDeposit.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { lookupVehicleType, resolveServicePrice } from '../utils/servicePricing.js';
+import { bookingPricingAt, priceLineWithRules } from '../utils/pricingRules.js';
+import { loadPricingContext } from './pricingRuleService.js';
+import {
+  claimPromoForBooking,
+  recordBookingPromoRedemption,
+  releaseBookingPromo,
+  releasePromoClaim
+} from './promoCodeService.js';
+import { isOtherRevenueEnabled } from '../utils/otherRevenueSales.js';
+import { invalidateDashboardForBusiness } from '../utils/dashboardFinancialSync.js';
+import { getPaymentGateway } from './payments/paymentGatewayProvider.js';
+import { ensureBookingDepositLink } from './payments/paymentLinkService.js';
 
 async function findOrCreateCar(businessId, customerId, vehicle) {
   const carNumber = String(vehicle.vehicleNumber || '').trim().toUpperCase();
@@ -129,8 +147,8 @@ async function resolveBookingCustomerAndCar(businessId, payload) {
   };
 }
 
-async function createBookingRecord(businessId, payload, { status = 'PENDING', slotOpts = {}, branchId = null, allowMixedCart = false, requireShowOnBookingForm = false } = {}) {
-  const { slot, bookingDate, bayNumber } = await validateSlotBooking(
+async function createBookingRecord(businessId, payload, { status = 'PENDING', slotOpts = {}, branchId = null, allowMixedCart = false, requireShowOnBookingForm = false, depositRule = null } = {}) {
+  const { slot, bookingDate, bayNumber, bookingSettings } = await validateSlotBooking(
     businessId,
     payload.slotId,
     payload.bookingDate,
@@ -140,8 +158,22 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
 
   let serviceIdsToStore = [];
   let serviceLinesToStore = undefined;
+  let bookingTotal = 0;
+  let pricedLines = [];
 
   const hasLinePayload = Array.isArray(payload.services) && payload.services.length > 0;
+  // Price by the vehicle being booked (typed / scanned type, else the picked car's)
+  const vehicleType = await lookupVehicleType(businessId, {
+    vehicleType: payload.vehicleType,
+    carId: payload.carId,
+    vehicleNumber: payload.vehicleNumber
+  });
+  // Happy-hour / weekday rules are evaluated for the booked slot, not the time of booking
+  const pricing = {
+    at: bookingPricingAt(payload.bookingDate, slot.startTime, bookingSettings.timezone),
+    branchId,
+    timezone: bookingSettings.timezone
+  };
 
   if (allowMixedCart && hasLinePayload) {
     let lines;
@@ -149,7 +181,9 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
     try {
       ({ lines, catalogServices } = await resolveJobServiceLines(businessId, {
         services: payload.services,
-        checkStock: true
+        checkStock: true,
+        vehicleType,
+        pricing
       }));
     } catch (svcErr) {
       const err = new Error(svcErr.message || 'Invalid services');
@@ -184,6 +218,8 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
       ...(l.customName ? { customName: l.customName } : {})
     }));
     serviceIdsToStore = lines.map((l) => l.serviceId);
+    pricedLines = serviceLinesToStore.map((l) => ({ serviceId: l.serviceId, amount: l.price * l.quantity }));
+    bookingTotal = pricedLines.reduce((sum, l) => sum + l.amount, 0);
   } else {
     const rawServiceIds = Array.isArray(payload.serviceIds) ? payload.serviceIds : [];
     const uniqueServiceIds = [...new Set(rawServiceIds.map(String))];
@@ -218,6 +254,15 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
     }
 
     serviceIdsToStore = services.map((s) => s._id);
+    const { rules, moment } = await loadPricingContext(businessId, pricing);
+    pricedLines = services.map((svc) => {
+      const listPrice = resolveServicePrice(svc, vehicleType);
+      const amount = svc.isVariable
+        ? listPrice
+        : priceLineWithRules(rules, moment, { serviceId: svc._id, branchId, listPrice }).price;
+      return { serviceId: svc._id, amount };
+    });
+    bookingTotal = pricedLines.reduce((sum, l) => sum + l.amount, 0);
   }
 
   const { customer, car, pickupAddress, customerName, customerPhone } = await resolveBookingCustomerAndCar(
@@ -225,6 +270,24 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
     payload
   );
 
+  // Promo code: checked against this customer, use counted now, discount billed on the job invoice
+  let promoClaim = null;
+  if (String(payload.promoCode || '').trim()) {
+    promoClaim = await claimPromoForBooking(businessId, {
+      code: payload.promoCode,
+      branchId,
+      customerId: customer._id,
+      lines: pricedLines
+    });
+  }
+
+  const depositAmount = computeBookingDeposit(depositRule, {
+    serviceIds: serviceIdsToStore,
+    slotId: slot._id,
+    total: roundMoney(bookingTotal - (promoClaim?.discountAmount || 0))
+  });
+  if (depositAmount > 0) status = 'PENDING_PAYMENT';
+
   const vehicleNumberRaw = String(payload.vehicleNumber || '').trim().toUpperCase();
   const now = new Date();
   let booking;
@@ -241,6 +304,12 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
       bayNumber,
       status,
       confirmedAt: status === 'CONFIRMED' ? now : undefined,
+      ...(depositAmount > 0
+        ? {
+            depositAmount,
+            paymentDueAt: new Date(now.getTime() + Number(depositRule.holdMinutes || 30) * 60 * 1000)
+          }
+        : {}),
       deliveryMethod: payload.deliveryMethod === 'PICKUP_DROP' ? 'PICKUP_DROP' : 'SELF_VISIT',
       pickupAddress: pickupAddress || undefined,
       pickupLandmark: payload.pickupLandmark || undefined,
@@ -250,16 +319,21 @@ async function createBookingRecord(businessId, payload, { status = 'PENDING', sl
       vehicleNumber: car?.carNumber || vehicleNumberRaw || undefined,
       vehicleBrand: payload.vehicleBrand || car?.brand,
       vehicleModel: payload.vehicleModel || car?.model,
-      vehicleType: payload.vehicleType || car?.vehicleType,
+      vehicleType: vehicleType || payload.vehicleType || car?.vehicleType,
+      ...(promoClaim
+        ? { promoCodeId: promoClaim.promo._id, promoCode: promoClaim.promo.code, promoDiscountAmount: promoClaim.discountAmount }
+        : {}),
       notes: payload.notes || undefined,
       ...(payload.contactAnswers && Object.keys(payload.contactAnswers).length
         ? { contactAnswers: payload.contactAnswers }
         : {})
     });
   } catch (err) {
+    await releasePromoClaim(promoClaim);
     if (err?.code === 11000) throw new Error('This time slot was just booked. Please choose another slot.');
     throw err;
   }
+  if (promoClaim) await recordBookingPromoRedemption(booking, promoClaim);
 
   return { booking, slot, payloadDate: payload.bookingDate };
 }
@@ -283,16 +357,25 @@ export async function createPublicBooking(businessId, payload) {
     contactAnswers
   };
 
+  // A deposit can only be asked for when customers can actually pay online
+  const depositRule = getPaymentGateway() ? await loadBranchDepositRule(defaultBranch?._id) : null;
+
   const { booking, slot, payloadDate } = await createBookingRecord(businessId, mergedPayload, {
     status: 'PENDING',
     branchId: defaultBranch?._id || null,
-    requireShowOnBookingForm: true
+    requireShowOnBookingForm: true,
+    depositRule
   });
 
+  let paymentLink = null;
+  if (booking.status === 'PENDING_PAYMENT') {
+    paymentLink = await ensureBookingDepositLink(booking, { expiresAt: booking.paymentDueAt });
+  }
+
   await notifyOwner(businessId, {
     type: 'booking_request',
     title: 'New booking request',
-    body: `${booking.customerName} booked ${slot.name} on ${payloadDate}`,
+    body: `${booking.customerName} booked ${slot.name} on ${payloadDate}${paymentLink ? ' (awaiting deposit)' : ''}`,
     bookingId: booking._id,
     url: `/admin/bookings/${booking._id}`
   });
@@ -313,7 +396,7 @@ export async function createPublicBooking(businessId, payload) {
     });
   }
 
-  return booking;
+  return { booking, paymentLink };
 }
 
 export async function createAdminBooking(businessId, payload, branchId = null) {
@@ -332,20 +415,22 @@ export async function createAdminBooking(businessId, payload, branchId = null) {
 }
 
 export async function updateBookingStatus(businessId, bookingId, status, options = {}) {
-  const booking = await Booking.findOne({ _id: bookingId, businessId });
+  let booking = await Booking.findOne({ _id: bookingId, businessId });
   if (!booking) throw new Error('Booking not found');
 
   const now = new Date();
   if (status === 'CONFIRMED') {
-    if (booking.status !== 'PENDING') throw new Error('Only pending bookings can be confirmed');
+    // Confirming an unpaid booking is the shop waiving the deposit
+    if (!['PENDING', 'PENDING_PAYMENT'].includes(booking.status)) throw new Error('Only pending bookings can be confirmed');
     booking.status = 'CONFIRMED';
     booking.confirmedAt = now;
+    booking.paymentDueAt = null;
   } else if (status === 'REJECTED') {
-    if (!['PENDING', 'CONFIRMED'].includes(booking.status)) throw new Error('Cannot reject this booking');
+    if (!['PENDING_PAYMENT', 'PENDING', 'CONFIRMED'].includes(booking.status)) throw new Error('Cannot reject this booking');
     booking.status = 'REJECTED';
     booking.rejectedAt = now;
   } else if (status === 'CANCELLED') {
-    if (!['PENDING', 'CONFIRMED'].includes(booking.status)) throw new Error('Cannot cancel this booking');
+    if (!['PENDING_PAYMENT', 'PENDING', 'CONFIRMED'].includes(booking.status)) throw new Error('Cannot cancel this booking');
     booking.status = 'CANCELLED';
     booking.cancelledAt = now;
   } else {
@@ -353,6 +438,11 @@ export async function updateBookingStatus(businessId, bookingId, status, options
   }
 
   await booking.save();
+  if (status !== 'CONFIRMED') {
+    await closeOpenDepositLinks(booking._id);
+    await releaseBookingPromo(booking._id);
+    booking = await flagDepositRefund(businessId, booking._id);
+  }
 
   if (status === 'CANCELLED') {
     await notifyOwner(businessId, {
@@ -367,10 +457,154 @@ export async function updateBookingStatus(businessId, bookingId, status, options
   return booking;
 }
 
-export async function rescheduleBooking(businessId, bookingId, { bookingDate: dateStr, slotId }) {
+/**
+ * Record a paid deposit as owed back once the booking is cancelled, rejected or a no-show that
+ * keeps no fee. The money goes back outside the app (gateway dashboard or counter) and is then
+ * marked with recordDepositRefund. Re-reads the booking so a payment that landed meanwhile counts.
+ */
+async function flagDepositRefund(businessId, bookingId) {
+  const booking = await Booking.findOne({ _id: bookingId, businessId });
+  const amount = bookingDepositRefundDue(booking);
+  if (!amount) return booking;
+  const flagged = await Booking.findOneAndUpdate(
+    { _id: bookingId, businessId, depositRefundStatus: { $in: ['NONE', null] }, depositForfeitedAt: null },
+    { $set: { depositRefundStatus: 'DUE', depositRefundAmount: amount, depositRefundDueAt: new Date() } },
+    { new: true }
+  );
+  if (!flagged) return Booking.findOne({ _id: bookingId, businessId });
+  await notifyOwner(businessId, {
+    type: 'deposit_refund_due',
+    title: 'Deposit refund due',
+    body: `Refund ${amount} deposit to ${flagged.customerName} (booking ${flagged.status.toLowerCase().replace('_', '-')})`,
+    bookingId: flagged._id,
+    url: `/admin/bookings/${flagged._id}`
+  });
+  return flagged;
+}
+
+/** Mark a due deposit refund as paid back (reference = gateway refund id or counter note). */
+export async function recordDepositRefund(businessId, bookingId, { reference, userId } = {}) {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, businessId, depositRefundStatus: 'DUE' },
+    {
+      $set: {
+        depositRefundStatus: 'REFUNDED',
+        depositRefundedAt: new Date(),
+        depositRefundReference: String(reference || '').trim() || null,
+        depositRefundedBy: userId || null
+      }
+    },
+    { new: true }
+  );
+  if (!booking) {
+    const err = new Error('No deposit refund is due on this booking');
+    err.status = 409;
+    throw err;
+  }
+  return booking;
+}
+
+async function closeOpenDepositLinks(bookingId) {
+  await PaymentLink.updateMany(
+    { bookingId, purpose: 'BOOKING_DEPOSIT', status: 'CREATED' },
+    { $set: { status: 'CANCELLED' } }
+  );
+}
+
+async function noShowRevenueTypeId(businessId) {
+  const existing = await OtherRevenueType.findOne({ businessId, revenueName: /no.?show/i }).select('_id').lean();
+  if (existing) return existing._id;
+  const created = await OtherRevenueType.create({ businessId, revenueName: 'No-show fees' });
+  return created._id;
+}
+
+/**
+ * Mark a pending/confirmed booking as a no-show. A paid deposit is kept as other revenue
+ * (paid online) when forfeitDeposit is set, or by default when the branch rule says so.
+ */
+export async function markBookingNoShow(businessId, bookingId, { forfeitDeposit, userId } = {}) {
   const booking = await Booking.findOne({ _id: bookingId, businessId });
   if (!booking) throw new Error('Booking not found');
   if (!['PENDING', 'CONFIRMED'].includes(booking.status)) {
+    throw new Error('Only pending or confirmed bookings can be marked no-show');
+  }
+  if (booking.bookingDate > new Date()) throw new Error('A booking can only be marked no-show on or after its date');
+
+  const paid = roundMoney(booking.depositPaidAmount);
+  let forfeit = forfeitDeposit;
+  if (forfeit === undefined || forfeit === null) {
+    const rule = await loadBranchDepositRule(booking.branchId);
+    forfeit = rule?.forfeitOnNoShow === true;
+  }
+  forfeit = forfeit === true && paid > 0;
+  if (forfeit && !(await isOtherRevenueEnabled(businessId))) {
+    const err = new Error('Turn on Other revenue to keep no-show deposits');
+    err.status = 400;
+    throw err;
+  }
+
+  const now = new Date();
+  booking.status = 'NO_SHOW';
+  booking.noShowAt = now;
+  if (forfeit) {
+    const revenue = await OtherRevenue.create({
+      businessId,
+      branchId: booking.branchId || null,
+      otherRevenueTypeId: await noShowRevenueTypeId(businessId),
+      amount: paid,
+      settlementMode: 'FULL',
+      outstandingAmount: 0,
+      paymentStatus: 'PAID',
+      paymentMethod: 'ONLINE',
+      paymentCashAmount: 0,
+      paymentOnlineAmount: paid,
+      revenueDate: now,
+      notes: `Deposit kept — ${booking.customerName} did not turn up`,
+      bookingId: booking._id,
+      createdBy: userId
+    });
+    booking.depositForfeitedAt = now;
+    booking.depositOtherRevenueId = revenue._id;
+  }
+  await booking.save();
+  await closeOpenDepositLinks(booking._id);
+  await releaseBookingPromo(booking._id);
+  if (forfeit) {
+    invalidateDashboardForBusiness(businessId);
+    return booking;
+  }
+  return flagDepositRefund(businessId, booking._id);
+}
+
+/** Cron: release bays held by unpaid bookings once the payment window (plus grace) has passed. */
+export async function expireUnpaidBookings({ graceMinutes = 15 } = {}) {
+  if (mongoose.connection.readyState !== 1) return { released: 0 };
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+  const due = await Booking.find({ status: 'PENDING_PAYMENT', paymentDueAt: { $lte: cutoff } })
+    .select('_id businessId')
+    .limit(500)
+    .lean();
+  let released = 0;
+  for (const row of due) {
+    const res = await Booking.updateOne(
+      { _id: row._id, status: 'PENDING_PAYMENT' },
+      { $set: { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: 'Deposit not paid in time' } }
+    );
+    if (res.modifiedCount) {
+      released += 1;
+      await closeOpenDepositLinks(row._id);
+      await releaseBookingPromo(row._id);
+      // Part of the deposit may have been paid before the window ran out
+      await flagDepositRefund(row.businessId, row._id);
+    }
+  }
+  return { released };
+}
+
+export async function rescheduleBooking(businessId, bookingId, { bookingDate: dateStr, slotId }) {
+  const booking = await Booking.findOne({ _id: bookingId, businessId });
+  if (!booking) throw new Error('Booking not found');
+  if (!['PENDING_PAYMENT', 'PENDING', 'CONFIRMED'].includes(booking.status)) {
     throw new Error('Only pending or confirmed bookings can be rescheduled');
   }
 
@@ -533,6 +767,16 @@ export async function convertBookingToJob(businessId, bookingId, userId, userRol
   if (!capacityCheck.canAccept) throw new Error(capacityCheck.reason);
 
   const car = await resolveCarForJobConversion(businessId, booking, payload);
+  const vehicleType = booking.vehicleType || car?.vehicleType || null;
+  const [slot, bookingSettings] = await Promise.all([
+    BookingSlot.findOne({ _id: booking.slotId, businessId }).select('startTime').lean(),
+    getBookingSettings(businessId)
+  ]);
+  const pricing = {
+    at: slot ? bookingPricingAt(booking.bookingDate, slot.startTime, bookingSettings.timezone) : new Date(),
+    branchId,
+    timezone: bookingSettings.timezone
+  };
 
   let lines;
   let totalPrice;
@@ -547,18 +791,27 @@ export async function convertBookingToJob(businessId, bookingId, userId, userRol
           quantity: l.quantity,
           customName: l.customName
         })),
-        checkStock: true
+        checkStock: true,
+        vehicleType,
+        pricing
       }));
     } else {
       ({ lines, totalPrice, catalogServices } = await resolveJobServiceLines(businessId, {
-        serviceIds: (booking.serviceIds || []).map(String)
+        serviceIds: (booking.serviceIds || []).map(String),
+        vehicleType,
+        pricing
       }));
     }
   } catch (svcErr) {
     throw new Error(svcErr.message || 'Services on this booking are no longer valid');
   }
 
-  const advanceFields = normalizeJobAdvanceForCreate({}, 0);
+  // Deposit paid online on the booking becomes the job's advance, received on the day it was paid
+  const advanceFields = normalizeJobAdvanceForCreate({
+    advancePaymentMethod: 'ONLINE',
+    advanceOnlinePaymentMode: booking.depositOnlinePaymentMode
+  }, booking.depositPaidAmount, { cardEnabled: true });
+  if (advanceFields.advancePayment > 0) advanceFields.advanceReceivedAt = booking.depositPaidAt || null;
   const estimatedDelivery = calculateETA(catalogServices);
 
   const createWithoutImages = !!payload.createWithoutImages;
@@ -677,7 +930,9 @@ export async function getBookingStats(businessId, { startUtc, endUtc, branchId =
   const baseMatch = buildBookingStatsMatch(businessId, { startUtc, endUtc, branchId });
   const count = (status) => Booking.countDocuments({ ...baseMatch, status });
 
-  const [pending, confirmed, cancelled, rejected, converted, slots, popularSlotAgg, popularServiceAgg] = await Promise.all([
+  const [awaitingPayment, noShow, pending, confirmed, cancelled, rejected, converted, slots, popularSlotAgg, popularServiceAgg] = await Promise.all([
+    count('PENDING_PAYMENT'),
+    count('NO_SHOW'),
     count('PENDING'),
     count('CONFIRMED'),
     count('CANCELLED'),
@@ -699,7 +954,7 @@ export async function getBookingStats(businessId, { startUtc, endUtc, branchId =
     ])
   ]);
 
-  const total = pending + confirmed + cancelled + rejected + converted;
+  const total = awaitingPayment + pending + confirmed + cancelled + rejected + converted + noShow;
   const activeTotal = pending + confirmed + converted;
   const conversionRate = activeTotal > 0 ? Math.round((converted / activeTotal) * 100) : 0;
 
@@ -720,6 +975,8 @@ export async function getBookingStats(businessId, { startUtc, endUtc, branchId =
     cancelled,
     rejected,
     converted,
+    awaitingPayment,
+    noShow,
     conversionRate,
     activeSlots: slots,
     mostPopularSlot: mostPopularSlot?.name || null,
@@ -23,6 +23,8 @@ import { expensePaidAmountAggregationExpr } from '../utils/expensePayment.js';
 import { cacheGetOrSet, cacheDelete } from '../utils/cache.js';
 import { syncDefaultBranchWhatsAppToBusiness } from '../utils/whatsappSettingsMerge.js';
 import { approximateValidityDays } from '../utils/packageValidity.js';
+import { normalizeBookingDepositSettings } from '../utils/bookingDeposit.js';
+import { isValidUpiId } from '../utils/upiQr.js';
 
 const DEFAULT_BRANCH_CACHE_TTL = 120_000;
 
@@ -242,6 +244,7 @@ export async function seedBranchCatalogFromDefault(businessId, newBranchId) {
         branchId: newBranchId,
         name: svc.name,
         price: svc.price,
+        vehiclePrices: svc.vehiclePrices || [],
         minTime: svc.minTime,
         maxTime: svc.maxTime,
         description: svc.description,
@@ -612,6 +615,14 @@ export async function updateBranchSettings(businessId, branchId, payload) {
   for (const key of BRANCH_SETTINGS_FIELDS) {
     if (payload[key] !== undefined) update[key] = payload[key];
   }
+  if (update.upiId && !isValidUpiId(update.upiId)) {
+    const err = new Error('Enter a valid UPI ID (e.g. shopname@okaxis)');
+    err.status = 400;
+    throw err;
+  }
+  if (payload.bookingDeposit !== undefined) {
+    update.bookingDeposit = normalizeBookingDepositSettings(payload.bookingDeposit || {});
+  }
   if (payload.whatsappTemplates) {
     update.whatsappTemplates = {
       ...(payload.whatsappTemplates || {})
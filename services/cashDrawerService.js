@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import CashDrawerSession, { generateCashDrawerNumberForBusiness } from '../models/CashDrawerSession.model.js';
+import Job from '../models/Job.model.js';
+import Expense from '../models/Expense.model.js';
+import CreditNote from '../models/CreditNote.model.js';
+import User from '../models/User.model.js';
+import { getTodayCashReceived } from './credit/creditReportsService.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { expenseCashOnline } from '../utils/expensePayment.js';
+import { jobAdvanceCashOnlineByMode } from '../utils/paymentChannelAmounts.js';
+import { advanceReceivedMatch } from '../utils/jobAdvance.js';
+import { scopedFilter, assertBranchAccess } from '../utils/branchAccess.js';
+import {
+  CASH_VARIANCE_REASON_THRESHOLD,
+  computeExpectedCash,
+  resolveCashCount
+} from '../utils/cashDrawer.js';
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+const branchMatch = (branchId) => (branchId ? { branchId } : {});
+
+// ---------- expected cash ----------
+
+/**
+ * Cash in and out of the branch drawer in [startUtc, endUtc): receipts come from
+ * getTodayCashReceived (advances, checkout, credit recovery, other revenue); cash paid out is
+ * expenses recorded in the window and cash refunds on credit notes.
+ */
+export async function loadDrawerCashFlows(businessId, branchId, startUtc, endUtc) {
+  const window = { $gte: startUtc, $lt: endUtc };
+  const [jobs, expenses, creditNotes] = await Promise.all([
+    Job.find({ businessId, ...branchMatch(branchId), ...advanceReceivedMatch(window), advancePayment: { $gt: 0 } })
+      .select('advancePayment advancePaymentMethod advanceCashAmount advanceOnlineAmount advanceOnlinePaymentMode')
+      .lean(),
+    Expense.find({ businessId, ...branchMatch(branchId), createdAt: window, nonCash: { $ne: true } })
+      .select('amount settlementMode paymentMethod paymentCashAmount paymentOnlineAmount nonCash')
+      .lean(),
+    CreditNote.find({ businessId, ...branchMatch(branchId), refundDate: window })
+      .select('refundCashAmount')
+      .lean()
+  ]);
+
+  const advance = { cash: 0, online: 0, upi: 0, card: 0 };
+  for (const job of jobs) {
+    const channels = jobAdvanceCashOnlineByMode(job);
+    for (const k of Object.keys(advance)) advance[k] += channels[k];
+  }
+  const received = await getTodayCashReceived(
+    businessId,
+    startUtc,
+    endUtc,
+    advance.cash,
+    advance.online,
+    branchId,
+    advance.upi,
+    advance.card
+  );
+
+  return {
+    ...received.cashBySource,
+    expenses: roundMoney(expenses.reduce((s, e) => s + expenseCashOnline(e).cash, 0)),
+    refunds: roundMoney(creditNotes.reduce((s, n) => s + (Number(n.refundCashAmount) || 0), 0)),
+    upi: received.todayCashReceivedUpi,
+    card: received.todayCashReceivedCard
+  };
+}
+
+async function computeSessionExpected(session, endUtc) {
+  const { upi, card, ...flows } = await loadDrawerCashFlows(
+    session.businessId,
+    session.branchId,
+    session.openedAt,
+    endUtc
+  );
+  return {
+    expected: computeExpectedCash({ openingFloat: session.openingFloat, ...flows }),
+    onlineReceived: { upi, card }
+  };
+}
+
+// ---------- sessions ----------
+
+/** Floor staff count blind: expected cash and variance are for the admin panel only. */
+export function serializeCashDrawerSession(doc, { withExpected = true } = {}) {
+  const raw = typeof doc?.toObject === 'function' ? doc.toObject() : doc;
+  if (withExpected || !raw) return raw;
+  const {
+    expected,
+    variance,
+    onlineReceived,
+    expectedOpeningFloat,
+    openingDifference,
+    ...rest
+  } = raw;
+  return rest;
+}
+
+function currentBranchId(req) {
+  return req.branchScope === 'all' ? null : (req.branchId || null);
+}
+
+export async function listCashDrawerSessions(req, { status, limit } = {}) {
+  const filter = scopedFilter(req, {});
+  if (status) filter.status = status;
+  return CashDrawerSession.find(filter)
+    .populate('openedBy', 'name')
+    .populate('closedBy', 'name')
+    .populate('lockedBy', 'name')
+    .populate('handoverTo', 'name')
+    .sort({ openedAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 60, 1), 200))
+    .lean();
+}
+
+export async function getCashDrawerSession(req, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) throw httpError('Cash drawer session not found', 404);
+  const session = await CashDrawerSession.findOne({ _id: sessionId, businessId: req.businessId });
+  if (!session) throw httpError('Cash drawer session not found', 404);
+  assertBranchAccess(req, session, { allowLegacyNull: true });
+  return session;
+}
+
+/** The branch's open drawer with live expected cash, or null when none is open. */
+export async function getOpenCashDrawer(req) {
+  const session = await CashDrawerSession.findOne({
+    businessId: req.businessId,
+    branchId: currentBranchId(req),
+    status: 'OPEN'
+  }).populate('openedBy', 'name');
+  if (!session) return null;
+  const live = await computeSessionExpected(session, new Date());
+  return { ...session.toObject(), ...live };
+}
+
+/**
+ * Start a shift. The incoming cashier counts the float; when the previous shift left a
+ * closing float, the difference between the two is recorded as the handover difference.
+ */
+export async function openCashDrawer(req, body = {}) {
+  const branchId = currentBranchId(req);
+  const open = await CashDrawerSession.findOne({ businessId: req.businessId, branchId, status: 'OPEN' })
+    .select('sessionNumber')
+    .lean();
+  if (open) throw httpError(`Close ${open.sessionNumber} before opening a new drawer`, 409);
+
+  const count = resolveCashCount({ denominations: body.denominations, amount: body.openingFloat }, 'Opening float');
+  const previous = await CashDrawerSession.findOne({
+    businessId: req.businessId,
+    branchId,
+    status: { $in: ['CLOSED', 'LOCKED'] }
+  }).sort({ closedAt: -1 }).select('closingFloat').lean();
+  const expectedOpeningFloat = previous?.closingFloat ?? null;
+
+  try {
+    return await CashDrawerSession.create({
+      businessId: req.businessId,
+      branchId,
+      sessionNumber: await generateCashDrawerNumberForBusiness(req.businessId),
+      openedAt: new Date(),
+      openedBy: req.user._id,
+      openingFloat: count.amount,
+      openingDenominations: count.denominations,
+      previousSessionId: previous?._id || null,
+      expectedOpeningFloat,
+      openingDifference: expectedOpeningFloat === null ? 0 : roundMoney(count.amount - expectedOpeningFloat),
+      openingNotes: String(body.notes || '').trim().slice(0, 500)
+    });
+  } catch (err) {
+    if (err?.code === 11000) throw httpError('A cash drawer is already open for this branch', 409);
+    throw err;
+  }
+}
+
+/**
+ * Write fields only while the session is still in `status` (conditional update), so a close,
+ * recount or lock that raced another change fails instead of overwriting it.
+ */
+async function updateSessionInStatus(session, status, fields, message) {
+  const updated = await CashDrawerSession.findOneAndUpdate(
+    { _id: session._id, businessId: session.businessId, status },
+    { $set: fields },
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw httpError(message, 409);
+  return updated;
+}
+
+function assertVarianceReason(variance, varianceReason) {
+  if (Math.abs(variance) >= CASH_VARIANCE_REASON_THRESHOLD && !varianceReason) {
+    // Floor staff close blind, so the message does not reveal the amount.
+    throw httpError('The drawer does not match the expected cash. Recount, or enter a reason for the difference.', 400, 'VARIANCE_REASON_REQUIRED');
+  }
+}
+
+/**
+ * End a shift: snapshot expected cash, record the count and variance. A variance above
+ * the threshold needs a reason. cashRemoved is what leaves the drawer (safe / bank deposit);
+ * the remainder is the float the next shift should find.
+ */
+export async function closeCashDrawer(req, sessionId, body = {}) {
+  const session = await getCashDrawerSession(req, sessionId);
+  if (session.status !== 'OPEN') throw httpError('This cash drawer is already closed', 409);
+
+  const count = resolveCashCount({ denominations: body.denominations, amount: body.countedCash });
+  const cashRemoved = roundMoney(Number(body.cashRemoved) || 0);
+  if (cashRemoved < 0) throw httpError('Cash removed must be 0 or more');
+  if (cashRemoved > count.amount) throw httpError('Cash removed cannot be more than the counted cash');
+
+  let handoverTo = null;
+  if (body.handoverTo) {
+    if (!mongoose.isValidObjectId(body.handoverTo)) throw httpError('Choose who takes over the drawer');
+    const user = await User.findOne({ _id: body.handoverTo, businessId: req.businessId }).select('_id').lean();
+    if (!user) throw httpError('Choose who takes over the drawer');
+    handoverTo = user._id;
+  }
+
+  const closedAt = new Date();
+  const { expected, onlineReceived } = await computeSessionExpected(session, closedAt);
+  const variance = roundMoney(count.amount - expected.expectedCash);
+  const varianceReason = String(body.varianceReason || '').trim().slice(0, 500);
+  assertVarianceReason(variance, varianceReason);
+
+  return updateSessionInStatus(session, 'OPEN', {
+    status: 'CLOSED',
+    closedAt,
+    closedBy: req.user._id,
+    expected,
+    onlineReceived,
+    countedDenominations: count.denominations,
+    countedCash: count.amount,
+    variance,
+    varianceReason,
+    cashRemoved,
+    closingFloat: roundMoney(count.amount - cashRemoved),
+    handoverTo,
+    closingNotes: String(body.notes || '').trim().slice(0, 500)
+  }, 'This cash drawer is already closed');
+}
+
+/** Owner sign-off on a closed drawer. Locked Z-reports can no longer be changed. */
+export async function lockCashDrawer(req, sessionId, body = {}) {
+  const session = await getCashDrawerSession(req, sessionId);
+  if (session.status === 'OPEN') throw httpError('Close the drawer before locking it', 409);
+  if (session.status === 'LOCKED') throw httpError('This Z-report is already locked', 409);
+  return updateSessionInStatus(session, 'CLOSED', {
+    status: 'LOCKED',
+    lockedAt: new Date(),
+    lockedBy: req.user._id,
+    reviewNotes: String(body.reviewNotes || '').trim().slice(0, 500)
+  }, 'This Z-report is already locked');
+}
+
+/**
+ * Correct the count of a closed (unlocked) drawer; expected cash stays as snapshotted at close.
+ * A variance above the threshold needs a reason, as on close.
+ */
+export async function recountCashDrawer(req, sessionId, body = {}) {
+  const session = await getCashDrawerSession(req, sessionId);
+  if (session.status !== 'CLOSED') {
+    throw httpError(session.status === 'LOCKED' ? 'This Z-report is locked' : 'Close the drawer first', 409);
+  }
+  const count = resolveCashCount({ denominations: body.denominations, amount: body.countedCash });
+  const cashRemoved = body.cashRemoved === undefined ? session.cashRemoved : roundMoney(Number(body.cashRemoved) || 0);
+  if (cashRemoved < 0 || cashRemoved > count.amount) throw httpError('Cash removed must be between 0 and the counted cash');
+  const variance = roundMoney(count.amount - (session.expected?.expectedCash || 0));
+  const varianceReason = body.varianceReason !== undefined
+    ? String(body.varianceReason || '').trim().slice(0, 500)
+    : session.varianceReason || '';
+  assertVarianceReason(variance, varianceReason);
+
+  return updateSessionInStatus(session, 'CLOSED', {
+    countedDenominations: count.denominations,
+    countedCash: count.amount,
+    variance,
+    varianceReason,
+    cashRemoved,
+    closingFloat: roundMoney(count.amount - cashRemoved)
+  }, 'This Z-report is locked');
+}
+
+/** Z-report history totals: shortages and overages across the listed closed sessions. */
+export function summarizeCashDrawerSessions(sessions = []) {
+  const closed = sessions.filter((s) => s.status !== 'OPEN');
+  let shortage = 0;
+  let overage = 0;
+  for (const s of closed) {
+    const v = Number(s.variance) || 0;
+    if (v < 0) shortage += -v;
+    else overage += v;
+  }
+  return {
+    sessions: closed.length,
+    unlocked: closed.filter((s) => s.status === 'CLOSED').length,
+    expectedCash: roundMoney(closed.reduce((s, row) => s + (row.expected?.expectedCash || 0), 0)),
+    countedCash: roundMoney(closed.reduce((s, row) => s + (row.countedCash || 0), 0)),
+    shortage: roundMoney(shortage),
+    overage: roundMoney(overage),
+    netVariance: roundMoney(overage - shortage)
+  };
+}
@@ -0,0 +1,369 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import CommissionRule from '../models/CommissionRule.model.js';
+import Job from '../models/Job.model.js';
+import Invoice from '../models/Invoice.model.js';
+import Service from '../models/Service.model.js';
+import CustomerPackage from '../models/CustomerPackage.model.js';
+import User from '../models/User.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { lineQuantity } from '../utils/serviceCatalog.js';
+import { toIdString } from '../utils/jobAssignment.js';
+
+const EPS = 0.02;
+
+/** Employees credited for a job line: line assignees when set, else everyone on the job. */
+export function lineAssignees(job, line) {
+  const onLine = (line?.assignedToUsers || []).map(toIdString).filter(Boolean);
+  if (onLine.length) return [...new Set(onLine)];
+  const onJob = [toIdString(job?.assignedTo), ...(job?.assignedToUsers || []).map(toIdString)].filter(Boolean);
+  return [...new Set(onJob)];
+}
+
+function ruleSpecificity(rule, branchId) {
+  const branchScore = rule.branchId ? (toIdString(rule.branchId) === toIdString(branchId) ? 1 : -1) : 0;
+  if (branchScore < 0) return -1;
+  const targetScore = rule.targetType === 'SERVICE' || (rule.targetType === 'PACKAGE' && rule.packageTemplateId) ? 2 : 1;
+  return targetScore * 2 + branchScore;
+}
+
+/**
+ * Most specific active rule for a job line or package sale.
+ * SERVICE beats CATEGORY; a named package beats "any package"; branch rule beats business-wide.
+ */
+export function pickCommissionRule(rules, { serviceId = null, categoryId = null, packageTemplateId = null, branchId = null }) {
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    let matches = false;
+    if (rule.targetType === 'SERVICE') {
+      matches = !!serviceId && toIdString(rule.serviceId) === toIdString(serviceId);
+    } else if (rule.targetType === 'CATEGORY') {
+      matches = !!categoryId && toIdString(rule.categoryId) === toIdString(categoryId);
+    } else if (rule.targetType === 'PACKAGE') {
+      matches = !!packageTemplateId &&
+        (!rule.packageTemplateId || toIdString(rule.packageTemplateId) === toIdString(packageTemplateId));
+    }
+    if (!matches) continue;
+    const score = ruleSpecificity(rule, branchId);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Rate for a month's volume: highest tier reached, else the base rate. */
+export function tierRate(rule, volume) {
+  let rate = Number(rule.rate) || 0;
+  let reached = -1;
+  for (const tier of rule.tiers || []) {
+    const min = Number(tier.minVolume) || 0;
+    if (volume >= min && min > reached) {
+      reached = min;
+      rate = Number(tier.rate) || 0;
+    }
+  }
+  return rate;
+}
+
+export function commissionForShare(rule, rate, { amount, quantity }) {
+  if (rule.rateType === 'FLAT') return (Number(rate) || 0) * (Number(quantity) || 0);
+  return ((Number(amount) || 0) * (Number(rate) || 0)) / 100;
+}
+
+function monthKey(date, timezone) {
+  return DateTime.fromJSDate(date).setZone(timezone).toFormat('yyyy-MM');
+}
+
+function isInvoicePaid(invoice) {
+  return !!invoice && invoice.paymentStatus === 'RECEIVED';
+}
+
+/**
+ * Part of the bill the customer kept after refunds (1 = nothing refunded, 0 = fully refunded).
+ * Commission is scaled by it, so a partly refunded job only earns on what was kept.
+ */
+export function invoiceNetShare(invoice) {
+  const final = roundMoney(Number(invoice?.finalAmount) || 0);
+  if (final <= EPS) return 1;
+  const refunded = roundMoney(Number(invoice?.refundedAmount) || 0);
+  return Math.max(0, Math.min(1, (final - refunded) / final));
+}
+
+/**
+ * Commission per employee for deliveries (and package sales) in [startUtc, endUtc).
+ * Tier volume is counted over whole calendar months, so a weekly report still uses the month's slab.
+ * Lines on invoices not yet paid are reported as pending, not payable.
+ * Refunded invoices count only their net (kept) share, for volume and commission alike.
+ */
+export async function buildCommissionReport(businessId, { startUtc, endUtc, branchId = null, employeeId = null, includeLines = false }) {
+  const bid = new mongoose.Types.ObjectId(String(businessId));
+  const branchClause = branchId ? { branchId: new mongoose.Types.ObjectId(String(branchId)) } : {};
+  const settings = await BusinessSettings.findOne({ businessId: bid }).select('timezone').lean();
+  const timezone = settings?.timezone || 'Asia/Kolkata';
+
+  const rules = await CommissionRule.find({ businessId: bid, isActive: true }).lean();
+  const empty = { period: { start: startUtc, end: endUtc }, employees: [], totals: { payable: 0, pending: 0 } };
+  if (!rules.length) return empty;
+
+  const windowStart = DateTime.fromJSDate(startUtc).setZone(timezone).startOf('month').toJSDate();
+  const windowEnd = DateTime.fromJSDate(new Date(endUtc.getTime() - 1)).setZone(timezone).endOf('month').toJSDate();
+  const inPeriod = (d) => d >= startUtc && d < endUtc;
+
+  const entries = [];
+
+  if (rules.some((r) => r.targetType !== 'PACKAGE')) {
+    const jobs = await Job.find({
+      businessId: bid,
+      ...branchClause,
+      status: 'DELIVERED',
+      actualDelivery: { $gte: windowStart, $lte: windowEnd }
+    }).select('tokenNumber branchId services assignedTo assignedToUsers actualDelivery').lean();
+
+    const serviceIds = [...new Set(jobs.flatMap((j) => (j.services || []).map((s) => toIdString(s.serviceId))).filter(Boolean))];
+    const [services, invoices] = await Promise.all([
+      Service.find({ businessId: bid, _id: { $in: serviceIds } }).select('name categoryId').lean(),
+      Invoice.find({ businessId: bid, jobId: { $in: jobs.map((j) => j._id) } })
+        .select('jobId paymentStatus finalAmount refundedAmount').lean()
+    ]);
+    const serviceById = new Map(services.map((s) => [String(s._id), s]));
+    const invoiceByJob = new Map(invoices.map((inv) => [String(inv.jobId), inv]));
+
+    for (const job of jobs) {
+      const invoice = invoiceByJob.get(String(job._id));
+      const paid = isInvoicePaid(invoice);
+      const netShare = invoiceNetShare(invoice);
+      for (const line of job.services || []) {
+        const svc = serviceById.get(toIdString(line.serviceId));
+        const rule = pickCommissionRule(rules, {
+          serviceId: line.serviceId,
+          categoryId: svc?.categoryId,
+          branchId: job.branchId
+        });
+        if (!rule) continue;
+        const assignees = lineAssignees(job, line);
+        if (!assignees.length) continue;
+        const quantity = lineQuantity(line.quantity) * netShare;
+        const amount = (Number(line.price) || 0) * lineQuantity(line.quantity) * netShare;
+        for (const emp of assignees) {
+          entries.push({
+            employeeId: emp,
+            rule,
+            month: monthKey(job.actualDelivery, timezone),
+            inPeriod: inPeriod(job.actualDelivery),
+            paid,
+            quantity: quantity / assignees.length,
+            amount: amount / assignees.length,
+            source: 'JOB',
+            jobId: job._id,
+            tokenNumber: job.tokenNumber,
+            label: line.customName || svc?.name || 'Service',
+            date: job.actualDelivery
+          });
+        }
+      }
+    }
+  }
+
+  if (rules.some((r) => r.targetType === 'PACKAGE')) {
+    const packageInvoices = await Invoice.find({
+      businessId: bid,
+      ...branchClause,
+      saleType: 'PACKAGE',
+      paymentStatus: 'RECEIVED',
+      paymentReceivedAt: { $gte: windowStart, $lte: windowEnd }
+    }).select('packageId packageName branchId subtotal finalAmount refundedAmount paymentStatus paymentReceivedAt createdBy').lean();
+    const packages = await CustomerPackage.find({
+      businessId: bid,
+      _id: { $in: packageInvoices.map((i) => i.packageId).filter(Boolean) }
+    }).select('packageTemplateId soldBy').lean();
+    const packageById = new Map(packages.map((p) => [String(p._id), p]));
+
+    for (const inv of packageInvoices) {
+      const pkg = packageById.get(toIdString(inv.packageId));
+      const seller = toIdString(pkg?.soldBy);
+      if (!pkg || !seller) continue;
+      const rule = pickCommissionRule(rules, { packageTemplateId: pkg.packageTemplateId, branchId: inv.branchId });
+      if (!rule) continue;
+      const netShare = invoiceNetShare(inv);
+      entries.push({
+        employeeId: seller,
+        rule,
+        month: monthKey(inv.paymentReceivedAt, timezone),
+        inPeriod: inPeriod(inv.paymentReceivedAt),
+        paid: isInvoicePaid(inv),
+        quantity: netShare,
+        amount: (Number(inv.subtotal) || 0) * netShare,
+        source: 'PACKAGE',
+        invoiceId: inv._id,
+        label: inv.packageName || 'Package',
+        date: inv.paymentReceivedAt
+      });
+    }
+  }
+
+  const volumes = new Map();
+  for (const e of entries) {
+    const key = `${e.employeeId}:${e.rule._id}:${e.month}`;
+    const add = e.rule.tierBasis === 'REVENUE' ? e.amount : e.quantity;
+    volumes.set(key, (volumes.get(key) || 0) + add);
+  }
+
+  const byEmployee = new Map();
+  for (const e of entries) {
+    if (!e.inPeriod) continue;
+    if (employeeId && e.employeeId !== toIdString(employeeId)) continue;
+    const volume = volumes.get(`${e.employeeId}:${e.rule._id}:${e.month}`) || 0;
+    const rate = tierRate(e.rule, volume);
+    const commission = commissionForShare(e.rule, rate, e);
+
+    const row = byEmployee.get(e.employeeId) || {
+      employeeId: e.employeeId,
+      payable: 0,
+      pending: 0,
+      salesAmount: 0,
+      units: 0,
+      byRule: new Map(),
+      lines: []
+    };
+    if (e.paid) row.payable += commission;
+    else row.pending += commission;
+    row.salesAmount += e.amount;
+    row.units += e.quantity;
+
+    const ruleKey = String(e.rule._id);
+    const ruleRow = row.byRule.get(ruleKey) || {
+      ruleId: e.rule._id,
+      name: e.rule.name,
+      rateType: e.rule.rateType,
+      units: 0,
+      salesAmount: 0,
+      commission: 0
+    };
+    ruleRow.units += e.quantity;
+    ruleRow.salesAmount += e.amount;
+    ruleRow.commission += commission;
+    row.byRule.set(ruleKey, ruleRow);
+
+    if (includeLines) {
+      row.lines.push({
+        source: e.source,
+        jobId: e.jobId,
+        invoiceId: e.invoiceId,
+        tokenNumber: e.tokenNumber,
+        label: e.label,
+        date: e.date,
+        ruleName: e.rule.name,
+        rate,
+        units: roundMoney(e.quantity),
+        amount: roundMoney(e.amount),
+        commission: roundMoney(commission),
+        paid: e.paid
+      });
+    }
+    byEmployee.set(e.employeeId, row);
+  }
+
+  const users = await User.find({ businessId: bid, _id: { $in: [...byEmployee.keys()] } })
+    .select('name email employeeCode')
+    .lean();
+  const userById = new Map(users.map((u) => [String(u._id), u]));
+
+  const employees = [...byEmployee.values()].map((row) => {
+    const user = userById.get(row.employeeId);
+    return {
+      employeeId: row.employeeId,
+      name: user?.name || 'Former employee',
+      employeeCode: user?.employeeCode || null,
+      payable: roundMoney(row.payable),
+      pending: roundMoney(row.pending),
+      salesAmount: roundMoney(row.salesAmount),
+      units: roundMoney(row.units),
+      byRule: [...row.byRule.values()].map((r) => ({
+        ...r,
+        units: roundMoney(r.units),
+        salesAmount: roundMoney(r.salesAmount),
+        commission: roundMoney(r.commission)
+      })),
+      ...(includeLines ? { lines: row.lines.sort((a, b) => new Date(b.date) - new Date(a.date)) } : {})
+    };
+  }).sort((a, b) => b.payable - a.payable);
+
+  return {
+    period: { start: startUtc, end: endUtc, timezone },
+    employees,
+    totals: {
+      payable: roundMoney(employees.reduce((s, e) => s + e.payable, 0)),
+      pending: roundMoney(employees.reduce((s, e) => s + e.pending, 0))
+    }
+  };
+}
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Validate + normalize a rule body; targets must belong to the business. */
+export async function normalizeCommissionRuleInput(businessId, body = {}, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  const targetType = String(merged.targetType || '').toUpperCase();
+  if (!['SERVICE', 'CATEGORY', 'PACKAGE'].includes(targetType)) {
+    throw httpError('targetType must be SERVICE, CATEGORY or PACKAGE');
+  }
+  const out = {
+    name: String(merged.name || '').trim(),
+    targetType,
+    serviceId: null,
+    categoryId: null,
+    packageTemplateId: null,
+    branchId: merged.branchId || null,
+    rateType: String(merged.rateType || 'PERCENT').toUpperCase() === 'FLAT' ? 'FLAT' : 'PERCENT',
+    rate: Number(merged.rate),
+    tierBasis: String(merged.tierBasis || 'QUANTITY').toUpperCase() === 'REVENUE' ? 'REVENUE' : 'QUANTITY',
+    tiers: [],
+    isActive: merged.isActive !== false
+  };
+  if (!out.name) throw httpError('Rule name is required');
+  if (!Number.isFinite(out.rate) || out.rate < 0) throw httpError('Rate must be zero or more');
+  if (out.rateType === 'PERCENT' && out.rate > 100) throw httpError('Percent rate cannot exceed 100');
+
+  if (targetType === 'SERVICE') {
+    const svc = mongoose.isValidObjectId(merged.serviceId)
+      ? await Service.findOne({ _id: merged.serviceId, businessId }).select('_id').lean()
+      : null;
+    if (!svc) throw httpError('Service not found');
+    out.serviceId = svc._id;
+  } else if (targetType === 'CATEGORY') {
+    const { default: ServiceCategory } = await import('../models/ServiceCategory.model.js');
+    const cat = mongoose.isValidObjectId(merged.categoryId)
+      ? await ServiceCategory.findOne({ _id: merged.categoryId, businessId }).select('_id').lean()
+      : null;
+    if (!cat) throw httpError('Service category not found');
+    out.categoryId = cat._id;
+  } else if (merged.packageTemplateId) {
+    const { default: PackageTemplate } = await import('../models/PackageTemplate.model.js');
+    const tpl = mongoose.isValidObjectId(merged.packageTemplateId)
+      ? await PackageTemplate.findOne({ _id: merged.packageTemplateId, businessId }).select('_id').lean()
+      : null;
+    if (!tpl) throw httpError('Package template not found');
+    out.packageTemplateId = tpl._id;
+  }
+
+  const tiers = Array.isArray(merged.tiers) ? merged.tiers : [];
+  for (const tier of tiers) {
+    const minVolume = Number(tier?.minVolume);
+    const rate = Number(tier?.rate);
+    if (!Number.isFinite(minVolume) || minVolume < 0 || !Number.isFinite(rate) || rate < 0) {
+      throw httpError('Each tier needs minVolume and rate (zero or more)');
+    }
+    if (out.rateType === 'PERCENT' && rate > 100) throw httpError('Percent tier rate cannot exceed 100');
+    out.tiers.push({ minVolume, rate });
+  }
+  out.tiers.sort((a, b) => a.minVolume - b.minVolume);
+  return out;
+}
@@ -76,20 +76,23 @@ export async function closeJobOnCredit({ invoice, job, businessId, user, body })
   applyCreditCloseToInvoice(invoice, body, { cardEnabled });
 
   const Job = (await import('../../models/Job.model.js')).default;
-  const { deductProductStockOnWashJobDelivery } = await import('../../utils/jobProductStock.js');
+  const {
+    deductProductStockOnWashJobDelivery,
+    markJobDeliveredWithProductStock
+  } = await import('../../utils/jobProductStock.js');
   const jobForStock = await Job.findOne({ _id: invoice.jobId, businessId });
   if (jobForStock) {
-    await deductProductStockOnWashJobDelivery(jobForStock, businessId);
+    await deductProductStockOnWashJobDelivery(jobForStock, businessId, { userId: user?._id });
     if (jobForStock.isModified()) await jobForStock.save();
   }
 
   await invoice.save();
   invalidateDashboardForBusiness(businessId);
 
-  await Job.findOneAndUpdate(
-    { _id: invoice.jobId, businessId },
-    { $set: { status: 'DELIVERED', actualDelivery: new Date() } }
-  );
+  // Document save so the job status hook (customer WhatsApp) fires
+  if (jobForStock) {
+    await markJobDeliveredWithProductStock({ jobId: invoice.jobId, businessId, userId: user?._id });
+  }
 
   await appendCreditLedgerEvent({
     businessId,
@@ -63,7 +63,7 @@ export async function buildCollectionReport(businessId, start, end, exclusiveEnd
         { paymentOnlineAmount: { $gt: 0.01 } }
       ]
     })
-      .select('invoiceNumber customerId customerName customerPhone saleConfirmedAt amountCollectedAtCheckout paymentMethod onlinePaymentMode paymentCashAmount paymentOnlineAmount finalAmount outstandingAmount advancePayment')
+      .select('invoiceNumber customerId customerName customerPhone saleConfirmedAt amountCollectedAtCheckout paymentMethod onlinePaymentMode paymentCashAmount paymentOnlineAmount finalAmount outstandingAmount advancePayment refundAdjustedAmount')
       .sort({ saleConfirmedAt: -1 })
       .lean()
   ]);
@@ -187,7 +187,7 @@ export async function buildOutstandingReport(businessId, filters = {}) {
   }
 
   const invoices = await Invoice.find(invoiceQuery)
-    .select('invoiceNumber customerId customerName customerPhone saleConfirmedAt creditDueDate finalAmount outstandingAmount paymentStatus amountCollectedAtCheckout amountCollectedLater advancePayment paymentCashAmount paymentOnlineAmount')
+    .select('invoiceNumber customerId customerName customerPhone saleConfirmedAt creditDueDate finalAmount outstandingAmount paymentStatus amountCollectedAtCheckout amountCollectedLater advancePayment paymentCashAmount paymentOnlineAmount refundAdjustedAmount')
     .sort({ saleConfirmedAt: 1, createdAt: 1 })
     .lean();
 
@@ -454,7 +454,15 @@ export async function getTodayCashReceived(
     todayCreditCheckout: roundSummary(creditCheckoutTotal),
     todayCreditRecovery: roundSummary(todayCreditRecovery),
     todayAdvances: roundSummary(advCash + advOnline),
-    todayOtherRevenueCollected: roundSummary(otherCash + otherOnline)
+    todayOtherRevenueCollected: roundSummary(otherCash + otherOnline),
+    /** Cash channel only, by source (cash drawer expected-cash breakdown). */
+    cashBySource: {
+      advances: advCash,
+      fullPayCheckout: roundSummary(fullPayCash),
+      creditCheckout: roundSummary(creditCheckoutCash),
+      creditRecovery: roundSummary(recoveryCash),
+      otherRevenue: otherCash
+    }
   };
 }
 
@@ -30,9 +30,11 @@ export function getTotalCollected(invoice) {
   return roundMoney(getCheckoutTotal(invoice) + (Number(invoice.amountCollectedLater) || 0));
 }
 
+/** Amount still owed: final minus collections minus credit notes written off the balance. */
 export function computeOutstanding(invoice) {
   const final = Math.max(0, Number(invoice.finalAmount) || 0);
-  return roundMoney(Math.max(0, final - getTotalCollected(invoice)));
+  const adjusted = Math.max(0, Number(invoice.refundAdjustedAmount) || 0);
+  return roundMoney(Math.max(0, final - adjusted - getTotalCollected(invoice)));
 }
 
 export function isFullyPaid(invoice) {
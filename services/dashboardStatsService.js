@@ -12,6 +12,7 @@ import {
 } from '../utils/dashboardTotalSales.js';
 import { getBusinessModules, isModuleEnabled } from './businessModulesService.js';
 import { expensePaidAmountAggregationExpr } from '../utils/expensePayment.js';
+import { advanceReceivedMatch } from '../utils/jobAdvance.js';
 
 const EMPTY_CASH = {
   todayCashReceived: 0,
@@ -136,7 +137,7 @@ export async function loadDashboardStats({
     isEmployee
       ? Promise.resolve([])
       : Job.aggregate([
-        { $match: { ...washJobMatch, createdAt: { $gte: startUtc, $lt: endUtc } } },
+        { $match: { ...washJobMatch, ...advanceReceivedMatch({ $gte: startUtc, $lt: endUtc }) } },
         {
           $addFields: {
             advCash: {
@@ -7,13 +7,24 @@ import Business from '../models/Business.model.js';
 import BusinessSettings from '../models/BusinessSettings.model.js';
 import PlatformSettings from '../models/PlatformSettings.model.js';
 import OtherRevenue from '../models/OtherRevenue.model.js';
+import CreditNote from '../models/CreditNote.model.js';
+import Service from '../models/Service.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import SupplierBill from '../models/SupplierBill.model.js';
 import { sumExpenseChannelTotals } from '../utils/expensePayment.js';
 import { roundMoney } from '../utils/invoicePayment.js';
 import { resolveInvoiceDiscount } from '../utils/invoiceDiscount.js';
 import { invoiceSettlementCashOnline, creditCheckoutCashOnline } from '../utils/paymentChannelAmounts.js';
+import { advanceReceivedMatch } from '../utils/jobAdvance.js';
 import { parseAiInsightsDateRange } from '../utils/aiInsightsDateRange.js';
 import { buildCollectionReport, getTodayCashReceived } from './credit/creditReportsService.js';
 import { isOtherRevenueEnabled } from '../utils/otherRevenueSales.js';
+import {
+  COGS_MOVEMENT_TYPES,
+  PRODUCT_SALE_MOVEMENT_TYPES,
+  summarizeCostOfGoodsSold
+} from '../utils/serviceInventory.js';
+import { shouldTrackInventory } from '../utils/serviceCatalog.js';
 
 export { parseAiInsightsDateRange as parseStatementDateRange };
 
@@ -63,6 +74,44 @@ async function getBusinessMeta(businessId) {
   };
 }
 
+/**
+ * COGS from stock ledger movements in the period (captured at average cost when stock left).
+ * Defaults to product sales plus wash consumables.
+ */
+async function loadCostOfGoodsSold(businessId, start, end, types = COGS_MOVEMENT_TYPES) {
+  const movements = await StockMovement.find({
+    businessId: bizOid(businessId),
+    type: { $in: types },
+    createdAt: { $gte: start, $lte: end }
+  }).select('serviceId serviceName type quantity unitCost').lean();
+  return summarizeCostOfGoodsSold(movements);
+}
+
+/**
+ * Supplier-bill expenses for goods received into stock. With perpetual inventory these are
+ * stock on hand, not period cost — the P&L charges them through COGS as the stock is sold.
+ */
+async function inventoryPurchaseExpenseIds(expenses) {
+  const billIds = expenses.filter((e) => e.supplierBillId).map((e) => e.supplierBillId);
+  if (!billIds.length) return new Set();
+  const stockBills = await SupplierBill.find({
+    _id: { $in: billIds },
+    'goodsReceiptIds.0': { $exists: true }
+  }).select('expenseId').lean();
+  return new Set(stockBills.map((b) => String(b.expenseId)));
+}
+
+function expenseLinesByCategory(expenses) {
+  const expenseByCategory = {};
+  for (const e of expenses) {
+    const cat = e.expenseTypeId?.expenseName || 'Uncategorized';
+    expenseByCategory[cat] = roundMoney((expenseByCategory[cat] || 0) + (Number(e.amount) || 0));
+  }
+  return Object.entries(expenseByCategory)
+    .map(([name, amount]) => ({ name, amount }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
 async function gatherPeriodFinancials(businessId, start, end) {
   const bid = bizOid(businessId);
   const meta = await getBusinessMeta(businessId);
@@ -151,10 +200,31 @@ async function gatherPeriodFinancials(businessId, start, end) {
     }
   }
 
+  // Credit notes issued in the period are sales returns (negative revenue)
+  const creditNotes = await CreditNote.find({
+    businessId: bid,
+    refundDate: { $gte: start, $lte: end }
+  }).select('amount gstAmount refundCashAmount refundOnlineAmount').lean();
+  let salesReturns = 0;
+  let refundCash = 0;
+  let refundOnline = 0;
+  for (const note of creditNotes) {
+    salesReturns += roundMoney(Number(note.amount) || 0);
+    refundCash += roundMoney(Number(note.refundCashAmount) || 0);
+    refundOnline += roundMoney(Number(note.refundOnlineAmount) || 0);
+    totalGst -= roundMoney(Number(note.gstAmount) || 0);
+  }
+  salesReturns = roundMoney(salesReturns);
+  refundCash = roundMoney(refundCash);
+  refundOnline = roundMoney(refundOnline);
+  salesCash -= refundCash;
+  salesOnline -= refundOnline;
+
   jobSales = roundMoney(jobSales);
   packageSales = roundMoney(packageSales);
   otherSales = roundMoney(otherSales);
-  const totalSales = roundMoney(jobSales + packageSales + otherSales);
+  const grossSales = roundMoney(jobSales + packageSales + otherSales);
+  const totalSales = roundMoney(grossSales - salesReturns);
   salesCash = roundMoney(salesCash);
   salesOnline = roundMoney(salesOnline);
   creditSalesInPeriod = roundMoney(creditSalesInPeriod);
@@ -166,19 +236,17 @@ async function gatherPeriodFinancials(businessId, start, end) {
     expenseDate: { $gte: start, $lte: end }
   }).populate('expenseTypeId', 'expenseName').lean();
 
-  const expenseByCategory = {};
-  for (const e of expenses) {
-    const cat = e.expenseTypeId?.expenseName || 'Uncategorized';
-    expenseByCategory[cat] = roundMoney((expenseByCategory[cat] || 0) + (Number(e.amount) || 0));
-  }
-
-  const expenseLines = Object.entries(expenseByCategory)
-    .map(([name, amount]) => ({ name, amount }))
-    .sort((a, b) => b.amount - a.amount);
-
+  const expenseLines = expenseLinesByCategory(expenses);
   const expenseTotals = sumExpenseChannelTotals(expenses);
   const totalExpenses = expenseTotals.totalAmount;
 
+  const stockPurchaseIds = await inventoryPurchaseExpenseIds(expenses);
+  const operatingExpenses = expenses.filter((e) => !stockPurchaseIds.has(String(e._id)));
+  const operatingExpenseLines = expenseLinesByCategory(operatingExpenses);
+  const totalOperatingExpenses = roundMoney(operatingExpenses.reduce((s, e) => s + (Number(e.amount) || 0), 0));
+  const inventoryPurchases = roundMoney(totalExpenses - totalOperatingExpenses);
+  const cogs = await loadCostOfGoodsSold(businessId, start, end);
+
   const collectionsReport = await buildCollectionReport(businessId, start, end, false);
   const creditRecovery = roundMoney(collectionsReport.summary?.creditRecovery ?? 0);
   const collectionCash = roundMoney(collectionsReport.summary?.totalCash ?? 0);
@@ -186,7 +254,7 @@ async function gatherPeriodFinancials(businessId, start, end) {
 
   const endExclusive = new Date(end.getTime() + 1);
   const advanceRows = await Job.aggregate([
-    { $match: { businessId: bid, createdAt: { $gte: start, $lte: end } } },
+    { $match: { businessId: bid, ...advanceReceivedMatch({ $gte: start, $lte: end }) } },
     {
       $addFields: {
         advCash: {
@@ -260,8 +328,8 @@ async function gatherPeriodFinancials(businessId, start, end) {
 
   const cashInPeriod = roundMoney(moneyInRaw.todayCashReceivedCash);
   const bankInPeriod = roundMoney(moneyInRaw.todayCashReceivedOnline);
-  const cashBalance = roundMoney(Math.max(0, cashInPeriod - expenseTotals.totalCashAmount));
-  const bankBalance = roundMoney(Math.max(0, bankInPeriod - expenseTotals.totalOnlineAmount));
+  const cashBalance = roundMoney(Math.max(0, cashInPeriod - expenseTotals.totalCashAmount - refundCash));
+  const bankBalance = roundMoney(Math.max(0, bankInPeriod - expenseTotals.totalOnlineAmount - refundOnline));
 
   const debtorsAgg = await Invoice.aggregate([
     {
@@ -292,13 +360,20 @@ async function gatherPeriodFinancials(businessId, start, end) {
   }
   const debtors = roundMoney((debtorsAgg[0]?.total ?? 0) + otherDebtors);
 
-  const netProfit = roundMoney(totalSales - totalExpenses);
+  // Perpetual inventory: stock bought is held as stock and charged through COGS when it leaves,
+  // so every statement takes profit as sales − COGS − operating expenses
+  const grossProfit = roundMoney(totalSales - cogs.total);
+  const netProfit = roundMoney(grossProfit - totalOperatingExpenses);
 
   return {
     meta,
     jobSales,
     packageSales,
     otherSales,
+    grossSales,
+    salesReturns,
+    refundCash,
+    refundOnline,
     totalSales,
     cashSalesInPeriod,
     creditSalesInPeriod,
@@ -318,8 +393,16 @@ async function gatherPeriodFinancials(businessId, start, end) {
     expenseLines,
     expenseTotals,
     totalExpenses,
+    operatingExpenseLines,
+    totalOperatingExpenses,
+    inventoryPurchases,
+    costOfGoodsSold: cogs.total,
+    grossProfit,
+    grossMarginPct: totalSales > 0 ? roundMoney((grossProfit / totalSales) * 100) : 0,
     netProfit,
+    netMarginPct: totalSales > 0 ? roundMoney((netProfit / totalSales) * 100) : 0,
     invoiceCount: revenueInvoices.length,
+    creditNoteCount: creditNotes.length,
     expenseCount: expenses.length
   };
 }
@@ -362,6 +445,8 @@ function balanceTrialRows(rows) {
 
 /**
  * Trial balance — car wash accounts (sales, expenses, credit / pay-later).
+ * Stock bought on supplier bills goes to Inventory, and the cost of stock that left is moved
+ * from Inventory to Cost of Goods Sold, matching the P&L.
  */
 export async function buildTrialBalance(businessId, range, from, to) {
   const { start, end, label } = parseAiInsightsDateRange(range, from, to);
@@ -372,14 +457,23 @@ export async function buildTrialBalance(businessId, range, from, to) {
   pushTrialRow(rows, 'Bank A/c', data.bankBalance, 0);
   pushTrialRow(rows, 'Debtors A/c (Amount due / Credit)', data.debtors, 0);
 
-  for (const line of data.expenseLines) {
+  for (const line of data.operatingExpenseLines) {
     const name = line.name.toLowerCase().includes('salary')
       ? 'Salaries A/c'
       : `${line.name} A/c`;
     pushTrialRow(rows, name, line.amount, 0);
   }
+  pushTrialRow(rows, 'Cost of Goods Sold A/c (Products & consumables)', data.costOfGoodsSold, 0);
+  const inventoryChange = roundMoney(data.inventoryPurchases - data.costOfGoodsSold);
+  pushTrialRow(
+    rows,
+    'Inventory A/c (Stock purchased less cost of goods sold)',
+    Math.max(0, inventoryChange),
+    Math.max(0, -inventoryChange)
+  );
 
-  pushTrialRow(rows, 'Sales A/c (Jobs, packages & other revenue)', 0, data.totalSales);
+  pushTrialRow(rows, 'Sales Returns A/c (Credit notes)', data.salesReturns, 0);
+  pushTrialRow(rows, 'Sales A/c (Jobs, packages & other revenue)', 0, data.grossSales);
 
   const { rows: balancedRows, totalDebit, totalCredit } = balanceTrialRows(rows);
 
@@ -393,25 +487,34 @@ export async function buildTrialBalance(businessId, range, from, to) {
       cashReceived: data.cashInPeriod,
       onlineReceived: data.bankInPeriod,
       creditRecovery: data.creditRecovery,
-      creditOutstanding: data.debtors
+      creditOutstanding: data.debtors,
+      grossProfit: data.grossProfit,
+      netProfit: data.netProfit
     },
     disclaimer: 'Derived from VashQ job, package, and other revenue sales, daily expenses, cash/online collections, and pay-later (credit) balances for the selected period.'
   };
 }
 
 /**
- * Trading & Profit and Loss — T-account format for car wash (no inventory).
+ * Trading & Profit and Loss — T-account format for car wash.
+ * Product stock uses perpetual inventory: cost of goods sold (weighted-average cost of units
+ * that left stock) is charged in the trading account, and supplier bills for goods received
+ * stay out of operating expenses.
  */
 export async function buildProfitLossStatement(businessId, range, from, to) {
   const { start, end, label } = parseAiInsightsDateRange(range, from, to);
   const data = await gatherPeriodFinancials(businessId, start, end);
 
-  const grossProfit = data.totalSales;
-  const netProfit = data.netProfit;
+  const { grossProfit, netProfit } = data;
 
-  const tradingDebit = [
-    { label: 'Gross Profit c/d', amount: grossProfit, prefix: 'To', bold: true }
-  ];
+  const tradingDebit = [];
+  if (data.salesReturns > 0.009) {
+    tradingDebit.push({ label: 'Sales returns (Credit notes)', amount: data.salesReturns, prefix: 'To' });
+  }
+  if (Math.abs(data.costOfGoodsSold) > 0.009) {
+    tradingDebit.push({ label: 'Cost of goods sold (Products & consumables)', amount: data.costOfGoodsSold, prefix: 'To' });
+  }
+  tradingDebit.push({ label: 'Gross Profit c/d', amount: grossProfit, prefix: 'To', bold: true });
 
   const tradingCredit = [];
   if (data.jobSales > 0.009) {
@@ -423,14 +526,14 @@ export async function buildProfitLossStatement(businessId, range, from, to) {
   if (data.otherSales > 0.009) {
     tradingCredit.push({ label: 'Sales (Other revenue)', amount: data.otherSales, prefix: 'By' });
   }
-  if (tradingCredit.length === 0 && data.totalSales > 0.009) {
-    tradingCredit.push({ label: 'Sales', amount: data.totalSales, prefix: 'By' });
+  if (tradingCredit.length === 0 && data.grossSales > 0.009) {
+    tradingCredit.push({ label: 'Sales', amount: data.grossSales, prefix: 'By' });
   }
 
   const tradingDebitTotal = roundMoney(tradingDebit.reduce((s, r) => s + r.amount, 0));
   const tradingCreditTotal = roundMoney(tradingCredit.reduce((s, r) => s + r.amount, 0));
 
-  const plDebit = data.expenseLines.map((line) => ({
+  const plDebit = data.operatingExpenseLines.map((line) => ({
     label: line.name,
     amount: line.amount,
     prefix: 'To'
@@ -472,17 +575,21 @@ export async function buildProfitLossStatement(businessId, range, from, to) {
       jobSales: data.jobSales,
       packageSales: data.packageSales,
       otherSales: data.otherSales,
+      salesReturns: data.salesReturns,
       cashSales: data.cashSalesInPeriod,
       creditSales: data.creditSalesInPeriod,
       creditRecovery: data.creditRecovery,
       creditOutstanding: data.debtors,
-      totalExpenses: data.totalExpenses,
+      totalExpenses: data.totalOperatingExpenses,
+      inventoryPurchases: data.inventoryPurchases,
+      costOfGoodsSold: data.costOfGoodsSold,
       gstCollected: data.totalGst,
       discountsGiven: data.totalDiscount,
       grossProfit,
+      grossMarginPct: data.grossMarginPct,
       netProfit
     },
-    disclaimer: 'Car wash service business — no opening/closing stock. Sales use invoice totals (GST-inclusive when GST is enabled). Credit recovery shows amount-due collections in the period.'
+    disclaimer: 'Sales use invoice totals (GST-inclusive when GST is enabled). Cost of goods sold is the weighted-average cost of products sold and wash consumables used in the period; supplier bills for goods received are held as stock, not expenses. Credit recovery shows amount-due collections in the period.'
   };
 }
 
@@ -498,6 +605,9 @@ export async function buildSalesExpensesStatement(businessId, range, from, to) {
       jobServices: data.jobSales,
       packageSales: data.packageSales,
       otherSales: data.otherSales,
+      salesReturns: data.salesReturns,
+      refundsPaidCash: data.refundCash,
+      refundsPaidOnline: data.refundOnline,
       total: data.totalSales,
       cashReceived: data.cashInPeriod,
       onlineReceived: data.bankInPeriod,
@@ -505,23 +615,149 @@ export async function buildSalesExpensesStatement(businessId, range, from, to) {
       creditRecovery: data.creditRecovery,
       gstCollected: data.totalGst,
       discountsGiven: data.totalDiscount,
-      invoiceCount: data.invoiceCount
+      invoiceCount: data.invoiceCount,
+      creditNoteCount: data.creditNoteCount
     },
     expenses: {
       lines: data.expenseLines,
       total: data.totalExpenses,
+      operatingLines: data.operatingExpenseLines,
+      operatingTotal: data.totalOperatingExpenses,
+      inventoryPurchases: data.inventoryPurchases,
       cashPaid: data.expenseTotals.totalCashAmount,
       onlinePaid: data.expenseTotals.totalOnlineAmount,
       count: data.expenseCount
     },
     summary: {
       totalSales: data.totalSales,
-      totalExpenses: data.totalExpenses,
+      costOfGoodsSold: data.costOfGoodsSold,
+      grossProfit: data.grossProfit,
+      grossMarginPct: data.grossMarginPct,
+      totalExpenses: data.totalOperatingExpenses,
       netProfit: data.netProfit,
-      netMarginPct: data.totalSales > 0 ? roundMoney((data.netProfit / data.totalSales) * 100) : 0
+      netMarginPct: data.netMarginPct
     },
-    disclaimer: 'Sales include job, package, and other revenue (paid and collect-later) confirmed in the period.'
+    disclaimer: 'Sales include job, package, and other revenue (paid and collect-later) confirmed in the period, net of credit notes issued in the period. Expenses list everything paid or booked; profit charges stock through cost of goods sold, so supplier bills for goods received are not deducted.'
   };
 }
 
 export const buildProfitAndLoss = buildSalesExpensesStatement;
+
+/**
+ * Gross margin per tracked product and per category. Revenue is line price × quantity
+ * (before invoice discount and GST) on invoices recognised in the period, less product lines
+ * on credit notes; cost is COGS from the stock ledger for the same period.
+ */
+export async function buildProductMarginReport(businessId, range, from, to) {
+  const { start, end, label } = parseAiInsightsDateRange(range, from, to);
+  const bid = bizOid(businessId);
+  const meta = await getBusinessMeta(businessId);
+
+  const products = await Service.find({ businessId: bid, isVariable: true, skipWorkProcess: true })
+    .select('name isVariable skipWorkProcess trackInventory averageCost categoryId')
+    .populate('categoryId', 'name')
+    .lean();
+  const productById = new Map(products.filter(shouldTrackInventory).map((p) => [String(p._id), p]));
+
+  const rows = new Map();
+  const rowFor = (serviceId, name) => {
+    const key = String(serviceId);
+    if (!rows.has(key)) {
+      const product = productById.get(key);
+      rows.set(key, {
+        serviceId,
+        name: product?.name || name || 'Product',
+        categoryId: product?.categoryId?._id || null,
+        categoryName: product?.categoryId?.name || 'Uncategorized',
+        averageCost: product?.averageCost ?? null,
+        quantitySold: 0,
+        revenue: 0,
+        cost: 0,
+        uncostedQuantity: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  const invoices = await Invoice.find({
+    businessId: bid,
+    saleType: 'JOB',
+    ...revenueInPeriodFilter(start, end)
+  }).select('items').lean();
+  for (const inv of invoices) {
+    for (const item of inv.items || []) {
+      if (!productById.has(String(item.serviceId))) continue;
+      const row = rowFor(item.serviceId, item.serviceName);
+      row.revenue += (Number(item.servicePrice) || 0) * (Number(item.quantity) || 1);
+    }
+  }
+  const creditNotes = await CreditNote.find({
+    businessId: bid,
+    saleType: 'JOB',
+    refundDate: { $gte: start, $lte: end }
+  }).select('items').lean();
+  for (const note of creditNotes) {
+    for (const item of note.items || []) {
+      if (!productById.has(String(item.serviceId))) continue;
+      const row = rowFor(item.serviceId, item.serviceName);
+      row.revenue -= (Number(item.servicePrice) || 0) * (Number(item.quantity) || 1);
+    }
+  }
+
+  const cogs = await loadCostOfGoodsSold(businessId, start, end, PRODUCT_SALE_MOVEMENT_TYPES);
+  for (const line of cogs.products) {
+    const row = rowFor(line.serviceId, line.serviceName);
+    row.quantitySold += line.quantity;
+    row.cost += line.cost;
+    row.uncostedQuantity += line.uncostedQuantity;
+  }
+
+  const withMargin = (row) => {
+    const revenue = roundMoney(row.revenue);
+    const cost = roundMoney(row.cost);
+    const grossMargin = roundMoney(revenue - cost);
+    return {
+      ...row,
+      revenue,
+      cost,
+      grossMargin,
+      grossMarginPct: revenue > 0 ? roundMoney((grossMargin / revenue) * 100) : 0
+    };
+  };
+
+  const productRows = [...rows.values()].map(withMargin).sort((a, b) => b.grossMargin - a.grossMargin);
+  const byCategory = new Map();
+  for (const row of productRows) {
+    const key = String(row.categoryId || 'none');
+    const cat = byCategory.get(key) || {
+      categoryId: row.categoryId,
+      categoryName: row.categoryName,
+      quantitySold: 0,
+      revenue: 0,
+      cost: 0,
+      uncostedQuantity: 0
+    };
+    cat.quantitySold += row.quantitySold;
+    cat.revenue += row.revenue;
+    cat.cost += row.cost;
+    cat.uncostedQuantity += row.uncostedQuantity;
+    byCategory.set(key, cat);
+  }
+  const categoryRows = [...byCategory.values()].map(withMargin).sort((a, b) => b.grossMargin - a.grossMargin);
+  const totals = withMargin(productRows.reduce((t, r) => ({
+    quantitySold: t.quantitySold + r.quantitySold,
+    revenue: t.revenue + r.revenue,
+    cost: t.cost + r.cost,
+    uncostedQuantity: t.uncostedQuantity + r.uncostedQuantity
+  }), { quantitySold: 0, revenue: 0, cost: 0, uncostedQuantity: 0 }));
+
+  return {
+    type: 'product_margins',
+    period: { start, end, label },
+    meta,
+    products: productRows,
+    categories: categoryRows,
+    totals,
+    disclaimer: 'Revenue is product line price × quantity before invoice discount and GST. Cost is the weighted-average cost when stock left; units sold before a cost was known are shown as uncosted.'
+  };
+}
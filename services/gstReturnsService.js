@@ -0,0 +1,89 @@
+import Invoice from '../models/Invoice.model.js';
+import CreditNote from '../models/CreditNote.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import { applyBranchScope } from '../utils/branchQuery.js';
+import { resolveBusinessTimezone } from '../utils/businessDateRange.js';
+import {
+  buildGstDocuments,
+  buildGstr1,
+  buildGstr3b,
+  invoiceSupplyDate,
+  parseGstReturnPeriod
+} from '../utils/gstReturns.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const INVOICE_FIELDS =
+  'invoiceNumber companyGst customerGst customerState customerName items subtotal discount discountType discountAmount taxPercentage pricesIncludeTax placeOfSupply supplyType taxableValue gstAmount cgstAmount sgstAmount igstAmount finalAmount paymentStatus paymentReceivedAt settlementMode saleConfirmedAt branchId';
+
+const normalizeGstin = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * GSTR-1 and GSTR-3B for one GSTIN and one month (default: last month), in the current
+ * branch scope. Sales count in the month they were confirmed (paid, or closed on credit);
+ * credit notes count in the month they were issued, against the invoice's GSTIN.
+ */
+export async function buildGstReturns(req, { month, gstin } = {}) {
+  const settings = await BusinessSettings.findOne({ businessId: req.businessId })
+    .select('timezone gstNumber')
+    .lean();
+  const timezone = resolveBusinessTimezone(settings?.timezone);
+  const period = parseGstReturnPeriod(month, timezone);
+  const window = { $gte: period.startUtc, $lt: period.endUtc };
+  const inWindow = (date) => date && date >= period.startUtc && date < period.endUtc;
+
+  const [candidates, creditNotes] = await Promise.all([
+    Invoice.find(applyBranchScope({
+      businessId: req.businessId,
+      companyGst: { $nin: [null, ''] },
+      $or: [
+        { paymentStatus: 'RECEIVED', paymentReceivedAt: window },
+        { settlementMode: 'CREDIT', saleConfirmedAt: window }
+      ]
+    }, req)).select(INVOICE_FIELDS).lean(),
+    CreditNote.find(applyBranchScope({ businessId: req.businessId, refundDate: window }, req))
+      .select('creditNoteNumber invoiceId customerName items amount gstAmount refundDate')
+      .lean()
+  ]);
+  // A credit sale paid later matches both branches of $or; it belongs to its confirmation month
+  const invoices = candidates.filter((inv) => inWindow(invoiceSupplyDate(inv)));
+
+  const noteInvoiceIds = [...new Set(creditNotes.map((n) => String(n.invoiceId)))];
+  const noteInvoices = noteInvoiceIds.length
+    ? await Invoice.find({ businessId: req.businessId, _id: { $in: noteInvoiceIds } }).select(INVOICE_FIELDS).lean()
+    : [];
+  const invoicesById = new Map(
+    noteInvoices
+      .filter((inv) => normalizeGstin(inv.companyGst) && invoiceSupplyDate(inv))
+      .map((inv) => [String(inv._id), inv])
+  );
+
+  const gstins = [...new Set([...invoices, ...invoicesById.values()].map((inv) => normalizeGstin(inv.companyGst)))].sort();
+  const selected = normalizeGstin(gstin) || normalizeGstin(settings?.gstNumber) || gstins[0] || '';
+  if (!selected) throw httpError('Add the business GSTIN in Settings to prepare GST returns');
+
+  const docs = buildGstDocuments({
+    invoices: invoices.filter((inv) => normalizeGstin(inv.companyGst) === selected),
+    creditNotes: creditNotes.filter((n) => normalizeGstin(invoicesById.get(String(n.invoiceId))?.companyGst) === selected),
+    invoicesById
+  });
+
+  return {
+    gstin: selected,
+    gstins: gstins.includes(selected) ? gstins : [selected, ...gstins],
+    month: period.month,
+    fp: period.fp,
+    timezone,
+    branchId: req.branchScope === 'all' ? null : (req.branchId || null),
+    counts: {
+      invoices: docs.filter((d) => d.kind === 'INVOICE').length,
+      creditNotes: docs.filter((d) => d.kind === 'CREDIT_NOTE').length
+    },
+    gstr1: buildGstr1(docs),
+    gstr3b: buildGstr3b(docs)
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * In-process job status transition hook.
+ *
+ * Job.model.js emits after every save that changes `status` (including creation).
+ * Listeners run after the save resolves and never block or fail the request that saved the job.
+ */
+const listeners = new Set();
+
+export function onJobStatusChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function emitJobStatusChange(job, transition) {
+  if (!listeners.size) return;
+  for (const listener of listeners) {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => listener(job, transition))
+        .catch((e) => console.error('Job status listener error:', e?.message || e));
+    });
+  }
+}
@@ -0,0 +1,117 @@
+import Business from '../models/Business.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import BranchSettings from '../models/BranchSettings.model.js';
+import Customer from '../models/Customer.model.js';
+import Car from '../models/Car.model.js';
+import { onJobStatusChange } from './jobStatusEvents.js';
+import { queueWhatsAppMessage } from './whatsapp/whatsappDeliveryService.js';
+import { formatTemplate } from '../utils/whatsapp.utils.js';
+import { JOB_STATUS_TEMPLATE_KEYS, normalizeWhatsappTemplates } from '../utils/whatsappTemplates.js';
+import { mergeBranchWhatsAppIntoSettings } from '../utils/whatsappSettingsMerge.js';
+
+/** Job status → BusinessSettings.notificationPreferences flag. */
+const STATUS_PREFERENCE_KEYS = {
+  RECEIVED: 'jobCreated',
+  WORK_STARTED: 'jobWorkStarted',
+  COMPLETED: 'jobCompleted',
+  DELIVERED: 'jobDelivered'
+};
+
+/** Idempotency key — one automatic message per job per template. */
+export function jobStatusDedupeKey(jobId, templateKey) {
+  return `job:${String(jobId)}:${templateKey}`;
+}
+
+/**
+ * Whether the branch/business settings allow an automatic message for this status.
+ * Branch autoSendWhatsApp wins when the branch has its own settings row.
+ */
+export function shouldAutoNotifyJobStatus(status, businessSettings, branchSettings) {
+  const prefKey = STATUS_PREFERENCE_KEYS[status];
+  if (!prefKey || !JOB_STATUS_TEMPLATE_KEYS[status]) return false;
+  const autoSend = branchSettings
+    ? branchSettings.autoSendWhatsApp !== false
+    : businessSettings?.autoSendWhatsApp !== false;
+  if (!autoSend) return false;
+  const prefs = businessSettings?.notificationPreferences || {};
+  if (prefKey === 'jobWorkStarted') return prefs.jobWorkStarted === true;
+  return prefs[prefKey] !== false;
+}
+
+/** Template variables shared by job status templates (see DEFAULT_WHATSAPP_TEMPLATES). */
+export function buildJobTemplateVariables({ job, customer, car, businessName }) {
+  const images = (list) => (Array.isArray(list) ? list.filter(Boolean).join(' ') : '');
+  const vehicle = [car?.brand, car?.model].filter(Boolean).join(' ');
+  return {
+    name: customer?.name || 'Customer',
+    vehicleNumber: car?.carNumber || vehicle || '—',
+    vehicle: vehicle || car?.carNumber || '',
+    token: job.tokenNumber || '',
+    status: job.status,
+    total: String(job.totalPrice ?? 0),
+    businessName: businessName || '',
+    beforeImagesLink: images(job.beforeImages) || '—',
+    afterImagesLink: images(job.afterImages) || '—'
+  };
+}
+
+/**
+ * Render the branch's whatsappTemplates entry for the new status and queue it for the customer.
+ * Direct-bill (counter) sales never message; re-saving a status is a no-op via dedupeKey.
+ */
+export async function notifyCustomerOfJobStatus(job, { to }) {
+  if (!job || job.directBill) return { skipped: true, reason: 'DIRECT_BILL' };
+  const templateKey = JOB_STATUS_TEMPLATE_KEYS[to];
+  if (!templateKey) return { skipped: true, reason: 'NO_TEMPLATE' };
+
+  const [businessSettings, branchSettings] = await Promise.all([
+    BusinessSettings.findOne({ businessId: job.businessId })
+      .select('autoSendWhatsApp notificationPreferences whatsappTemplates shopWhatsappNumber googleReviewLink')
+      .lean(),
+    job.branchId
+      ? BranchSettings.findOne({ businessId: job.businessId, branchId: job.branchId })
+        .select('autoSendWhatsApp whatsappTemplates shopWhatsappNumber googleReviewLink')
+        .lean()
+      : null
+  ]);
+  if (!shouldAutoNotifyJobStatus(to, businessSettings, branchSettings)) {
+    return { skipped: true, reason: 'DISABLED' };
+  }
+
+  const customerId = job.customerId?._id || job.customerId;
+  const carId = job.carId?._id || job.carId;
+  const [customer, car, business] = await Promise.all([
+    Customer.findOne({ _id: customerId, businessId: job.businessId }).select('name phone whatsappNumber').lean(),
+    carId ? Car.findOne({ _id: carId, businessId: job.businessId }).select('carNumber brand model').lean() : null,
+    Business.findById(job.businessId).select('businessName').lean()
+  ]);
+  const recipient = customer?.whatsappNumber || customer?.phone;
+  if (!recipient) return { skipped: true, reason: 'NO_RECIPIENT' };
+
+  const merged = mergeBranchWhatsAppIntoSettings(businessSettings, branchSettings);
+  const templates = normalizeWhatsappTemplates(merged.whatsappTemplates);
+  const template = String(templates[templateKey] || '').trim();
+  if (!template) return { skipped: true, reason: 'EMPTY_TEMPLATE' };
+
+  const variables = buildJobTemplateVariables({ job, customer, car, businessName: business?.businessName });
+  return queueWhatsAppMessage({
+    businessId: job.businessId,
+    branchId: job.branchId,
+    jobId: job._id,
+    customerId: customer._id,
+    templateKey,
+    recipient,
+    message: formatTemplate(template, variables),
+    variables,
+    dedupeKey: jobStatusDedupeKey(job._id, templateKey)
+  });
+}
+
+let registered = false;
+
+/** Subscribe to Job status transitions. Called once from server.js after the DB connects. */
+export function registerJobStatusNotifications() {
+  if (registered) return;
+  registered = true;
+  onJobStatusChange((job, transition) => notifyCustomerOfJobStatus(job, transition));
+}
@@ -0,0 +1,479 @@
+import mongoose from 'mongoose';
+import AttendanceDay from '../models/AttendanceDay.model.js';
+import LeaveType from '../models/LeaveType.model.js';
+import LeaveRequest from '../models/LeaveRequest.model.js';
+import LeaveBalance from '../models/LeaveBalance.model.js';
+import User from '../models/User.model.js';
+import { isAdminPanelRole } from '../utils/adminRoles.js';
+import { businessTodayKey, eachDateInclusive, listBranchEmployees } from './attendanceService.js';
+import { resolveShifts } from './shiftService.js';
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REQUEST_DAYS = 60;
+
+export const DEFAULT_LEAVE_TYPES = [
+  { code: 'CASUAL', name: 'Casual leave', isPaid: true, annualAllowance: 12, accrual: 'MONTHLY', carryForwardMax: 0 },
+  { code: 'SICK', name: 'Sick leave', isPaid: true, annualAllowance: 6, accrual: 'YEARLY', carryForwardMax: 0 },
+  { code: 'UNPAID', name: 'Unpaid leave', isPaid: false, annualAllowance: null, accrual: 'YEARLY', carryForwardMax: 0 }
+];
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/** Days credited for a leave type in `year` as of todayKey (null = unlimited). Monthly accrual rounds down to half days. */
+export function accruedDays(leaveType, year, todayKey) {
+  if (leaveType?.annualAllowance == null) return null;
+  const allowance = Math.max(0, Number(leaveType.annualAllowance) || 0);
+  const currentYear = Number(String(todayKey).slice(0, 4));
+  if (leaveType.accrual !== 'MONTHLY' || year < currentYear) return allowance;
+  if (year > currentYear) return 0;
+  const month = Number(String(todayKey).slice(5, 7));
+  return Math.floor(((allowance * month) / 12) * 2) / 2;
+}
+
+/** Balance breakdown; available is null for unlimited leave types. */
+export function summarizeBalance(leaveType, balance, year, todayKey) {
+  const accrued = accruedDays(leaveType, year, todayKey);
+  const carriedForward = Number(balance?.carriedForward) || 0;
+  const adjustment = Number(balance?.adjustment) || 0;
+  const used = Number(balance?.used) || 0;
+  return {
+    leaveTypeId: leaveType._id,
+    code: leaveType.code,
+    name: leaveType.name,
+    isPaid: leaveType.isPaid,
+    year,
+    accrued,
+    carriedForward,
+    adjustment,
+    used,
+    available: accrued == null ? null : Math.round((carriedForward + accrued + adjustment - used) * 100) / 100
+  };
+}
+
+/** Count of days per calendar year, e.g. 30 Dec – 2 Jan → { 2025: 2, 2026: 2 }. */
+export function daysByYear(dateKeys) {
+  const out = new Map();
+  for (const key of dateKeys) {
+    const year = Number(key.slice(0, 4));
+    out.set(year, (out.get(year) || 0) + 1);
+  }
+  return out;
+}
+
+export async function ensureDefaultLeaveTypes(businessId) {
+  const count = await LeaveType.countDocuments({ businessId });
+  if (count > 0) return;
+  try {
+    await LeaveType.insertMany(DEFAULT_LEAVE_TYPES.map((t) => ({ ...t, businessId })), { ordered: false });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+}
+
+export async function listLeaveTypes(businessId, { activeOnly = false } = {}) {
+  await ensureDefaultLeaveTypes(businessId);
+  const filter = { businessId };
+  if (activeOnly) filter.isActive = true;
+  return LeaveType.find(filter).sort({ isPaid: -1, name: 1 }).lean();
+}
+
+export async function saveLeaveType(businessId, body = {}, leaveTypeId = null) {
+  let doc;
+  if (leaveTypeId) {
+    if (!mongoose.isValidObjectId(leaveTypeId)) throw httpError('Leave type not found', 404);
+    doc = await LeaveType.findOne({ _id: leaveTypeId, businessId });
+    if (!doc) throw httpError('Leave type not found', 404);
+  } else {
+    doc = new LeaveType({ businessId });
+  }
+
+  if (body.name !== undefined) doc.name = String(body.name || '').trim();
+  if (body.code !== undefined && !leaveTypeId) doc.code = String(body.code || '').trim().toUpperCase();
+  if (!doc.name) throw httpError('Leave type name is required');
+  if (!doc.code) throw httpError('Leave type code is required');
+  if (body.isPaid !== undefined) doc.isPaid = body.isPaid === true || body.isPaid === 'true';
+  if (body.annualAllowance !== undefined) {
+    if (body.annualAllowance === null || body.annualAllowance === '') {
+      doc.annualAllowance = null;
+    } else {
+      const v = Number(body.annualAllowance);
+      if (!Number.isFinite(v) || v < 0) throw httpError('Annual allowance must be zero or more');
+      doc.annualAllowance = v;
+    }
+  }
+  if (body.accrual !== undefined) {
+    if (!['YEARLY', 'MONTHLY'].includes(body.accrual)) throw httpError('Accrual must be YEARLY or MONTHLY');
+    doc.accrual = body.accrual;
+  }
+  if (body.carryForwardMax !== undefined) {
+    const v = Number(body.carryForwardMax);
+    if (!Number.isFinite(v) || v < 0) throw httpError('Carry forward must be zero or more');
+    doc.carryForwardMax = v;
+  }
+  if (body.isActive !== undefined) doc.isActive = body.isActive === true || body.isActive === 'true';
+
+  try {
+    await doc.save();
+  } catch (e) {
+    if (e?.code === 11000) throw httpError('A leave type with this code already exists');
+    throw e;
+  }
+  return doc;
+}
+
+/**
+ * Balance row for a year, created on first use.
+ * Opening carry-forward comes from last year's row (capped by LeaveType.carryForwardMax).
+ */
+async function getOrCreateBalance(businessId, userId, leaveType, year, todayKey) {
+  const key = { businessId, userId, leaveTypeId: leaveType._id, year };
+  const existing = await LeaveBalance.findOne(key);
+  if (existing) return existing;
+
+  let carriedForward = 0;
+  const cap = Number(leaveType.carryForwardMax) || 0;
+  if (cap > 0 && leaveType.annualAllowance != null) {
+    const prev = await LeaveBalance.findOne({ ...key, year: year - 1 }).lean();
+    if (prev) {
+      const prevAvailable = summarizeBalance(leaveType, prev, year - 1, todayKey).available || 0;
+      carriedForward = Math.min(cap, Math.max(0, prevAvailable));
+    }
+  }
+  try {
+    return await LeaveBalance.create({ ...key, carriedForward });
+  } catch (e) {
+    if (e?.code === 11000) return LeaveBalance.findOne(key);
+    throw e;
+  }
+}
+
+/**
+ * Days in the range the employee is due at work (roster / weekly off / shop schedule, as payroll
+ * resolves them). Weekly offs and shop-closed days are not taken as leave.
+ */
+async function leaveWorkingDays(businessId, userId, dateKeys) {
+  if (!dateKeys.length) return [];
+  const user = await User.findOne({ _id: userId, businessId }).select('shiftTemplateId weeklyOffDays').lean();
+  if (!user) return dateKeys;
+  const shifts = await resolveShifts(businessId, [user], dateKeys);
+  return dateKeys.filter((date) => shifts.get(`${String(user._id)}:${date}`));
+}
+
+async function pendingDaysByYear(businessId, userId, leaveTypeId, excludeId = null) {
+  const filter = { businessId, userId, leaveTypeId, status: 'PENDING' };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const pending = await LeaveRequest.find(filter).select('from to').lean();
+  const dates = [...new Set(pending.flatMap((r) => eachDateInclusive(r.from, r.to)))];
+  return daysByYear(await leaveWorkingDays(businessId, userId, dates));
+}
+
+/** Throws when the requested days exceed the available balance (pending requests count as reserved). */
+async function assertBalanceCovers(businessId, userId, leaveType, dateKeys, todayKey, excludeId = null) {
+  if (leaveType.annualAllowance == null) return;
+  const pending = await pendingDaysByYear(businessId, userId, leaveType._id, excludeId);
+  for (const [year, days] of daysByYear(dateKeys)) {
+    const balance = await getOrCreateBalance(businessId, userId, leaveType, year, todayKey);
+    const { available } = summarizeBalance(leaveType, balance, year, todayKey);
+    const reserved = pending.get(year) || 0;
+    if (days + reserved > available) {
+      throw httpError(
+        `Not enough ${leaveType.name} balance for ${year}: ${Math.max(0, available - reserved)} day(s) available`,
+        400,
+        'LEAVE_BALANCE_EXCEEDED'
+      );
+    }
+  }
+}
+
+async function addUsedDays(businessId, userId, leaveType, dateKeys, todayKey, sign) {
+  for (const [year, days] of daysByYear(dateKeys)) {
+    const balance = await getOrCreateBalance(businessId, userId, leaveType, year, todayKey);
+    // Single update so two approvals for the same employee cannot overwrite each other's days
+    await LeaveBalance.updateOne(
+      { _id: balance._id },
+      [{ $set: { used: { $max: [0, { $add: [{ $ifNull: ['$used', 0] }, sign * days] }] } } }]
+    );
+  }
+}
+
+/**
+ * Move a request out of `fromStatus` only if it is still there, so two reviewers (or a
+ * reviewer and the employee) cannot both act on it. Throws 409 when someone else got there first.
+ */
+async function claimRequestStatus(request, fromStatus, $set) {
+  const claimed = await LeaveRequest.findOneAndUpdate(
+    { _id: request._id, businessId: request.businessId, status: fromStatus },
+    { $set },
+    { new: true }
+  );
+  if (!claimed) throw httpError('This request was just updated by someone else. Reload and try again.', 409);
+  return claimed;
+}
+
+export async function getLeaveBalances(req, { year, userId } = {}) {
+  const todayKey = await businessTodayKey(req.businessId);
+  const y = Number(year) || Number(todayKey.slice(0, 4));
+  let employees;
+  if (isAdminPanelRole(req.user.role)) {
+    employees = await listBranchEmployees(req);
+    if (userId) employees = employees.filter((e) => String(e._id) === String(userId));
+  } else {
+    employees = [{ _id: req.user._id, name: req.user.name, employeeCode: req.user.employeeCode }];
+  }
+  const types = await listLeaveTypes(req.businessId, { activeOnly: true });
+
+  const people = [];
+  for (const emp of employees) {
+    const balances = [];
+    for (const type of types) {
+      const balance = await getOrCreateBalance(req.businessId, emp._id, type, y, todayKey);
+      balances.push(summarizeBalance(type, balance, y, todayKey));
+    }
+    people.push({
+      user: { _id: emp._id, name: emp.name, employeeCode: emp.employeeCode },
+      balances
+    });
+  }
+  return { year: y, people };
+}
+
+export async function adjustLeaveBalance(req, { userId, leaveTypeId, year, adjustment }) {
+  const employees = await listBranchEmployees(req);
+  if (!employees.some((e) => String(e._id) === String(userId))) throw httpError('Employee not found', 404);
+  if (!mongoose.isValidObjectId(leaveTypeId)) throw httpError('Leave type not found', 404);
+  const type = await LeaveType.findOne({ _id: leaveTypeId, businessId: req.businessId }).lean();
+  if (!type) throw httpError('Leave type not found', 404);
+  const value = Number(adjustment);
+  if (!Number.isFinite(value)) throw httpError('Adjustment must be a number');
+
+  const todayKey = await businessTodayKey(req.businessId);
+  const y = Number(year) || Number(todayKey.slice(0, 4));
+  const balance = await getOrCreateBalance(req.businessId, userId, type, y, todayKey);
+  balance.adjustment = value;
+  await balance.save();
+  return summarizeBalance(type, balance, y, todayKey);
+}
+
+function branchRequestFilter(req) {
+  if (req.branchScope !== 'all' && req.branchId) {
+    return {
+      $or: [
+        { branchId: req.branchId },
+        { branchId: null },
+        { branchId: { $exists: false } }
+      ]
+    };
+  }
+  return {};
+}
+
+export async function createLeaveRequest(req, { leaveTypeId, from, to, reason }) {
+  const fromKey = String(from || '').slice(0, 10);
+  const toKey = String(to || from || '').slice(0, 10);
+  if (!DATE_KEY.test(fromKey) || !DATE_KEY.test(toKey)) {
+    throw httpError('Valid from / to dates (YYYY-MM-DD) are required');
+  }
+  if (fromKey > toKey) throw httpError('from must be on or before to');
+  const note = String(reason || '').trim();
+  if (!note) throw httpError('Reason is required');
+
+  const dateKeys = eachDateInclusive(fromKey, toKey);
+  if (dateKeys.length > MAX_REQUEST_DAYS) {
+    throw httpError(`A leave request can cover at most ${MAX_REQUEST_DAYS} days`);
+  }
+
+  if (!mongoose.isValidObjectId(leaveTypeId)) throw httpError('Select a leave type');
+  await ensureDefaultLeaveTypes(req.businessId);
+  const type = await LeaveType.findOne({ _id: leaveTypeId, businessId: req.businessId, isActive: true }).lean();
+  if (!type) throw httpError('Select a leave type');
+
+  const overlap = await LeaveRequest.findOne({
+    businessId: req.businessId,
+    userId: req.user._id,
+    status: { $in: ['PENDING', 'APPROVED'] },
+    from: { $lte: toKey },
+    to: { $gte: fromKey }
+  }).lean();
+  if (overlap) throw httpError('You already have a leave request covering some of these days');
+
+  const worked = await AttendanceDay.findOne({
+    businessId: req.businessId,
+    userId: req.user._id,
+    date: { $gte: fromKey, $lte: toKey },
+    'sessions.0': { $exists: true }
+  }).select('date').lean();
+  if (worked) throw httpError(`You were present on ${worked.date}`);
+
+  const workingDays = await leaveWorkingDays(req.businessId, req.user._id, dateKeys);
+  if (!workingDays.length) throw httpError('These dates are all days off. No leave is needed.');
+
+  const todayKey = await businessTodayKey(req.businessId);
+  await assertBalanceCovers(req.businessId, req.user._id, type, workingDays, todayKey);
+
+  return LeaveRequest.create({
+    businessId: req.businessId,
+    branchId: req.branchId || req.user.branchId || null,
+    userId: req.user._id,
+    leaveTypeId: type._id,
+    leaveTypeName: type.name,
+    isPaid: type.isPaid,
+    from: fromKey,
+    to: toKey,
+    days: workingDays.length,
+    reason: note,
+    status: 'PENDING'
+  });
+}
+
+export async function listLeaveRequests(req, { status, userId } = {}) {
+  const filter = { businessId: req.businessId };
+  if (status && ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'].includes(status)) {
+    filter.status = status;
+  }
+  if (isAdminPanelRole(req.user.role)) {
+    Object.assign(filter, branchRequestFilter(req));
+    if (userId && mongoose.isValidObjectId(userId)) filter.userId = userId;
+  } else {
+    filter.userId = req.user._id;
+  }
+
+  return LeaveRequest.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .populate('userId', 'name employeeCode')
+    .populate('actionedBy', 'name')
+    .lean();
+}
+
+async function findRequestForAction(req, requestId, statuses) {
+  if (!mongoose.isValidObjectId(requestId)) throw httpError('Request not found', 404);
+  const filter = {
+    _id: requestId,
+    businessId: req.businessId,
+    status: { $in: statuses }
+  };
+  if (isAdminPanelRole(req.user.role)) {
+    Object.assign(filter, branchRequestFilter(req));
+  } else {
+    filter.userId = req.user._id;
+  }
+  const request = await LeaveRequest.findOne(filter);
+  if (!request) throw httpError('Request not found', 404);
+  return request;
+}
+
+/**
+ * Approve: re-check the balance, mark each working day LEAVE in attendance and book the days
+ * as used. Days off and days the employee has since punched in on are left alone.
+ */
+export async function approveLeaveRequest(req, requestId, { reviewNote } = {}) {
+  const request = await findRequestForAction(req, requestId, ['PENDING']);
+  const type = await LeaveType.findOne({ _id: request.leaveTypeId, businessId: req.businessId }).lean();
+  if (!type) throw httpError('Leave type no longer exists');
+
+  const todayKey = await businessTodayKey(req.businessId);
+  const dateKeys = await leaveWorkingDays(req.businessId, request.userId, eachDateInclusive(request.from, request.to));
+  await assertBalanceCovers(req.businessId, request.userId, type, dateKeys, todayKey, request._id);
+
+  const existing = await AttendanceDay.find({
+    businessId: req.businessId,
+    userId: request.userId,
+    date: { $gte: request.from, $lte: request.to }
+  }).select('date sessions').lean();
+  const worked = new Set(existing.filter((d) => (d.sessions || []).length > 0).map((d) => d.date));
+  const applied = dateKeys.filter((d) => !worked.has(d));
+
+  const approved = await claimRequestStatus(request, 'PENDING', {
+    status: 'APPROVED',
+    actionedBy: req.user._id,
+    actionedAt: new Date(),
+    reviewNote: String(reviewNote || '').trim(),
+    appliedDates: applied
+  });
+
+  const employee = await User.findById(request.userId).select('branchId').lean();
+  try {
+    for (const date of applied) {
+      await AttendanceDay.findOneAndUpdate(
+        { businessId: req.businessId, userId: request.userId, date },
+        {
+          $set: {
+            branchId: request.branchId || employee?.branchId || null,
+            status: 'LEAVE',
+            source: 'LEAVE_REQUEST',
+            sessions: [],
+            breaks: [],
+            leaveRequestId: request._id,
+            leaveTypeId: type._id,
+            leavePaid: !!type.isPaid
+          }
+        },
+        { upsert: true, new: true }
+      );
+    }
+    await addUsedDays(req.businessId, request.userId, type, applied, todayKey, 1);
+  } catch (e) {
+    // Put the request back so it can be approved again
+    await AttendanceDay.deleteMany({
+      businessId: req.businessId,
+      userId: request.userId,
+      leaveRequestId: request._id,
+      'sessions.0': { $exists: false }
+    });
+    await LeaveRequest.updateOne(
+      { _id: request._id, status: 'APPROVED' },
+      { $set: { status: 'PENDING', actionedBy: null, actionedAt: null, appliedDates: [] } }
+    );
+    throw e;
+  }
+  return approved;
+}
+
+export async function rejectLeaveRequest(req, requestId, { reviewNote } = {}) {
+  const request = await findRequestForAction(req, requestId, ['PENDING']);
+  return claimRequestStatus(request, 'PENDING', {
+    status: 'REJECTED',
+    actionedBy: req.user._id,
+    actionedAt: new Date(),
+    reviewNote: String(reviewNote || '').trim()
+  });
+}
+
+/**
+ * Employees cancel their own pending requests (or approved leave not yet started);
+ * admins can cancel any pending / approved request. Approved days are released back to the balance.
+ */
+export async function cancelLeaveRequest(req, requestId, { reviewNote } = {}) {
+  const isAdmin = isAdminPanelRole(req.user.role);
+  const request = await findRequestForAction(req, requestId, ['PENDING', 'APPROVED']);
+  const todayKey = await businessTodayKey(req.businessId);
+  if (request.status === 'APPROVED' && !isAdmin && request.from <= todayKey) {
+    throw httpError('Leave has already started. Ask your manager to cancel it.');
+  }
+
+  const cancelled = await claimRequestStatus(request, request.status, {
+    status: 'CANCELLED',
+    actionedBy: req.user._id,
+    actionedAt: new Date(),
+    ...(reviewNote !== undefined ? { reviewNote: String(reviewNote || '').trim() } : {})
+  });
+
+  if (request.status === 'APPROVED') {
+    await AttendanceDay.deleteMany({
+      businessId: req.businessId,
+      userId: request.userId,
+      leaveRequestId: request._id,
+      'sessions.0': { $exists: false }
+    });
+    const type = await LeaveType.findOne({ _id: request.leaveTypeId, businessId: req.businessId }).lean();
+    if (type) {
+      await addUsedDays(req.businessId, request.userId, type, request.appliedDates || [], todayKey, -1);
+    }
+  }
+  return cancelled;
+}
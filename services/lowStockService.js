@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import Service from '../models/Service.model.js';
+import StockMovement from '../models/StockMovement.model.js';
+import PurchaseOrder from '../models/PurchaseOrder.model.js';
+import User from '../models/User.model.js';
+import { shouldTrackInventory } from '../utils/serviceCatalog.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { sendPushNotification } from './notificationService.js';
+
+/** Movement types counted as consumption for reorder suggestions (RESTORE gives units back). */
+const CONSUMPTION_TYPES = ['SALE', 'DELIVERY', 'RESTORE', 'CONSUMPTION'];
+export const REORDER_WINDOWS = [30, 90];
+
+function yyyyMmDd(d) {
+  const x = new Date(d);
+  const y = x.getFullYear();
+  const m = String(x.getMonth() + 1).padStart(2, '0');
+  const day = String(x.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function stockThreshold(service) {
+  return Math.max(0, Number(service?.lowStockThreshold ?? 5) || 0);
+}
+
+// ---------- pure helpers ----------
+
+/** True when a change took stock from above the threshold to at / below it. */
+export function crossedLowStock({ before, after, threshold }) {
+  return Number(before) > Number(threshold) && Number(after) <= Number(threshold);
+}
+
+/**
+ * Order quantity to cover `coverDays` of average consumption on top of the low-stock threshold,
+ * net of stock on hand and units already on order.
+ */
+export function reorderQuantity({ consumed, windowDays, stock, threshold, onOrder = 0, coverDays = 30 }) {
+  const dailyUsage = Math.max(0, Number(consumed) || 0) / Math.max(1, Number(windowDays) || 1);
+  const target = Math.ceil(dailyUsage * Math.max(0, Number(coverDays) || 0)) + Math.max(0, Number(threshold) || 0);
+  const available = Math.max(0, Number(stock) || 0) + Math.max(0, Number(onOrder) || 0);
+  return {
+    dailyUsage: Math.round(dailyUsage * 100) / 100,
+    daysOfStockLeft: dailyUsage > 0 ? Math.floor(Math.max(0, Number(stock) || 0) / dailyUsage) : null,
+    suggestedQuantity: Math.max(0, target - available)
+  };
+}
+
+// ---------- alerts ----------
+
+async function ownerIds(businessId) {
+  const owners = await User.find({ businessId, role: 'CAR_WASH_ADMIN', status: 'ACTIVE' }).select('_id').lean();
+  return owners.map((o) => o._id);
+}
+
+/**
+ * Immediate alert after a stock deduction: notify owners when the product just crossed its
+ * threshold. At most one alert per product per day (push log dedupe on refId).
+ */
+export async function notifyLowStockCrossing(businessId, service, delta) {
+  if (!(delta < 0) || !shouldTrackInventory(service)) return;
+  const after = Number(service.stockQuantity) || 0;
+  const threshold = stockThreshold(service);
+  if (!crossedLowStock({ before: after - delta, after, threshold })) return;
+
+  const body = after > 0
+    ? `${service.name} is down to ${after} (alert at ${threshold}).`
+    : `${service.name} is out of stock.`;
+  for (const ownerId of await ownerIds(businessId)) {
+    await sendPushNotification({
+      businessOwnerId: ownerId,
+      title: after > 0 ? 'Low stock' : 'Out of stock',
+      body,
+      data: {
+        type: 'low_stock',
+        refId: `lowstock:${service._id}:${yyyyMmDd(new Date())}`,
+        url: '/admin/services'
+      }
+    });
+  }
+}
+
+/** Tracked products at or below their threshold. */
+export async function listLowStockProducts(businessId) {
+  const products = await Service.find({
+    businessId,
+    isActive: true,
+    isVariable: true,
+    skipWorkProcess: true,
+    trackInventory: { $ne: false }
+  }).select('name isVariable skipWorkProcess trackInventory stockQuantity lowStockThreshold').lean();
+  return products
+    .filter((p) => shouldTrackInventory(p) && (Number(p.stockQuantity) || 0) <= stockThreshold(p))
+    .sort((a, b) => (Number(a.stockQuantity) || 0) - (Number(b.stockQuantity) || 0));
+}
+
+/** Daily cron: one summary per business listing every product at or below threshold. */
+export async function runDailyLowStockAlerts() {
+  if (mongoose.connection.readyState !== 1) return;
+  const owners = await User.find({ role: 'CAR_WASH_ADMIN', status: 'ACTIVE' }).select('_id businessId').lean();
+  const today = yyyyMmDd(new Date());
+  const lowByBusiness = new Map();
+  for (const o of owners) {
+    if (!o.businessId) continue;
+    const key = String(o.businessId);
+    if (!lowByBusiness.has(key)) lowByBusiness.set(key, await listLowStockProducts(o.businessId));
+    const low = lowByBusiness.get(key);
+    if (!low.length) continue;
+    const names = low.slice(0, 5).map((p) => `${p.name} (${Number(p.stockQuantity) || 0})`).join(', ');
+    const more = low.length > 5 ? ` and ${low.length - 5} more` : '';
+    await sendPushNotification({
+      businessOwnerId: o._id,
+      title: 'Products low on stock',
+      body: `${low.length} product(s) need reordering: ${names}${more}.`,
+      data: { type: 'low_stock', refId: `lowstock:${today}`, url: '/admin/services' }
+    });
+  }
+}
+
+// ---------- reorder suggestions ----------
+
+/**
+ * Suggested order quantities from consumption over the last 30 or 90 days.
+ * Open purchase orders count as on order. Stock is held per business, so this is business-wide.
+ */
+export async function buildReorderSuggestions(req, { days, coverDays, includeAll = false } = {}) {
+  const windowDays = REORDER_WINDOWS.includes(Number(days)) ? Number(days) : 30;
+  const cover = Number.isInteger(Number(coverDays)) && Number(coverDays) > 0 ? Math.min(365, Number(coverDays)) : 30;
+  const businessOid = new mongoose.Types.ObjectId(req.businessId);
+  const since = new Date(Date.now() - windowDays * 86_400_000);
+
+  const [products, consumption, openOrders] = await Promise.all([
+    Service.find({
+      businessId: req.businessId,
+      isActive: true,
+      isVariable: true,
+      skipWorkProcess: true,
+      trackInventory: { $ne: false }
+    }).select('name isVariable skipWorkProcess trackInventory stockQuantity lowStockThreshold averageCost lastPurchaseCost').lean(),
+    StockMovement.aggregate([
+      { $match: { businessId: businessOid, type: { $in: CONSUMPTION_TYPES }, createdAt: { $gte: since } } },
+      { $group: { _id: '$serviceId', consumed: { $sum: { $multiply: ['$quantity', -1] } } } }
+    ]),
+    PurchaseOrder.find({
+      businessId: req.businessId,
+      status: { $in: ['ORDERED', 'PARTIALLY_RECEIVED'] }
+    }).select('items').lean()
+  ]);
+
+  const consumedById = new Map(consumption.map((c) => [String(c._id), c.consumed]));
+  const onOrderById = new Map();
+  for (const order of openOrders) {
+    for (const item of order.items || []) {
+      const open = Math.max(0, (Number(item.quantity) || 0) - (Number(item.receivedQuantity) || 0));
+      const key = String(item.serviceId);
+      onOrderById.set(key, (onOrderById.get(key) || 0) + open);
+    }
+  }
+
+  const suggestions = products.filter(shouldTrackInventory).map((p) => {
+    const key = String(p._id);
+    const stock = Number(p.stockQuantity) || 0;
+    const threshold = stockThreshold(p);
+    const consumed = Math.max(0, consumedById.get(key) || 0);
+    const onOrder = onOrderById.get(key) || 0;
+    const plan = reorderQuantity({ consumed, windowDays, stock, threshold, onOrder, coverDays: cover });
+    const unitCost = p.lastPurchaseCost ?? p.averageCost ?? null;
+    return {
+      serviceId: p._id,
+      name: p.name,
+      stockQuantity: stock,
+      lowStockThreshold: threshold,
+      isLowStock: stock <= threshold,
+      consumed,
+      onOrder,
+      ...plan,
+      unitCost,
+      estimatedCost: unitCost != null ? roundMoney(plan.suggestedQuantity * unitCost) : null
+    };
+  });
+
+  const rows = includeAll ? suggestions : suggestions.filter((s) => s.suggestedQuantity > 0 || s.isLowStock);
+  rows.sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity) || a.name.localeCompare(b.name));
+  return {
+    windowDays,
+    coverDays: cover,
+    suggestions: rows,
+    estimatedTotal: roundMoney(rows.reduce((s, r) => s + (r.estimatedCost || 0), 0))
+  };
+}
@@ -2,6 +2,18 @@ import User from '../models/User.model.js';
 import PushNotificationLog from '../models/PushNotificationLog.model.js';
 import Notification from '../models/Notification.model.js';
 import { getFirebaseMessaging } from './firebaseAdmin.js';
+import { enqueueOutboxMessage } from './outbox/outboxService.js';
+
+/** FCM error codes worth retrying (Firebase outage / throttling). */
+const FCM_TRANSIENT_CODES = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'app/network-error',
+  'app/network-timeout'
+];
 
 function safeString(x) {
   if (x == null) return '';
@@ -29,6 +41,8 @@ function inferRefId(data) {
  * Rules:
  * - Only BUSINESS USERS (CAR_WASH_ADMIN, EMPLOYEE) should receive push (no customers).
  * - Idempotent: logs (businessOwnerId+type+refId) and does not send duplicates.
+ * - The in-app notification is written immediately; the FCM push is queued in the outbox
+ *   (services/outbox) so a Firebase outage retries with backoff instead of dropping it.
  */
 export async function sendPushNotification({ businessOwnerId, title, body, data = {} }) {
   const type = safeString(data?.type).trim();
@@ -78,6 +92,8 @@ export async function sendPushNotification({ businessOwnerId, title, body, data
     booking_confirmed: 'BOOKING_CONFIRMED',
     booking_cancelled: 'BOOKING_CANCELLED',
     booking_slot_full: 'BOOKING_SLOT_FULL',
+    low_stock: 'LOW_STOCK',
+    payment_received: 'PAYMENT_RECEIVED',
   };
   const inAppType = inAppTypeMap[type] || 'SYSTEM_ALERT';
   const link = safeString(data?.url || data?.link || '');
@@ -105,32 +121,58 @@ export async function sendPushNotification({ businessOwnerId, title, body, data
 
   if (!tokens.length) return { ok: false, skipped: true, reason: 'NO_TOKENS' };
 
-  const messaging = getFirebaseMessaging();
-  const payload = {
-    notification: {
+  const pushData = Object.entries({
+    ...data,
+    type,
+    bookingId: data?.bookingId ? safeString(data.bookingId) : '',
+    packageId: data?.packageId ? safeString(data.packageId) : '',
+    url: link,
+  }).reduce((acc, [k, v]) => {
+    // FCM data values must be strings
+    acc[k] = safeString(v);
+    return acc;
+  }, {});
+
+  const queued = await enqueueOutboxMessage({
+    channel: 'PUSH',
+    businessId: owner.businessId,
+    payload: {
+      businessOwnerId: safeString(businessOwnerId),
       title: `VASHQ · ${safeString(title)}`,
       body: safeString(body),
+      data: pushData,
     },
-    data: Object.entries({
-      ...data,
-      type,
-      bookingId: data?.bookingId ? safeString(data.bookingId) : '',
-      packageId: data?.packageId ? safeString(data.packageId) : '',
-      url: link,
-    }).reduce((acc, [k, v]) => {
-      // FCM data values must be strings
-      acc[k] = safeString(v);
-      return acc;
-    }, {}),
-  };
+  });
+
+  return { ok: true, queued: true, outboxId: queued._id };
+}
+
+/**
+ * Outbox handler for PUSH: send the queued payload to the user's current FCM tokens.
+ * Throws when every token failed for a transient reason so the outbox retries later.
+ */
+export async function deliverQueuedPushNotification(payload) {
+  const owner = await User.findById(payload?.businessOwnerId).select('fcmTokens status').lean();
+  if (!owner || owner.status !== 'ACTIVE') return { skipped: true, reason: 'OWNER_UNAVAILABLE' };
+
+  const tokens = Array.isArray(owner.fcmTokens)
+    ? Array.from(new Set(owner.fcmTokens.filter(Boolean).map((t) => String(t).trim()).filter(Boolean)))
+    : [];
+  if (!tokens.length) return { skipped: true, reason: 'NO_TOKENS' };
 
+  const messaging = getFirebaseMessaging();
   const res = await messaging.sendEachForMulticast({
     tokens,
-    ...payload,
+    notification: {
+      title: safeString(payload.title),
+      body: safeString(payload.body),
+    },
+    data: payload.data || {},
   });
 
   // Remove invalid tokens to keep list clean
   const invalidTokens = [];
+  let transientFailures = 0;
   res.responses.forEach((r, idx) => {
     if (!r.success) {
       const code = r.error?.code || '';
@@ -139,21 +181,25 @@ export async function sendPushNotification({ businessOwnerId, title, body, data
         code.includes('invalid-argument')
       ) {
         invalidTokens.push(tokens[idx]);
+      } else if (FCM_TRANSIENT_CODES.some((c) => code.includes(c))) {
+        transientFailures += 1;
       }
     }
   });
   if (invalidTokens.length) {
     await User.updateOne(
-      { _id: businessOwnerId },
+      { _id: payload.businessOwnerId },
       { $pull: { fcmTokens: { $in: invalidTokens } } }
     );
   }
 
+  if (res.successCount === 0 && transientFailures > 0) {
+    throw new Error(`FCM unavailable for all ${tokens.length} token(s)`);
+  }
+
   return {
-    ok: true,
     successCount: res.successCount,
     failureCount: res.failureCount,
     invalidTokensRemoved: invalidTokens.length,
   };
 }
-
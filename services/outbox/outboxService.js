@@ -0,0 +1,144 @@
+import os from 'os';
+import OutboxMessage from '../../models/OutboxMessage.model.js';
+
+export const OUTBOX_CHANNELS = ['PUSH', 'WHATSAPP'];
+export const OUTBOX_STATUSES = ['PENDING', 'PROCESSING', 'SENT', 'DEAD'];
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6);
+const BASE_BACKOFF_MS = Number(process.env.OUTBOX_BACKOFF_BASE_MS || 30_000);
+const MAX_BACKOFF_MS = Number(process.env.OUTBOX_BACKOFF_MAX_MS || 60 * 60 * 1000);
+/** PROCESSING rows older than this belonged to a crashed worker and are picked up again. */
+const STALE_LOCK_MS = Number(process.env.OUTBOX_STALE_LOCK_MS || 5 * 60 * 1000);
+const FAILURE_HISTORY = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+/**
+ * Register the delivery function for a channel.
+ * handler(payload, { attempt, finalAttempt, outboxId }) resolves with a small result object,
+ * or throws. Throw an error with `retryable = false` to dead-letter immediately.
+ */
+export function registerOutboxHandler(channel, handler) {
+  handlers.set(channel, handler);
+}
+
+/** Exponential backoff: 30s, 1m, 2m, 4m … capped at 1h. */
+export function outboxBackoffMs(attempts) {
+  const n = Math.max(1, Number(attempts) || 1);
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (n - 1));
+}
+
+export async function enqueueOutboxMessage({ channel, businessId = null, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  if (!OUTBOX_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown outbox channel: ${channel}`);
+  }
+  return OutboxMessage.create({
+    channel,
+    businessId: businessId || null,
+    payload,
+    maxAttempts: Math.max(1, Math.round(Number(maxAttempts) || DEFAULT_MAX_ATTEMPTS)),
+    status: 'PENDING',
+    nextAttemptAt: new Date()
+  });
+}
+
+/** Atomically lock the next due message (or a stale lock left by a crashed worker). */
+export async function claimNextOutboxMessage(now = new Date()) {
+  return OutboxMessage.findOneAndUpdate(
+    {
+      channel: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+        { status: 'PROCESSING', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'PROCESSING', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/** Deliver one claimed message and record SENT / retry / DEAD. */
+export async function processOutboxMessage(doc) {
+  const handler = handlers.get(doc.channel);
+  const attempt = doc.attempts;
+  const finalAttempt = attempt >= doc.maxAttempts;
+  const now = new Date();
+  try {
+    if (!handler) throw Object.assign(new Error(`No handler for channel ${doc.channel}`), { retryable: false });
+    const result = await handler(doc.payload, { attempt, finalAttempt, outboxId: doc._id });
+    await OutboxMessage.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          status: 'SENT',
+          sentAt: now,
+          result: result ?? null,
+          lockedAt: null,
+          lockedBy: null
+        }
+      }
+    );
+    return { status: 'SENT' };
+  } catch (e) {
+    const message = String(e?.message || e || 'Delivery failed').slice(0, 500);
+    const dead = finalAttempt || e?.retryable === false;
+    await OutboxMessage.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          status: dead ? 'DEAD' : 'PENDING',
+          lastError: message,
+          lockedAt: null,
+          lockedBy: null,
+          ...(dead ? { deadAt: now } : { nextAttemptAt: new Date(now.getTime() + outboxBackoffMs(attempt)) })
+        },
+        $push: {
+          failures: {
+            $each: [{ at: now, attempt, message, code: e?.code != null ? String(e.code) : null }],
+            $slice: -FAILURE_HISTORY
+          }
+        }
+      }
+    );
+    if (dead) {
+      console.warn('Outbox message dead-lettered:', { id: String(doc._id), channel: doc.channel, error: message });
+    }
+    return { status: dead ? 'DEAD' : 'PENDING', error: message };
+  }
+}
+
+/** Drain up to `limit` due messages. Returns how many were processed. */
+export async function drainOutbox({ limit = 20 } = {}) {
+  let processed = 0;
+  while (processed < limit) {
+    const doc = await claimNextOutboxMessage();
+    if (!doc) break;
+    await processOutboxMessage(doc);
+    processed += 1;
+  }
+  return processed;
+}
+
+/** Put dead (or stuck) messages back in the queue with a fresh attempt budget. */
+export async function replayOutboxMessages(filter, { userId = null } = {}) {
+  const res = await OutboxMessage.updateMany(
+    { ...filter, status: { $in: ['DEAD', 'PENDING'] } },
+    {
+      $set: {
+        status: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        deadAt: null,
+        replayedAt: new Date(),
+        replayedBy: userId
+      },
+      $inc: { replayCount: 1 }
+    }
+  );
+  return res.modifiedCount;
+}
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { drainOutbox, registerOutboxHandler } from './outboxService.js';
+import { deliverQueuedPushNotification } from '../notificationService.js';
+import { deliverQueuedWhatsAppMessage } from '../whatsapp/whatsappDeliveryService.js';
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    await drainOutbox({ limit: Number(process.env.OUTBOX_BATCH_SIZE || 20) });
+  } catch (e) {
+    console.error('Outbox worker error:', e?.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling the outbox (called from server.js once MongoDB is connected).
+ * OUTBOX_WORKER_ENABLED=false disables it (e.g. a second API instance that should not send).
+ */
+export function startOutboxWorker() {
+  if (timer) return;
+  if (String(process.env.OUTBOX_WORKER_ENABLED || '').toLowerCase() === 'false') return;
+
+  registerOutboxHandler('PUSH', deliverQueuedPushNotification);
+  registerOutboxHandler('WHATSAPP', deliverQueuedWhatsAppMessage);
+
+  const intervalMs = Math.max(500, Number(process.env.OUTBOX_POLL_MS || 3000));
+  timer = setInterval(() => {
+    tick();
+  }, intervalMs);
+  tick();
+}
+
+export function stopOutboxWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
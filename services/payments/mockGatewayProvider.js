@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import {
+  signPayment,
+  toMinorUnits,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+} from './razorpayProvider.js';
+
+const DEFAULT_MOCK_SECRET = 'mock_gateway_secret';
+
+/**
+ * In-process stand-in for development and tests. Orders and signatures follow the Razorpay
+ * scheme exactly, so the verify/settle path is the one production runs; `simulatePayment`
+ * plays the customer's side of checkout (POST /api/public/payments/mock/:orderId/pay).
+ */
+export function createMockGatewayProvider({ secret, webhookSecret } = {}) {
+  const keySecret = secret || DEFAULT_MOCK_SECRET;
+  const hookSecret = webhookSecret || keySecret;
+
+  return {
+    name: 'mock',
+    async createOrder({ amount, currency }) {
+      return {
+        orderId: `order_mock_${crypto.randomBytes(8).toString('hex')}`,
+        amount: Number(amount) || 0,
+        currency
+      };
+    },
+    checkoutOptions({ orderId, amount, currency }) {
+      return { keyId: 'mock', orderId, amount: toMinorUnits(amount), currency };
+    },
+    verifyPayment(payload) {
+      return verifyPaymentSignature(keySecret, payload);
+    },
+    verifyWebhook(rawBody, signature) {
+      return verifyWebhookSignature(hookSecret, rawBody, signature);
+    },
+    simulatePayment({ orderId, method = 'upi' }) {
+      const paymentId = `pay_mock_${crypto.randomBytes(8).toString('hex')}`;
+      return { orderId, paymentId, method, signature: signPayment(keySecret, orderId, paymentId) };
+    }
+  };
+}
@@ -0,0 +1,59 @@
+import { createRazorpayProvider } from './razorpayProvider.js';
+import { createMockGatewayProvider } from './mockGatewayProvider.js';
+
+let cachedProvider = null;
+let cachedProviderKey = '';
+
+/**
+ * PAYMENT_GATEWAY_PROVIDER:
+ *   razorpay → Razorpay Orders + Checkout (RAZORPAY_KEY_ID + RAZORPAY_KEY_SECRET)
+ *   mock     → in-process stand-in that signs its own payments (dev/tests only)
+ * Unset → razorpay when credentials exist, otherwise online payment is disabled.
+ * The mock is never picked implicitly: anyone can "pay" through it.
+ */
+export function resolvePaymentGatewayName() {
+  const raw = String(process.env.PAYMENT_GATEWAY_PROVIDER || '').trim().toLowerCase();
+  if (raw === 'razorpay' || raw === 'mock') return raw;
+  if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) return 'razorpay';
+  return null;
+}
+
+/** Gateway for the current environment, or null when online payment is not configured. */
+export function getPaymentGateway() {
+  const name = resolvePaymentGatewayName();
+  if (!name) return null;
+  const key = [
+    name,
+    process.env.RAZORPAY_KEY_ID || '',
+    process.env.PAYMENT_MOCK_SECRET || ''
+  ].join('|');
+  if (cachedProvider && cachedProviderKey === key) return cachedProvider;
+
+  if (name === 'razorpay') {
+    cachedProvider = createRazorpayProvider({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      apiBase: process.env.RAZORPAY_API_BASE
+    });
+  } else {
+    cachedProvider = createMockGatewayProvider({ secret: process.env.PAYMENT_MOCK_SECRET });
+  }
+  cachedProviderKey = key;
+  return cachedProvider;
+}
+
+export function requirePaymentGateway() {
+  const gateway = getPaymentGateway();
+  if (!gateway) {
+    const err = new Error('Online payment is not available');
+    err.status = 503;
+    throw err;
+  }
+  return gateway;
+}
+
+/** Gateway method (upi, card, netbanking, wallet…) → invoice onlinePaymentMode. */
+export function gatewayMethodToOnlineMode(method) {
+  return String(method || '').toLowerCase() === 'card' ? 'CARD' : 'UPI';
+}
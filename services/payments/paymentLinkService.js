@@ -0,0 +1,426 @@
+import Invoice from '../../models/Invoice.model.js';
+import Job from '../../models/Job.model.js';
+import Booking from '../../models/Booking.model.js';
+import User from '../../models/User.model.js';
+import Business from '../../models/Business.model.js';
+import PaymentLink, { generatePaymentLinkToken } from '../../models/PaymentLink.model.js';
+import {
+  assertSettlementMatchesDue,
+  balanceDue,
+  normalizeInvoicePaymentFields,
+  roundMoney
+} from '../../utils/invoicePayment.js';
+import { computeOutstanding } from '../credit/outstandingService.js';
+import { recordCollection } from '../credit/collectionService.js';
+import { applyLoyaltySettlementForJob } from '../../utils/directBillJob.js';
+import { invalidateDashboardForBusiness } from '../../utils/dashboardFinancialSync.js';
+import { sendPushNotification } from '../notificationService.js';
+import {
+  gatewayMethodToOnlineMode,
+  requirePaymentGateway
+} from './paymentGatewayProvider.js';
+import { parseGatewayWebhook } from './razorpayProvider.js';
+
+const EPS = 0.02;
+const DEFAULT_LINK_TTL_HOURS = 72;
+const DEPOSIT_PAYABLE_STATUSES = ['PENDING_PAYMENT', 'PENDING', 'CONFIRMED'];
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function gatewayCurrency() {
+  return String(process.env.PAYMENT_GATEWAY_CURRENCY || 'INR').trim().toUpperCase();
+}
+
+function linkExpiry(now = new Date()) {
+  const hours = Number(process.env.PAYMENT_LINK_TTL_HOURS) || DEFAULT_LINK_TTL_HOURS;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+}
+
+// ---------- pure helpers ----------
+
+/**
+ * What the customer can pay online right now: outstanding on a confirmed credit sale,
+ * otherwise the balance due after advance; zero once the invoice is settled.
+ */
+export function invoicePayableAmount(invoice) {
+  if (!invoice) return 0;
+  if (invoice.settlementMode === 'CREDIT' && invoice.saleConfirmedAt) {
+    return roundMoney(computeOutstanding(invoice));
+  }
+  if (invoice.paymentStatus === 'RECEIVED') return 0;
+  return balanceDue(invoice.finalAmount, invoice.advancePayment);
+}
+
+export function bookingDepositDue(booking) {
+  if (!booking) return 0;
+  return roundMoney(Math.max(0, (Number(booking.depositAmount) || 0) - (Number(booking.depositPaidAmount) || 0)));
+}
+
+export function isPaymentLinkExpired(link, now = new Date()) {
+  return link?.status === 'CREATED' && !!link.expiresAt && new Date(link.expiresAt) <= now;
+}
+
+/** Customer-facing shape: never exposes provider payment ids or settlement notes. */
+export function serializePublicPaymentLink(link, extra = {}) {
+  return {
+    token: link.token,
+    purpose: link.purpose,
+    amount: link.amount,
+    currency: link.currency,
+    description: link.description || '',
+    status: isPaymentLinkExpired(link) ? 'EXPIRED' : link.status,
+    paidAt: link.paidAt || null,
+    expiresAt: link.expiresAt || null,
+    ...extra
+  };
+}
+
+// ---------- link creation ----------
+
+async function reuseOrCreateLink(filter, fields) {
+  const now = new Date();
+  const open = await PaymentLink.findOne({ ...filter, status: 'CREATED' }).sort({ createdAt: -1 });
+  if (open && !isPaymentLinkExpired(open, now) && Math.abs(Number(open.amount) - fields.amount) <= EPS) {
+    return open;
+  }
+  // Amount changed (or link lapsed): retire older links so only one can be paid
+  await PaymentLink.updateMany({ ...filter, status: 'CREATED' }, { $set: { status: 'EXPIRED' } });
+  return PaymentLink.create({
+    ...filter,
+    ...fields,
+    currency: gatewayCurrency(),
+    token: generatePaymentLinkToken(),
+    expiresAt: fields.expiresAt || linkExpiry(now)
+  });
+}
+
+/** Open link for the invoice's current payable amount (reused while the amount is unchanged). */
+export async function ensureInvoicePaymentLink(invoice, { createdBy = null } = {}) {
+  const amount = invoicePayableAmount(invoice);
+  if (amount <= EPS) throw httpError('Nothing is due on this invoice', 409);
+  return reuseOrCreateLink(
+    { businessId: invoice.businessId, purpose: 'INVOICE', invoiceId: invoice._id },
+    {
+      branchId: invoice.branchId || null,
+      customerId: invoice.customerId || null,
+      amount,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      createdBy: createdBy || invoice.createdBy || null
+    }
+  );
+}
+
+/**
+ * Deposit link for an active booking; `amount` sets the requested deposit. An unpaid
+ * online booking passes its paymentDueAt so the link lapses with the bay hold.
+ */
+export async function ensureBookingDepositLink(booking, { amount, createdBy = null, expiresAt = null } = {}) {
+  if (!DEPOSIT_PAYABLE_STATUSES.includes(booking.status)) {
+    throw httpError('Deposits can only be taken on active bookings', 409);
+  }
+  if (amount !== undefined && amount !== null) {
+    const requested = roundMoney(amount);
+    if (!(requested > 0)) throw httpError('Deposit amount must be greater than zero');
+    if (requested < (Number(booking.depositPaidAmount) || 0) - EPS) {
+      throw httpError('Deposit cannot be less than what has already been paid');
+    }
+    booking.depositAmount = requested;
+    await booking.save();
+  }
+  const due = bookingDepositDue(booking);
+  if (due <= EPS) throw httpError('No deposit is due on this booking', 409);
+  return reuseOrCreateLink(
+    { businessId: booking.businessId, purpose: 'BOOKING_DEPOSIT', bookingId: booking._id },
+    {
+      branchId: booking.branchId || null,
+      customerId: booking.customerId || null,
+      amount: due,
+      description: 'Booking deposit',
+      createdBy,
+      ...(expiresAt ? { expiresAt } : {})
+    }
+  );
+}
+
+// ---------- checkout ----------
+
+export async function getPaymentLinkByToken(token) {
+  if (!token || !/^[a-f\d]{48}$/i.test(String(token))) throw httpError('Payment link not found', 404);
+  const link = await PaymentLink.findOne({ token: String(token) });
+  if (!link) throw httpError('Payment link not found', 404);
+  if (isPaymentLinkExpired(link)) {
+    link.status = 'EXPIRED';
+    await link.save();
+  }
+  return link;
+}
+
+/** Amount still payable for the link's target, re-read at checkout time. */
+async function currentPayableForLink(link) {
+  if (link.purpose === 'INVOICE') {
+    const invoice = await Invoice.findOne({ _id: link.invoiceId, businessId: link.businessId }).lean();
+    return invoicePayableAmount(invoice);
+  }
+  const booking = await Booking.findOne({ _id: link.bookingId, businessId: link.businessId }).lean();
+  if (!booking || !DEPOSIT_PAYABLE_STATUSES.includes(booking.status)) return 0;
+  return bookingDepositDue(booking);
+}
+
+/**
+ * Create (or reuse) the gateway order for a link and return what the browser checkout needs.
+ * A link whose amount no longer matches what is due (paid at the counter, bill edited) is expired.
+ */
+export async function startCheckout(token) {
+  const gateway = requirePaymentGateway();
+  const link = await getPaymentLinkByToken(token);
+  if (link.status === 'PAID') throw httpError('This payment has already been completed', 409);
+  if (link.status !== 'CREATED') throw httpError('This payment link has expired', 410);
+
+  const payable = await currentPayableForLink(link);
+  if (Math.abs(payable - Number(link.amount)) > EPS) {
+    link.status = 'EXPIRED';
+    await link.save();
+    throw httpError(payable > EPS
+      ? 'The amount due has changed. Please open the latest link.'
+      : 'Nothing is due any more', 409);
+  }
+
+  if (!link.providerOrderId || link.provider !== gateway.name) {
+    const order = await gateway.createOrder({
+      amount: link.amount,
+      currency: link.currency,
+      receipt: `pl_${link._id}`,
+      notes: { paymentLinkId: String(link._id), purpose: link.purpose }
+    });
+    link.provider = gateway.name;
+    link.providerOrderId = order.orderId;
+    await link.save();
+  }
+
+  const business = await Business.findById(link.businessId).select('businessName').lean();
+  return {
+    provider: gateway.name,
+    ...gateway.checkoutOptions({ orderId: link.providerOrderId, amount: link.amount, currency: link.currency }),
+    name: business?.businessName || '',
+    description: link.description || '',
+    link: serializePublicPaymentLink(link)
+  };
+}
+
+/**
+ * Flip the link to PAID once. Returns { link, claimed } — only the caller that claimed the
+ * payment settles it, so the browser callback and the webhook never apply it twice.
+ */
+async function markLinkPaid(link, { paymentId, method }) {
+  const claimed = await PaymentLink.findOneAndUpdate(
+    { _id: link._id, status: { $ne: 'PAID' } },
+    {
+      $set: {
+        status: 'PAID',
+        providerPaymentId: paymentId || null,
+        onlinePaymentMode: gatewayMethodToOnlineMode(method),
+        paidAt: new Date(),
+        failureReason: null
+      }
+    },
+    { new: true }
+  );
+  if (claimed) return { link: claimed, claimed: true };
+  return { link: await PaymentLink.findById(link._id), claimed: false };
+}
+
+/** Browser callback after checkout: { orderId, paymentId, signature, method }. */
+export async function confirmCheckoutPayment(token, { orderId, paymentId, signature, method } = {}) {
+  const gateway = requirePaymentGateway();
+  const link = await getPaymentLinkByToken(token);
+  if (!link.providerOrderId || String(orderId) !== link.providerOrderId) {
+    throw httpError('Payment does not match this link');
+  }
+  if (!gateway.verifyPayment({ orderId, paymentId, signature })) {
+    throw httpError('Invalid payment signature', 400);
+  }
+  const { link: paid, claimed } = await markLinkPaid(link, { paymentId, method });
+  if (claimed) await settlePaymentLink(paid);
+  return PaymentLink.findById(paid._id);
+}
+
+/** Gateway webhook (signature over the raw body). Unknown orders/events are acknowledged and ignored. */
+export async function handleGatewayWebhook(rawBody, signature, body) {
+  const gateway = requirePaymentGateway();
+  if (!gateway.verifyWebhook(rawBody, signature)) throw httpError('Invalid signature', 401);
+  const event = parseGatewayWebhook(body);
+  if (!event) return { processed: false };
+  const link = await PaymentLink.findOne({ providerOrderId: event.orderId });
+  if (!link) return { processed: false };
+
+  if (event.status === 'FAILED') {
+    if (link.status === 'CREATED') {
+      link.failureReason = 'Payment failed at the gateway';
+      await link.save();
+    }
+    return { processed: true, status: link.status };
+  }
+
+  // A capture for a different amount is never applied; the link stays unpaid and flagged for staff
+  if (Math.abs(event.amount - Number(link.amount)) > EPS) {
+    console.error('Gateway webhook amount mismatch:', String(link._id), event.amount, link.amount);
+    const flagged = await PaymentLink.findOneAndUpdate(
+      { _id: link._id, status: { $ne: 'PAID' } },
+      { $set: { failureReason: `Gateway reported ${event.amount} for a ${link.amount} link; check the payment before collecting again` } },
+      { new: true }
+    );
+    return { processed: false, status: (flagged || link).status };
+  }
+  const { link: paid, claimed } = await markLinkPaid(link, { paymentId: event.paymentId, method: event.method });
+  if (claimed) await settlePaymentLink(paid);
+  return { processed: true, status: 'PAID' };
+}
+
+// ---------- settlement ----------
+
+async function settleFullInvoice(link, invoice) {
+  if (invoice.paymentStatus === 'RECEIVED') {
+    throw httpError('Invoice was settled before the online payment arrived; refund or adjust it', 409);
+  }
+  const due = balanceDue(invoice.finalAmount, invoice.advancePayment);
+  if (Math.abs(due - Number(link.amount)) > EPS) {
+    throw httpError('Invoice balance changed after the payment link was created', 409);
+  }
+  // The gateway reports the real instrument, so CARD is kept even if counter card payments are off
+  normalizeInvoicePaymentFields(invoice, {
+    paymentMethod: 'ONLINE',
+    onlinePaymentMode: link.onlinePaymentMode
+  }, { cardEnabled: true });
+  assertSettlementMatchesDue(invoice.paymentMethod, due, invoice.paymentCashAmount, invoice.paymentOnlineAmount);
+  invoice.paymentStatus = 'RECEIVED';
+  invoice.paymentReceivedAt = link.paidAt || new Date();
+  await invoice.save();
+
+  // Same loyalty settlement as close-job; delivery itself stays with the counter
+  if (invoice.jobId) {
+    const job = await Job.findOne({ _id: invoice.jobId, businessId: link.businessId })
+      .select('customerId services')
+      .lean();
+    if (job?.customerId) {
+      await applyLoyaltySettlementForJob(link.businessId, job.customerId, job.services, invoice, {
+        earnPoints: true
+      });
+    }
+  }
+}
+
+async function settleCreditInvoice(link, invoice) {
+  const { collection } = await recordCollection({
+    businessId: link.businessId,
+    customerId: invoice.customerId,
+    amount: link.amount,
+    paymentMethod: 'ONLINE',
+    onlinePaymentMode: link.onlinePaymentMode,
+    cardEnabled: true,
+    allocationMode: 'MANUAL',
+    manualAllocations: [{ invoiceId: invoice._id, amount: link.amount }],
+    notes: `Online payment ${link.providerPaymentId || ''}`.trim(),
+    collectedBy: link.createdBy || invoice.createdBy,
+    idempotencyKey: `gateway:${link.providerPaymentId || link._id}`
+  });
+  link.paymentCollectionId = collection._id;
+}
+
+async function settleBookingDeposit(link) {
+  const booking = await Booking.findOneAndUpdate(
+    { _id: link.bookingId, businessId: link.businessId, status: { $in: DEPOSIT_PAYABLE_STATUSES } },
+    {
+      $inc: { depositPaidAmount: Number(link.amount) },
+      $set: { depositPaidAt: link.paidAt || new Date(), depositOnlinePaymentMode: link.onlinePaymentMode }
+    },
+    { new: true }
+  );
+  if (!booking) {
+    throw httpError('Booking was released or closed before the deposit arrived; refund it', 409);
+  }
+  // Fully paid: the hold becomes a normal request waiting for the shop to confirm
+  if (booking.status === 'PENDING_PAYMENT' && bookingDepositDue(booking) <= EPS) {
+    await Booking.updateOne(
+      { _id: booking._id, status: 'PENDING_PAYMENT' },
+      { $set: { status: 'PENDING', paymentDueAt: null } }
+    );
+  }
+}
+
+async function notifyPaymentReceived(link) {
+  const owners = await User.find({ businessId: link.businessId, role: 'CAR_WASH_ADMIN', status: 'ACTIVE' })
+    .select('_id')
+    .lean();
+  const what = link.purpose === 'INVOICE' ? link.description || 'Invoice' : 'Booking deposit';
+  const body = link.settlementError
+    ? `${what}: ${link.amount} received online but not applied — ${link.settlementError}`
+    : `${what}: ${link.amount} received online.`;
+  for (const owner of owners) {
+    await sendPushNotification({
+      businessOwnerId: owner._id,
+      title: 'Online payment received',
+      body,
+      data: {
+        type: 'payment_received',
+        refId: String(link._id),
+        url: link.invoiceId ? `/admin/invoices/${link.invoiceId}` : '/admin/bookings'
+      }
+    });
+  }
+}
+
+/**
+ * Apply a PAID link to its invoice or booking. Runs once (settledAt); a failure is kept on
+ * the link as settlementError so staff can see captured money that still needs attention.
+ */
+export async function settlePaymentLink(link) {
+  if (!link || link.status !== 'PAID' || link.settledAt) return link;
+  try {
+    if (link.purpose === 'INVOICE') {
+      const invoice = await Invoice.findOne({ _id: link.invoiceId, businessId: link.businessId });
+      if (!invoice) throw httpError('Invoice not found', 404);
+      if (invoice.settlementMode === 'CREDIT' && invoice.saleConfirmedAt) {
+        await settleCreditInvoice(link, invoice);
+      } else {
+        await settleFullInvoice(link, invoice);
+      }
+      invalidateDashboardForBusiness(link.businessId);
+    } else {
+      await settleBookingDeposit(link);
+    }
+    link.settledAt = new Date();
+    link.settlementError = null;
+  } catch (e) {
+    console.error('Payment link settlement failed:', String(link._id), e?.message || e);
+    link.settlementError = e?.message || 'Settlement failed';
+  }
+  await link.save();
+  notifyPaymentReceived(link).catch((err) => {
+    console.error('Payment received notification failed:', err?.message || err);
+  });
+  return link;
+}
+
+// ---------- admin ----------
+
+export async function listPaymentLinks(filter, { limit = 100 } = {}) {
+  return PaymentLink.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+    .select('-token')
+    .lean();
+}
+
+export async function cancelPaymentLink(filter) {
+  const link = await PaymentLink.findOne(filter);
+  if (!link) throw httpError('Payment link not found', 404);
+  if (link.status !== 'CREATED') throw httpError('Only unpaid links can be cancelled', 409);
+  link.status = 'CANCELLED';
+  await link.save();
+  return link;
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+
+const DEFAULT_API_BASE = 'https://api.razorpay.com/v1';
+
+/** Gateways take integer minor units (paise); links store rupees. */
+export function toMinorUnits(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+export function fromMinorUnits(minor) {
+  return Math.round(Number(minor) || 0) / 100;
+}
+
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqualHex(expected, received) {
+  if (!expected || !received || !/^[a-f\d]+$/i.test(String(received))) return false;
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(received), 'hex');
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/** Checkout signature: HMAC-SHA256 of `${orderId}|${paymentId}` with the key secret. */
+export function signPayment(secret, orderId, paymentId) {
+  return hmacHex(secret, `${orderId}|${paymentId}`);
+}
+
+export function verifyPaymentSignature(secret, { orderId, paymentId, signature }) {
+  if (!secret || !orderId || !paymentId) return false;
+  return safeEqualHex(signPayment(secret, orderId, paymentId), signature);
+}
+
+/** Webhook signature: HMAC-SHA256 of the raw body with the webhook secret (X-Razorpay-Signature). */
+export function verifyWebhookSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody) return false;
+  return safeEqualHex(hmacHex(secret, rawBody), signature);
+}
+
+/**
+ * Flatten a Razorpay-style webhook (payment.captured / payment.failed / order.paid) into
+ * { event, orderId, paymentId, method, amount, status }. Unknown events return null.
+ */
+export function parseGatewayWebhook(body) {
+  const event = String(body?.event || '');
+  const payment = body?.payload?.payment?.entity;
+  if (!payment?.order_id) return null;
+  if (!['payment.captured', 'payment.failed', 'order.paid'].includes(event)) return null;
+  return {
+    event,
+    orderId: String(payment.order_id),
+    paymentId: payment.id ? String(payment.id) : null,
+    method: payment.method ? String(payment.method) : null,
+    amount: fromMinorUnits(payment.amount),
+    status: event === 'payment.failed' ? 'FAILED' : 'PAID'
+  };
+}
+
+/**
+ * Razorpay Orders API. The browser opens Razorpay Checkout with the returned order id and
+ * posts { razorpay_order_id, razorpay_payment_id, razorpay_signature } back for verification.
+ */
+export function createRazorpayProvider({ keyId, keySecret, webhookSecret, apiBase } = {}) {
+  if (!keyId || !keySecret) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required for the Razorpay gateway');
+  }
+  const root = String(apiBase || DEFAULT_API_BASE).replace(/\/$/, '');
+  const auth = Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+  return {
+    name: 'razorpay',
+    async createOrder({ amount, currency, receipt, notes }) {
+      const response = await fetch(`${root}/orders`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+        body: JSON.stringify({
+          amount: toMinorUnits(amount),
+          currency,
+          receipt: String(receipt || '').slice(0, 40),
+          notes: notes || {}
+        }),
+        signal: AbortSignal.timeout(10_000)
+      });
+      let data = null;
+      try {
+        data = await response.json();
+      } catch {
+        data = null;
+      }
+      if (!response.ok || !data?.id) {
+        const err = new Error(data?.error?.description || `Payment gateway error (${response.status})`);
+        err.status = 502;
+        throw err;
+      }
+      return { orderId: data.id, amount: fromMinorUnits(data.amount), currency: data.currency };
+    },
+    checkoutOptions({ orderId, amount, currency }) {
+      return { keyId, orderId, amount: toMinorUnits(amount), currency };
+    },
+    verifyPayment(payload) {
+      return verifyPaymentSignature(keySecret, payload);
+    },
+    verifyWebhook(rawBody, signature) {
+      return verifyWebhookSignature(webhookSecret, rawBody, signature);
+    }
+  };
+}
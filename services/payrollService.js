@@ -0,0 +1,400 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import AttendanceDay from '../models/AttendanceDay.model.js';
+import PayrollRun from '../models/PayrollRun.model.js';
+import Expense from '../models/Expense.model.js';
+import ExpenseType from '../models/ExpenseType.model.js';
+import User from '../models/User.model.js';
+import { getBusinessTimezone } from '../utils/businessTimezone.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { businessTodayKey, dayDisplayStatus, eachDateInclusive, listBranchEmployees } from './attendanceService.js';
+import { buildCommissionReport } from './commissionService.js';
+import { resolveShifts } from './shiftService.js';
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/** Hours on the clock for one AttendanceDay: closed sessions minus closed breaks. */
+export function workedHoursForDay(day) {
+  let ms = 0;
+  for (const s of day?.sessions || []) {
+    if (!s.punchInAt || !s.punchOutAt) continue;
+    ms += Math.max(0, new Date(s.punchOutAt) - new Date(s.punchInAt));
+  }
+  for (const b of day?.breaks || []) {
+    if (!b.startAt || !b.endAt) continue;
+    ms -= Math.max(0, new Date(b.endAt) - new Date(b.startAt));
+  }
+  return Math.max(0, ms) / 3_600_000;
+}
+
+/** Calendar months covered by a run (each day counts 1/days-in-its-month), e.g. 1–15 Jun → 0.5. */
+export function monthsInRange(fromKey, toKey) {
+  let months = 0;
+  for (const key of eachDateInclusive(fromKey, toKey)) {
+    months += 1 / DateTime.fromISO(key).daysInMonth;
+  }
+  return months;
+}
+
+/**
+ * Pay for one employee from their attendance calendar.
+ * calendar: [{ date, status: PRESENT|LEAVE|OFF|…, hours, leavePaid }] for each day of the run.
+ * leavePaid true/false comes from an approved leave request; other absences use paidLeaveDaysPerMonth.
+ * OFF (weekly off / shop closed) is never leave: paid in a monthly salary, not paid for daily / hourly.
+ */
+export function computePayrollLine(profile = {}, calendar = [], { commission = 0, months = 1 } = {}) {
+  const payType = ['MONTHLY', 'DAILY', 'HOURLY'].includes(profile.payType) ? profile.payType : 'MONTHLY';
+  const rate = Math.max(0, Number(profile.rate) || 0);
+  const stdHours = Math.max(1, Number(profile.standardHoursPerDay) || 8);
+  const otMultiplier = Math.max(0, Number(profile.overtimeMultiplier ?? 1.5));
+  const periodDays = calendar.length;
+
+  let presentDays = 0;
+  let offDays = 0;
+  let leaveDays = 0;
+  let approvedPaid = 0;
+  let approvedUnpaid = 0;
+  let hoursWorked = 0;
+  let overtimeHours = 0;
+  for (const day of calendar) {
+    if (day.status === 'PRESENT') {
+      presentDays += 1;
+      const hours = Number(day.hours) || 0;
+      hoursWorked += hours;
+      overtimeHours += Math.max(0, hours - stdHours);
+    } else if (day.status === 'OFF') {
+      offDays += 1;
+    } else if (day.status === 'LEAVE') {
+      leaveDays += 1;
+      if (day.leavePaid === true) approvedPaid += 1;
+      else if (day.leavePaid === false) approvedUnpaid += 1;
+    }
+  }
+
+  const allowance = Math.floor((Math.max(0, Number(profile.paidLeaveDaysPerMonth) || 0) * months) + 1e-9);
+  const paidLeaveDays = approvedPaid + Math.min(leaveDays - approvedPaid - approvedUnpaid, allowance);
+  const unpaidLeaveDays = leaveDays - paidLeaveDays;
+
+  let basePay = 0;
+  let hourlyRate = 0;
+  if (payType === 'MONTHLY') {
+    const dailyRate = periodDays > 0 ? (rate * months) / periodDays : 0;
+    hourlyRate = dailyRate / stdHours;
+    basePay = Math.max(0, dailyRate * (periodDays - unpaidLeaveDays));
+  } else if (payType === 'DAILY') {
+    hourlyRate = rate / stdHours;
+    basePay = rate * (presentDays + paidLeaveDays);
+  } else {
+    hourlyRate = rate;
+    basePay = rate * (hoursWorked - overtimeHours) + rate * stdHours * paidLeaveDays;
+  }
+  const overtimePay = overtimeHours * hourlyRate * otMultiplier;
+  const commissionPay = profile.includeCommission === false ? 0 : Math.max(0, Number(commission) || 0);
+
+  return {
+    payType,
+    rate,
+    periodDays,
+    presentDays,
+    offDays,
+    leaveDays,
+    paidLeaveDays,
+    unpaidLeaveDays,
+    hoursWorked: round2(hoursWorked),
+    overtimeHours: round2(overtimeHours),
+    basePay: roundMoney(basePay),
+    overtimePay: roundMoney(overtimePay),
+    commission: roundMoney(commissionPay),
+    grossPay: roundMoney(basePay + overtimePay + commissionPay)
+  };
+}
+
+/** Net = gross − advances − deductions (never below zero). Mutates and returns the line. */
+export function applyPayrollAdjustments(line) {
+  const deductions = (line.deductions || []).reduce((s, d) => s + (Number(d.amount) || 0), 0);
+  line.netPay = roundMoney(Math.max(0, (Number(line.grossPay) || 0) - (Number(line.advances) || 0) - deductions));
+  return line;
+}
+
+function summarizeRun(run) {
+  const totals = { grossPay: 0, advances: 0, deductions: 0, netPay: 0 };
+  for (const line of run.lines) {
+    totals.grossPay += Number(line.grossPay) || 0;
+    totals.advances += Number(line.advances) || 0;
+    totals.deductions += (line.deductions || []).reduce((s, d) => s + (Number(d.amount) || 0), 0);
+    totals.netPay += Number(line.netPay) || 0;
+  }
+  run.totals = {
+    grossPay: roundMoney(totals.grossPay),
+    advances: roundMoney(totals.advances),
+    deductions: roundMoney(totals.deductions),
+    netPay: roundMoney(totals.netPay)
+  };
+  return run;
+}
+
+function runScopeBranchId(req) {
+  return req.branchScope !== 'all' && req.branchId ? req.branchId : null;
+}
+
+/**
+ * Compute (or recompute) the DRAFT payroll run for [from, to].
+ * Advances / deductions already entered on a draft are kept per employee.
+ */
+export async function computePayrollRun(req, { from, to, userIds = null }) {
+  const fromKey = String(from || '').slice(0, 10);
+  const toKey = String(to || '').slice(0, 10);
+  if (!DATE_KEY.test(fromKey) || !DATE_KEY.test(toKey)) {
+    throw httpError('from and to dates are required (YYYY-MM-DD)');
+  }
+  if (fromKey > toKey) throw httpError('from must be on or before to');
+  const todayKey = await businessTodayKey(req.businessId);
+  if (toKey > todayKey) throw httpError('Payroll can only be run for days that have passed');
+
+  const branchId = runScopeBranchId(req);
+  let run = await PayrollRun.findOne({ businessId: req.businessId, branchId, from: fromKey, to: toKey });
+  if (run?.status === 'POSTED') {
+    throw httpError('Payroll for this period is already posted', 409);
+  }
+
+  let employees = await listBranchEmployees(req);
+  if (Array.isArray(userIds) && userIds.length) {
+    const wanted = new Set(userIds.map(String));
+    employees = employees.filter((e) => wanted.has(String(e._id)));
+  }
+  const profiles = await User.find({ _id: { $in: employees.map((e) => e._id) } })
+    .select('salaryProfile shiftTemplateId weeklyOffDays')
+    .lean();
+  const profileById = new Map(profiles.map((u) => [String(u._id), u.salaryProfile || {}]));
+  employees = employees.filter((e) => Number(profileById.get(String(e._id))?.rate) > 0);
+
+  // One run per employee per day: an overlapping run (this branch or all-branch) would pay salary twice
+  const employeeIds = employees.map((e) => e._id);
+  const overlapping = employeeIds.length
+    ? await PayrollRun.findOne({
+      businessId: req.businessId,
+      ...(run ? { _id: { $ne: run._id } } : {}),
+      from: { $lte: toKey },
+      to: { $gte: fromKey },
+      'lines.userId': { $in: employeeIds }
+    }).select('from to status').lean()
+    : null;
+  if (overlapping) {
+    throw httpError(
+      `Payroll ${overlapping.from} to ${overlapping.to} (${overlapping.status.toLowerCase()}) already covers some of these employees`,
+      409
+    );
+  }
+
+  const days = await AttendanceDay.find({
+    businessId: req.businessId,
+    userId: { $in: employees.map((e) => e._id) },
+    date: { $gte: fromKey, $lte: toKey }
+  }).lean();
+  const byUserDate = new Map(days.map((d) => [`${String(d.userId)}:${d.date}`, d]));
+
+  const tz = await getBusinessTimezone(req.businessId);
+  const startUtc = DateTime.fromISO(fromKey, { zone: tz }).startOf('day').toJSDate();
+  const endUtc = DateTime.fromISO(toKey, { zone: tz }).plus({ days: 1 }).startOf('day').toJSDate();
+  const commissionReport = await buildCommissionReport(req.businessId, { startUtc, endUtc, branchId });
+  const commissionById = new Map(commissionReport.employees.map((e) => [String(e.employeeId), e.payable]));
+
+  const previous = new Map((run?.lines || []).map((l) => [String(l.userId), l]));
+  const dateKeys = eachDateInclusive(fromKey, toKey);
+  // Roster / weekly off / shop schedule: null = not a working day
+  const shifts = await resolveShifts(
+    req.businessId,
+    profiles.filter((u) => employeeIds.some((id) => String(id) === String(u._id))),
+    dateKeys
+  );
+  const months = monthsInRange(fromKey, toKey);
+
+  const lines = employees.map((emp) => {
+    const id = String(emp._id);
+    const calendar = dateKeys.map((date) => {
+      const doc = byUserDate.get(`${id}:${date}`) || null;
+      const status = dayDisplayStatus(doc, date, todayKey, { workingDay: !!shifts.get(`${id}:${date}`) });
+      return {
+        date,
+        status,
+        hours: doc ? workedHoursForDay(doc) : 0,
+        leavePaid: status === 'LEAVE' ? doc?.leavePaid ?? null : null
+      };
+    });
+    const computed = computePayrollLine(profileById.get(id), calendar, {
+      commission: commissionById.get(id) || 0,
+      months
+    });
+    const prior = previous.get(id);
+    return applyPayrollAdjustments({
+      userId: emp._id,
+      name: emp.name,
+      employeeCode: emp.employeeCode,
+      ...computed,
+      advances: prior?.advances || 0,
+      deductions: prior?.deductions || [],
+      note: prior?.note
+    });
+  });
+
+  if (!run) {
+    run = new PayrollRun({
+      businessId: req.businessId,
+      branchId,
+      from: fromKey,
+      to: toKey,
+      createdBy: req.user._id
+    });
+  }
+  run.lines = lines;
+  summarizeRun(run);
+  await run.save();
+  return run;
+}
+
+export async function getPayrollRun(req, runId) {
+  if (!mongoose.isValidObjectId(runId)) throw httpError('Payroll run not found', 404);
+  const run = await PayrollRun.findOne({ _id: runId, businessId: req.businessId });
+  if (!run) throw httpError('Payroll run not found', 404);
+  const branchId = runScopeBranchId(req);
+  if (branchId && String(run.branchId || '') !== String(branchId)) {
+    throw httpError('Payroll run not found', 404);
+  }
+  return run;
+}
+
+export async function listPayrollRuns(req) {
+  const filter = { businessId: req.businessId };
+  const branchId = runScopeBranchId(req);
+  if (branchId) filter.branchId = branchId;
+  return PayrollRun.find(filter)
+    .select('-lines')
+    .sort({ from: -1 })
+    .limit(60)
+    .lean();
+}
+
+/** Record advances / deductions on a DRAFT line. */
+export async function updatePayrollLine(req, runId, userId, { advances, deductions, note }) {
+  const run = await getPayrollRun(req, runId);
+  if (run.status !== 'DRAFT') throw httpError('Posted payroll cannot be changed', 409);
+  const line = run.lines.find((l) => String(l.userId) === String(userId));
+  if (!line) throw httpError('Employee is not on this payroll run', 404);
+
+  if (advances !== undefined) {
+    const v = Number(advances);
+    if (!Number.isFinite(v) || v < 0) throw httpError('Advances must be zero or more');
+    line.advances = roundMoney(v);
+  }
+  if (deductions !== undefined) {
+    if (!Array.isArray(deductions)) throw httpError('Deductions must be a list');
+    line.deductions = deductions.map((d) => {
+      const label = String(d?.label || '').trim();
+      const amount = Number(d?.amount);
+      if (!label || !Number.isFinite(amount) || amount < 0) {
+        throw httpError('Each deduction needs a label and an amount');
+      }
+      return { label, amount: roundMoney(amount) };
+    });
+  }
+  if (note !== undefined) line.note = String(note || '').trim();
+
+  applyPayrollAdjustments(line);
+  summarizeRun(run);
+  await run.save();
+  return run;
+}
+
+async function salaryExpenseTypeId(businessId) {
+  const existing = await ExpenseType.findOne({ businessId, expenseName: /^salar/i }).select('_id').lean();
+  if (existing) return existing._id;
+  const created = await ExpenseType.create({ businessId, expenseName: 'Salary' });
+  return created._id;
+}
+
+/**
+ * Post a DRAFT run: one paid Expense per employee with net pay, under the Salary expense type
+ * (so it lands on the Salaries line of the P&L / trial balance).
+ */
+export async function postPayrollRun(req, runId, { paymentMethod = 'CASH', expenseDate } = {}) {
+  const draft = await getPayrollRun(req, runId);
+  if (draft.status !== 'DRAFT') throw httpError('Payroll is already posted', 409);
+  const method = String(paymentMethod || '').toUpperCase() === 'ONLINE' ? 'ONLINE' : 'CASH';
+  const paidAt = expenseDate ? new Date(expenseDate) : new Date();
+  if (Number.isNaN(paidAt.getTime())) throw httpError('Invalid expense date');
+
+  const overlapping = await PayrollRun.findOne({
+    businessId: req.businessId,
+    _id: { $ne: draft._id },
+    status: 'POSTED',
+    from: { $lte: draft.to },
+    to: { $gte: draft.from },
+    'lines.userId': { $in: draft.lines.map((l) => l.userId) }
+  }).select('from to').lean();
+  if (overlapping) {
+    throw httpError(`Payroll ${overlapping.from} to ${overlapping.to} is already posted for some of these employees`, 409);
+  }
+
+  // DRAFT → POSTED in one conditional write, so a double click cannot post salaries twice
+  const run = await PayrollRun.findOneAndUpdate(
+    { _id: draft._id, businessId: req.businessId, status: 'DRAFT' },
+    { $set: { status: 'POSTED', paymentMethod: method, postedAt: new Date(), postedBy: req.user._id } },
+    { new: true }
+  );
+  if (!run) throw httpError('Payroll is already posted', 409);
+
+  const expenseTypeId = await salaryExpenseTypeId(req.businessId);
+  const employees = await User.find({ _id: { $in: run.lines.map((l) => l.userId) } }).select('branchId').lean();
+  const branchByUser = new Map(employees.map((u) => [String(u._id), u.branchId || null]));
+
+  try {
+    for (const line of run.lines) {
+      if (line.expenseId || !(Number(line.netPay) > 0)) continue;
+      const expense = await Expense.create({
+        businessId: req.businessId,
+        branchId: branchByUser.get(String(line.userId)) || run.branchId || null,
+        expenseTypeId,
+        amount: line.netPay,
+        settlementMode: 'FULL',
+        outstandingAmount: 0,
+        paymentStatus: 'PAID',
+        paymentMethod: method,
+        paymentCashAmount: method === 'CASH' ? line.netPay : 0,
+        paymentOnlineAmount: method === 'ONLINE' ? line.netPay : 0,
+        expenseDate: paidAt,
+        notes: `Payroll ${run.from} to ${run.to}: ${line.name || line.employeeCode || 'Employee'}`,
+        createdBy: req.user._id
+      });
+      line.expenseId = expense._id;
+    }
+  } catch (err) {
+    // Back to DRAFT keeping the expenses already created, so a retry posts only the rest
+    run.status = 'DRAFT';
+    run.postedAt = null;
+    run.postedBy = null;
+    await run.save().catch(() => {});
+    throw err;
+  }
+  await run.save();
+
+  const { invalidateDashboardForBusiness } = await import('../utils/dashboardFinancialSync.js');
+  invalidateDashboardForBusiness(req.businessId);
+  return run;
+}
+
+export async function deletePayrollRun(req, runId) {
+  const run = await getPayrollRun(req, runId);
+  if (run.status !== 'DRAFT') throw httpError('Posted payroll cannot be deleted', 409);
+  await run.deleteOne();
+}
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import PricingRule from '../models/PricingRule.model.js';
+import Service from '../models/Service.model.js';
+import Invoice from '../models/Invoice.model.js';
+import { getBusinessTimezone } from '../utils/businessTimezone.js';
+import { normalizePricingRuleInput, pricingMoment } from '../utils/pricingRules.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { lineQuantity } from '../utils/serviceCatalog.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Validate rule input; listed services must be this business's fixed-price services. */
+export async function normalizePricingRuleForBusiness(businessId, body = {}, existing = null) {
+  const input = normalizePricingRuleInput(body, existing || {});
+  if (input.serviceIds.length) {
+    const found = await Service.find({ businessId, _id: { $in: input.serviceIds } })
+      .select('name isVariable')
+      .lean();
+    if (found.length !== input.serviceIds.length) throw httpError('One or more services not found');
+    const variable = found.filter((s) => s.isVariable);
+    if (variable.length) {
+      throw httpError(`Pricing rules apply to fixed-price services only (${variable.map((s) => s.name).join(', ')})`);
+    }
+  }
+  return input;
+}
+
+/** Active rules for a branch (its own + business-wide). */
+export async function loadPricingRules(businessId, branchId = null) {
+  return PricingRule.find({
+    businessId,
+    isActive: true,
+    branchId: { $in: branchId ? [null, branchId] : [null] }
+  }).lean();
+}
+
+/**
+ * Rules and business-local moment for pricing lines at `at` in a branch.
+ * Pass `timezone` when `at` was built in another zone (booking slots use the booking timezone).
+ * @returns {Promise<{ rules: object[], moment: object|null, branchId: any }>}
+ */
+export async function loadPricingContext(businessId, { branchId = null, at = new Date(), timezone = null } = {}) {
+  const rules = await loadPricingRules(businessId, branchId);
+  if (!rules.length) return { rules, moment: null, branchId };
+  const tz = timezone || await getBusinessTimezone(businessId);
+  return { rules, moment: pricingMoment(at, tz), branchId };
+}
+
+/**
+ * Revenue given away (discounts) or earned (surcharges) per rule on confirmed sales in
+ * [startUtc, endUtc): paid invoices by payment date, credit sales by confirmation date.
+ */
+export async function buildPricingRuleReport(businessId, { startUtc, endUtc, branchId = null }) {
+  const bid = new mongoose.Types.ObjectId(String(businessId));
+  const branchClause = branchId ? { branchId: new mongoose.Types.ObjectId(String(branchId)) } : {};
+  const window = { $gte: startUtc, $lt: endUtc };
+
+  const [rules, invoices] = await Promise.all([
+    PricingRule.find({ businessId: bid }).select('name branchId adjustmentType valueType value isActive').lean(),
+    Invoice.find({
+      businessId: bid,
+      ...branchClause,
+      'items.pricingRuleId': { $ne: null },
+      $or: [
+        { paymentStatus: 'RECEIVED', paymentReceivedAt: window },
+        { settlementMode: 'CREDIT', saleConfirmedAt: window }
+      ]
+    }).select('items').lean()
+  ]);
+
+  const rows = new Map();
+  const rowFor = (ruleId, fallbackName) => {
+    const key = String(ruleId);
+    if (!rows.has(key)) {
+      const rule = rules.find((r) => String(r._id) === key);
+      rows.set(key, {
+        ruleId,
+        name: rule?.name || fallbackName || 'Deleted rule',
+        adjustmentType: rule?.adjustmentType || null,
+        valueType: rule?.valueType || null,
+        value: rule?.value ?? null,
+        isActive: rule ? rule.isActive !== false : false,
+        invoices: 0,
+        quantity: 0,
+        listRevenue: 0,
+        revenue: 0,
+        adjustment: 0
+      });
+    }
+    return rows.get(key);
+  };
+  for (const rule of rules.filter((r) => r.isActive !== false)) rowFor(rule._id, rule.name);
+
+  for (const inv of invoices) {
+    const seen = new Set();
+    for (const item of inv.items || []) {
+      if (!item.pricingRuleId) continue;
+      const row = rowFor(item.pricingRuleId, item.pricingRuleName);
+      const quantity = lineQuantity(item.quantity);
+      const adjustment = (Number(item.ruleAdjustment) || 0) * quantity;
+      row.quantity += quantity;
+      row.revenue += (Number(item.servicePrice) || 0) * quantity;
+      row.listRevenue += (Number(item.listPrice) || 0) * quantity;
+      row.adjustment += adjustment;
+      if (!seen.has(String(item.pricingRuleId))) {
+        row.invoices += 1;
+        seen.add(String(item.pricingRuleId));
+      }
+    }
+  }
+
+  const list = [...rows.values()]
+    .map((r) => ({
+      ...r,
+      listRevenue: roundMoney(r.listRevenue),
+      revenue: roundMoney(r.revenue),
+      adjustment: roundMoney(r.adjustment),
+      revenueLost: roundMoney(Math.max(0, -r.adjustment)),
+      revenueGained: roundMoney(Math.max(0, r.adjustment))
+    }))
+    .sort((a, b) => Math.abs(b.adjustment) - Math.abs(a.adjustment) || a.name.localeCompare(b.name));
+
+  return {
+    period: { start: startUtc, end: endUtc },
+    rules: list,
+    totals: {
+      revenueLost: roundMoney(list.reduce((s, r) => s + r.revenueLost, 0)),
+      revenueGained: roundMoney(list.reduce((s, r) => s + r.revenueGained, 0)),
+      net: roundMoney(list.reduce((s, r) => s + r.adjustment, 0))
+    }
+  };
+}
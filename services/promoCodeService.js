@@ -0,0 +1,456 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import PromoCode from '../models/PromoCode.model.js';
+import PromoRedemption from '../models/PromoRedemption.model.js';
+import Service from '../models/Service.model.js';
+import ServiceCategory from '../models/ServiceCategory.model.js';
+import Invoice from '../models/Invoice.model.js';
+import Job from '../models/Job.model.js';
+import { getBusinessTimezone } from '../utils/businessTimezone.js';
+import {
+  computePromoDiscount,
+  normalizePromoCodeValue,
+  normalizePromoInput,
+  promoEligibleSubtotal,
+  promoIneligibilityReason
+} from '../utils/promoCodes.js';
+import { applyComputedGstAmount } from '../utils/invoiceGst.js';
+import { recalculateInvoiceFinalAmount } from '../utils/jobServiceLines.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { lineQuantity } from '../utils/serviceCatalog.js';
+import { findCustomerByPhone } from '../utils/customer.utils.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Validate code input; the code must be unused in this business and its services / categories ours. */
+export async function normalizePromoForBusiness(businessId, body = {}, existing = null) {
+  const input = normalizePromoInput(body, existing || {});
+  const [clash, services, categories] = await Promise.all([
+    PromoCode.findOne({ businessId, code: input.code, ...(existing?._id ? { _id: { $ne: existing._id } } : {}) })
+      .select('_id')
+      .lean(),
+    input.serviceIds.length
+      ? Service.countDocuments({ businessId, _id: { $in: input.serviceIds } })
+      : 0,
+    input.categoryIds.length
+      ? ServiceCategory.countDocuments({ businessId, _id: { $in: input.categoryIds } })
+      : 0
+  ]);
+  if (clash) throw httpError(`Promo code ${input.code} already exists`, 409);
+  if (services !== input.serviceIds.length) throw httpError('One or more services not found');
+  if (categories !== input.categoryIds.length) throw httpError('One or more categories not found');
+  return input;
+}
+
+/** Bill lines with their catalog category, for category-restricted codes. */
+async function withCategories(businessId, lines) {
+  const ids = [...new Set(lines.map((l) => String(l.serviceId || '')).filter((id) => mongoose.isValidObjectId(id)))];
+  const catalog = ids.length
+    ? await Service.find({ businessId, _id: { $in: ids } }).select('categoryId').lean()
+    : [];
+  const categoryById = new Map(catalog.map((s) => [String(s._id), s.categoryId]));
+  return lines.map((l) => ({ ...l, categoryId: categoryById.get(String(l.serviceId || '')) || null }));
+}
+
+function invoicePromoLines(invoice) {
+  return (invoice.items || []).map((item) => ({
+    serviceId: item.serviceId,
+    amount: (Number(item.servicePrice) || 0) * lineQuantity(item.quantity)
+  }));
+}
+
+/** First visit = no earlier (non-cancelled) job for this customer. */
+async function isFirstVisit(businessId, customerId, excludeJobId = null) {
+  if (!customerId) return false;
+  const earlier = await Job.exists({
+    businessId,
+    customerId,
+    status: { $ne: 'CANCELLED' },
+    ...(excludeJobId ? { _id: { $ne: excludeJobId } } : {})
+  });
+  return !earlier;
+}
+
+/**
+ * Check a code against a bill and work out its discount. Throws 400 with the reason it
+ * cannot be used.
+ * @param {object} opts { code, channel: 'CHECKOUT'|'BOOKING', branchId, customerId,
+ *   lines: [{ serviceId, amount }], excludeJobId, excludeInvoiceId, reserved, promo }
+ * @returns {Promise<{ promo, subtotal, eligibleSubtotal, discountAmount, firstVisit }>}
+ */
+export async function evaluatePromoCode(businessId, opts = {}) {
+  const code = normalizePromoCodeValue(opts.code);
+  const promo = opts.promo || (code ? await PromoCode.findOne({ businessId, code }).lean() : null);
+  if (!promo) throw httpError('This promo code is not valid');
+
+  const lines = await withCategories(businessId, opts.lines || []);
+  const subtotal = roundMoney(lines.reduce((s, l) => s + (Number(l.amount) || 0), 0));
+  const eligibleSubtotal = promoEligibleSubtotal(promo, lines);
+
+  const [timezone, customerUses, firstVisit] = await Promise.all([
+    getBusinessTimezone(businessId),
+    opts.customerId && !opts.reserved
+      ? PromoRedemption.countDocuments({
+        promoCodeId: promo._id,
+        customerId: opts.customerId,
+        status: 'APPLIED',
+        ...(opts.excludeInvoiceId ? { invoiceId: { $ne: opts.excludeInvoiceId } } : {})
+      })
+      : 0,
+    opts.reserved ? false : isFirstVisit(businessId, opts.customerId, opts.excludeJobId)
+  ]);
+
+  const reason = promoIneligibilityReason(promo, {
+    today: DateTime.now().setZone(timezone).toISODate(),
+    channel: opts.channel,
+    branchId: opts.branchId,
+    subtotal,
+    eligibleSubtotal,
+    customerUses,
+    isFirstVisit: firstVisit,
+    reserved: !!opts.reserved
+  });
+  if (reason) throw httpError(reason);
+
+  return {
+    promo,
+    subtotal,
+    eligibleSubtotal,
+    discountAmount: computePromoDiscount(promo, { subtotal, eligibleSubtotal }),
+    firstVisit
+  };
+}
+
+/** Count one use against the global limit (atomic, so two tills cannot overshoot maxUses). */
+async function claimPromoUse(promo) {
+  const claimed = await PromoCode.findOneAndUpdate(
+    { _id: promo._id, ...(promo.maxUses != null ? { usedCount: { $lt: promo.maxUses } } : {}) },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  ).lean();
+  if (!claimed) throw httpError('This promo code has reached its usage limit');
+  return claimed;
+}
+
+async function returnPromoUse(promoCodeId) {
+  await PromoCode.updateOne({ _id: promoCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+async function releaseRedemptions(filter) {
+  const open = await PromoRedemption.find({ ...filter, status: 'APPLIED' }).select('_id promoCodeId').lean();
+  for (const row of open) {
+    const res = await PromoRedemption.updateOne(
+      { _id: row._id, status: 'APPLIED' },
+      { $set: { status: 'RELEASED', releasedAt: new Date() } }
+    );
+    if (res.modifiedCount) await returnPromoUse(row.promoCodeId);
+  }
+}
+
+function setInvoicePromoDiscount(invoice, promo, discountAmount) {
+  const subtotal = roundMoney(Math.max(0, Number(invoice.subtotal) || 0));
+  invoice.promoCodeId = promo._id;
+  invoice.promoCode = promo.code;
+  invoice.promoDiscountAmount = discountAmount;
+  invoice.discountType = 'AMOUNT';
+  invoice.discountAmount = discountAmount;
+  invoice.discount = subtotal > 0 ? roundMoney((discountAmount / subtotal) * 100) : 0;
+}
+
+function clearInvoicePromo(invoice) {
+  invoice.promoCodeId = null;
+  invoice.promoCode = null;
+  invoice.promoDiscountAmount = 0;
+  invoice.discountType = 'PERCENT';
+  invoice.discount = 0;
+  invoice.discountAmount = 0;
+}
+
+/** What a code would take off this invoice (nothing is counted or saved). */
+export async function previewInvoicePromo(invoice, rawCode, businessId) {
+  return evaluatePromoCode(businessId, {
+    code: rawCode,
+    channel: 'CHECKOUT',
+    branchId: invoice.branchId,
+    customerId: invoice.customerId,
+    lines: invoicePromoLines(invoice),
+    excludeJobId: invoice.jobId,
+    excludeInvoiceId: invoice._id
+  });
+}
+
+/**
+ * Apply a code typed at checkout ('' removes the current one). The code's discount becomes the
+ * invoice discount (AMOUNT); the caller recomputes GST and the final amount.
+ */
+export async function applyPromoCodeToInvoice(invoice, rawCode, businessId) {
+  const code = normalizePromoCodeValue(rawCode);
+  if (!code) {
+    await releaseRedemptions({ invoiceId: invoice._id });
+    if (invoice.promoCodeId) clearInvoicePromo(invoice);
+    return invoice;
+  }
+  if (invoice.promoCodeId && invoice.promoCode === code) return refreshInvoicePromo(invoice, businessId);
+
+  const evaluation = await previewInvoicePromo(invoice, code, businessId);
+  await claimPromoUse(evaluation.promo);
+  // Also frees a use left by an earlier checkout attempt that failed before the invoice saved
+  await releaseRedemptions({ invoiceId: invoice._id });
+
+  await PromoRedemption.create({
+    businessId,
+    branchId: invoice.branchId || null,
+    promoCodeId: evaluation.promo._id,
+    code: evaluation.promo.code,
+    customerId: invoice.customerId || null,
+    channel: 'CHECKOUT',
+    invoiceId: invoice._id,
+    billAmount: evaluation.subtotal,
+    discountAmount: evaluation.discountAmount,
+    firstVisit: evaluation.firstVisit
+  });
+  setInvoicePromoDiscount(invoice, evaluation.promo, evaluation.discountAmount);
+  return invoice;
+}
+
+/**
+ * Re-work the discount of the invoice's code after its lines changed. Limits were checked when
+ * the code was taken; the minimum bill and service restrictions still have to hold.
+ */
+export async function refreshInvoicePromo(invoice, businessId) {
+  if (!invoice.promoCodeId) return invoice;
+  const promo = await PromoCode.findOne({ _id: invoice.promoCodeId, businessId }).lean();
+  // A deleted code keeps the discount it was applied with
+  if (!promo) return invoice;
+
+  let evaluation;
+  try {
+    evaluation = await evaluatePromoCode(businessId, {
+      promo,
+      channel: 'CHECKOUT',
+      branchId: invoice.branchId,
+      customerId: invoice.customerId,
+      lines: invoicePromoLines(invoice),
+      reserved: true
+    });
+  } catch (err) {
+    if (err.status === 400) err.message = `${err.message}. Remove promo code ${promo.code} to continue.`;
+    throw err;
+  }
+  setInvoicePromoDiscount(invoice, promo, evaluation.discountAmount);
+  await PromoRedemption.updateOne(
+    { invoiceId: invoice._id, promoCodeId: promo._id, status: 'APPLIED' },
+    { $set: { billAmount: evaluation.subtotal, discountAmount: evaluation.discountAmount } }
+  );
+  return invoice;
+}
+
+/**
+ * Check a code on the booking form. Counts the use straight away so the last use of a
+ * limited code cannot be taken twice; call releasePromoClaim if the booking is not saved.
+ */
+export async function claimPromoForBooking(businessId, { code, branchId, customerId, lines }) {
+  const evaluation = await evaluatePromoCode(businessId, {
+    code,
+    channel: 'BOOKING',
+    branchId,
+    customerId,
+    lines
+  });
+  await claimPromoUse(evaluation.promo);
+  return evaluation;
+}
+
+/** Booking-form preview: the customer is matched by phone when they have booked before. */
+export async function previewBookingPromo(businessId, { code, branchId, customerPhone, lines }) {
+  const customer = customerPhone ? await findCustomerByPhone(businessId, customerPhone) : null;
+  return evaluatePromoCode(businessId, {
+    code,
+    channel: 'BOOKING',
+    branchId,
+    customerId: customer?._id || null,
+    lines
+  });
+}
+
+export async function releasePromoClaim(evaluation) {
+  if (evaluation?.promo?._id) await returnPromoUse(evaluation.promo._id);
+}
+
+export async function recordBookingPromoRedemption(booking, evaluation) {
+  return PromoRedemption.create({
+    businessId: booking.businessId,
+    branchId: booking.branchId || null,
+    promoCodeId: evaluation.promo._id,
+    code: evaluation.promo.code,
+    customerId: booking.customerId || null,
+    channel: 'BOOKING',
+    bookingId: booking._id,
+    billAmount: evaluation.subtotal,
+    discountAmount: evaluation.discountAmount,
+    firstVisit: evaluation.firstVisit
+  });
+}
+
+/** Give the use back when a booking is cancelled, rejected, expires or is a no-show. */
+export async function releaseBookingPromo(bookingId) {
+  await releaseRedemptions({ bookingId, invoiceId: null });
+}
+
+/**
+ * Bill a booked code on the invoice of the booking's job. The code is honoured even if it has
+ * since expired or run out; it is dropped only when the billed services no longer qualify.
+ */
+export async function carryBookingPromoToInvoice(invoice, job) {
+  if (!job?.sourceBookingId || invoice.promoCodeId) return invoice;
+  const redemption = await PromoRedemption.findOne({
+    bookingId: job.sourceBookingId,
+    status: 'APPLIED',
+    invoiceId: null
+  });
+  if (!redemption) return invoice;
+  const promo = await PromoCode.findOne({ _id: redemption.promoCodeId, businessId: invoice.businessId }).lean();
+  if (!promo) return invoice;
+
+  let evaluation;
+  try {
+    evaluation = await evaluatePromoCode(invoice.businessId, {
+      promo,
+      channel: 'BOOKING',
+      branchId: invoice.branchId,
+      customerId: invoice.customerId,
+      lines: invoicePromoLines(invoice),
+      reserved: true
+    });
+  } catch (err) {
+    if (err.status !== 400) throw err;
+    await releaseRedemptions({ _id: redemption._id });
+    return invoice;
+  }
+
+  setInvoicePromoDiscount(invoice, promo, evaluation.discountAmount);
+  applyComputedGstAmount(invoice);
+  recalculateInvoiceFinalAmount(invoice);
+  await invoice.save();
+
+  redemption.invoiceId = invoice._id;
+  redemption.billAmount = evaluation.subtotal;
+  redemption.discountAmount = evaluation.discountAmount;
+  await redemption.save();
+  return invoice;
+}
+
+/**
+ * Per-code and per-campaign performance for codes used in [startUtc, endUtc): uses, customers
+ * (new vs returning), discount given and revenue of the invoices they were billed on.
+ * Revenue counts paid / credit-confirmed invoices only; uses not yet billed are `pending`.
+ */
+export async function buildPromoCampaignReport(businessId, { startUtc, endUtc, branchId = null }) {
+  const bid = new mongoose.Types.ObjectId(String(businessId));
+  const branchClause = branchId ? { branchId: new mongoose.Types.ObjectId(String(branchId)) } : {};
+
+  const [promos, redemptions] = await Promise.all([
+    PromoCode.find({ businessId: bid }).select('code campaign discountType value isActive usedCount maxUses validFrom validTo').lean(),
+    PromoRedemption.find({
+      businessId: bid,
+      ...branchClause,
+      status: 'APPLIED',
+      createdAt: { $gte: startUtc, $lt: endUtc }
+    }).lean()
+  ]);
+
+  const invoiceIds = redemptions.map((r) => r.invoiceId).filter(Boolean);
+  const invoices = invoiceIds.length
+    ? await Invoice.find({ _id: { $in: invoiceIds } })
+      .select('finalAmount discountAmount paymentStatus settlementMode saleConfirmedAt')
+      .lean()
+    : [];
+  const invoiceById = new Map(invoices.map((inv) => [String(inv._id), inv]));
+
+  const rows = new Map();
+  const rowFor = (promoCodeId, fallbackCode) => {
+    const key = String(promoCodeId);
+    if (!rows.has(key)) {
+      const promo = promos.find((p) => String(p._id) === key);
+      rows.set(key, {
+        promoCodeId,
+        code: promo?.code || fallbackCode,
+        campaign: promo?.campaign || '',
+        discountType: promo?.discountType || null,
+        value: promo?.value ?? null,
+        isActive: promo ? promo.isActive !== false : false,
+        uses: 0,
+        bookingUses: 0,
+        checkoutUses: 0,
+        customers: new Set(),
+        newCustomers: new Set(),
+        billed: 0,
+        pending: 0,
+        discountGiven: 0,
+        revenue: 0
+      });
+    }
+    return rows.get(key);
+  };
+  for (const promo of promos.filter((p) => p.isActive !== false)) rowFor(promo._id, promo.code);
+
+  for (const r of redemptions) {
+    const row = rowFor(r.promoCodeId, r.code);
+    row.uses += 1;
+    if (r.channel === 'BOOKING') row.bookingUses += 1;
+    else row.checkoutUses += 1;
+    if (r.customerId) {
+      row.customers.add(String(r.customerId));
+      if (r.firstVisit) row.newCustomers.add(String(r.customerId));
+    }
+    const inv = r.invoiceId ? invoiceById.get(String(r.invoiceId)) : null;
+    const confirmed = inv && (inv.paymentStatus === 'RECEIVED' || (inv.settlementMode === 'CREDIT' && inv.saleConfirmedAt));
+    if (confirmed) {
+      row.billed += 1;
+      row.discountGiven += Number(r.discountAmount) || 0;
+      row.revenue += Number(inv.finalAmount) || 0;
+    } else {
+      row.pending += 1;
+    }
+  }
+
+  const codes = [...rows.values()]
+    .map(({ customers, newCustomers, ...r }) => ({
+      ...r,
+      customers: customers.size,
+      newCustomers: newCustomers.size,
+      discountGiven: roundMoney(r.discountGiven),
+      revenue: roundMoney(r.revenue),
+      averageBill: r.billed ? roundMoney(r.revenue / r.billed) : 0
+    }))
+    .sort((a, b) => b.revenue - a.revenue || b.uses - a.uses || a.code.localeCompare(b.code));
+
+  const campaigns = new Map();
+  for (const row of codes) {
+    const name = row.campaign || row.code;
+    if (!campaigns.has(name)) {
+      campaigns.set(name, { campaign: name, codes: [], uses: 0, billed: 0, pending: 0, customers: 0, newCustomers: 0, discountGiven: 0, revenue: 0 });
+    }
+    const c = campaigns.get(name);
+    c.codes.push(row.code);
+    for (const key of ['uses', 'billed', 'pending', 'customers', 'newCustomers', 'discountGiven', 'revenue']) c[key] += row[key];
+  }
+
+  return {
+    period: { start: startUtc, end: endUtc },
+    codes,
+    campaigns: [...campaigns.values()]
+      .map((c) => ({ ...c, discountGiven: roundMoney(c.discountGiven), revenue: roundMoney(c.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue || a.campaign.localeCompare(b.campaign)),
+    totals: {
+      uses: codes.reduce((s, r) => s + r.uses, 0),
+      billed: codes.reduce((s, r) => s + r.billed, 0),
+      discountGiven: roundMoney(codes.reduce((s, r) => s + r.discountGiven, 0)),
+      revenue: roundMoney(codes.reduce((s, r) => s + r.revenue, 0))
+    }
+  };
+}
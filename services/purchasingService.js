@@ -0,0 +1,521 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.model.js';
+import PurchaseOrder, { generatePurchaseOrderNumberForBusiness } from '../models/PurchaseOrder.model.js';
+import GoodsReceipt, { generateGoodsReceiptNumberForBusiness } from '../models/GoodsReceipt.model.js';
+import SupplierBill from '../models/SupplierBill.model.js';
+import Expense from '../models/Expense.model.js';
+import ExpenseType from '../models/ExpenseType.model.js';
+import Service from '../models/Service.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import { shouldTrackInventory } from '../utils/serviceCatalog.js';
+import { adjustServiceStock, receiveServiceStock } from '../utils/serviceInventory.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import {
+  EXPENSE_PAYMENT_EPS,
+  applyExpensePayablePayment,
+  resolveExpensePaymentFields
+} from '../utils/expensePayment.js';
+import { parseBusinessCalendarDate } from '../utils/calendarDate.js';
+import { scopedFilter, assertBranchAccess, applyBranchScopeOid } from '../utils/branchAccess.js';
+import { getBusinessModules, isModuleEnabled } from './businessModulesService.js';
+import { invalidateDashboardForBusiness } from '../utils/dashboardFinancialSync.js';
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+function assertObjectId(id, label) {
+  if (!mongoose.isValidObjectId(id)) throw httpError(`${label} not found`, 404);
+}
+
+async function businessTimezone(businessId) {
+  const settings = await BusinessSettings.findOne({ businessId }).select('timezone').lean();
+  return settings?.timezone;
+}
+
+// ---------- pure helpers ----------
+
+/** Line totals for PO / GRN rows. */
+export function purchaseLinesTotal(lines = []) {
+  return roundMoney(lines.reduce((s, l) => s + (Number(l.quantity) || 0) * (Number(l.unitCost) || 0), 0));
+}
+
+/**
+ * Apply received lines to a purchase order (mutates order.items / status).
+ * Rejects products not on the order and quantities beyond what is still open.
+ */
+export function applyReceiptToOrder(order, receivedLines = []) {
+  const byService = new Map(order.items.map((item) => [String(item.serviceId), item]));
+  for (const line of receivedLines) {
+    const item = byService.get(String(line.serviceId));
+    if (!item) throw httpError(`"${line.name || 'Product'}" is not on purchase order ${order.poNumber}`);
+    const open = (Number(item.quantity) || 0) - (Number(item.receivedQuantity) || 0);
+    if (line.quantity > open) {
+      throw httpError(`Only ${Math.max(0, open)} of "${item.name}" left to receive on ${order.poNumber}`);
+    }
+  }
+  for (const line of receivedLines) {
+    const item = byService.get(String(line.serviceId));
+    item.receivedQuantity = (Number(item.receivedQuantity) || 0) + line.quantity;
+  }
+  const complete = order.items.every((item) => (Number(item.receivedQuantity) || 0) >= (Number(item.quantity) || 0));
+  order.status = complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+  return order;
+}
+
+// ---------- suppliers ----------
+
+export function normalizeSupplierInput(body = {}, existing = null) {
+  const out = {};
+  for (const field of ['name', 'contactName', 'phone', 'email', 'gstin', 'address', 'notes']) {
+    if (body[field] !== undefined) out[field] = String(body[field] ?? '').trim();
+  }
+  if (!existing && !out.name) throw httpError('Supplier name is required');
+  if (out.name !== undefined && !out.name) throw httpError('Supplier name is required');
+  if (body.paymentTermsDays !== undefined) {
+    const days = Number(body.paymentTermsDays);
+    if (!Number.isInteger(days) || days < 0 || days > 365) throw httpError('Payment terms must be 0–365 days');
+    out.paymentTermsDays = days;
+  }
+  if (body.isActive !== undefined) out.isActive = body.isActive === true || body.isActive === 'true';
+  return out;
+}
+
+/** Suppliers with open payables (pay-later supplier bills) per supplier. */
+export async function listSuppliers(req, { includeInactive = false } = {}) {
+  const filter = { businessId: req.businessId };
+  if (!includeInactive) filter.isActive = true;
+  const suppliers = await Supplier.find(filter).sort({ name: 1 }).lean();
+  const payables = await Expense.aggregate([
+    {
+      $match: applyBranchScopeOid({
+        businessId: new mongoose.Types.ObjectId(String(req.businessId)),
+        supplierId: { $ne: null },
+        settlementMode: 'CREDIT',
+        outstandingAmount: { $gt: EXPENSE_PAYMENT_EPS }
+      }, req)
+    },
+    { $group: { _id: '$supplierId', outstanding: { $sum: '$outstandingAmount' }, bills: { $sum: 1 } } }
+  ]);
+  const bySupplier = new Map(payables.map((p) => [String(p._id), p]));
+  return suppliers.map((s) => ({
+    ...s,
+    outstandingPayable: roundMoney(bySupplier.get(String(s._id))?.outstanding || 0),
+    openBills: bySupplier.get(String(s._id))?.bills || 0
+  }));
+}
+
+export async function saveSupplier(req, body = {}, supplierId = null) {
+  if (supplierId) {
+    assertObjectId(supplierId, 'Supplier');
+    const supplier = await Supplier.findOne({ _id: supplierId, businessId: req.businessId });
+    if (!supplier) throw httpError('Supplier not found', 404);
+    Object.assign(supplier, normalizeSupplierInput(body, supplier));
+    await supplier.save();
+    return supplier;
+  }
+  return Supplier.create({ businessId: req.businessId, ...normalizeSupplierInput(body) });
+}
+
+async function loadSupplier(businessId, supplierId, { activeOnly = true } = {}) {
+  assertObjectId(supplierId, 'Supplier');
+  const filter = { _id: supplierId, businessId };
+  if (activeOnly) filter.isActive = true;
+  const supplier = await Supplier.findOne(filter).lean();
+  if (!supplier) throw httpError('Supplier not found', 404);
+  return supplier;
+}
+
+/** Validate [{ serviceId, quantity, unitCost }] against tracked products. */
+async function resolvePurchaseLines(businessId, items) {
+  if (!Array.isArray(items) || !items.length) throw httpError('Add at least one product');
+  const ids = items.map((i) => String(i?.serviceId || ''));
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw httpError('Invalid product');
+  if (new Set(ids).size !== ids.length) throw httpError('Each product can be listed only once');
+  const products = await Service.find({ _id: { $in: ids }, businessId }).lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return items.map((item) => {
+    const product = byId.get(String(item.serviceId));
+    if (!product) throw httpError('Invalid product');
+    if (!shouldTrackInventory(product)) throw httpError(`"${product.name}" does not track stock`);
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) throw httpError(`Quantity for "${product.name}" must be a whole number of at least 1`);
+    const unitCost = roundMoney(Number(item.unitCost ?? product.lastPurchaseCost ?? 0));
+    if (!Number.isFinite(unitCost) || unitCost < 0) throw httpError(`Unit cost for "${product.name}" must be zero or more`);
+    return { serviceId: product._id, name: product.name, quantity, unitCost };
+  });
+}
+
+// ---------- purchase orders ----------
+
+export async function listPurchaseOrders(req, { status, supplierId } = {}) {
+  const filter = scopedFilter(req, {});
+  if (status) filter.status = status;
+  if (supplierId && mongoose.isValidObjectId(supplierId)) filter.supplierId = supplierId;
+  return PurchaseOrder.find(filter).sort({ createdAt: -1 }).limit(200).lean();
+}
+
+export async function getPurchaseOrder(req, orderId) {
+  assertObjectId(orderId, 'Purchase order');
+  const order = await PurchaseOrder.findOne({ _id: orderId, businessId: req.businessId });
+  if (!order) throw httpError('Purchase order not found', 404);
+  assertBranchAccess(req, order, { allowLegacyNull: true });
+  return order;
+}
+
+export async function createPurchaseOrder(req, body = {}) {
+  const supplier = await loadSupplier(req.businessId, body.supplierId);
+  const items = await resolvePurchaseLines(req.businessId, body.items);
+  const tz = await businessTimezone(req.businessId);
+  const poNumber = await generatePurchaseOrderNumberForBusiness(req.businessId);
+  return PurchaseOrder.create({
+    businessId: req.businessId,
+    branchId: req.branchId || null,
+    poNumber,
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    status: body.status === 'ORDERED' ? 'ORDERED' : 'DRAFT',
+    orderDate: body.orderDate ? parseBusinessCalendarDate(body.orderDate, tz) : new Date(),
+    expectedDate: body.expectedDate ? parseBusinessCalendarDate(body.expectedDate, tz) : null,
+    items: items.map((i) => ({ ...i, receivedQuantity: 0 })),
+    totalAmount: purchaseLinesTotal(items),
+    notes: String(body.notes || '').trim(),
+    createdBy: req.user._id
+  });
+}
+
+/** Edit lines / dates while DRAFT; status moves DRAFT → ORDERED, or DRAFT / ORDERED → CANCELLED. */
+export async function updatePurchaseOrder(req, orderId, body = {}) {
+  const order = await getPurchaseOrder(req, orderId);
+  const editing = body.items !== undefined || body.supplierId !== undefined ||
+    body.expectedDate !== undefined || body.orderDate !== undefined;
+  if (editing && order.status !== 'DRAFT') throw httpError('Only draft purchase orders can be edited', 409);
+
+  const tz = await businessTimezone(req.businessId);
+  if (body.supplierId !== undefined) {
+    const supplier = await loadSupplier(req.businessId, body.supplierId);
+    order.supplierId = supplier._id;
+    order.supplierName = supplier.name;
+  }
+  if (body.items !== undefined) {
+    const items = await resolvePurchaseLines(req.businessId, body.items);
+    order.items = items.map((i) => ({ ...i, receivedQuantity: 0 }));
+    order.totalAmount = purchaseLinesTotal(items);
+  }
+  if (body.orderDate !== undefined) order.orderDate = parseBusinessCalendarDate(body.orderDate, tz);
+  if (body.expectedDate !== undefined) {
+    order.expectedDate = body.expectedDate ? parseBusinessCalendarDate(body.expectedDate, tz) : null;
+  }
+  if (body.notes !== undefined) order.notes = String(body.notes || '').trim();
+
+  if (body.status !== undefined && body.status !== order.status) {
+    const allowed = {
+      DRAFT: ['ORDERED', 'CANCELLED'],
+      ORDERED: ['CANCELLED']
+    };
+    if (!(allowed[order.status] || []).includes(body.status)) {
+      throw httpError(`Cannot move a ${order.status.toLowerCase().replace('_', ' ')} order to ${String(body.status).toLowerCase()}`, 409);
+    }
+    order.status = body.status;
+  }
+  await order.save();
+  return order;
+}
+
+// ---------- goods receipts ----------
+
+export async function listGoodsReceipts(req, { supplierId, unbilled } = {}) {
+  const filter = scopedFilter(req, {});
+  if (supplierId && mongoose.isValidObjectId(supplierId)) filter.supplierId = supplierId;
+  if (unbilled === true || unbilled === 'true') filter.supplierBillId = null;
+  return GoodsReceipt.find(filter).sort({ receivedDate: -1, createdAt: -1 }).limit(200).lean();
+}
+
+/**
+ * Take the received quantities on the PO in one conditional update: it only matches while each
+ * line still has the received quantity read here, so two receipts cannot both take the last
+ * open quantity. Returns the updated order, or null when the order changed meanwhile.
+ */
+async function claimOrderReceipt(order, lines) {
+  const previousStatus = order.status;
+  const receivedBefore = new Map(order.items.map((i) => [String(i.serviceId), Number(i.receivedQuantity) || 0]));
+  applyReceiptToOrder(order, lines);
+  return PurchaseOrder.findOneAndUpdate(
+    {
+      _id: order._id,
+      businessId: order.businessId,
+      status: previousStatus,
+      $and: lines.map((l) => {
+        const before = receivedBefore.get(String(l.serviceId));
+        return { items: { $elemMatch: { serviceId: l.serviceId, receivedQuantity: before > 0 ? before : { $in: [0, null] } } } };
+      })
+    },
+    {
+      $inc: Object.fromEntries(lines.map((l, i) => [`items.$[l${i}].receivedQuantity`, l.quantity])),
+      $set: { status: order.status }
+    },
+    { new: true, arrayFilters: lines.map((l, i) => ({ [`l${i}.serviceId`]: l.serviceId })) }
+  );
+}
+
+/** Give back quantities claimed by a receipt that could not be completed. */
+async function releaseOrderReceipt(order, lines) {
+  const released = await PurchaseOrder.findOneAndUpdate(
+    { _id: order._id, businessId: order.businessId },
+    { $inc: Object.fromEntries(lines.map((l, i) => [`items.$[l${i}].receivedQuantity`, -l.quantity])) },
+    { new: true, arrayFilters: lines.map((l, i) => ({ [`l${i}.serviceId`]: l.serviceId })) }
+  );
+  if (!released) return;
+  const received = released.items.some((i) => (Number(i.receivedQuantity) || 0) > 0);
+  const complete = released.items.every((i) => (Number(i.receivedQuantity) || 0) >= (Number(i.quantity) || 0));
+  await PurchaseOrder.updateOne(
+    { _id: order._id, status: { $in: ['ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED'] } },
+    { $set: { status: complete ? 'RECEIVED' : received ? 'PARTIALLY_RECEIVED' : 'ORDERED' } }
+  );
+}
+
+/**
+ * Record goods received (optionally against a purchase order) and add them to stock.
+ * Against a PO, unit cost defaults to the PO line cost.
+ * Order: claim the PO quantities, add stock, then save the GRN; a failure after the claim
+ * gives the quantities back (and takes back stock already added).
+ */
+export async function receiveGoods(req, body = {}) {
+  let order = null;
+  let supplier;
+  let requested = body.items;
+  if (body.purchaseOrderId) {
+    order = await getPurchaseOrder(req, body.purchaseOrderId);
+    if (!['ORDERED', 'PARTIALLY_RECEIVED'].includes(order.status)) {
+      throw httpError('Goods can only be received against an ordered purchase order', 409);
+    }
+    supplier = await loadSupplier(req.businessId, order.supplierId, { activeOnly: false });
+    const costByService = new Map(order.items.map((i) => [String(i.serviceId), i.unitCost]));
+    if (!Array.isArray(requested) || !requested.length) {
+      requested = order.items
+        .map((i) => ({ serviceId: i.serviceId, quantity: i.quantity - (i.receivedQuantity || 0) }))
+        .filter((i) => i.quantity > 0);
+    }
+    requested = requested.map((i) => ({
+      ...i,
+      unitCost: i.unitCost ?? costByService.get(String(i.serviceId))
+    }));
+  } else {
+    supplier = await loadSupplier(req.businessId, body.supplierId);
+  }
+
+  const lines = await resolvePurchaseLines(req.businessId, requested);
+
+  const tz = await businessTimezone(req.businessId);
+  const receipt = new GoodsReceipt({
+    businessId: req.businessId,
+    branchId: order?.branchId || req.branchId || null,
+    grnNumber: await generateGoodsReceiptNumberForBusiness(req.businessId),
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    purchaseOrderId: order?._id || null,
+    poNumber: order?.poNumber,
+    receivedDate: body.receivedDate ? parseBusinessCalendarDate(body.receivedDate, tz) : new Date(),
+    items: lines.map((l) => ({ ...l, amount: roundMoney(l.quantity * l.unitCost) })),
+    totalAmount: purchaseLinesTotal(lines),
+    notes: String(body.notes || '').trim(),
+    createdBy: req.user._id
+  });
+  await receipt.validate();
+
+  let purchaseOrder = null;
+  if (order) {
+    purchaseOrder = await claimOrderReceipt(order, lines);
+    if (!purchaseOrder) throw httpError(`${order.poNumber} was just updated by someone else. Reload and try again.`, 409);
+  }
+
+  const movement = {
+    userId: req.user._id,
+    branchId: receipt.branchId,
+    source: { kind: 'GOODS_RECEIPT', id: receipt._id, label: receipt.grnNumber }
+  };
+  const stocked = [];
+  try {
+    for (const line of lines) {
+      await receiveServiceStock(req.businessId, [line], movement);
+      stocked.push(line);
+    }
+    await receipt.save();
+  } catch (err) {
+    for (const line of stocked) {
+      await adjustServiceStock(req.businessId, line.serviceId, {
+        ...movement,
+        delta: -line.quantity,
+        notes: `${receipt.grnNumber} not saved, stock taken back`
+      }).catch((e) => console.error('Goods receipt stock rollback error:', e.message));
+    }
+    if (order) await releaseOrderReceipt(order, lines);
+    throw err;
+  }
+  return { receipt, purchaseOrder };
+}
+
+// ---------- supplier bills ----------
+
+async function purchasesExpenseTypeId(businessId) {
+  const existing = await ExpenseType.findOne({ businessId, expenseName: /^purchase/i }).select('_id').lean();
+  if (existing) return existing._id;
+  const created = await ExpenseType.create({ businessId, expenseName: 'Purchases' });
+  return created._id;
+}
+
+export async function listSupplierBills(req, { supplierId } = {}) {
+  const filter = scopedFilter(req, {});
+  if (supplierId && mongoose.isValidObjectId(supplierId)) filter.supplierId = supplierId;
+  return SupplierBill.find(filter)
+    .populate('expenseId', 'amount settlementMode outstandingAmount paymentStatus paymentMethod paymentCashAmount paymentOnlineAmount creditDueDate')
+    .sort({ billDate: -1, createdAt: -1 })
+    .limit(200)
+    .lean();
+}
+
+/**
+ * Mark receipts as billed by `billId`, one conditional update each, so two bills cannot both
+ * take the same GRN. Returns the receipt that was billed meanwhile (claims taken so far are
+ * given back), or null when all were claimed.
+ */
+async function claimReceiptsForBill(receipts, billId) {
+  const claimed = [];
+  for (const receipt of receipts) {
+    const ok = await GoodsReceipt.findOneAndUpdate(
+      { _id: receipt._id, businessId: receipt.businessId, supplierBillId: null },
+      { $set: { supplierBillId: billId } },
+      { new: true }
+    ).select('_id').lean();
+    if (!ok) {
+      await releaseReceiptsFromBill(claimed, billId);
+      return receipt;
+    }
+    claimed.push(receipt);
+  }
+  return null;
+}
+
+async function releaseReceiptsFromBill(receipts, billId) {
+  if (!receipts.length) return;
+  await GoodsReceipt.updateMany(
+    { _id: { $in: receipts.map((r) => r._id) }, supplierBillId: billId },
+    { $set: { supplierBillId: null } }
+  );
+}
+
+/**
+ * Enter a supplier bill for unbilled goods receipts (or a plain amount).
+ * Creates the Expense (type "Purchases") with FULL or CREDIT settlement; CREDIT due date
+ * defaults to bill date + supplier payment terms.
+ * The receipts are claimed before the expense is booked; a failure afterwards gives them back.
+ */
+export async function createSupplierBill(req, body = {}) {
+  const supplier = await loadSupplier(req.businessId, body.supplierId, { activeOnly: false });
+  const receiptIds = Array.isArray(body.goodsReceiptIds) ? body.goodsReceiptIds.map(String) : [];
+  if (receiptIds.some((id) => !mongoose.isValidObjectId(id))) throw httpError('Goods receipt not found', 404);
+
+  const receipts = receiptIds.length
+    ? await GoodsReceipt.find({ _id: { $in: receiptIds }, businessId: req.businessId })
+    : [];
+  if (receipts.length !== new Set(receiptIds).size) throw httpError('Goods receipt not found', 404);
+  for (const receipt of receipts) {
+    assertBranchAccess(req, receipt, { allowLegacyNull: true });
+    if (String(receipt.supplierId) !== String(supplier._id)) {
+      throw httpError(`${receipt.grnNumber} is from a different supplier`);
+    }
+    if (receipt.supplierBillId) throw httpError(`${receipt.grnNumber} is already billed`, 409);
+  }
+
+  const receivedTotal = roundMoney(receipts.reduce((s, r) => s + (Number(r.totalAmount) || 0), 0));
+  const amount = body.amount != null && body.amount !== '' ? roundMoney(Number(body.amount)) : receivedTotal;
+  if (!(amount > 0)) throw httpError('Bill amount must be greater than zero');
+
+  const wantsCredit = String(body.settlementMode || '').toUpperCase() === 'CREDIT';
+  if (wantsCredit) {
+    const modules = req.businessModules || await getBusinessModules(req.businessId);
+    if (!isModuleEnabled(modules, 'credit')) throw httpError('Pay-later bills need the credit module', 403, 'MODULE_DISABLED');
+  }
+
+  const tz = await businessTimezone(req.businessId);
+  const billDate = parseBusinessCalendarDate(body.billDate, tz);
+  let creditDueDate = body.creditDueDate;
+  if (wantsCredit && !creditDueDate && supplier.paymentTermsDays > 0) {
+    creditDueDate = new Date(billDate.getTime() + supplier.paymentTermsDays * 86_400_000);
+  }
+  const paymentFields = resolveExpensePaymentFields(amount, {
+    settlementMode: wantsCredit ? 'CREDIT' : 'FULL',
+    amountPaidNow: body.amountPaidNow,
+    creditDueDate,
+    paymentMethod: body.paymentMethod,
+    paymentCashAmount: body.paymentCashAmount,
+    paymentOnlineAmount: body.paymentOnlineAmount
+  });
+
+  const branchId = receipts[0]?.branchId || req.branchId || null;
+  const billNumber = String(body.billNumber || '').trim();
+  const billId = new mongoose.Types.ObjectId();
+  const taken = await claimReceiptsForBill(receipts, billId);
+  if (taken) throw httpError(`${taken.grnNumber} is already billed`, 409);
+
+  let expense = null;
+  let bill;
+  try {
+    expense = await Expense.create({
+      businessId: req.businessId,
+      branchId,
+      expenseTypeId: await purchasesExpenseTypeId(req.businessId),
+      amount,
+      notes: `Supplier bill${billNumber ? ` ${billNumber}` : ''}: ${supplier.name}`,
+      billImage: body.billImage || undefined,
+      expenseDate: billDate,
+      supplierId: supplier._id,
+      supplierBillId: billId,
+      createdBy: req.user._id,
+      ...paymentFields
+    });
+
+    bill = await SupplierBill.create({
+      _id: billId,
+      businessId: req.businessId,
+      branchId,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      billNumber,
+      billDate,
+      goodsReceiptIds: receipts.map((r) => r._id),
+      amount,
+      expenseId: expense._id,
+      notes: String(body.notes || '').trim(),
+      createdBy: req.user._id
+    });
+  } catch (err) {
+    if (expense) {
+      await Expense.deleteOne({ _id: expense._id })
+        .catch((e) => console.error('Supplier bill expense rollback error:', e.message));
+    }
+    await releaseReceiptsFromBill(receipts, billId)
+      .catch((e) => console.error('Supplier bill receipt release error:', e.message));
+    throw err;
+  }
+  invalidateDashboardForBusiness(req.businessId);
+  return { bill, expense };
+}
+
+/** Pay toward a pay-later supplier bill (same rules as POST /expenses/:id/pay). */
+export async function paySupplierBill(req, billId, body = {}) {
+  assertObjectId(billId, 'Supplier bill');
+  const bill = await SupplierBill.findOne({ _id: billId, businessId: req.businessId }).lean();
+  if (!bill) throw httpError('Supplier bill not found', 404);
+  assertBranchAccess(req, bill, { allowLegacyNull: true });
+  const expense = await Expense.findOne({ _id: bill.expenseId, businessId: req.businessId });
+  if (!expense) throw httpError('Supplier bill expense not found', 404);
+  applyExpensePayablePayment(expense, body);
+  await expense.save();
+  invalidateDashboardForBusiness(req.businessId);
+  return { bill, expense };
+}
@@ -0,0 +1,359 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import ShiftTemplate from '../models/ShiftTemplate.model.js';
+import ShiftRosterEntry from '../models/ShiftRosterEntry.model.js';
+import AttendanceDay from '../models/AttendanceDay.model.js';
+import LeaveRequest from '../models/LeaveRequest.model.js';
+import User from '../models/User.model.js';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import { getBusinessTimezone } from '../utils/businessTimezone.js';
+import { assertBranchAccess } from '../utils/branchAccess.js';
+import { getDayScheduleForDate, normalizeTimeValue } from '../utils/bookingSchedule.js';
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const SHOP_HOURS_GRACE_MINUTES = 10;
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/** Shift start / end instants for a calendar day; end at or before start rolls into the next day. */
+export function shiftWindow(dateKey, start, end, tz) {
+  const day = DateTime.fromISO(dateKey, { zone: tz }).startOf('day');
+  const [sh, sm] = String(start).split(':').map(Number);
+  const [eh, em] = String(end).split(':').map(Number);
+  const startAt = day.set({ hour: sh, minute: sm });
+  let endAt = day.set({ hour: eh, minute: em });
+  if (endAt <= startAt) endAt = endAt.plus({ days: 1 });
+  return { startAt: startAt.toJSDate(), endAt: endAt.toJSDate() };
+}
+
+/**
+ * Minutes late / left early against a shift. Within grace counts as 0;
+ * beyond grace the full difference from shift start / end is reported.
+ */
+export function punchDeviation(shift, { firstInAt = null, lastOutAt = null } = {}) {
+  const out = { lateMinutes: 0, earlyExitMinutes: 0 };
+  if (!shift?.startAt || !shift?.endAt) return out;
+  if (firstInAt) {
+    const late = Math.floor((new Date(firstInAt) - new Date(shift.startAt)) / 60000);
+    if (late > (Number(shift.lateGraceMinutes) || 0)) out.lateMinutes = late;
+  }
+  if (lastOutAt) {
+    const early = Math.floor((new Date(shift.endAt) - new Date(lastOutAt)) / 60000);
+    if (early > (Number(shift.earlyExitGraceMinutes) || 0)) out.earlyExitMinutes = early;
+  }
+  return out;
+}
+
+/** Monday of the week containing dateKey. */
+export function weekStartKey(dateKey) {
+  return DateTime.fromISO(dateKey, { zone: 'utc' }).startOf('week').toFormat('yyyy-MM-dd');
+}
+
+function weekDateKeys(weekStart) {
+  const start = DateTime.fromISO(weekStartKey(weekStart), { zone: 'utc' });
+  return Array.from({ length: 7 }, (_, i) => start.plus({ days: i }).toFormat('yyyy-MM-dd'));
+}
+
+function dayIndex(dateKey) {
+  return DateTime.fromISO(dateKey, { zone: 'utc' }).weekday % 7;
+}
+
+function templateShift(template, source, dateKey, tz) {
+  return {
+    shiftTemplateId: template._id,
+    name: template.name,
+    source,
+    ...shiftWindow(dateKey, template.start, template.end, tz),
+    lateGraceMinutes: template.lateGraceMinutes ?? SHOP_HOURS_GRACE_MINUTES,
+    earlyExitGraceMinutes: template.earlyExitGraceMinutes ?? SHOP_HOURS_GRACE_MINUTES
+  };
+}
+
+/**
+ * Expected shift per employee per day: roster entry → employee default shift (unless weekly off)
+ * → shop operating hours. Returns Map "userId:date" → shift | null (day off / shop closed).
+ */
+export async function resolveShifts(businessId, users, dateKeys) {
+  const tz = await getBusinessTimezone(businessId);
+  const userIds = users.map((u) => u._id);
+  const [entries, templates, settings] = await Promise.all([
+    ShiftRosterEntry.find({ businessId, userId: { $in: userIds }, date: { $in: dateKeys } }).lean(),
+    ShiftTemplate.find({ businessId }).lean(),
+    BusinessSettings.findOne({ businessId })
+      .select('workingHours weeklyOperatingSchedule bookingWeeklySchedule bookingAllowedDays')
+      .lean()
+  ]);
+  const templateById = new Map(templates.map((t) => [String(t._id), t]));
+  const entryByKey = new Map(entries.map((e) => [`${String(e.userId)}:${e.date}`, e]));
+
+  const out = new Map();
+  for (const user of users) {
+    const id = String(user._id);
+    for (const date of dateKeys) {
+      const key = `${id}:${date}`;
+      const entry = entryByKey.get(key);
+      if (entry) {
+        const template = entry.shiftTemplateId ? templateById.get(String(entry.shiftTemplateId)) : null;
+        out.set(key, !entry.isOff && template ? templateShift(template, 'ROSTER', date, tz) : null);
+        continue;
+      }
+      if ((user.weeklyOffDays || []).includes(dayIndex(date))) {
+        out.set(key, null);
+        continue;
+      }
+      const fallback = user.shiftTemplateId ? templateById.get(String(user.shiftTemplateId)) : null;
+      if (fallback?.isActive) {
+        out.set(key, templateShift(fallback, 'DEFAULT', date, tz));
+        continue;
+      }
+      const shop = getDayScheduleForDate(date, { ...(settings || {}), timezone: tz });
+      if (!shop?.isOpen) {
+        out.set(key, null);
+        continue;
+      }
+      out.set(key, {
+        shiftTemplateId: null,
+        name: 'Shop hours',
+        source: 'SHOP_HOURS',
+        ...shiftWindow(date, normalizeTimeValue(shop.start), normalizeTimeValue(shop.end), tz),
+        lateGraceMinutes: SHOP_HOURS_GRACE_MINUTES,
+        earlyExitGraceMinutes: SHOP_HOURS_GRACE_MINUTES
+      });
+    }
+  }
+  return out;
+}
+
+export async function resolveShiftForDay(businessId, userId, dateKey) {
+  const user = await User.findById(userId).select('shiftTemplateId weeklyOffDays').lean();
+  if (!user) return null;
+  const shifts = await resolveShifts(businessId, [user], [dateKey]);
+  return shifts.get(`${String(user._id)}:${dateKey}`) || null;
+}
+
+// --- templates ---
+
+export async function listShiftTemplates(req) {
+  const filter = { businessId: req.businessId };
+  if (req.branchScope !== 'all' && req.branchId) {
+    filter.$or = [{ branchId: req.branchId }, { branchId: null }];
+  }
+  return ShiftTemplate.find(filter).sort({ isActive: -1, start: 1, name: 1 }).lean();
+}
+
+export async function saveShiftTemplate(req, body = {}, templateId = null) {
+  let doc;
+  if (templateId) {
+    if (!mongoose.isValidObjectId(templateId)) throw httpError('Shift not found', 404);
+    doc = await ShiftTemplate.findOne({ _id: templateId, businessId: req.businessId });
+    if (!doc) throw httpError('Shift not found', 404);
+    // Shared shifts are listed to every branch but only edited in all-branch scope
+    if (!doc.branchId && req.branchScope !== 'all' && req.branchId) {
+      throw httpError('Switch to all branches to edit a shift shared by every branch', 403);
+    }
+    assertBranchAccess(req, doc);
+  } else {
+    doc = new ShiftTemplate({
+      businessId: req.businessId,
+      branchId: req.branchScope !== 'all' && req.branchId ? req.branchId : null
+    });
+  }
+  if (body.name !== undefined) doc.name = String(body.name || '').trim();
+  for (const field of ['start', 'end']) {
+    if (body[field] === undefined) continue;
+    const value = normalizeTimeValue(String(body[field] || '').trim());
+    if (!TIME.test(value)) throw httpError(`Shift ${field} must be HH:mm`);
+    doc[field] = value;
+  }
+  for (const field of ['lateGraceMinutes', 'earlyExitGraceMinutes']) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0 || value > 240) throw httpError('Grace minutes must be 0–240');
+    doc[field] = value;
+  }
+  if (body.isActive !== undefined) doc.isActive = body.isActive === true || body.isActive === 'true';
+  if (!doc.name) throw httpError('Shift name is required');
+  if (!doc.start || !doc.end) throw httpError('Shift start and end are required');
+  if (doc.start === doc.end) throw httpError('Shift start and end cannot be the same');
+  await doc.save();
+  return doc;
+}
+
+// --- employee defaults / weekly roster ---
+
+export async function setEmployeeShiftDefaults(req, employees, userId, { shiftTemplateId, weeklyOffDays }) {
+  if (!employees.some((e) => String(e._id) === String(userId))) throw httpError('Employee not found', 404);
+  const update = {};
+  if (shiftTemplateId !== undefined) {
+    if (shiftTemplateId === null || shiftTemplateId === '') {
+      update.shiftTemplateId = null;
+    } else {
+      if (!mongoose.isValidObjectId(shiftTemplateId)) throw httpError('Shift not found', 404);
+      const template = await ShiftTemplate.findOne({ _id: shiftTemplateId, businessId: req.businessId, isActive: true }).lean();
+      if (!template) throw httpError('Shift not found', 404);
+      update.shiftTemplateId = template._id;
+    }
+  }
+  if (weeklyOffDays !== undefined) {
+    if (!Array.isArray(weeklyOffDays)) throw httpError('weeklyOffDays must be a list of day numbers (0=Sun … 6=Sat)');
+    const days = [...new Set(weeklyOffDays.map(Number))];
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw httpError('weeklyOffDays must be a list of day numbers (0=Sun … 6=Sat)');
+    }
+    update.weeklyOffDays = days.sort();
+  }
+  return User.findOneAndUpdate({ _id: userId, businessId: req.businessId }, { $set: update }, { new: true })
+    .select('name employeeCode shiftTemplateId weeklyOffDays')
+    .lean();
+}
+
+export async function getWeeklyRoster(req, employees, weekStart) {
+  const start = String(weekStart || '').slice(0, 10);
+  if (!DATE_KEY.test(start)) throw httpError('weekStart (YYYY-MM-DD) is required');
+  const dates = weekDateKeys(start);
+  const users = await User.find({ _id: { $in: employees.map((e) => e._id) } })
+    .select('name employeeCode branchId shiftTemplateId weeklyOffDays')
+    .sort({ employeeCode: 1, name: 1 })
+    .lean();
+  const shifts = await resolveShifts(req.businessId, users, dates);
+  return {
+    weekStart: dates[0],
+    dates,
+    people: users.map((u) => ({
+      user: { _id: u._id, name: u.name, employeeCode: u.employeeCode, branchId: u.branchId || null },
+      defaultShiftTemplateId: u.shiftTemplateId || null,
+      weeklyOffDays: u.weeklyOffDays || [],
+      days: dates.map((date) => {
+        const shift = shifts.get(`${String(u._id)}:${date}`);
+        return { date, off: !shift, shift: shift || null };
+      })
+    }))
+  };
+}
+
+/**
+ * Save roster cells for a week: [{ userId, date, shiftTemplateId | null, isOff }].
+ * A cell with neither a shift nor isOff is cleared (falls back to the employee default).
+ */
+export async function saveWeeklyRoster(req, employees, { weekStart, assignments }) {
+  const dates = new Set(weekDateKeys(String(weekStart || '').slice(0, 10)));
+  if (!Array.isArray(assignments)) throw httpError('assignments must be a list');
+  const managed = new Map(employees.map((e) => [String(e._id), e]));
+  const templates = await ShiftTemplate.find({ businessId: req.businessId, isActive: true }).select('_id').lean();
+  const templateIds = new Set(templates.map((t) => String(t._id)));
+
+  for (const row of assignments) {
+    const employee = managed.get(String(row?.userId));
+    if (!employee) throw httpError('Employee not found', 404);
+    if (!dates.has(row.date)) throw httpError(`Date ${row.date} is outside the week of ${weekStart}`);
+    const shiftTemplateId = row.shiftTemplateId || null;
+    if (shiftTemplateId && !templateIds.has(String(shiftTemplateId))) throw httpError('Shift not found', 404);
+  }
+
+  for (const row of assignments) {
+    const key = { businessId: req.businessId, userId: row.userId, date: row.date };
+    const shiftTemplateId = row.shiftTemplateId || null;
+    const isOff = row.isOff === true;
+    if (!shiftTemplateId && !isOff) {
+      await ShiftRosterEntry.deleteOne(key);
+      continue;
+    }
+    const employee = managed.get(String(row.userId));
+    await ShiftRosterEntry.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          branchId: employee.branchId || req.branchId || null,
+          shiftTemplateId: isOff ? null : shiftTemplateId,
+          isOff,
+          createdBy: req.user._id
+        }
+      },
+      { upsert: true }
+    );
+  }
+  return getWeeklyRoster(req, employees, weekStart);
+}
+
+// --- exceptions ---
+
+/**
+ * Late arrivals, early exits, missed punch-outs and no-shows (rostered, not present, no approved leave)
+ * for past days in [from, to]. Today is included for late arrivals only.
+ */
+export async function buildAttendanceExceptions(req, employees, { from, to, todayKey }) {
+  const fromKey = String(from || '').slice(0, 10);
+  const toKey = String(to || '').slice(0, 10);
+  if (!DATE_KEY.test(fromKey) || !DATE_KEY.test(toKey)) {
+    throw httpError('from and to dates are required (YYYY-MM-DD)');
+  }
+  if (fromKey > toKey) throw httpError('from must be on or before to');
+  const lastKey = toKey > todayKey ? todayKey : toKey;
+
+  const dateKeys = [];
+  for (let d = DateTime.fromISO(fromKey, { zone: 'utc' }); d.toFormat('yyyy-MM-dd') <= lastKey; d = d.plus({ days: 1 })) {
+    dateKeys.push(d.toFormat('yyyy-MM-dd'));
+  }
+  if (dateKeys.length > 92) throw httpError('Choose a range of at most 92 days');
+
+  const users = await User.find({ _id: { $in: employees.map((e) => e._id) } })
+    .select('name employeeCode branchId shiftTemplateId weeklyOffDays')
+    .lean();
+  const [shifts, days, leaves] = await Promise.all([
+    resolveShifts(req.businessId, users, dateKeys),
+    AttendanceDay.find({
+      businessId: req.businessId,
+      userId: { $in: users.map((u) => u._id) },
+      date: { $gte: fromKey, $lte: lastKey }
+    }).lean(),
+    LeaveRequest.find({
+      businessId: req.businessId,
+      userId: { $in: users.map((u) => u._id) },
+      status: 'APPROVED',
+      from: { $lte: lastKey },
+      to: { $gte: fromKey }
+    }).select('userId from to').lean()
+  ]);
+  const dayByKey = new Map(days.map((d) => [`${String(d.userId)}:${d.date}`, d]));
+
+  const rows = [];
+  for (const user of users) {
+    const id = String(user._id);
+    const onLeave = (date) => leaves.some((l) => String(l.userId) === id && l.from <= date && l.to >= date);
+    for (const date of dateKeys) {
+      const key = `${id}:${date}`;
+      const day = dayByKey.get(key);
+      const shift = day?.shift?.startAt ? day.shift : shifts.get(key);
+      const sessions = day?.sessions || [];
+      const base = { userId: user._id, name: user.name, employeeCode: user.employeeCode, date, shift: shift || null };
+
+      if (!sessions.length) {
+        if (shift && date < todayKey && day?.status !== 'LEAVE' && !onLeave(date)) {
+          rows.push({ ...base, type: 'NO_SHOW' });
+        }
+        continue;
+      }
+      const firstInAt = sessions[0].punchInAt;
+      const closed = sessions.filter((s) => s.punchOutAt);
+      const lastOutAt = closed.length ? closed[closed.length - 1].punchOutAt : null;
+      const { lateMinutes, earlyExitMinutes } = punchDeviation(shift, { firstInAt, lastOutAt: date < todayKey ? lastOutAt : null });
+      if (lateMinutes > 0) rows.push({ ...base, type: 'LATE', minutes: lateMinutes, at: firstInAt });
+      if (date < todayKey && sessions.some((s) => !s.punchOutAt)) {
+        rows.push({ ...base, type: 'MISSED_PUNCH_OUT', at: sessions.find((s) => !s.punchOutAt).punchInAt });
+      } else if (earlyExitMinutes > 0) {
+        rows.push({ ...base, type: 'EARLY_EXIT', minutes: earlyExitMinutes, at: lastOutAt });
+      }
+    }
+  }
+  rows.sort((a, b) => (a.date === b.date ? String(a.name || '').localeCompare(String(b.name || '')) : a.date < b.date ? 1 : -1));
+
+  const summary = { LATE: 0, EARLY_EXIT: 0, MISSED_PUNCH_OUT: 0, NO_SHOW: 0 };
+  for (const row of rows) summary[row.type] += 1;
+  return { from: fromKey, to: toKey, summary, exceptions: rows };
+}
@@ -0,0 +1,274 @@
+import mongoose from 'mongoose';
+import Stocktake, { generateStocktakeNumberForBusiness } from '../models/Stocktake.model.js';
+import Service from '../models/Service.model.js';
+import Expense from '../models/Expense.model.js';
+import ExpenseType from '../models/ExpenseType.model.js';
+import { shouldTrackInventory } from '../utils/serviceCatalog.js';
+import { adjustServiceStock, productUnitCost, roundStockQuantity } from '../utils/serviceInventory.js';
+import { roundMoney } from '../utils/invoicePayment.js';
+import { scopedFilter, assertBranchAccess } from '../utils/branchAccess.js';
+import { invalidateDashboardForBusiness } from '../utils/dashboardFinancialSync.js';
+
+function httpError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+// ---------- pure helpers ----------
+
+/**
+ * Variance per line (counted − book) valued at unit cost, plus session totals.
+ * Uncounted lines have null variance and are left out of the values.
+ */
+export function computeStocktakeVariance(items = []) {
+  let shrinkageValue = 0;
+  let surplusValue = 0;
+  let counted = 0;
+  const lines = items.map((item) => {
+    const book = Number(item.bookQuantity) || 0;
+    const unitCost = Number(item.unitCost) || 0;
+    if (item.countedQuantity === null || item.countedQuantity === undefined) {
+      return { ...item, variance: null, varianceValue: null };
+    }
+    counted += 1;
+    const variance = roundStockQuantity(Number(item.countedQuantity) - book);
+    const varianceValue = roundMoney(variance * unitCost);
+    if (varianceValue < 0) shrinkageValue += -varianceValue;
+    else surplusValue += varianceValue;
+    return { ...item, variance, varianceValue };
+  });
+  shrinkageValue = roundMoney(shrinkageValue);
+  surplusValue = roundMoney(surplusValue);
+  return {
+    items: lines,
+    totals: {
+      products: items.length,
+      counted,
+      uncounted: items.length - counted,
+      bookValue: roundMoney(items.reduce((s, i) => s + (Number(i.bookQuantity) || 0) * (Number(i.unitCost) || 0), 0)),
+      shrinkageValue,
+      surplusValue,
+      netValue: roundMoney(surplusValue - shrinkageValue)
+    }
+  };
+}
+
+/** Session with live variance; without book figures the count stays blind (floor staff). */
+export function serializeStocktake(doc, { withBook = true } = {}) {
+  const raw = typeof doc?.toObject === 'function' ? doc.toObject() : doc;
+  const { items, totals } = computeStocktakeVariance(raw.items || []);
+  if (withBook) return { ...raw, items, totals };
+  return {
+    ...raw,
+    items: items.map(({ serviceId, name, countedQuantity, countedAt }) => ({ serviceId, name, countedQuantity, countedAt })),
+    totals: { products: totals.products, counted: totals.counted, uncounted: totals.uncounted },
+    shrinkageValue: undefined,
+    surplusValue: undefined
+  };
+}
+
+// ---------- sessions ----------
+
+export async function listStocktakes(req, { status } = {}) {
+  const filter = scopedFilter(req, {});
+  if (status) filter.status = status;
+  return Stocktake.find(filter)
+    .select('-items')
+    .populate('createdBy', 'name')
+    .populate('finalizedBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .lean();
+}
+
+export async function getStocktake(req, stocktakeId) {
+  if (!mongoose.isValidObjectId(stocktakeId)) throw httpError('Stocktake not found', 404);
+  const stocktake = await Stocktake.findOne({ _id: stocktakeId, businessId: req.businessId });
+  if (!stocktake) throw httpError('Stocktake not found', 404);
+  assertBranchAccess(req, stocktake, { allowLegacyNull: true });
+  return stocktake;
+}
+
+/** Open a count for the branch, snapshotting book stock and unit cost of every tracked product. */
+export async function openStocktake(req, body = {}) {
+  const branchId = req.branchId || null;
+  const open = await Stocktake.findOne({ businessId: req.businessId, branchId, status: { $in: ['OPEN', 'FINALIZING'] } }).select('stocktakeNumber').lean();
+  if (open) throw httpError(`Finish or cancel ${open.stocktakeNumber} before starting a new count`, 409);
+
+  const products = await Service.find(scopedFilter(req, {
+    isActive: true,
+    isVariable: true,
+    skipWorkProcess: true,
+    trackInventory: { $ne: false }
+  })).select('name isVariable skipWorkProcess trackInventory stockQuantity averageCost lastPurchaseCost').sort({ name: 1 }).lean();
+  const tracked = products.filter(shouldTrackInventory);
+  if (!tracked.length) throw httpError('No products track stock');
+
+  return Stocktake.create({
+    businessId: req.businessId,
+    branchId,
+    stocktakeNumber: await generateStocktakeNumberForBusiness(req.businessId),
+    items: tracked.map((p) => ({
+      serviceId: p._id,
+      name: p.name,
+      bookQuantity: Number(p.stockQuantity) || 0,
+      unitCost: roundMoney(productUnitCost(p) || 0)
+    })),
+    notes: String(body.notes || '').trim(),
+    createdBy: req.user._id
+  });
+}
+
+/** Enter counts: [{ serviceId, countedQuantity }]; null clears a count. */
+export async function saveStocktakeCounts(req, stocktakeId, counts) {
+  const stocktake = await getStocktake(req, stocktakeId);
+  if (stocktake.status !== 'OPEN') throw httpError('This stocktake is closed', 409);
+  if (!Array.isArray(counts) || !counts.length) throw httpError('Enter at least one count');
+
+  const byService = new Map(stocktake.items.map((item) => [String(item.serviceId), item]));
+  const now = new Date();
+  for (const entry of counts) {
+    const item = byService.get(String(entry?.serviceId));
+    if (!item) throw httpError('Product is not on this stocktake');
+    if (entry.countedQuantity === null || entry.countedQuantity === '') {
+      item.countedQuantity = null;
+      item.countedBy = null;
+      item.countedAt = null;
+      continue;
+    }
+    // Consumables are counted in part units (e.g. 2.5 litres), so decimals are allowed
+    const qty = roundStockQuantity(entry.countedQuantity);
+    if (!Number.isFinite(Number(entry.countedQuantity)) || qty < 0) throw httpError(`Count for "${item.name}" must be 0 or more`);
+    item.countedQuantity = qty;
+    item.countedBy = req.user._id;
+    item.countedAt = now;
+  }
+  // Counts saved after a finalize has claimed the session would never reach stock
+  stocktake.$where = { status: 'OPEN' };
+  try {
+    await stocktake.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.DocumentNotFoundError) throw httpError('This stocktake is closed', 409);
+    throw err;
+  }
+  return stocktake;
+}
+
+async function shrinkageExpenseTypeId(businessId) {
+  const existing = await ExpenseType.findOne({ businessId, expenseName: /shrinkage/i }).select('_id').lean();
+  if (existing) return existing._id;
+  const created = await ExpenseType.create({ businessId, expenseName: 'Stock shrinkage' });
+  return created._id;
+}
+
+/**
+ * Apply each counted variance to stock (STOCKTAKE movements) and post missing stock value
+ * as a non-cash "Stock shrinkage" expense. Variance is applied as a change rather than
+ * overwriting stock, so sales made while counting are kept.
+ * Uncounted products block finalizing unless skipUncounted is set (they are left unchanged).
+ * The session is claimed (OPEN → FINALIZING) before any stock moves, so two finalizes cannot
+ * both apply it; a failure hands it back as OPEN (lines already applied keep adjustedAt).
+ */
+export async function finalizeStocktake(req, stocktakeId, { skipUncounted = false } = {}) {
+  const current = await getStocktake(req, stocktakeId);
+  if (current.status !== 'OPEN') throw httpError('This stocktake is closed', 409);
+  const stocktake = await Stocktake.findOneAndUpdate(
+    { _id: current._id, businessId: req.businessId, status: 'OPEN' },
+    { $set: { status: 'FINALIZING' } },
+    { new: true }
+  );
+  if (!stocktake) throw httpError('This stocktake is already being finalized', 409);
+
+  let expense = null;
+  try {
+    expense = await applyStocktake(req, stocktake, { skipUncounted });
+    stocktake.status = 'FINALIZED';
+    stocktake.finalizedBy = req.user._id;
+    stocktake.finalizedAt = new Date();
+    await stocktake.save();
+  } catch (err) {
+    if (expense) {
+      await Expense.deleteOne({ _id: expense._id })
+        .catch((e) => console.error('Stocktake shrinkage rollback error:', e.message));
+    }
+    await Stocktake.updateOne(
+      { _id: stocktake._id, status: 'FINALIZING' },
+      { $set: { status: 'OPEN', expenseId: null } }
+    ).catch((e) => console.error('Stocktake claim release error:', e.message));
+    throw err;
+  }
+  if (expense) invalidateDashboardForBusiness(req.businessId);
+  return stocktake;
+}
+
+/** Stock movements and the shrinkage expense for a claimed stocktake; returns the expense (or null). */
+async function applyStocktake(req, stocktake, { skipUncounted }) {
+  const { items, totals } = computeStocktakeVariance(stocktake.toObject().items);
+  if (!totals.counted) throw httpError('Enter at least one count before finalizing');
+  if (totals.uncounted && !skipUncounted) {
+    throw httpError(`${totals.uncounted} product(s) not counted yet`, 409, 'UNCOUNTED_PRODUCTS');
+  }
+
+  const movement = {
+    type: 'STOCKTAKE',
+    userId: req.user._id,
+    branchId: stocktake.branchId,
+    source: { kind: 'STOCKTAKE', id: stocktake._id, label: stocktake.stocktakeNumber }
+  };
+  for (const [i, line] of items.entries()) {
+    // adjustedAt makes a retry after a failed finalize skip lines already applied
+    if (!line.variance || stocktake.items[i].adjustedAt) continue;
+    const current = await Service.findOne({ _id: line.serviceId, businessId: req.businessId }).select('stockQuantity').lean();
+    const delta = Math.max(line.variance, -(Number(current?.stockQuantity) || 0));
+    if (!delta) continue;
+    await adjustServiceStock(req.businessId, line.serviceId, {
+      ...movement,
+      delta,
+      unitCost: line.unitCost,
+      notes: `Counted ${line.countedQuantity}, book ${line.bookQuantity}`
+    });
+    stocktake.items[i].adjustedAt = new Date();
+    await stocktake.save();
+  }
+
+  items.forEach((line, i) => {
+    stocktake.items[i].variance = line.variance;
+    stocktake.items[i].varianceValue = line.varianceValue;
+  });
+  stocktake.shrinkageValue = totals.shrinkageValue;
+  stocktake.surplusValue = totals.surplusValue;
+  if (!(totals.shrinkageValue > 0)) return null;
+  const expense = await Expense.create({
+    businessId: req.businessId,
+    branchId: stocktake.branchId,
+    expenseTypeId: await shrinkageExpenseTypeId(req.businessId),
+    amount: totals.shrinkageValue,
+    settlementMode: 'FULL',
+    outstandingAmount: 0,
+    paymentStatus: 'PAID',
+    paymentMethod: 'CASH',
+    paymentCashAmount: 0,
+    paymentOnlineAmount: 0,
+    nonCash: true,
+    stocktakeId: stocktake._id,
+    expenseDate: new Date(),
+    notes: `Stocktake ${stocktake.stocktakeNumber} shrinkage`,
+    createdBy: req.user._id
+  });
+  stocktake.expenseId = expense._id;
+  return expense;
+}
+
+export async function cancelStocktake(req, stocktakeId) {
+  const stocktake = await getStocktake(req, stocktakeId);
+  if (stocktake.status !== 'OPEN') throw httpError('Only an open stocktake can be cancelled', 409);
+  const cancelled = await Stocktake.findOneAndUpdate(
+    { _id: stocktake._id, status: 'OPEN' },
+    { $set: { status: 'CANCELLED' } },
+    { new: true }
+  );
+  if (!cancelled) throw httpError('Only an open stocktake can be cancelled', 409);
+  return cancelled;
+}
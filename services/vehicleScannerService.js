@@ -1,22 +1,7 @@
 import OpenAI from 'openai';
+import { VEHICLE_TYPES as VEHICLE_TYPES_LIST } from '../constants/vehicleTypes.js';
 
-const VEHICLE_TYPES = new Set([
-  'Car',
-  'SUV',
-  'Sedan',
-  'Hatchback',
-  'MPV',
-  'Pickup',
-  'Van',
-  'Truck',
-  'Bus',
-  'Motorcycle',
-  'Scooter',
-  'Auto Rickshaw',
-  'Other',
-  'Unknown',
-  'N/A'
-]);
+const VEHICLE_TYPES = new Set(VEHICLE_TYPES_LIST);
 
 const SCAN_SYSTEM_PROMPT = `Return JSON only for this vehicle photo:
 {"numberPlate":"","plateConfidence":0,"brand":"","model":"","color":"","vehicleType":"","bodyType":"","confidence":0,"notes":""}
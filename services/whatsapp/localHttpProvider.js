@@ -0,0 +1,46 @@
+import { WhatsAppProviderError, isTransientHttpStatus } from './whatsappErrors.js';
+import { buildMetaMessageBody } from './metaCloudProvider.js';
+
+const DEFAULT_LOCAL_URL = 'http://127.0.0.1:4010';
+
+/**
+ * Local HTTP stand-in for development and tests (scripts/whatsapp-local-server.mjs).
+ * Posts the same body the Cloud API would receive to `${baseUrl}/messages` and
+ * expects `{ messages: [{ id }] }` back, so the request shape stays identical to production.
+ */
+export function createLocalHttpProvider({ baseUrl } = {}) {
+  const root = String(baseUrl || DEFAULT_LOCAL_URL).trim().replace(/\/$/, '');
+
+  return {
+    name: 'local',
+    async send(payload) {
+      const response = await fetch(`${root}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildMetaMessageBody(payload)),
+        signal: AbortSignal.timeout(5_000)
+      });
+      let data = null;
+      try {
+        data = await response.json();
+      } catch {
+        data = null;
+      }
+      if (!response.ok || data?.error) {
+        throw new WhatsAppProviderError(
+          data?.error?.message || `Local WhatsApp stand-in error (${response.status})`,
+          {
+            transient: isTransientHttpStatus(response.status),
+            code: data?.error?.code != null ? String(data.error.code) : null,
+            httpStatus: response.status
+          }
+        );
+      }
+      const messageId = data?.messages?.[0]?.id;
+      if (!messageId) {
+        throw new WhatsAppProviderError('Local WhatsApp stand-in returned no message id', { transient: true });
+      }
+      return { messageId };
+    }
+  };
+}
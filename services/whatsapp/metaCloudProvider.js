@@ -0,0 +1,91 @@
+import { WhatsAppProviderError, isTransientHttpStatus } from './whatsappErrors.js';
+
+const DEFAULT_API_VERSION = 'v20.0';
+
+/**
+ * Meta error codes that are temporary (throttling, service unavailable, generic retryable).
+ * https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+ */
+const META_TRANSIENT_CODES = new Set([1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056]);
+
+/** Meta expects international numbers as digits only (no +, spaces or leading zeros). */
+export function toMetaRecipient(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+/**
+ * Build the Cloud API request body. Template sends use body parameters in the declared order;
+ * without a template the rendered text is sent as a session (free-form) message.
+ */
+export function buildMetaMessageBody({ to, text, template }) {
+  const recipient = toMetaRecipient(to);
+  if (template?.name) {
+    const parameters = (template.parameters || []).map((value) => ({
+      type: 'text',
+      // Meta rejects empty parameters — send a dash instead of blank
+      text: String(value ?? '').trim() || '-'
+    }));
+    return {
+      messaging_product: 'whatsapp',
+      to: recipient,
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en' },
+        ...(parameters.length ? { components: [{ type: 'body', parameters }] } : {})
+      }
+    };
+  }
+  return {
+    messaging_product: 'whatsapp',
+    to: recipient,
+    type: 'text',
+    text: { preview_url: true, body: String(text || '') }
+  };
+}
+
+export function createMetaCloudProvider({ accessToken, phoneNumberId, apiVersion } = {}) {
+  const version = String(apiVersion || DEFAULT_API_VERSION).trim();
+  const url = `https://graph.facebook.com/${version}/${phoneNumberId}/messages`;
+
+  return {
+    name: 'meta',
+    async send(payload) {
+      if (!accessToken || !phoneNumberId) {
+        throw new WhatsAppProviderError('WhatsApp Cloud API is not configured', { code: 'NOT_CONFIGURED' });
+      }
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(buildMetaMessageBody(payload)),
+        signal: AbortSignal.timeout(15_000)
+      });
+
+      let data = null;
+      try {
+        data = await response.json();
+      } catch {
+        data = null;
+      }
+
+      if (!response.ok || data?.error) {
+        const code = data?.error?.code ?? null;
+        const message = data?.error?.message || `WhatsApp Cloud API error (${response.status})`;
+        throw new WhatsAppProviderError(message, {
+          transient: isTransientHttpStatus(response.status) || META_TRANSIENT_CODES.has(Number(code)),
+          code: code != null ? String(code) : null,
+          httpStatus: response.status
+        });
+      }
+
+      const messageId = data?.messages?.[0]?.id;
+      if (!messageId) {
+        throw new WhatsAppProviderError('WhatsApp Cloud API returned no message id', { transient: true });
+      }
+      return { messageId };
+    }
+  };
+}
@@ -0,0 +1,135 @@
+import WhatsAppMessage from '../../models/WhatsAppMessage.model.js';
+import { applyDefaultCountryCode } from '../../utils/customer.utils.js';
+import { resolveApprovedTemplate } from '../../utils/whatsappTemplates.js';
+import { getWhatsAppProvider, sendWithRetry } from './whatsappProvider.js';
+import { enqueueOutboxMessage } from '../outbox/outboxService.js';
+import { applyPendingWhatsAppStatuses } from './whatsappStatusService.js';
+
+/**
+ * Queue one WhatsApp message to a customer: records it in WhatsAppMessage (PENDING) and
+ * hands delivery to the outbox worker, which retries transient provider failures.
+ *
+ * When `templateKey` maps to an approved provider template, the template is sent with
+ * `variables` as its parameters; otherwise the rendered `message` goes out as text.
+ * Returns { ok, queued, record, error }.
+ *
+ * `dedupeKey` makes the send idempotent per business: a second call with the same key
+ * returns { ok: false, skipped: true, reason: 'DUPLICATE' } without contacting the provider.
+ */
+export async function queueWhatsAppMessage({
+  businessId,
+  branchId = null,
+  jobId = null,
+  customerId = null,
+  templateId = null,
+  templateKey = null,
+  recipient,
+  message,
+  variables = {},
+  dedupeKey = null
+}) {
+  const to = applyDefaultCountryCode(recipient);
+  if (!to) {
+    return { ok: false, record: null, error: 'Recipient WhatsApp number is missing' };
+  }
+
+  const provider = getWhatsAppProvider();
+  const template = templateKey ? resolveApprovedTemplate(templateKey, variables) : null;
+
+  let record;
+  try {
+    record = await WhatsAppMessage.create({
+      businessId,
+      branchId: branchId || null,
+      jobId: jobId || null,
+      customerId: customerId || null,
+      templateId: templateId || null,
+      templateKey: templateKey || null,
+      recipient: to,
+      message: String(message || '').trim() || template?.name || '-',
+      status: 'PENDING',
+      provider: provider.name,
+      ...(dedupeKey ? { dedupeKey: String(dedupeKey) } : {})
+    });
+  } catch (e) {
+    if (e?.code === 11000 && dedupeKey) {
+      return { ok: false, skipped: true, reason: 'DUPLICATE', record: null, error: null };
+    }
+    throw e;
+  }
+
+  await enqueueOutboxMessage({
+    channel: 'WHATSAPP',
+    businessId,
+    payload: {
+      whatsAppMessageId: String(record._id),
+      to,
+      text: record.message,
+      template
+    }
+  });
+
+  return { ok: true, queued: true, record, error: null };
+}
+
+/**
+ * Outbox handler for WHATSAPP: one provider attempt per outbox attempt (the outbox owns backoff).
+ * Transient failures rethrow so the outbox retries; permanent ones mark the record FAILED and dead-letter.
+ */
+export async function deliverQueuedWhatsAppMessage(payload, { attempt = 1, finalAttempt = false } = {}) {
+  const record = await WhatsAppMessage.findById(payload?.whatsAppMessageId)
+    .select('status')
+    .lean();
+  if (!record) return { skipped: true, reason: 'MESSAGE_NOT_FOUND' };
+  // Already accepted by the provider (e.g. worker crashed after send) — never send twice
+  if (!['PENDING', 'FAILED'].includes(record.status)) return { skipped: true, reason: 'ALREADY_SENT' };
+
+  const provider = getWhatsAppProvider();
+  const result = await sendWithRetry(
+    provider,
+    { to: payload.to, text: payload.text, template: payload.template || null },
+    { maxAttempts: 1 }
+  );
+  const now = new Date();
+
+  if (result.ok) {
+    await WhatsAppMessage.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'SENT',
+          sentAt: now,
+          provider: provider.name,
+          providerMessageId: result.messageId,
+          attempts: attempt,
+          errorCode: null,
+          errorMessage: null,
+          failedAt: null
+        }
+      }
+    );
+    // Delivery callbacks can arrive before the send is recorded
+    await applyPendingWhatsAppStatuses(result.messageId);
+    return { providerMessageId: result.messageId, provider: provider.name };
+  }
+
+  const retryable = !!result.error?.transient && !finalAttempt;
+  const errorMessage = String(result.error?.message || 'WhatsApp send failed').slice(0, 500);
+  await WhatsAppMessage.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: retryable ? 'PENDING' : 'FAILED',
+        provider: provider.name,
+        attempts: attempt,
+        errorCode: result.error?.code || null,
+        errorMessage,
+        ...(retryable ? {} : { failedAt: now })
+      }
+    }
+  );
+  const err = new Error(errorMessage);
+  err.code = result.error?.code || null;
+  err.retryable = retryable;
+  throw err;
+}
@@ -0,0 +1,19 @@
+/**
+ * Provider error. `transient` errors (network, 429, 5xx, provider throttling) are retried;
+ * everything else (bad number, unapproved template, auth) fails immediately.
+ */
+export class WhatsAppProviderError extends Error {
+  constructor(message, { transient = false, code = null, httpStatus = null } = {}) {
+    super(message);
+    this.name = 'WhatsAppProviderError';
+    this.transient = transient;
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/** HTTP statuses worth retrying regardless of provider. */
+export function isTransientHttpStatus(status) {
+  const s = Number(status);
+  return s === 408 || s === 425 || s === 429 || (s >= 500 && s <= 599);
+}
@@ -0,0 +1,92 @@
+import { createMetaCloudProvider } from './metaCloudProvider.js';
+import { createLocalHttpProvider } from './localHttpProvider.js';
+import { WhatsAppProviderError } from './whatsappErrors.js';
+
+export { WhatsAppProviderError, isTransientHttpStatus } from './whatsappErrors.js';
+
+/** Console-only provider (previous mock behaviour). Used when no provider is configured. */
+function createLogProvider() {
+  return {
+    name: 'log',
+    async send({ to, text, template }) {
+      console.log('WhatsApp message:', { to, text, template: template?.name || null });
+      return { messageId: `log_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+    }
+  };
+}
+
+let cachedProvider = null;
+let cachedProviderKey = '';
+
+/**
+ * WHATSAPP_PROVIDER:
+ *   meta  → Meta WhatsApp Business Cloud API (WHATSAPP_ACCESS_TOKEN + WHATSAPP_PHONE_NUMBER_ID)
+ *   local → local HTTP stand-in (WHATSAPP_LOCAL_URL, see scripts/whatsapp-local-server.mjs)
+ *   log   → console only
+ * Unset → meta when credentials exist, otherwise log.
+ */
+export function resolveWhatsAppProviderName() {
+  const raw = String(process.env.WHATSAPP_PROVIDER || '').trim().toLowerCase();
+  if (raw === 'meta' || raw === 'local' || raw === 'log') return raw;
+  if (process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID) return 'meta';
+  return 'log';
+}
+
+export function getWhatsAppProvider() {
+  const name = resolveWhatsAppProviderName();
+  const key = [
+    name,
+    process.env.WHATSAPP_PHONE_NUMBER_ID || '',
+    process.env.WHATSAPP_LOCAL_URL || ''
+  ].join('|');
+  if (cachedProvider && cachedProviderKey === key) return cachedProvider;
+
+  if (name === 'meta') {
+    cachedProvider = createMetaCloudProvider({
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      apiVersion: process.env.WHATSAPP_API_VERSION
+    });
+  } else if (name === 'local') {
+    cachedProvider = createLocalHttpProvider({ baseUrl: process.env.WHATSAPP_LOCAL_URL });
+  } else {
+    cachedProvider = createLogProvider();
+  }
+  cachedProviderKey = key;
+  return cachedProvider;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toProviderError(err) {
+  if (err instanceof WhatsAppProviderError) return err;
+  // fetch() network failures (DNS, connection reset, timeout) are transient
+  return new WhatsAppProviderError(err?.message || 'WhatsApp send failed', { transient: true });
+}
+
+/**
+ * Send through a provider, retrying transient failures with exponential backoff.
+ * Resolves to { ok, messageId, attempts, error } — never throws.
+ */
+export async function sendWithRetry(provider, payload, {
+  maxAttempts = Number(process.env.WHATSAPP_MAX_ATTEMPTS || 3),
+  baseDelayMs = Number(process.env.WHATSAPP_RETRY_BASE_MS || 500)
+} = {}) {
+  const attemptsAllowed = Math.max(1, Math.round(Number(maxAttempts) || 1));
+  let lastError = null;
+  for (let attempt = 1; attempt <= attemptsAllowed; attempt += 1) {
+    try {
+      const res = await provider.send(payload);
+      return { ok: true, messageId: res?.messageId || null, attempts: attempt, error: null };
+    } catch (e) {
+      lastError = toProviderError(e);
+      if (!lastError.transient || attempt === attemptsAllowed) {
+        return { ok: false, messageId: null, attempts: attempt, error: lastError };
+      }
+      await sleep(Math.max(0, baseDelayMs) * 2 ** (attempt - 1));
+    }
+  }
+  return { ok: false, messageId: null, attempts: attemptsAllowed, error: lastError };
+}
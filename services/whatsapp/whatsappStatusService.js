@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import WhatsAppMessage from '../../models/WhatsAppMessage.model.js';
+import WhatsAppStatusEvent from '../../models/WhatsAppStatusEvent.model.js';
+
+/** Delivery progress order — callbacks may arrive out of order, status never moves backwards. */
+const STATUS_RANK = { PENDING: 0, SENT: 1, DELIVERED: 2, READ: 3 };
+
+/**
+ * Whether a message in status `from` may take provider status `to`. Only forward moves are
+ * allowed: FAILED can follow PENDING / SENT, but a late FAILED never overrides DELIVERED or READ,
+ * and FAILED itself is final.
+ */
+export function whatsAppStatusCanMove(from, to) {
+  if (from === 'FAILED' || from === to) return false;
+  if (to === 'FAILED') return from === 'PENDING' || from === 'SENT';
+  return STATUS_RANK[to] > (STATUS_RANK[from] ?? Infinity);
+}
+
+const PROVIDER_STATUS_MAP = {
+  sent: 'SENT',
+  delivered: 'DELIVERED',
+  read: 'READ',
+  failed: 'FAILED'
+};
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body with the app secret).
+ */
+export function verifyWhatsAppWebhookSignature(rawBody, signatureHeader, secret = process.env.WHATSAPP_APP_SECRET) {
+  if (!secret || !rawBody || !signatureHeader) return false;
+  const [scheme, received] = String(signatureHeader).split('=');
+  if (scheme !== 'sha256' || !received) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(received, 'hex');
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Flatten a Cloud API webhook payload (entry[].changes[].value.statuses[]) into status updates.
+ */
+export function extractWhatsAppStatuses(payload) {
+  const out = [];
+  const entries = Array.isArray(payload?.entry) ? payload.entry : [];
+  for (const entry of entries) {
+    const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+    for (const change of changes) {
+      const statuses = Array.isArray(change?.value?.statuses) ? change.value.statuses : [];
+      for (const st of statuses) {
+        const status = PROVIDER_STATUS_MAP[String(st?.status || '').toLowerCase()];
+        if (!st?.id || !status) continue;
+        const ts = Number(st.timestamp);
+        const firstError = Array.isArray(st.errors) ? st.errors[0] : null;
+        out.push({
+          providerMessageId: String(st.id),
+          status,
+          at: Number.isFinite(ts) && ts > 0 ? new Date(ts * 1000) : new Date(),
+          errorCode: firstError?.code != null ? String(firstError.code) : null,
+          errorMessage: firstError
+            ? String(firstError.error_data?.details || firstError.message || firstError.title || '').slice(0, 500) || null
+            : null
+        });
+      }
+    }
+  }
+  return out;
+}
+
+async function updateMessageStatus({ providerMessageId, status, at, errorCode, errorMessage }) {
+  const fromStatuses = [...Object.keys(STATUS_RANK), 'FAILED'].filter((from) => whatsAppStatusCanMove(from, status));
+
+  if (status === 'FAILED') {
+    const res = await WhatsAppMessage.updateOne(
+      { providerMessageId, status: { $in: fromStatuses } },
+      {
+        $set: {
+          status: 'FAILED',
+          failedAt: at,
+          statusUpdatedAt: new Date(),
+          errorCode: errorCode || null,
+          errorMessage: errorMessage || 'Delivery failed'
+        }
+      }
+    );
+    return res.modifiedCount > 0;
+  }
+
+  const set = { status, statusUpdatedAt: new Date() };
+  if (status === 'SENT') set.sentAt = at;
+  if (status === 'DELIVERED') set.deliveredAt = at;
+  if (status === 'READ') set.readAt = at;
+  const res = await WhatsAppMessage.updateOne(
+    { providerMessageId, status: { $in: fromStatuses } },
+    { $set: set }
+  );
+  // A read receipt implies delivery; backfill deliveredAt when the delivered callback was skipped
+  if (status === 'READ' && res.modifiedCount > 0) {
+    await WhatsAppMessage.updateOne(
+      { providerMessageId, deliveredAt: null },
+      { $set: { deliveredAt: at } }
+    );
+  }
+  return res.modifiedCount > 0;
+}
+
+/**
+ * Apply one provider status to the matching WhatsAppMessage. Returns true when a record changed.
+ * A callback for a message not recorded yet is kept (WhatsAppStatusEvent) and applied by
+ * applyPendingWhatsAppStatuses once the send stores its providerMessageId.
+ */
+export async function applyWhatsAppStatusUpdate(update) {
+  if (!update?.providerMessageId || !update.status) return false;
+  if (await updateMessageStatus(update)) return true;
+  if (await WhatsAppMessage.exists({ providerMessageId: update.providerMessageId })) return false;
+
+  await WhatsAppStatusEvent.create({
+    providerMessageId: update.providerMessageId,
+    status: update.status,
+    at: update.at || new Date(),
+    errorCode: update.errorCode || null,
+    errorMessage: update.errorMessage || null
+  });
+  // The send may have been recorded while this callback was being stored
+  if (await WhatsAppMessage.exists({ providerMessageId: update.providerMessageId })) {
+    await applyPendingWhatsAppStatuses(update.providerMessageId);
+  }
+  return false;
+}
+
+/** Apply (in delivery order) and remove callbacks that arrived before the message was recorded. */
+export async function applyPendingWhatsAppStatuses(providerMessageId) {
+  if (!providerMessageId) return 0;
+  const events = await WhatsAppStatusEvent.find({ providerMessageId }).sort({ at: 1, createdAt: 1 }).lean();
+  let applied = 0;
+  for (const event of events) {
+    if (await updateMessageStatus(event)) applied += 1;
+    await WhatsAppStatusEvent.deleteOne({ _id: event._id });
+  }
+  return applied;
+}
+
+export async function processWhatsAppWebhook(payload) {
+  const updates = extractWhatsAppStatuses(payload);
+  let applied = 0;
+  for (const u of updates) {
+    if (await applyWhatsAppStatusUpdate(u)) applied += 1;
+  }
+  return { received: updates.length, applied };
+}
@@ -0,0 +1,346 @@
+/**
+ * Bank / UPI app statement CSV parsing and matching of credits to online receipts
+ * recorded in the app (invoices, credit collections, other revenue).
+ */
+
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { roundMoney } from './invoicePayment.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Header aliases, compared after stripping everything but letters and digits
+ * ("Deposit Amt." → depositamt, "Chq./Ref.No." → chqrefno). Earlier aliases win,
+ * so a transaction date is preferred over a value date.
+ */
+const COLUMN_ALIASES = {
+  date: ['txndate', 'transactiondate', 'trandate', 'date', 'postingdate', 'transactiondatetime', 'datetime', 'createdat', 'valuedate', 'valuedt'],
+  description: ['narration', 'description', 'particulars', 'transactionremarks', 'remarks', 'transactiondetails', 'details', 'payername', 'customername', 'paidby'],
+  reference: ['utr', 'utrno', 'utrnumber', 'upirefno', 'upireferenceno', 'upitransactionid', 'bankreferenceno', 'rrn', 'refno', 'reference', 'referenceno', 'chqrefno', 'refnochequeno', 'chequeno', 'chqno', 'chequenumber', 'transactionid', 'txnid'],
+  credit: ['depositamt', 'depositamount', 'deposit', 'deposits', 'creditamount', 'creditamt', 'credit', 'cr'],
+  debit: ['withdrawalamt', 'withdrawalamount', 'withdrawal', 'withdrawals', 'debitamount', 'debitamt', 'debit', 'dr'],
+  amount: ['amount', 'transactionamount', 'txnamount', 'amt', 'settledamount'],
+  type: ['type', 'drcr', 'crdr', 'transactiontype', 'txntype', 'debitcredit'],
+  balance: ['closingbalance', 'balance', 'availablebalance', 'runningbalance', 'bal'],
+  status: ['status', 'transactionstatus', 'paymentstatus']
+};
+
+/** UPI app exports list failed and pending attempts too; only these count as money received. */
+const SUCCESS_STATUSES = new Set(['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID', 'CREDITED', 'SETTLED', 'RECEIVED']);
+
+const CREDIT_TYPES = new Set(['CR', 'C', 'CREDIT', 'CREDITED', 'DEPOSIT', 'RECEIVED', 'COLLECT']);
+const DEBIT_TYPES = new Set(['DR', 'D', 'DEBIT', 'DEBITED', 'WITHDRAWAL', 'PAID', 'SENT', 'REFUND', 'REVERSAL']);
+
+const DATE_FORMATS = [
+  'dd/MM/yyyy', 'd/M/yyyy', 'dd/MM/yy', 'd/M/yy',
+  'dd-MM-yyyy', 'd-M-yyyy', 'dd-MM-yy',
+  'dd.MM.yyyy', 'dd-LLL-yyyy', 'dd-LLL-yy', 'd-LLL-yyyy',
+  'dd LLL yyyy', 'd LLL yyyy', 'dd LLL yy', 'LLL d, yyyy', 'LLL dd, yyyy',
+  'yyyy-MM-dd', 'yyyy/MM/dd'
+];
+const TIME_FORMATS = ['HH:mm:ss', 'HH:mm', 'hh:mm:ss a', 'hh:mm a', 'h:mm a'];
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+/** Upper-case letters and digits only, so "INV/2026/042" and "inv-2026-042" compare equal. */
+export function normalizeReference(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function detectDelimiter(line) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQ = false;
+  for (const ch of line) {
+    if (ch === '"') inQ = !inQ;
+    else if (!inQ && counts[ch] !== undefined) counts[ch] += 1;
+  }
+  if (counts['\t'] > 0 && counts['\t'] >= counts[','] && counts['\t'] >= counts[';']) return '\t';
+  return counts[';'] > counts[','] ? ';' : ',';
+}
+
+function splitLine(line, delimiter) {
+  const cols = [];
+  let cur = '';
+  let inQ = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (inQ && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else inQ = !inQ;
+    } else if (ch === delimiter && !inQ) {
+      cols.push(cur.trim());
+      cur = '';
+    } else cur += ch;
+  }
+  cols.push(cur.trim());
+  return cols;
+}
+
+function findColumn(headers, aliases) {
+  for (const alias of aliases) {
+    const i = headers.indexOf(alias);
+    if (i >= 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * "1,250.00", "₹ 1,250.00 Cr", "(500.00)", "-500" → { value, sign } where sign is
+ * -1 for debit markers (Dr, minus, brackets), 1 for Cr, 0 when unmarked. Null when blank.
+ */
+export function parseStatementAmount(raw) {
+  let s = String(raw ?? '').trim();
+  if (!s) return null;
+  let sign = 0;
+  if (/^\(.*\)$/.test(s)) {
+    sign = -1;
+    s = s.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(s)) sign = -1;
+  else if (/\bcr\.?$/i.test(s)) sign = 1;
+  s = s.replace(/\b(dr|cr)\.?$/i, '').replace(/₹|inr|rs\.?/gi, '').replace(/[,\s]/g, '');
+  if (s.startsWith('-')) {
+    sign = -1;
+    s = s.slice(1);
+  } else if (s.startsWith('+')) {
+    s = s.slice(1);
+  }
+  if (!/^\d*\.?\d+$/.test(s)) return null;
+  const value = roundMoney(Number(s));
+  return Number.isFinite(value) ? { value, sign } : null;
+}
+
+/**
+ * Statement date (optionally with a time) in the business timezone.
+ * Returns { date, day, hasTime } or null when the cell is not a date (footer and summary rows).
+ */
+export function parseStatementDate(raw, timezone = 'UTC') {
+  const s = String(raw || '').trim().replace(/\s+/g, ' ');
+  if (!s) return null;
+  const iso = DateTime.fromISO(s, { zone: timezone });
+  if (iso.isValid && /^\d{4}-\d{2}-\d{2}/.test(s)) {
+    return { date: iso.toJSDate(), day: iso.toISODate(), hasTime: s.length > 10 };
+  }
+  for (const fmt of DATE_FORMATS) {
+    const d = DateTime.fromFormat(s, fmt, { zone: timezone, locale: 'en-IN' });
+    if (d.isValid) return { date: d.toJSDate(), day: d.toISODate(), hasTime: false };
+    for (const tfmt of TIME_FORMATS) {
+      for (const sep of [' ', ', ']) {
+        const dt = DateTime.fromFormat(s, `${fmt}${sep}${tfmt}`, { zone: timezone, locale: 'en-IN' });
+        if (dt.isValid) return { date: dt.toJSDate(), day: dt.toISODate(), hasTime: true };
+      }
+    }
+  }
+  return null;
+}
+
+/** 12-digit UPI RRN or a 16–22 character NEFT/IMPS UTR inside a narration. */
+export function extractUtr(text) {
+  const s = String(text || '').toUpperCase();
+  const upi = s.match(/(?:^|[^0-9])(\d{12})(?![0-9])/);
+  if (upi) return upi[1];
+  const neft = s.match(/\b([A-Z]{4}[A-Z0-9]{12,18})\b/);
+  return neft ? neft[1] : '';
+}
+
+/**
+ * Parse a bank or UPI app statement export. Works with debit/credit column layouts
+ * (HDFC, SBI, ICICI, Axis, Kotak …) and single amount + Dr/Cr layouts (UPI merchant apps).
+ * Preamble lines above the header (account name, period) are skipped.
+ * Returns credits only; debits and failed attempts are counted, not returned.
+ */
+export function parseBankStatementCsv(text, { timezone = 'UTC' } = {}) {
+  const raw = String(text || '').replace(/^\uFEFF/, '');
+  const lines = raw.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) throw httpError('Statement file is empty');
+
+  let headerIndex = -1;
+  let delimiter = ',';
+  let columns = null;
+  for (let i = 0; i < Math.min(lines.length, 40); i++) {
+    const delim = detectDelimiter(lines[i]);
+    const headers = splitLine(lines[i], delim).map(normalizeHeader);
+    const col = Object.fromEntries(
+      Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [key, findColumn(headers, aliases)])
+    );
+    if (col.date >= 0 && (col.credit >= 0 || col.amount >= 0)) {
+      headerIndex = i;
+      delimiter = delim;
+      columns = col;
+      break;
+    }
+  }
+  if (!columns) {
+    throw httpError('Could not find the statement header row (need a date column and a credit or amount column)');
+  }
+
+  const cell = (cols, key) => (columns[key] >= 0 ? String(cols[columns[key]] ?? '').trim() : '');
+  const entries = [];
+  let debitCount = 0;
+  let skippedCount = 0;
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    const cols = splitLine(lines[i], delimiter);
+    const when = parseStatementDate(cell(cols, 'date'), timezone);
+    if (!when) {
+      skippedCount += 1;
+      continue;
+    }
+    const status = cell(cols, 'status').toUpperCase();
+    if (status && !SUCCESS_STATUSES.has(status)) {
+      skippedCount += 1;
+      continue;
+    }
+
+    let amount = null;
+    let direction = null;
+    if (columns.credit >= 0 || columns.debit >= 0) {
+      const credit = parseStatementAmount(cell(cols, 'credit'));
+      const debit = parseStatementAmount(cell(cols, 'debit'));
+      if (credit?.value > 0) {
+        amount = credit.value;
+        direction = 'CREDIT';
+      } else if (debit?.value > 0) {
+        amount = debit.value;
+        direction = 'DEBIT';
+      }
+    }
+    if (!direction && columns.amount >= 0) {
+      const parsed = parseStatementAmount(cell(cols, 'amount'));
+      if (parsed?.value > 0) {
+        const type = cell(cols, 'type').toUpperCase().replace(/[^A-Z]/g, '');
+        amount = parsed.value;
+        if (CREDIT_TYPES.has(type)) direction = 'CREDIT';
+        else if (DEBIT_TYPES.has(type)) direction = 'DEBIT';
+        else direction = parsed.sign < 0 ? 'DEBIT' : 'CREDIT';
+      }
+    }
+    if (!direction) {
+      skippedCount += 1;
+      continue;
+    }
+    if (direction === 'DEBIT') {
+      debitCount += 1;
+      continue;
+    }
+
+    const description = cell(cols, 'description');
+    const reference = cell(cols, 'reference') || extractUtr(description);
+    const balance = parseStatementAmount(cell(cols, 'balance'));
+    entries.push({
+      line: i + 1,
+      txnDate: when.date,
+      day: when.day,
+      amount,
+      description,
+      reference,
+      balance: balance ? balance.value : null
+    });
+  }
+
+  return { entries, debitCount, skippedCount };
+}
+
+/**
+ * Stable per-row key so importing the same statement (or an overlapping period) twice
+ * does not duplicate credits. Identical rows within one file are told apart by occurrence.
+ */
+export function assignStatementFingerprints(entries) {
+  const seen = new Map();
+  return entries.map((entry) => {
+    const base = [
+      entry.day,
+      roundMoney(entry.amount).toFixed(2),
+      normalizeReference(entry.reference),
+      normalizeReference(entry.description),
+      entry.balance ?? ''
+    ].join('|');
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    const fingerprint = crypto.createHash('sha1').update(`${base}#${n}`).digest('hex');
+    return { ...entry, fingerprint };
+  });
+}
+
+function dayGap(a, b) {
+  return Math.abs(DateTime.fromISO(a).diff(DateTime.fromISO(b), 'days').days);
+}
+
+/** Invoice / collection numbers shorter than this are too generic to search for in narrations. */
+const MIN_REFERENCE_LENGTH = 6;
+
+function mentionsReference(entry, receipt) {
+  const needle = normalizeReference(receipt.reference);
+  if (needle.length < MIN_REFERENCE_LENGTH) return false;
+  return normalizeReference(`${entry.description} ${entry.reference}`).includes(needle);
+}
+
+/**
+ * Match statement credits to recorded online receipts. Amounts must agree to the paisa and
+ * the receipt day must fall within `windowDays` of the credit day.
+ *   1. REFERENCE   — the narration or reference quotes the invoice / collection number.
+ *   2. AMOUNT_DATE — the only remaining receipt with that amount in the window; ties go to
+ *                    the closest day when exactly one receipt is closest.
+ * Each receipt is used at most once. Entries: { key, day, amount, description, reference };
+ * receipts: { key, day, amount, reference }. Returns Map entryKey → { receiptKey, basis } and
+ * Map entryKey → receiptKey[] of ambiguous candidates for entries left unmatched.
+ */
+export function matchStatementEntries(entries, receipts, { windowDays = 2 } = {}) {
+  const matches = new Map();
+  const used = new Set();
+  const candidatesFor = (entry) => receipts.filter((r) =>
+    !used.has(r.key)
+    && Math.abs(roundMoney(r.amount) - roundMoney(entry.amount)) < 0.005
+    && dayGap(r.day, entry.day) <= windowDays);
+  const claim = (entry, receipt, basis) => {
+    matches.set(entry.key, { receiptKey: receipt.key, basis });
+    used.add(receipt.key);
+  };
+  const open = () => entries.filter((e) => !matches.has(e.key));
+
+  for (const entry of open()) {
+    const byRef = candidatesFor(entry).filter((r) => mentionsReference(entry, r));
+    if (byRef.length === 1) claim(entry, byRef[0], 'REFERENCE');
+  }
+
+  for (;;) {
+    let progress = false;
+    for (const entry of open()) {
+      const cands = candidatesFor(entry);
+      if (cands.length === 1) {
+        claim(entry, cands[0], 'AMOUNT_DATE');
+        progress = true;
+      }
+    }
+    if (progress) continue;
+    for (const entry of open()) {
+      const cands = candidatesFor(entry);
+      if (cands.length < 2) continue;
+      const gaps = cands.map((r) => dayGap(r.day, entry.day));
+      const best = Math.min(...gaps);
+      const closest = cands.filter((_, i) => gaps[i] === best);
+      if (closest.length === 1) {
+        claim(entry, closest[0], 'AMOUNT_DATE');
+        progress = true;
+        break;
+      }
+    }
+    if (!progress) break;
+  }
+
+  const ambiguous = new Map();
+  for (const entry of open()) {
+    const cands = candidatesFor(entry);
+    if (cands.length) ambiguous.set(entry.key, cands.map((r) => r.key));
+  }
+  return { matches, ambiguous };
+}
@@ -0,0 +1,88 @@
+/** Online booking deposits: per-branch rule deciding whether (and how much) advance a booking needs. */
+
+import mongoose from 'mongoose';
+import BranchSettings from '../models/BranchSettings.model.js';
+import { roundMoney } from './invoicePayment.js';
+
+export const DEFAULT_DEPOSIT_HOLD_MINUTES = 30;
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function objectIdList(raw, label) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) throw httpError(`${label} must be a list`);
+  const ids = [...new Set(raw.map(String))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw httpError(`Invalid ${label}`);
+  return ids;
+}
+
+/**
+ * Validate a branch deposit rule from settings input.
+ * Shape: { enabled, type: FIXED|PERCENT, value, serviceIds[], slotIds[], holdMinutes, forfeitOnNoShow }.
+ * Empty serviceIds and slotIds mean every online booking needs the deposit.
+ */
+export function normalizeBookingDepositSettings(raw = {}) {
+  const type = String(raw.type || 'FIXED').toUpperCase();
+  if (!['FIXED', 'PERCENT'].includes(type)) throw httpError('Deposit type must be FIXED or PERCENT');
+  const value = roundMoney(raw.value);
+  const enabled = raw.enabled === true;
+  if (enabled && !(value > 0)) throw httpError('Deposit amount must be greater than zero');
+  if (type === 'PERCENT' && value > 100) throw httpError('Deposit percentage cannot exceed 100');
+  const holdMinutes = raw.holdMinutes === undefined || raw.holdMinutes === null
+    ? DEFAULT_DEPOSIT_HOLD_MINUTES
+    : Math.round(Number(raw.holdMinutes));
+  if (!Number.isFinite(holdMinutes) || holdMinutes < 5 || holdMinutes > 24 * 60) {
+    throw httpError('Payment window must be between 5 minutes and 24 hours');
+  }
+  return {
+    enabled,
+    type,
+    value: Math.max(0, value),
+    serviceIds: objectIdList(raw.serviceIds, 'deposit services'),
+    slotIds: objectIdList(raw.slotIds, 'deposit slots'),
+    holdMinutes,
+    forfeitOnNoShow: raw.forfeitOnNoShow === true
+  };
+}
+
+/** Rule matches when the booking has a listed service or is in a listed slot (no lists → all). */
+export function depositRuleApplies(rule, { serviceIds = [], slotId = null } = {}) {
+  if (!rule?.enabled || !(Number(rule.value) > 0)) return false;
+  const ruleServices = (rule.serviceIds || []).map(String);
+  const ruleSlots = (rule.slotIds || []).map(String);
+  if (!ruleServices.length && !ruleSlots.length) return true;
+  if (slotId && ruleSlots.includes(String(slotId))) return true;
+  return serviceIds.some((id) => ruleServices.includes(String(id)));
+}
+
+/** Deposit owed for a booking worth `total`; a fixed deposit never exceeds a priced booking. */
+export function computeBookingDeposit(rule, { serviceIds = [], slotId = null, total = 0 } = {}) {
+  if (!depositRuleApplies(rule, { serviceIds, slotId })) return 0;
+  const bookingTotal = Math.max(0, Number(total) || 0);
+  if (rule.type === 'PERCENT') return roundMoney((bookingTotal * Number(rule.value)) / 100);
+  const fixed = roundMoney(rule.value);
+  return bookingTotal > 0 ? Math.min(fixed, roundMoney(bookingTotal)) : fixed;
+}
+
+const DEPOSIT_REFUND_STATUSES = ['CANCELLED', 'REJECTED', 'NO_SHOW'];
+
+/**
+ * Deposit owed back once a booking ends without a visit: 0 when nothing was paid, the deposit
+ * was kept as a no-show fee, or the refund is already recorded.
+ */
+export function bookingDepositRefundDue(booking) {
+  if (!DEPOSIT_REFUND_STATUSES.includes(booking?.status)) return 0;
+  if (booking.depositForfeitedAt) return 0;
+  if (booking.depositRefundStatus && booking.depositRefundStatus !== 'NONE') return 0;
+  return roundMoney(Math.max(0, Number(booking.depositPaidAmount) || 0));
+}
+
+export async function loadBranchDepositRule(branchId) {
+  if (!branchId) return null;
+  const settings = await BranchSettings.findOne({ branchId }).select('bookingDeposit').lean();
+  return settings?.bookingDeposit?.enabled ? settings.bookingDeposit : null;
+}
@@ -0,0 +1,93 @@
+import { roundMoney } from './invoicePayment.js';
+
+/** Indian currency notes and coins accepted in a drawer count (₹). */
+export const CASH_DENOMINATIONS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+/** Variance (₹) above which the person closing must say why the drawer is off. */
+export const CASH_VARIANCE_REASON_THRESHOLD = 1;
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Accepts [{ value, count }] or { "500": 3, "100": 7 }. Returns non-zero lines, largest note
+ * first, each with its amount. Throws 400 on unknown notes or negative / fractional counts.
+ */
+export function normalizeDenominations(input) {
+  if (input === undefined || input === null) return [];
+  const pairs = Array.isArray(input)
+    ? input.map((row) => [row?.value, row?.count])
+    : typeof input === 'object'
+      ? Object.entries(input)
+      : null;
+  if (!pairs) throw httpError('Denominations must be a list of { value, count }');
+
+  const counts = new Map();
+  for (const [rawValue, rawCount] of pairs) {
+    const value = Number(rawValue);
+    if (!CASH_DENOMINATIONS.includes(value)) throw httpError(`₹${rawValue} is not a valid note or coin`);
+    if (rawCount === '' || rawCount === null || rawCount === undefined) continue;
+    const count = Number(rawCount);
+    if (!Number.isInteger(count) || count < 0) throw httpError(`Count for ₹${value} must be a whole number of 0 or more`);
+    counts.set(value, (counts.get(value) || 0) + count);
+  }
+  return CASH_DENOMINATIONS
+    .filter((value) => counts.get(value) > 0)
+    .map((value) => ({ value, count: counts.get(value), amount: value * counts.get(value) }));
+}
+
+export function sumDenominations(lines = []) {
+  return roundMoney(lines.reduce((s, line) => s + (Number(line.value) || 0) * (Number(line.count) || 0), 0));
+}
+
+/**
+ * Counted cash from a denomination breakdown, or a plain amount when no breakdown is given.
+ * Returns { denominations, amount }.
+ */
+export function resolveCashCount({ denominations, amount } = {}, label = 'Counted cash') {
+  const lines = normalizeDenominations(denominations);
+  if (lines.length) return { denominations: lines, amount: sumDenominations(lines) };
+  if (amount === undefined || amount === null || amount === '') {
+    if (Array.isArray(denominations) || (denominations && typeof denominations === 'object')) {
+      return { denominations: [], amount: 0 };
+    }
+    throw httpError(`${label} is required`);
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) throw httpError(`${label} must be 0 or more`);
+  return { denominations: [], amount: roundMoney(value) };
+}
+
+/**
+ * Expected cash in the drawer: opening float plus cash taken in during the session
+ * less cash paid out (expenses and refunds).
+ */
+export function computeExpectedCash({
+  openingFloat = 0,
+  advances = 0,
+  fullPayCheckout = 0,
+  creditCheckout = 0,
+  creditRecovery = 0,
+  otherRevenue = 0,
+  expenses = 0,
+  refunds = 0
+} = {}) {
+  const cashIn = roundMoney(advances + fullPayCheckout + creditCheckout + creditRecovery + otherRevenue);
+  const cashOut = roundMoney(expenses + refunds);
+  return {
+    openingFloat: roundMoney(openingFloat),
+    advances: roundMoney(advances),
+    fullPayCheckout: roundMoney(fullPayCheckout),
+    creditCheckout: roundMoney(creditCheckout),
+    creditRecovery: roundMoney(creditRecovery),
+    otherRevenue: roundMoney(otherRevenue),
+    expenses: roundMoney(expenses),
+    refunds: roundMoney(refunds),
+    cashIn,
+    cashOut,
+    expectedCash: roundMoney(openingFloat + cashIn - cashOut)
+  };
+}
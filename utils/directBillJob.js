@@ -11,11 +11,12 @@ import {
   normalizeInvoicePaymentFields,
   roundMoney
 } from './invoicePayment.js';
-import { buildGstFieldsForNewInvoice } from './invoiceGst.js';
+import { buildGstFieldsForNewInvoice, loadServiceTaxMap } from './invoiceGst.js';
 import { deductServiceStockForSale, restoreServiceStock } from './serviceInventory.js';
 import { lineQuantity } from './serviceCatalog.js';
 import { isFullyPaid } from '../services/credit/outstandingService.js';
 import { invalidateDashboardForBusiness } from './dashboardFinancialSync.js';
+import { carryBookingPromoToInvoice } from '../services/promoCodeService.js';
 
 /** Counter / direct sales — not counted as wash jobs. */
 export const WASH_JOB_FILTER = { directBill: { $ne: true } };
@@ -72,7 +73,8 @@ export async function createInvoiceForJobRecord({
   let invoiceNumber = await generateInvoiceNumberForBusiness(businessId);
 
   const nameByServiceId = await serviceNameMapForJobLines(businessId, job.services, catalogServices);
-  const items = jobLinesToInvoiceItems(job.services || [], nameByServiceId);
+  const taxByServiceId = await loadServiceTaxMap(businessId, (job.services || []).map((s) => s.serviceId));
+  const items = jobLinesToInvoiceItems(job.services || [], nameByServiceId, taxByServiceId);
   const subtotal = job.totalPrice ?? items.reduce(
     (sum, i) => sum + (Number(i.servicePrice) || 0) * lineQuantity(i.quantity),
     0
@@ -82,10 +84,11 @@ export async function createInvoiceForJobRecord({
   const subtotalRounded = roundMoney(subtotal);
   const gstFields = await buildGstFieldsForNewInvoice(businessId, {
     companyGst: company?.gstNumber,
-    subtotal: subtotalRounded
+    subtotal: subtotalRounded,
+    items
   });
 
-  return Invoice.create({
+  const invoice = await Invoice.create({
     jobId: job._id,
     businessId,
     branchId: job.branchId || null,
@@ -100,13 +103,20 @@ export async function createInvoiceForJobRecord({
     customerId: customer?._id || job.customerId || null,
     customerGst: null,
     vehicleNumber: car?.carNumber ?? '',
-    items,
+    items: gstFields.items,
     discount: 0,
     discountType: 'PERCENT',
     discountAmount: 0,
     subtotal: subtotalRounded,
     taxPercentage: gstFields.taxPercentage,
+    pricesIncludeTax: gstFields.pricesIncludeTax,
+    placeOfSupply: gstFields.placeOfSupply,
+    supplyType: gstFields.supplyType,
+    taxableValue: gstFields.taxableValue,
     gstAmount: gstFields.gstAmount,
+    cgstAmount: gstFields.cgstAmount,
+    sgstAmount: gstFields.sgstAmount,
+    igstAmount: gstFields.igstAmount,
     finalAmount: gstFields.finalAmount,
     advancePayment: advanceFromJob,
     paymentMethod: 'ONLINE',
@@ -116,6 +126,8 @@ export async function createInvoiceForJobRecord({
     shareToken: generateShareToken(),
     createdBy: userId
   });
+  // A promo code taken on the online booking is billed here
+  return carryBookingPromoToInvoice(invoice, job);
 }
 
 export async function computeLoyaltyEarnedForJobServices(businessId, jobServices = []) {
@@ -268,10 +280,20 @@ export async function finalizeDirectBillSale({
       car,
       catalogServices
     });
-    stockDeductions = await deductServiceStockForSale(businessId, job.services, catalogServices);
+    stockDeductions = await deductServiceStockForSale(businessId, job.services, catalogServices, {
+      type: 'SALE',
+      userId,
+      branchId: job.branchId || null,
+      source: { kind: 'INVOICE', id: invoice?._id, label: invoice?.invoiceNumber }
+    });
   } catch (billErr) {
     if (stockDeductions.length) {
-      await restoreServiceStock(businessId, stockDeductions).catch(() => {});
+      await restoreServiceStock(businessId, stockDeductions, {
+        userId,
+        branchId: job.branchId || null,
+        source: { kind: 'JOB', id: job._id, label: job.tokenNumber },
+        notes: 'Sale rolled back'
+      }).catch(() => {});
     }
     await Invoice.deleteOne({ jobId: job._id, businessId }).catch(() => {});
     await Job.deleteOne({ _id: job._id, businessId });
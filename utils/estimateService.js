@@ -8,6 +8,7 @@ import { normalizePhone, applyDefaultCountryCode } from './customer.utils.js';
 import { isSalesEmployee } from './employeeType.js';
 import { changeLeadStatus, pushLeadActivity } from './crmService.js';
 import { ensureCustomerAndCarFromLead } from './crmService.js';
+import { resolveServicePrice } from './servicePricing.js';
 
 export function applySalesEstimateScope(user, filter = {}) {
   if (!isSalesEmployee(user)) return filter;
@@ -113,7 +114,8 @@ export async function applyCompanySnapshot(estimate, businessId) {
   return estimate;
 }
 
-export async function resolveCatalogItemMeta(businessId, serviceId) {
+/** Catalog name / type / price for an estimate line; vehicleType picks the service's matrix price. */
+export async function resolveCatalogItemMeta(businessId, serviceId, vehicleType = null) {
   if (!serviceId || !mongoose.Types.ObjectId.isValid(String(serviceId))) return null;
   const svc = await Service.findOne({ _id: serviceId, businessId, isActive: { $ne: false } }).lean();
   if (!svc) return null;
@@ -121,7 +123,7 @@ export async function resolveCatalogItemMeta(businessId, serviceId) {
   return {
     serviceId: svc._id,
     name: svc.name,
-    unitPrice: Number(svc.price) || 0,
+    unitPrice: resolveServicePrice(svc, vehicleType),
     itemType: isProduct ? 'PRODUCT' : 'SERVICE'
   };
 }
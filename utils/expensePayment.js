@@ -25,10 +25,10 @@ function derivePaymentMethodFromChannels(cash, online) {
 /**
  * Cash / online paid for an expense (outflow from pocket vs account).
  * Legacy FULL rows without split amounts infer from paymentMethod + full amount.
- * CREDIT rows always use stored paid amounts (may be 0).
+ * CREDIT rows always use stored paid amounts (may be 0); nonCash rows never move money.
  */
 export function expenseCashOnline(exp) {
-  if (!exp) return { cash: 0, online: 0 };
+  if (!exp || exp.nonCash) return { cash: 0, online: 0 };
   const amt = roundMoney(Number(exp.amount) || 0);
   const pc = roundMoney(Number(exp.paymentCashAmount) || 0);
   const po = roundMoney(Number(exp.paymentOnlineAmount) || 0);
@@ -392,13 +392,19 @@ export function expensePaidAmountAggregationExpr() {
       },
       in: {
         $cond: [
-          { $gt: ['$$paid', 0.01] },
-          '$$paid',
+          { $eq: ['$nonCash', true] },
+          0,
           {
             $cond: [
-              { $eq: ['$settlementMode', 'CREDIT'] },
-              0,
-              { $ifNull: ['$amount', 0] }
+              { $gt: ['$$paid', 0.01] },
+              '$$paid',
+              {
+                $cond: [
+                  { $eq: ['$settlementMode', 'CREDIT'] },
+                  0,
+                  { $ifNull: ['$amount', 0] }
+                ]
+              }
             ]
           }
         ]
@@ -0,0 +1,556 @@
+/**
+ * GSTR-1 / GSTR-3B builders. Pure functions over invoices and credit notes already
+ * loaded for one GSTIN and one month (see services/gstReturnsService.js).
+ *
+ * Supplies are taken from the line tax stored on each invoice (utils/invoiceGst.js);
+ * invoices saved before line-level GST are re-derived from their stored GST total.
+ */
+
+import { DateTime } from 'luxon';
+import {
+  allocateAmount,
+  computeInvoiceTaxLines,
+  gstinStateCode,
+  resolveSupplyType,
+  splitGst
+} from './invoiceGst.js';
+import { roundMoney } from './invoicePayment.js';
+
+export const GST_STATE_NAMES = {
+  '01': 'Jammu & Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra & Nagar Haveli & Daman & Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman & Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+export const GSTR1_CSV_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'hsn', 'nil'];
+
+/** Inter-state B2C invoices above this value are reported invoice-wise (B2CL); ₹2.5 lakh before August 2024. */
+export const B2CL_INVOICE_LIMIT = 100000;
+const B2CL_INVOICE_LIMIT_BEFORE = 250000;
+const B2CL_LIMIT_CHANGED_AT = new Date('2024-07-31T18:30:00Z');
+
+/** Filing month "YYYY-MM" → business-timezone bounds and the portal return period (MMYYYY). */
+export function parseGstReturnPeriod(month, timezone) {
+  const raw = String(month || '').trim();
+  const startZ = raw
+    ? DateTime.fromFormat(raw, 'yyyy-MM', { zone: timezone })
+    : DateTime.now().setZone(timezone).minus({ months: 1 }).startOf('month');
+  if (!startZ.isValid) {
+    const err = new Error('month must be YYYY-MM');
+    err.status = 400;
+    throw err;
+  }
+  return {
+    month: startZ.toFormat('yyyy-MM'),
+    fp: startZ.toFormat('MMyyyy'),
+    startUtc: startZ.toUTC().toJSDate(),
+    endUtc: startZ.plus({ months: 1 }).toUTC().toJSDate()
+  };
+}
+
+/** Tax point of a confirmed sale: credit close, else full payment. */
+export function invoiceSupplyDate(invoice) {
+  if (invoice?.settlementMode === 'CREDIT' && invoice.saleConfirmedAt) return invoice.saleConfirmedAt;
+  return invoice?.paymentStatus === 'RECEIVED' ? invoice.paymentReceivedAt || null : null;
+}
+
+function uqcFor(hsnSac) {
+  return String(hsnSac || '').startsWith('99') ? 'NA' : 'NOS';
+}
+
+function taxRow({ hsnSac, rate, qty, taxable, tax, supplyType }) {
+  return {
+    hsnSac: String(hsnSac || ''),
+    rate: Number(rate) || 0,
+    qty: Number(qty) || 0,
+    taxableValue: roundMoney(taxable),
+    ...splitGst(tax, supplyType)
+  };
+}
+
+/** Per-line taxable value and tax heads for a confirmed invoice. */
+export function invoiceTaxRows(invoice) {
+  const items = invoice?.items || [];
+  const { supplyType } = invoice?.supplyType ? invoice : resolveSupplyType(invoice);
+  const stored = items.length > 0 && items.every((i) => i.gstRate != null && i.taxableValue != null);
+  if (stored) {
+    return items.map((i) => ({
+      hsnSac: String(i.hsnSac || ''),
+      rate: Number(i.gstRate) || 0,
+      qty: Number(i.quantity) || 1,
+      taxableValue: roundMoney(i.taxableValue),
+      cgstAmount: roundMoney(i.cgstAmount),
+      sgstAmount: roundMoney(i.sgstAmount),
+      igstAmount: roundMoney(i.igstAmount)
+    }));
+  }
+  const tax = computeInvoiceTaxLines(invoice, { gstAmountOverride: invoice?.gstAmount });
+  if (tax.items.length) {
+    return tax.items.map((line, i) => taxRow({
+      hsnSac: items[i].hsnSac,
+      rate: line.gstRate,
+      qty: items[i].quantity || 1,
+      taxable: line.taxableValue,
+      tax: line.gstAmount,
+      supplyType
+    }));
+  }
+  return [taxRow({
+    rate: Number(invoice?.taxPercentage) || 0,
+    qty: 1,
+    taxable: tax.taxableValue,
+    tax: tax.gstAmount,
+    supplyType
+  })];
+}
+
+/**
+ * Credit note split back onto the invoice lines it credits (by lineIndex), or pro-rata over
+ * the whole invoice for notes without lines. The note's GST total is kept exactly.
+ */
+export function creditNoteTaxRows(note, invoice) {
+  const lines = invoiceTaxRows(invoice);
+  const lineGross = lines.map((l) => l.taxableValue + l.cgstAmount + l.sgstAmount + l.igstAmount);
+  const credited = lines.map(() => 0);
+  const qty = lines.map(() => 0);
+  const noteItems = (note?.items || []).filter((i) => Number.isInteger(i.lineIndex) && i.lineIndex < lines.length);
+  if (noteItems.length) {
+    for (const item of noteItems) {
+      credited[item.lineIndex] += Number(item.amount) || 0;
+      qty[item.lineIndex] += Number(item.quantity) || 0;
+    }
+  } else {
+    lineGross.forEach((g, i) => { credited[i] = g; });
+  }
+  const gross = allocateAmount(Number(note?.amount) || 0, credited);
+  const taxWeights = gross.map((g, i) => (lines[i].rate > 0 ? g * (lines[i].rate / (100 + lines[i].rate)) : 0));
+  const tax = allocateAmount(Number(note?.gstAmount) || 0, taxWeights);
+  const { supplyType } = invoice?.supplyType ? invoice : resolveSupplyType(invoice);
+  return lines
+    .map((line, i) => taxRow({
+      hsnSac: line.hsnSac,
+      rate: line.rate,
+      qty: qty[i],
+      taxable: gross[i] - tax[i],
+      tax: tax[i],
+      supplyType
+    }))
+    .filter((row, i) => gross[i] > 0);
+}
+
+function emptyTotals() {
+  return { taxableValue: 0, igstAmount: 0, cgstAmount: 0, sgstAmount: 0 };
+}
+
+function addTotals(into, row, sign = 1) {
+  for (const key of Object.keys(emptyTotals())) into[key] = roundMoney(into[key] + sign * (Number(row[key]) || 0));
+  return into;
+}
+
+/** Collapse rows of one document into one row per tax rate. */
+function byRate(rows) {
+  const map = new Map();
+  for (const row of rows) {
+    if (!map.has(row.rate)) map.set(row.rate, { rate: row.rate, ...emptyTotals() });
+    addTotals(map.get(row.rate), row);
+  }
+  return [...map.values()].sort((a, b) => a.rate - b.rate);
+}
+
+function documentValue(rows) {
+  return roundMoney(rows.reduce((s, r) => s + r.taxableValue + r.igstAmount + r.cgstAmount + r.sgstAmount, 0));
+}
+
+/**
+ * Normalise invoices and credit notes of one GSTIN into supply documents.
+ * `invoicesById` resolves the invoice behind each credit note.
+ */
+export function buildGstDocuments({ invoices = [], creditNotes = [], invoicesById = new Map() } = {}) {
+  const docs = [];
+  for (const inv of invoices) {
+    const rows = invoiceTaxRows(inv);
+    const { placeOfSupply, supplyType } = inv.placeOfSupply ? inv : resolveSupplyType(inv);
+    docs.push({
+      kind: 'INVOICE',
+      id: String(inv._id || ''),
+      number: inv.invoiceNumber,
+      date: invoiceSupplyDate(inv),
+      ctin: gstinStateCode(inv.customerGst) ? String(inv.customerGst).trim().toUpperCase() : null,
+      receiverName: inv.customerName || '',
+      placeOfSupply,
+      supplyType,
+      value: documentValue(rows),
+      rows
+    });
+  }
+  for (const note of creditNotes) {
+    const inv = invoicesById.get(String(note.invoiceId));
+    if (!inv) continue;
+    const rows = creditNoteTaxRows(note, inv);
+    const { placeOfSupply, supplyType } = inv.placeOfSupply ? inv : resolveSupplyType(inv);
+    docs.push({
+      kind: 'CREDIT_NOTE',
+      id: String(note._id || ''),
+      number: note.creditNoteNumber,
+      date: note.refundDate,
+      invoiceNumber: inv.invoiceNumber,
+      invoiceDate: invoiceSupplyDate(inv),
+      invoiceValue: documentValue(invoiceTaxRows(inv)),
+      ctin: gstinStateCode(inv.customerGst) ? String(inv.customerGst).trim().toUpperCase() : null,
+      receiverName: note.customerName || inv.customerName || '',
+      placeOfSupply,
+      supplyType,
+      value: roundMoney(Number(note.amount) || 0),
+      rows
+    });
+  }
+  return docs;
+}
+
+/** Unregistered inter-state invoice above the B2CL limit (a credit note is judged by its invoice). */
+function isB2clDocument(doc) {
+  if (doc.ctin || doc.supplyType !== 'INTER') return false;
+  const note = doc.kind === 'CREDIT_NOTE';
+  const date = note ? doc.invoiceDate : doc.date;
+  const limit = date && new Date(date) < B2CL_LIMIT_CHANGED_AT ? B2CL_INVOICE_LIMIT_BEFORE : B2CL_INVOICE_LIMIT;
+  return (note ? doc.invoiceValue : doc.value) > limit;
+}
+
+/**
+ * GSTR-1: B2B invoices (customer GSTIN), B2C large invoices (B2CL), B2C small summary by
+ * place of supply and rate (net of credit notes on B2C small invoices), credit notes to
+ * registered customers (CDNR) and on B2CL invoices (CDNUR), nil-rated supplies and the
+ * HSN summary (net of all credit notes).
+ */
+export function buildGstr1(docs = []) {
+  const b2b = [];
+  const b2cl = [];
+  const cdnr = [];
+  const cdnur = [];
+  const b2csMap = new Map();
+  const hsnMap = new Map();
+  const nil = { INTRAB2B: 0, INTRAB2C: 0, INTRB2B: 0, INTRB2C: 0 };
+
+  for (const doc of docs) {
+    const sign = doc.kind === 'CREDIT_NOTE' ? -1 : 1;
+    const taxed = doc.rows.filter((r) => r.rate > 0);
+    for (const row of doc.rows.filter((r) => !(r.rate > 0))) {
+      const key = `${doc.supplyType === 'INTER' ? 'INTR' : 'INTRA'}${doc.ctin ? 'B2B' : 'B2C'}`;
+      nil[key] = roundMoney(nil[key] + sign * row.taxableValue);
+    }
+    for (const row of doc.rows) {
+      const key = `${row.hsnSac}|${row.rate}`;
+      if (!hsnMap.has(key)) {
+        hsnMap.set(key, { hsnSac: row.hsnSac, uqc: uqcFor(row.hsnSac), rate: row.rate, qty: 0, totalValue: 0, ...emptyTotals() });
+      }
+      const h = hsnMap.get(key);
+      h.qty = roundMoney(h.qty + sign * row.qty);
+      h.totalValue = roundMoney(h.totalValue + sign * (row.taxableValue + row.igstAmount + row.cgstAmount + row.sgstAmount));
+      addTotals(h, row, sign);
+    }
+    if (!taxed.length) continue;
+
+    if (doc.ctin) {
+      const entry = {
+        ctin: doc.ctin,
+        receiverName: doc.receiverName,
+        number: doc.number,
+        date: doc.date,
+        value: doc.value,
+        placeOfSupply: doc.placeOfSupply,
+        supplyType: doc.supplyType,
+        items: byRate(taxed)
+      };
+      if (doc.kind === 'CREDIT_NOTE') cdnr.push({ ...entry, invoiceNumber: doc.invoiceNumber, invoiceDate: doc.invoiceDate });
+      else b2b.push(entry);
+      continue;
+    }
+    if (isB2clDocument(doc)) {
+      const entry = {
+        number: doc.number,
+        date: doc.date,
+        value: doc.value,
+        placeOfSupply: doc.placeOfSupply,
+        supplyType: doc.supplyType,
+        items: byRate(taxed)
+      };
+      if (doc.kind === 'CREDIT_NOTE') cdnur.push({ ...entry, invoiceNumber: doc.invoiceNumber, invoiceDate: doc.invoiceDate });
+      else b2cl.push(entry);
+      continue;
+    }
+    for (const row of byRate(taxed)) {
+      const key = `${doc.supplyType}|${doc.placeOfSupply}|${row.rate}`;
+      if (!b2csMap.has(key)) {
+        b2csMap.set(key, { supplyType: doc.supplyType, placeOfSupply: doc.placeOfSupply, rate: row.rate, ...emptyTotals() });
+      }
+      addTotals(b2csMap.get(key), row, sign);
+    }
+  }
+
+  const byDate = (a, b) => new Date(a.date) - new Date(b.date) || String(a.number).localeCompare(String(b.number));
+  const hsn = [...hsnMap.values()].sort((a, b) => a.hsnSac.localeCompare(b.hsnSac) || a.rate - b.rate);
+  const sumRows = (rows) => rows.reduce((t, r) => addTotals(t, r), emptyTotals());
+  return {
+    b2b: b2b.sort(byDate),
+    b2cl: b2cl.sort((a, b) => String(a.placeOfSupply).localeCompare(String(b.placeOfSupply)) || byDate(a, b)),
+    b2cs: [...b2csMap.values()].sort((a, b) => String(a.placeOfSupply).localeCompare(String(b.placeOfSupply)) || a.rate - b.rate),
+    cdnr: cdnr.sort(byDate),
+    cdnur: cdnur.sort(byDate),
+    nil,
+    hsn,
+    totals: {
+      b2b: sumRows(b2b.flatMap((d) => d.items)),
+      b2cl: sumRows(b2cl.flatMap((d) => d.items)),
+      b2cs: sumRows([...b2csMap.values()]),
+      cdnr: sumRows(cdnr.flatMap((d) => d.items)),
+      cdnur: sumRows(cdnur.flatMap((d) => d.items)),
+      hsn: sumRows(hsn)
+    },
+    missingHsn: hsn.filter((h) => !h.hsnSac).length > 0
+  };
+}
+
+/**
+ * GSTR-3B table 3.1 (outward supplies, net of credit notes) and table 3.2
+ * (inter-state supplies to unregistered persons by place of supply).
+ */
+export function buildGstr3b(docs = []) {
+  const taxable = emptyTotals();
+  let nilRated = 0;
+  const unregMap = new Map();
+  for (const doc of docs) {
+    const sign = doc.kind === 'CREDIT_NOTE' ? -1 : 1;
+    for (const row of doc.rows) {
+      if (row.rate > 0) addTotals(taxable, row, sign);
+      else nilRated = roundMoney(nilRated + sign * row.taxableValue);
+      if (row.rate > 0 && !doc.ctin && doc.supplyType === 'INTER') {
+        if (!unregMap.has(doc.placeOfSupply)) unregMap.set(doc.placeOfSupply, { placeOfSupply: doc.placeOfSupply, taxableValue: 0, igstAmount: 0 });
+        const u = unregMap.get(doc.placeOfSupply);
+        u.taxableValue = roundMoney(u.taxableValue + sign * row.taxableValue);
+        u.igstAmount = roundMoney(u.igstAmount + sign * row.igstAmount);
+      }
+    }
+  }
+  return {
+    outwardTaxable: taxable,
+    outwardNilExempt: { taxableValue: nilRated },
+    interStateUnregistered: [...unregMap.values()]
+  };
+}
+
+function portalDate(date, timezone) {
+  return date ? DateTime.fromJSDate(new Date(date)).setZone(timezone).toFormat('dd-MM-yyyy') : '';
+}
+
+function portalItems(items) {
+  return items.map((r, i) => ({
+    num: i + 1,
+    itm_det: {
+      txval: r.taxableValue,
+      rt: r.rate,
+      iamt: r.igstAmount,
+      camt: r.cgstAmount,
+      samt: r.sgstAmount,
+      csamt: 0
+    }
+  }));
+}
+
+function groupByCtin(entries, key, mapEntry) {
+  const map = new Map();
+  for (const e of entries) {
+    if (!map.has(e.ctin)) map.set(e.ctin, { ctin: e.ctin, [key]: [] });
+    map.get(e.ctin)[key].push(mapEntry(e));
+  }
+  return [...map.values()];
+}
+
+/** GSTR-1 in the GST portal offline-tool JSON layout. */
+export function gstr1PortalJson(gstr1, { gstin, fp, timezone }) {
+  return {
+    gstin,
+    fp,
+    b2b: groupByCtin(gstr1.b2b, 'inv', (d) => ({
+      inum: d.number,
+      idt: portalDate(d.date, timezone),
+      val: d.value,
+      pos: d.placeOfSupply,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: portalItems(d.items)
+    })),
+    b2cl: [...gstr1.b2cl.reduce((map, d) => {
+      if (!map.has(d.placeOfSupply)) map.set(d.placeOfSupply, { pos: d.placeOfSupply, inv: [] });
+      map.get(d.placeOfSupply).inv.push({
+        inum: d.number,
+        idt: portalDate(d.date, timezone),
+        val: d.value,
+        itms: portalItems(d.items)
+      });
+      return map;
+    }, new Map()).values()],
+    b2cs: gstr1.b2cs.map((r) => ({
+      sply_ty: r.supplyType,
+      pos: r.placeOfSupply,
+      typ: 'OE',
+      rt: r.rate,
+      txval: r.taxableValue,
+      iamt: r.igstAmount,
+      camt: r.cgstAmount,
+      samt: r.sgstAmount,
+      csamt: 0
+    })),
+    cdnr: groupByCtin(gstr1.cdnr, 'nt', (d) => ({
+      ntty: 'C',
+      nt_num: d.number,
+      nt_dt: portalDate(d.date, timezone),
+      val: d.value,
+      pos: d.placeOfSupply,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: portalItems(d.items)
+    })),
+    cdnur: gstr1.cdnur.map((d) => ({
+      typ: 'B2CL',
+      ntty: 'C',
+      nt_num: d.number,
+      nt_dt: portalDate(d.date, timezone),
+      val: d.value,
+      pos: d.placeOfSupply,
+      itms: portalItems(d.items)
+    })),
+    nil: {
+      inv: Object.entries(gstr1.nil).map(([sply_ty, amt]) => ({ sply_ty, nil_amt: amt, expt_amt: 0, ngsup_amt: 0 }))
+    },
+    hsn: {
+      data: gstr1.hsn.map((h, i) => ({
+        num: i + 1,
+        hsn_sc: h.hsnSac,
+        uqc: h.uqc,
+        qty: h.qty,
+        rt: h.rate,
+        txval: h.taxableValue,
+        iamt: h.igstAmount,
+        camt: h.cgstAmount,
+        samt: h.sgstAmount,
+        csamt: 0
+      }))
+    }
+  };
+}
+
+/** GSTR-3B in the GST portal JSON layout (tables 3.1 and 3.2). */
+export function gstr3bPortalJson(gstr3b, { gstin, fp }) {
+  const t = gstr3b.outwardTaxable;
+  const zero = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  return {
+    gstin,
+    ret_period: fp,
+    sup_details: {
+      osup_det: { txval: t.taxableValue, iamt: t.igstAmount, camt: t.cgstAmount, samt: t.sgstAmount, csamt: 0 },
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: gstr3b.outwardNilExempt.taxableValue },
+      isup_rev: zero,
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: gstr3b.interStateUnregistered.map((u) => ({ pos: u.placeOfSupply, txval: u.taxableValue, iamt: u.igstAmount })),
+      comp_details: [],
+      uin_details: []
+    }
+  };
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function stateLabel(code) {
+  return code ? `${code}-${GST_STATE_NAMES[code] || ''}` : '';
+}
+
+/** One GSTR-1 section as CSV with the offline-tool column headings. */
+export function gstr1SectionCsv(gstr1, section, { timezone }) {
+  const date = (d) => DateTime.fromJSDate(new Date(d)).setZone(timezone).toFormat('dd-LLL-yyyy');
+  switch (section) {
+    case 'b2b':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Receiver Name', 'Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Reverse Charge', 'Applicable % of Tax Rate', 'Invoice Type', 'E-Commerce GSTIN', 'Rate', 'Taxable Value', 'Cess Amount'],
+        gstr1.b2b.flatMap((d) => d.items.map((r) => [
+          d.ctin, d.receiverName, d.number, date(d.date), d.value, stateLabel(d.placeOfSupply), 'N', '', 'Regular B2B', '', r.rate, r.taxableValue, 0
+        ]))
+      );
+    case 'b2cl':
+      return toCsv(
+        ['Invoice Number', 'Invoice date', 'Invoice Value', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+        gstr1.b2cl.flatMap((d) => d.items.map((r) => [
+          d.number, date(d.date), d.value, stateLabel(d.placeOfSupply), '', r.rate, r.taxableValue, 0, ''
+        ]))
+      );
+    case 'b2cs':
+      return toCsv(
+        ['Type', 'Place Of Supply', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount', 'E-Commerce GSTIN'],
+        gstr1.b2cs.map((r) => ['OE', stateLabel(r.placeOfSupply), '', r.rate, r.taxableValue, 0, ''])
+      );
+    case 'cdnr':
+      return toCsv(
+        ['GSTIN/UIN of Recipient', 'Receiver Name', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Reverse Charge', 'Note Supply Type', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount'],
+        gstr1.cdnr.flatMap((d) => d.items.map((r) => [
+          d.ctin, d.receiverName, d.number, date(d.date), 'C', stateLabel(d.placeOfSupply), 'N', 'Regular B2B', d.value, '', r.rate, r.taxableValue, 0
+        ]))
+      );
+    case 'cdnur':
+      return toCsv(
+        ['UR Type', 'Note Number', 'Note Date', 'Note Type', 'Place Of Supply', 'Note Value', 'Applicable % of Tax Rate', 'Rate', 'Taxable Value', 'Cess Amount'],
+        gstr1.cdnur.flatMap((d) => d.items.map((r) => [
+          'B2CL', d.number, date(d.date), 'C', stateLabel(d.placeOfSupply), d.value, '', r.rate, r.taxableValue, 0
+        ]))
+      );
+    case 'hsn':
+      return toCsv(
+        ['HSN', 'Description', 'UQC', 'Total Quantity', 'Total Value', 'Rate', 'Taxable Value', 'Integrated Tax Amount', 'Central Tax Amount', 'State/UT Tax Amount', 'Cess Amount'],
+        gstr1.hsn.map((h) => [h.hsnSac, '', h.uqc, h.qty, h.totalValue, h.rate, h.taxableValue, h.igstAmount, h.cgstAmount, h.sgstAmount, 0])
+      );
+    case 'nil':
+      return toCsv(
+        ['Description', 'Nil Rated Supplies', 'Exempted(other than nil rated/non GST supply)', 'Non-GST Supplies'],
+        [
+          ['Inter-State supplies to registered persons', gstr1.nil.INTRB2B, 0, 0],
+          ['Intra-State supplies to registered persons', gstr1.nil.INTRAB2B, 0, 0],
+          ['Inter-State supplies to unregistered persons', gstr1.nil.INTRB2C, 0, 0],
+          ['Intra-State supplies to unregistered persons', gstr1.nil.INTRAB2C, 0, 0]
+        ]
+      );
+    default: {
+      const err = new Error(`section must be one of ${GSTR1_CSV_SECTIONS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+/** GSTR-3B table 3.1 as CSV. */
+export function gstr3bCsv(gstr3b) {
+  const t = gstr3b.outwardTaxable;
+  return toCsv(
+    ['Nature of Supplies', 'Total Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess'],
+    [
+      ['(a) Outward taxable supplies (other than zero rated, nil rated and exempted)', t.taxableValue, t.igstAmount, t.cgstAmount, t.sgstAmount, 0],
+      ['(b) Outward taxable supplies (zero rated)', 0, 0, 0, 0, 0],
+      ['(c) Other outward supplies (nil rated, exempted)', gstr3b.outwardNilExempt.taxableValue, 0, 0, 0, 0],
+      ['(d) Inward supplies (liable to reverse charge)', 0, 0, 0, 0, 0],
+      ['(e) Non-GST outward supplies', 0, 0, 0, 0, 0]
+    ]
+  );
+}
@@ -4,12 +4,20 @@ import { recalculateInvoiceFinalAmount } from './jobServiceLines.js';
 import { normalizeInvoicePaymentFields, roundMoney } from './invoicePayment.js';
 import { normalizeCreditCheckoutPayment } from './creditPayment.js';
 import { applyInvoiceDiscountFields, resolveInvoiceDiscount } from './invoiceDiscount.js';
-import { applyComputedGstAmount, ensureInvoiceGstSettings } from './invoiceGst.js';
+import {
+  applyComputedGstAmount,
+  applyGstAmountOverride,
+  ensureInvoiceGstSettings,
+  gstChargedOnTop,
+  refreshGstSplit
+} from './invoiceGst.js';
+import { applyPromoCodeToInvoice, refreshInvoicePromo } from '../services/promoCodeService.js';
 
 const LOCKED_FINANCIAL_KEYS = [
   'discount',
   'discountType',
   'discountAmount',
+  'promoCode',
   'taxPercentage',
   'gstAmount',
   'loyaltyRedeemedPoints',
@@ -77,7 +85,7 @@ async function applyLoyaltyRedemption(invoice, body, businessId) {
   }
 
   const { afterDiscount } = resolveInvoiceDiscount(invoice);
-  const gst = Number(invoice.gstAmount) || 0;
+  const gst = gstChargedOnTop(invoice);
   const billBeforeLoyalty = roundMoney(afterDiscount + gst);
   if (amount > billBeforeLoyalty + 0.02) {
     const err = new Error('Loyalty redemption cannot exceed the bill amount');
@@ -90,7 +98,20 @@ async function applyLoyaltyRedemption(invoice, body, businessId) {
 }
 
 /**
- * Apply discount, loyalty, GST, and checkout payment fields on an open (unpaid) invoice.
+ * Discount fields that would change the invoice discount. Zeros, or the promo discount
+ * echoed back by the checkout form, are not a manual discount.
+ */
+function manualDiscountRequested(invoice, body) {
+  const amount = Number(body.discountAmount) || 0;
+  const percent = Number(body.discount) || 0;
+  if (amount <= 0 && percent <= 0) return false;
+  if (!invoice.promoCodeId) return true;
+  const type = String(body.discountType || invoice.discountType || '').toUpperCase();
+  return !(type === 'AMOUNT' && roundMoney(amount) === roundMoney(invoice.promoDiscountAmount));
+}
+
+/**
+ * Apply discount, promo code, loyalty, GST, and checkout payment fields on an open (unpaid) invoice.
  */
 export async function applyOpenInvoiceFinancialFields(invoice, body, businessId) {
   if (body.finalAmount !== undefined) {
@@ -107,22 +128,42 @@ export async function applyOpenInvoiceFinancialFields(invoice, body, businessId)
     body.discountType !== undefined ||
     body.discountAmount !== undefined;
 
-  if (discountTouched) {
-    const settings = await BusinessSettings.findOne({ businessId })
-      .select('invoiceDiscountAmountEnabled')
-      .lean();
-    applyInvoiceDiscountFields(invoice, body, {
-      amountModeEnabled: !!settings?.invoiceDiscountAmountEnabled
-    });
+  // A promo code sets the discount; zero discount fields sent alongside it are ignored
+  const manualDiscount = discountTouched && manualDiscountRequested(invoice, body);
+  if (body.promoCode !== undefined && String(body.promoCode || '').trim()) {
+    if (manualDiscount) {
+      const err = new Error('Use either a promo code or a manual discount, not both');
+      err.status = 400;
+      throw err;
+    }
+    await applyPromoCodeToInvoice(invoice, body.promoCode, businessId);
+  } else {
+    if (body.promoCode !== undefined) await applyPromoCodeToInvoice(invoice, '', businessId);
+    if (invoice.promoCodeId && manualDiscount) {
+      const err = new Error(`Remove promo code ${invoice.promoCode} before entering a manual discount`);
+      err.status = 400;
+      throw err;
+    }
+    if (invoice.promoCodeId) {
+      // Lines may have changed since the code was applied
+      await refreshInvoicePromo(invoice, businessId);
+    } else if (discountTouched) {
+      const settings = await BusinessSettings.findOne({ businessId })
+        .select('invoiceDiscountAmountEnabled')
+        .lean();
+      applyInvoiceDiscountFields(invoice, body, {
+        amountModeEnabled: !!settings?.invoiceDiscountAmountEnabled
+      });
+    }
   }
 
   if (body.taxPercentage !== undefined) {
     invoice.taxPercentage = Math.max(0, Math.min(100, Number(body.taxPercentage) || 0));
   }
 
-  // GST on amount-after-discount (loyalty is applied after tax, matching the UI)
+  // Line GST on amount-after-discount (loyalty is applied after tax, matching the UI)
   if (body.gstAmount !== undefined) {
-    invoice.gstAmount = roundMoney(Math.max(0, Number(body.gstAmount) || 0));
+    applyGstAmountOverride(invoice, body.gstAmount);
   } else {
     applyComputedGstAmount(invoice);
   }
@@ -169,12 +210,24 @@ export async function applyOwnerLockedInvoiceFinancialFields(invoice, body, busi
 
   await ensureInvoiceGstSettings(invoice, businessId);
 
+  if (body.promoCode !== undefined && String(body.promoCode || '') !== String(invoice.promoCode || '')) {
+    const err = new Error('Promo codes cannot be changed on a closed invoice');
+    err.status = 400;
+    throw err;
+  }
+
   const discountTouched =
     body.discount !== undefined ||
     body.discountType !== undefined ||
     body.discountAmount !== undefined;
 
-  if (discountTouched) {
+  if (discountTouched && invoice.promoCodeId) {
+    if (manualDiscountRequested(invoice, body)) {
+      const err = new Error(`The discount on this invoice comes from promo code ${invoice.promoCode}`);
+      err.status = 400;
+      throw err;
+    }
+  } else if (discountTouched) {
     const settings = await BusinessSettings.findOne({ businessId })
       .select('invoiceDiscountAmountEnabled')
       .lean();
@@ -188,9 +241,12 @@ export async function applyOwnerLockedInvoiceFinancialFields(invoice, body, busi
   }
 
   if (body.gstAmount !== undefined) {
-    invoice.gstAmount = roundMoney(Math.max(0, Number(body.gstAmount) || 0));
+    applyGstAmountOverride(invoice, body.gstAmount);
   } else if (discountTouched || body.taxPercentage !== undefined || body.items !== undefined) {
     applyComputedGstAmount(invoice);
+  } else if (body.customerGst !== undefined || body.customerState !== undefined || body.companyGst !== undefined) {
+    // A GSTIN or customer state edit moves the place of supply (CGST/SGST ↔ IGST); the billed total stays
+    refreshGstSplit(invoice);
   }
 
   recalculateInvoiceFinalAmount(invoice);
@@ -1,22 +1,190 @@
 import BusinessSettings from '../models/BusinessSettings.model.js';
+import Service from '../models/Service.model.js';
 import { resolveInvoiceDiscount } from './invoiceDiscount.js';
 import { roundMoney } from './invoicePayment.js';
 
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const GSTIN_STATE_RE = /^(\d{2})[A-Z0-9]{13}$/;
+const HSN_SAC_RE = /^\d{4,8}$/;
+
+export function normalizeHsnSac(value) {
+  return String(value ?? '').replace(/\s+/g, '');
+}
+
+/** HSN (goods) / SAC (services) codes are 4, 6 or 8 digits; blank is allowed. */
+export function isValidHsnSac(value) {
+  const code = normalizeHsnSac(value);
+  return !code || HSN_SAC_RE.test(code);
+}
+
+/** Two-digit state code from a 15-character GSTIN, or null. */
+export function gstinStateCode(gstin) {
+  const match = GSTIN_STATE_RE.exec(String(gstin || '').trim().toUpperCase());
+  return match ? match[1] : null;
+}
+
 /**
- * Compute GST on amount-after-discount when company GSTIN + tax % are set.
+ * Place of supply is the customer's GSTIN state; unregistered customers are billed in their
+ * recorded state (customerState), else the supplier's. Supply across states is INTER (IGST),
+ * otherwise INTRA (CGST + SGST).
  */
-export function computeInvoiceGstAmount(invoice) {
+export function resolveSupplyType(invoice) {
+  const supplierState = gstinStateCode(invoice?.companyGst);
+  const customerState = /^\d{2}$/.test(String(invoice?.customerState || '').trim()) ? String(invoice.customerState).trim() : null;
+  const placeOfSupply = gstinStateCode(invoice?.customerGst) || customerState || supplierState;
+  const supplyType = supplierState && placeOfSupply && placeOfSupply !== supplierState ? 'INTER' : 'INTRA';
+  return { placeOfSupply, supplyType };
+}
+
+export function splitGst(tax, supplyType) {
+  const total = roundMoney(tax);
+  if (supplyType === 'INTER') {
+    return { cgstAmount: 0, sgstAmount: 0, igstAmount: total };
+  }
+  const cgstAmount = roundMoney(total / 2);
+  return { cgstAmount, sgstAmount: roundMoney(total - cgstAmount), igstAmount: 0 };
+}
+
+/** Spread `total` over `weights` in paise; the last weighted row absorbs rounding. */
+export function allocateAmount(total, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  const out = weights.map(() => 0);
+  if (!(sum > 0)) return out;
+  let lastIndex = -1;
+  weights.forEach((w, i) => { if (w > 0) lastIndex = i; });
+  let used = 0;
+  weights.forEach((w, i) => {
+    if (i === lastIndex) return;
+    out[i] = roundMoney(total * (w / sum));
+    used += out[i];
+  });
+  out[lastIndex] = roundMoney(total - used);
+  return out;
+}
+
+function lineRate(item, defaultRate) {
+  const raw = item?.taxRate;
+  if (raw == null || raw === '' || !Number.isFinite(Number(raw))) return defaultRate;
+  return Math.max(0, Math.min(100, Number(raw)));
+}
+
+/**
+ * Line-level GST for an invoice. The invoice discount is spread over lines by their gross
+ * amount, then each line is taxed at its own rate (item.taxRate, else invoice.taxPercentage).
+ * Tax is rounded per rate so a single-rate invoice matches the old whole-bill figure.
+ * With pricesIncludeTax the line amounts already contain GST and it is carved out of them.
+ * No company GSTIN → no GST.
+ *
+ * @param {object} invoice
+ * @param {{ gstAmountOverride?: number }} [opts] - manual GST total, spread over lines pro-rata
+ */
+export function computeInvoiceTaxLines(invoice, { gstAmountOverride } = {}) {
   const { afterDiscount } = resolveInvoiceDiscount(invoice);
-  const taxPct = Number(invoice?.taxPercentage) || 0;
-  const hasGst = !!(invoice?.companyGst && String(invoice.companyGst).trim() && taxPct > 0);
-  return hasGst ? roundMoney(afterDiscount * (taxPct / 100)) : 0;
+  const hasGstin = !!String(invoice?.companyGst || '').trim();
+  const inclusive = !!invoice?.pricesIncludeTax;
+  const defaultRate = Math.max(0, Math.min(100, Number(invoice?.taxPercentage) || 0));
+  const { placeOfSupply, supplyType } = resolveSupplyType(invoice);
+
+  const items = Array.isArray(invoice?.items) ? invoice.items : [];
+  const gross = items.map((i) => Math.max(0, (Number(i.servicePrice) || 0) * (Number(i.quantity) || 1)));
+  // Legacy invoices without priced lines: one virtual line at the invoice rate
+  const legacy = !(gross.reduce((s, g) => s + g, 0) > 0);
+  const rows = legacy
+    ? [{ net: afterDiscount, rate: defaultRate }]
+    : allocateAmount(afterDiscount, gross).map((net, i) => ({ net, rate: lineRate(items[i], defaultRate) }));
+
+  for (const row of rows) {
+    row.rate = hasGstin ? row.rate : 0;
+    row.tax = 0;
+  }
+  const byRate = new Map();
+  rows.forEach((row, i) => {
+    if (!(row.rate > 0)) return;
+    if (!byRate.has(row.rate)) byRate.set(row.rate, []);
+    byRate.get(row.rate).push(i);
+  });
+  for (const [rate, indexes] of byRate) {
+    const net = indexes.reduce((s, i) => s + rows[i].net, 0);
+    const tax = roundMoney(inclusive ? net * (rate / (100 + rate)) : net * (rate / 100));
+    allocateAmount(tax, indexes.map((i) => rows[i].net)).forEach((t, k) => { rows[indexes[k]].tax = t; });
+  }
+
+  if (gstAmountOverride !== undefined) {
+    const raw = Number(gstAmountOverride);
+    if (!Number.isFinite(raw) || raw < 0) throw httpError('GST amount must be zero or more');
+    const total = roundMoney(raw);
+    const computed = rows.map((r) => r.tax);
+    const weights = computed.some((t) => t > 0) ? computed : rows.map((r) => r.net);
+    allocateAmount(total, weights).forEach((t, i) => { rows[i].tax = t; });
+    // Tax-inclusive lines: the GST is carved out of the line, so it cannot be more than the line
+    if (inclusive && rows.some((r) => r.tax > r.net + 0.001)) {
+      throw httpError('GST amount cannot be more than the tax-inclusive amount it is taken from');
+    }
+  }
+
+  const lines = rows.map((row) => ({
+    gstRate: row.rate,
+    taxableValue: roundMoney(inclusive ? row.net - row.tax : row.net),
+    gstAmount: row.tax,
+    ...splitGst(row.tax, supplyType)
+  }));
+  const sum = (key) => roundMoney(lines.reduce((s, l) => s + l[key], 0));
+  return {
+    items: legacy ? [] : lines,
+    placeOfSupply: hasGstin ? placeOfSupply : null,
+    supplyType: hasGstin ? supplyType : null,
+    taxableValue: sum('taxableValue'),
+    gstAmount: sum('gstAmount'),
+    cgstAmount: sum('cgstAmount'),
+    sgstAmount: sum('sgstAmount'),
+    igstAmount: sum('igstAmount')
+  };
 }
 
-export function applyComputedGstAmount(invoice) {
-  invoice.gstAmount = computeInvoiceGstAmount(invoice);
+/** Total GST on the invoice (line-level; see computeInvoiceTaxLines). */
+export function computeInvoiceGstAmount(invoice) {
+  return computeInvoiceTaxLines(invoice).gstAmount;
+}
+
+/** GST added on top of the discounted amount — zero when prices already include tax. */
+export function gstChargedOnTop(invoice) {
+  return invoice?.pricesIncludeTax ? 0 : (Number(invoice?.gstAmount) || 0);
+}
+
+function writeTaxLines(invoice, result) {
+  result.items.forEach((line, i) => {
+    const row = invoice.items[i];
+    for (const [key, value] of Object.entries(line)) row[key] = value;
+  });
+  invoice.placeOfSupply = result.placeOfSupply;
+  invoice.supplyType = result.supplyType;
+  invoice.taxableValue = result.taxableValue;
+  invoice.gstAmount = result.gstAmount;
+  invoice.cgstAmount = result.cgstAmount;
+  invoice.sgstAmount = result.sgstAmount;
+  invoice.igstAmount = result.igstAmount;
   return invoice.gstAmount;
 }
 
+export function applyComputedGstAmount(invoice) {
+  return writeTaxLines(invoice, computeInvoiceTaxLines(invoice));
+}
+
+/** Manually entered GST total: spread over the lines and re-split by place of supply. */
+export function applyGstAmountOverride(invoice, gstAmount) {
+  return writeTaxLines(invoice, computeInvoiceTaxLines(invoice, { gstAmountOverride: gstAmount }));
+}
+
+/** Re-split the billed GST after a GSTIN edit on a closed invoice; the total does not change. */
+export function refreshGstSplit(invoice) {
+  return applyGstAmountOverride(invoice, Number(invoice.gstAmount) || 0);
+}
+
 /**
  * Ensure invoice has taxPercentage (and companyGst when available) from business settings
  * so checkout totals match the UI when GST is enabled.
@@ -49,25 +217,62 @@ export async function ensureInvoiceGstSettings(invoice, businessId) {
   return invoice;
 }
 
+/**
+ * HSN/SAC and tax rate per catalog service, for snapshotting onto invoice lines.
+ * Services without a code fall back to the business default HSN/SAC.
+ * taxRate null → the invoice uses the business tax %.
+ */
+export async function loadServiceTaxMap(businessId, serviceIds = []) {
+  const ids = [...new Set((serviceIds || []).map((id) => String(id?._id || id || '')).filter(Boolean))];
+  if (!ids.length) return new Map();
+  const [catalog, settings] = await Promise.all([
+    Service.find({ businessId, _id: { $in: ids } }).select('hsnSac taxRate').lean(),
+    BusinessSettings.findOne({ businessId }).select('defaultHsnSac').lean()
+  ]);
+  const defaultCode = normalizeHsnSac(settings?.defaultHsnSac);
+  return new Map(catalog.map((s) => [String(s._id), {
+    hsnSac: normalizeHsnSac(s.hsnSac) || defaultCode,
+    taxRate: s.taxRate ?? null
+  }]));
+}
+
 /**
  * Snapshot GST fields for a new invoice from company + settings.
+ * `items` (optional) carry their own hsnSac / taxRate; the returned items include line tax.
  */
-export async function buildGstFieldsForNewInvoice(businessId, { companyGst, subtotal } = {}) {
+export async function buildGstFieldsForNewInvoice(businessId, { companyGst, customerGst, subtotal, items = [] } = {}) {
   const settings = await BusinessSettings.findOne({ businessId })
-    .select('gstNumber taxPercentage')
+    .select('gstNumber taxPercentage gstPricesIncludeTax defaultHsnSac')
     .lean();
   const gstin = String(companyGst || settings?.gstNumber || '').trim() || null;
   const taxPercentage =
     gstin && settings?.taxPercentage != null && settings.taxPercentage !== ''
       ? Math.max(0, Math.min(100, Number(settings.taxPercentage) || 0))
       : null;
-  const hasGst = !!(gstin && taxPercentage > 0);
+  const pricesIncludeTax = !!(gstin && settings?.gstPricesIncludeTax);
+  const defaultCode = normalizeHsnSac(settings?.defaultHsnSac);
   const base = roundMoney(Math.max(0, Number(subtotal) || 0));
-  const gstAmount = hasGst ? roundMoney(base * (taxPercentage / 100)) : 0;
+  const draft = {
+    companyGst: gstin,
+    customerGst,
+    taxPercentage,
+    pricesIncludeTax,
+    subtotal: base,
+    items: (items || []).map((item) => ({ ...item, hsnSac: normalizeHsnSac(item.hsnSac) || defaultCode }))
+  };
+  const tax = computeInvoiceTaxLines(draft);
   return {
     companyGst: gstin,
-    taxPercentage: hasGst ? taxPercentage : null,
-    gstAmount,
-    finalAmount: roundMoney(base + gstAmount)
+    taxPercentage: taxPercentage > 0 ? taxPercentage : null,
+    pricesIncludeTax,
+    items: draft.items.map((item, i) => ({ ...item, ...(tax.items[i] || {}) })),
+    placeOfSupply: tax.placeOfSupply,
+    supplyType: tax.supplyType,
+    taxableValue: tax.taxableValue,
+    gstAmount: tax.gstAmount,
+    cgstAmount: tax.cgstAmount,
+    sgstAmount: tax.sgstAmount,
+    igstAmount: tax.igstAmount,
+    finalAmount: roundMoney(base + (pricesIncludeTax ? 0 : tax.gstAmount))
   };
 }
@@ -0,0 +1,298 @@
+import Invoice from '../models/Invoice.model.js';
+import Job from '../models/Job.model.js';
+import Customer from '../models/Customer.model.js';
+import Service from '../models/Service.model.js';
+import CreditNote, { generateCreditNoteNumberForBusiness } from '../models/CreditNote.model.js';
+import { computeLoyaltyEarnedForJobServices } from './directBillJob.js';
+import { restoreServiceStock } from './serviceInventory.js';
+import { lineQuantity, shouldTrackInventory } from './serviceCatalog.js';
+import { roundMoney } from './invoicePayment.js';
+import { appendCreditLedgerEvent } from '../services/credit/creditLedgerService.js';
+import { computeOutstanding, getTotalCollected, syncInvoiceOutstanding } from '../services/credit/outstandingService.js';
+import { invalidateDashboardForBusiness } from './dashboardFinancialSync.js';
+
+const EPS = 0.02;
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function isInvoiceClosedForRefund(invoice) {
+  return invoice?.paymentStatus === 'RECEIVED' ||
+    (invoice?.settlementMode === 'CREDIT' && !!invoice?.saleConfirmedAt);
+}
+
+/** Quantity already credited per invoice line index across earlier credit notes. */
+export function refundedQuantityByLine(creditNotes = []) {
+  const byLine = new Map();
+  for (const note of creditNotes) {
+    for (const item of note.items || []) {
+      byLine.set(item.lineIndex, (byLine.get(item.lineIndex) || 0) + lineQuantity(item.quantity));
+    }
+  }
+  return byLine;
+}
+
+/**
+ * Resolve the lines being credited and their share of the invoice total.
+ * Line amounts are apportioned by finalAmount / line gross so discount and GST come back pro rata.
+ * full=true credits every remaining quantity.
+ */
+export function buildRefundLines(invoice, requested = [], { full = false, priorCreditNotes = [] } = {}) {
+  const items = invoice.items || [];
+  const gross = items.reduce((s, i) => s + (Number(i.servicePrice) || 0) * lineQuantity(i.quantity), 0);
+  const ratio = gross > 0 ? (Number(invoice.finalAmount) || 0) / gross : 0;
+  const already = refundedQuantityByLine(priorCreditNotes);
+
+  const wanted = full
+    ? items.map((item, lineIndex) => ({
+      lineIndex,
+      quantity: lineQuantity(item.quantity) - (already.get(lineIndex) || 0)
+    })).filter((r) => r.quantity > 0)
+    : requested;
+
+  const seen = new Set();
+  return wanted.map((row) => {
+    const lineIndex = Number(row.lineIndex);
+    const item = Number.isInteger(lineIndex) ? items[lineIndex] : null;
+    if (!item) throw httpError(`Invoice line ${row.lineIndex} not found`);
+    if (seen.has(lineIndex)) throw httpError(`Invoice line ${lineIndex} listed twice`);
+    seen.add(lineIndex);
+
+    const quantity = Math.floor(Number(row.quantity) || 0);
+    const remaining = lineQuantity(item.quantity) - (already.get(lineIndex) || 0);
+    if (quantity < 1) throw httpError(`Refund quantity for "${item.serviceName}" must be at least 1`);
+    if (quantity > remaining) {
+      throw httpError(`Only ${Math.max(0, remaining)} of "${item.serviceName}" left to refund`);
+    }
+    return {
+      lineIndex,
+      serviceId: item.serviceId || null,
+      serviceName: item.serviceName,
+      servicePrice: Number(item.servicePrice) || 0,
+      quantity,
+      amount: roundMoney((Number(item.servicePrice) || 0) * quantity * ratio)
+    };
+  });
+}
+
+/**
+ * Split a refund between writing off the pay-later balance and paying money back.
+ * Outstanding is reduced first; only the rest is handed back in cash / online.
+ */
+export function splitRefundSettlement(amount, outstanding) {
+  const total = roundMoney(amount);
+  const adjusted = roundMoney(Math.min(total, Math.max(0, Number(outstanding) || 0)));
+  return { adjusted, paidOut: roundMoney(total - adjusted) };
+}
+
+/** Loyalty points to take back (earned on the refunded lines) and give back (redeemed, on a closing refund). */
+async function planLoyaltyReversal({ businessId, invoice, lines, closesInvoice }) {
+  if (!invoice.customerId) return { reversed: 0, returned: 0 };
+
+  let reversed = 0;
+  if (invoice.loyaltyEarnAppliedAt && lines.length) {
+    reversed = await computeLoyaltyEarnedForJobServices(
+      businessId,
+      lines.filter((l) => l.serviceId).map((l) => ({ serviceId: l.serviceId, quantity: l.quantity }))
+    );
+  }
+  let returned = 0;
+  if (closesInvoice && invoice.loyaltyRedeemAppliedAt) {
+    returned = Math.max(0, Math.floor(Number(invoice.loyaltyRedeemedPoints) || 0));
+  }
+  return { reversed, returned };
+}
+
+async function applyLoyaltyReversal({ businessId, invoice, loyalty }) {
+  if (loyalty.reversed <= 0 && loyalty.returned <= 0) return;
+  const customer = await Customer.findOne({ _id: invoice.customerId, businessId }).select('loyaltyPointsBalance');
+  if (!customer) return;
+  const balance = Number(customer.loyaltyPointsBalance || 0);
+  customer.loyaltyPointsBalance = Math.max(0, balance - loyalty.reversed + loyalty.returned);
+  await customer.save();
+}
+
+/**
+ * Tracked products that go back on the shelf (only when the sale took them out of stock).
+ * Marks line.restockedQuantity so the credit note records it.
+ */
+async function planRefundRestock({ businessId, invoice, lines }) {
+  if (!invoice.jobId) return [];
+  const job = await Job.findOne({ _id: invoice.jobId, businessId }).select('directBill productStockDeductedAt').lean();
+  if (!job?.directBill && !job?.productStockDeductedAt) return [];
+
+  const serviceIds = lines.map((l) => l.serviceId).filter(Boolean);
+  if (!serviceIds.length) return [];
+  const catalog = await Service.find({ businessId, _id: { $in: serviceIds } }).lean();
+  const tracked = new Set(catalog.filter(shouldTrackInventory).map((s) => String(s._id)));
+
+  const restock = [];
+  for (const line of lines) {
+    if (!line.serviceId || !tracked.has(String(line.serviceId))) continue;
+    restock.push({ serviceId: line.serviceId, quantity: line.quantity });
+    line.restockedQuantity = line.quantity;
+  }
+  return restock;
+}
+
+/**
+ * Business-owner action: issue a numbered credit note against a closed invoice.
+ * - items: [{ lineIndex, quantity }] for a line refund, or full=true for everything left
+ * - amount: goodwill refund with no lines (no restock / loyalty change)
+ * Pay-later balances are written down first; any remainder is paid back via refundMethod.
+ */
+export async function refundInvoice({
+  businessId,
+  invoiceId,
+  user,
+  full = false,
+  items = [],
+  amount = null,
+  refundMethod = null,
+  onlinePaymentMode = 'UPI',
+  restock = true,
+  reason = ''
+}) {
+  const invoice = await Invoice.findOne({ _id: invoiceId, businessId });
+  if (!invoice) throw httpError('Invoice not found', 404);
+  if (!isInvoiceClosedForRefund(invoice)) {
+    throw httpError('Only closed invoices can be refunded. Edit the open invoice instead.');
+  }
+
+  const refundable = roundMoney((Number(invoice.finalAmount) || 0) - (Number(invoice.refundedAmount) || 0));
+  if (refundable <= EPS) throw httpError('Invoice is already fully refunded');
+
+  const priorCreditNotes = await CreditNote.find({ businessId, invoiceId: invoice._id }).select('items').lean();
+  const hasLines = full || (Array.isArray(items) && items.length > 0);
+  const lines = hasLines ? buildRefundLines(invoice, items, { full, priorCreditNotes }) : [];
+
+  let total;
+  if (full) {
+    total = refundable;
+  } else if (lines.length) {
+    total = roundMoney(Math.min(refundable, lines.reduce((s, l) => s + l.amount, 0)));
+  } else {
+    total = roundMoney(Number(amount) || 0);
+    if (total <= 0) throw httpError('Select lines to refund or enter a refund amount');
+    if (total > refundable + EPS) throw httpError(`Refund exceeds refundable balance (${refundable})`);
+    total = Math.min(total, refundable);
+  }
+  if (total <= 0) throw httpError('Nothing to refund on the selected lines');
+
+  const isCredit = invoice.settlementMode === 'CREDIT';
+  const { adjusted, paidOut } = splitRefundSettlement(total, isCredit ? computeOutstanding(invoice) : 0);
+  const priorPaidOut = roundMoney((Number(invoice.refundedAmount) || 0) - (Number(invoice.refundAdjustedAmount) || 0));
+  if (paidOut > roundMoney(getTotalCollected(invoice) - priorPaidOut) + EPS) {
+    throw httpError('Refund exceeds the amount collected on this invoice');
+  }
+
+  let method = 'CREDIT_ADJUSTMENT';
+  if (paidOut > EPS) {
+    method = String(refundMethod || '').toUpperCase();
+    if (!['CASH', 'ONLINE'].includes(method)) {
+      throw httpError('Refund method (CASH or ONLINE) is required when money is paid back');
+    }
+  }
+
+  const closesInvoice = total >= refundable - EPS;
+  const refundType = closesInvoice && roundMoney(Number(invoice.refundedAmount) || 0) <= EPS ? 'FULL' : 'PARTIAL';
+  const finalAmount = Number(invoice.finalAmount) || 0;
+  const gstAmount = finalAmount > 0
+    ? roundMoney((Number(invoice.gstAmount) || 0) * (total / finalAmount))
+    : 0;
+
+  const restockRows = restock && lines.length ? await planRefundRestock({ businessId, invoice, lines }) : [];
+  const loyalty = await planLoyaltyReversal({ businessId, invoice, lines, closesInvoice });
+
+  // Claim the refund on the invoice first: only succeeds if no other refund landed since we read it,
+  // so two concurrent refunds cannot both pass the remaining-amount / remaining-quantity checks.
+  const priorRefunded = Number(invoice.refundedAmount) || 0;
+  const claimed = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      businessId,
+      refundedAmount: priorRefunded > 0 ? priorRefunded : { $in: [0, null] }
+    },
+    { $inc: { refundedAmount: total, refundAdjustedAmount: adjusted } },
+    { new: true }
+  );
+  if (!claimed) throw httpError('Another refund was just recorded on this invoice. Reload and try again.', 409);
+
+  let creditNote;
+  let creditNoteNumber;
+  try {
+    creditNoteNumber = await generateCreditNoteNumberForBusiness(businessId);
+    creditNote = await CreditNote.create({
+      businessId,
+      branchId: invoice.branchId || null,
+      creditNoteNumber,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      saleType: invoice.saleType || 'JOB',
+      jobId: invoice.jobId || undefined,
+      customerId: invoice.customerId || undefined,
+      customerName: invoice.customerName,
+      refundType,
+      items: lines,
+      amount: total,
+      gstAmount,
+      adjustedAgainstOutstanding: adjusted,
+      refundMethod: method,
+      onlinePaymentMode: String(onlinePaymentMode || '').toUpperCase() === 'CARD' ? 'CARD' : 'UPI',
+      refundCashAmount: method === 'CASH' ? paidOut : 0,
+      refundOnlineAmount: method === 'ONLINE' ? paidOut : 0,
+      loyaltyPointsReversed: loyalty.reversed,
+      loyaltyPointsReturned: loyalty.returned,
+      reason: String(reason || '').trim().slice(0, 500) || undefined,
+      refundDate: new Date(),
+      createdBy: user._id
+    });
+  } catch (err) {
+    // Give the claimed amount back so the invoice is not left part-refunded without a credit note
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $inc: { refundedAmount: -total, refundAdjustedAmount: -adjusted } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  // Stock and loyalty move only once the credit note exists
+  if (restockRows.length) {
+    await restoreServiceStock(businessId, restockRows, {
+      userId: user?._id,
+      branchId: invoice.branchId || null,
+      source: { kind: 'INVOICE', id: invoice._id, label: invoice.invoiceNumber },
+      notes: 'Refund restock'
+    });
+  }
+  await applyLoyaltyReversal({ businessId, invoice, loyalty });
+
+  if (closesInvoice && loyalty.returned > 0) claimed.loyaltyRedeemAppliedAt = null;
+  if (isCredit) syncInvoiceOutstanding(claimed);
+  await claimed.save();
+
+  await appendCreditLedgerEvent({
+    businessId,
+    customerId: invoice.customerId,
+    invoiceId: invoice._id,
+    eventType: 'REFUND',
+    amount: total,
+    notes: `Credit note ${creditNoteNumber}`,
+    createdBy: user?._id,
+    metadata: {
+      creditNoteId: creditNote._id,
+      creditNoteNumber,
+      refundType,
+      adjustedAgainstOutstanding: adjusted,
+      paidOut,
+      refundMethod: method
+    }
+  });
+
+  invalidateDashboardForBusiness(businessId);
+
+  return { creditNote, invoice: claimed };
+}
@@ -14,7 +14,7 @@ function round2(n) {
  * Business-owner action: reopen a closed invoice so checkout/close can run again.
  * - Cash/full paid: clear RECEIVED
  * - Credit closed: clear saleConfirmedAt / credit mode
- * Does not restore product stock. Blocks if later collections exist.
+ * Does not restore product stock. Blocks if later collections or credit notes exist.
  */
 export async function reopenInvoiceAsUnpaid({
   businessId,
@@ -47,6 +47,12 @@ export async function reopenInvoiceAsUnpaid({
     throw err;
   }
 
+  if (round2(Number(invoice.refundedAmount) || 0) > 0.02) {
+    const err = new Error('Cannot mark unpaid: credit notes were issued against this invoice.');
+    err.status = 400;
+    throw err;
+  }
+
   const laterCollection = await PaymentCollection.findOne({
     businessId,
     'allocations.invoiceId': invoice._id
@@ -95,3 +95,11 @@ export function normalizeJobAdvanceForCreate(body, advanceTotal, opts = {}) {
     advanceOnlinePaymentMode: resolveMode()
   };
 }
+
+/**
+ * Match jobs whose advance was received in `range`: a booking deposit carried into the job
+ * counts on the day it was paid (advanceReceivedAt), any other advance on the job's createdAt.
+ */
+export function advanceReceivedMatch(range) {
+  return { $or: [{ advanceReceivedAt: range }, { advanceReceivedAt: null, createdAt: range }] };
+}
@@ -1,6 +1,15 @@
 import Service from '../models/Service.model.js';
 import { isProductCatalogService } from './jobCart.js';
-import { assertSufficientStock, deductServiceStockForSale, restoreServiceStock } from './serviceInventory.js';
+import {
+  assertSufficientStock,
+  consumablesForJobLines,
+  consumeServiceStock,
+  deductServiceStockForSale,
+  restoreServiceStock,
+  roundStockQuantity
+} from './serviceInventory.js';
+import { lineQuantity } from './serviceCatalog.js';
+import { roundMoney } from './invoicePayment.js';
 
 /**
  * Soft stock check for wash jobs that include tracked products (at create/edit).
@@ -13,11 +22,12 @@ export async function assertProductStockForJobLines(businessId, jobLines = [], c
 }
 
 /**
- * Deduct tracked product stock when a wash job is delivered.
+ * Deduct tracked product stock when a wash job is delivered, then the consumables in the
+ * wash services' recipes (recorded on job.consumablesUsed).
  * Idempotent via job.productStockDeductedAt. Skips directBill (deducted at create).
- * Mutates job.productStockDeductedAt when successful / no products.
+ * Mutates job.productStockDeductedAt / consumablesUsed when successful.
  */
-export async function deductProductStockOnWashJobDelivery(job, businessId) {
+export async function deductProductStockOnWashJobDelivery(job, businessId, { userId = null } = {}) {
   if (!job || job.directBill) return { deducted: false };
   if (job.productStockDeductedAt) return { deducted: false, already: true };
 
@@ -36,19 +46,32 @@ export async function deductProductStockOnWashJobDelivery(job, businessId) {
   }).lean();
 
   const hasProducts = catalogServices.some(isProductCatalogService);
-  if (!hasProducts) {
+  const consumableRows = consumablesForJobLines(job.services, catalogServices);
+  if (!hasProducts && !consumableRows.length) {
     job.productStockDeductedAt = new Date();
     return { deducted: false };
   }
 
+  const movement = {
+    userId,
+    branchId: job.branchId || null,
+    source: { kind: 'JOB', id: job._id, label: job.tokenNumber }
+  };
   let deductions = [];
   try {
-    deductions = await deductServiceStockForSale(businessId, job.services, catalogServices);
+    if (hasProducts) {
+      deductions = await deductServiceStockForSale(businessId, job.services, catalogServices, {
+        ...movement,
+        type: 'DELIVERY'
+      });
+    }
+    const consumablesUsed = await consumeServiceStock(businessId, consumableRows, movement);
+    job.consumablesUsed = consumablesUsed;
     job.productStockDeductedAt = new Date();
-    return { deducted: deductions.length > 0, deductions };
+    return { deducted: deductions.length > 0 || consumablesUsed.length > 0, deductions, consumablesUsed };
   } catch (err) {
     if (deductions.length) {
-      await restoreServiceStock(businessId, deductions).catch(() => {});
+      await restoreServiceStock(businessId, deductions, { ...movement, notes: 'Delivery deduction rolled back' }).catch(() => {});
     }
     throw err;
   }
@@ -58,7 +81,7 @@ export async function deductProductStockOnWashJobDelivery(job, businessId) {
  * For paths that set DELIVERED via findOneAndUpdate (close-job / credit).
  * Loads the job, deducts stock, then sets status.
  */
-export async function markJobDeliveredWithProductStock({ jobId, businessId, extraSet = {} }) {
+export async function markJobDeliveredWithProductStock({ jobId, businessId, extraSet = {}, userId = null }) {
   const Job = (await import('../models/Job.model.js')).default;
   const job = await Job.findOne({ _id: jobId, businessId });
   if (!job) {
@@ -68,15 +91,60 @@ export async function markJobDeliveredWithProductStock({ jobId, businessId, extr
   }
 
   if (job.status !== 'DELIVERED') {
-    await deductProductStockOnWashJobDelivery(job, businessId);
+    await deductProductStockOnWashJobDelivery(job, businessId, { userId });
     job.status = 'DELIVERED';
     job.actualDelivery = new Date();
     Object.assign(job, extraSet);
     await job.save();
   } else if (!job.directBill && !job.productStockDeductedAt) {
-    await deductProductStockOnWashJobDelivery(job, businessId);
+    await deductProductStockOnWashJobDelivery(job, businessId, { userId });
     await job.save();
   }
 
   return job;
 }
+
+/**
+ * Consumable usage from delivered jobs' consumablesUsed: per consumable (quantity, cost, shortfall)
+ * and per wash service (washes, consumable cost, cost per wash).
+ * serviceNames maps wash service id → name; washes are counted from job lines.
+ */
+export function summarizeConsumablesUsage(jobs = [], serviceNames = new Map()) {
+  const byConsumable = new Map();
+  const byWash = new Map();
+  const washRow = (sid) => {
+    if (!byWash.has(sid)) {
+      byWash.set(sid, { serviceId: sid, name: serviceNames.get(sid) || 'Service', washes: 0, cost: 0 });
+    }
+    return byWash.get(sid);
+  };
+  for (const job of jobs) {
+    const used = job.consumablesUsed || [];
+    const washesInJob = new Set(used.map((u) => String(u.forServiceId || '')).filter(Boolean));
+    for (const line of job.services || []) {
+      const sid = String(line.serviceId?._id || line.serviceId || '');
+      if (washesInJob.has(sid)) washRow(sid).washes += lineQuantity(line.quantity);
+    }
+    for (const u of used) {
+      const key = String(u.serviceId);
+      const row = byConsumable.get(key) || { serviceId: u.serviceId, name: u.name, quantity: 0, shortQuantity: 0, cost: 0 };
+      row.quantity = roundStockQuantity(row.quantity + (Number(u.quantity) || 0));
+      row.shortQuantity = roundStockQuantity(row.shortQuantity + (Number(u.shortQuantity) || 0));
+      row.cost = roundMoney(row.cost + (Number(u.cost) || 0));
+      byConsumable.set(key, row);
+      if (u.forServiceId) {
+        const wash = washRow(String(u.forServiceId));
+        wash.cost = roundMoney(wash.cost + (Number(u.cost) || 0));
+      }
+    }
+  }
+  const services = [...byWash.values()]
+    .map((w) => ({ ...w, costPerWash: w.washes ? roundMoney(w.cost / w.washes) : 0 }))
+    .sort((a, b) => b.cost - a.cost);
+  const consumables = [...byConsumable.values()].sort((a, b) => b.cost - a.cost);
+  return {
+    consumables,
+    services,
+    totalCost: roundMoney(consumables.reduce((s, c) => s + c.cost, 0))
+  };
+}
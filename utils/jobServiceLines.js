@@ -5,8 +5,11 @@ import { lineQuantity } from './serviceCatalog.js';
 import { assertSufficientStock, deductServiceStockForSale, restoreServiceStock } from './serviceInventory.js';
 import { isProductCatalogService } from './jobCart.js';
 import { resolveInvoiceDiscount, syncInvoiceDiscountAmount } from './invoiceDiscount.js';
-import { applyComputedGstAmount } from './invoiceGst.js';
+import { applyComputedGstAmount, gstChargedOnTop, loadServiceTaxMap } from './invoiceGst.js';
 import { roundMoney } from './invoicePayment.js';
+import { resolveServicePrice, vehicleMatrixPrice } from './servicePricing.js';
+import { priceLineWithRules } from './pricingRules.js';
+import { loadPricingContext } from '../services/pricingRuleService.js';
 
 function isInvoiceFinanciallyClosed(invoice) {
   if (!invoice) return false;
@@ -74,9 +77,12 @@ async function serviceNameMapForLines(businessId, jobServices = []) {
  * Build validated job service lines from either:
  * - services: [{ serviceId, price?, customName?, quantity? }]  (supports variable pricing)
  * - serviceIds: [id, ...]                         (legacy fixed catalog prices)
+ * vehicleType (Car.vehicleType) picks each service's vehicle price matrix row when present.
+ * pricing: { at, branchId, timezone? } applies the branch's time-of-day / weekday rules to fixed prices
+ * as of `at` (check-in or booked slot time) and records the rule on the line.
  */
 export async function resolveJobServiceLines(businessId, input = {}) {
-  const { serviceIds, services: linesInput, checkStock = true } = input;
+  const { serviceIds, services: linesInput, checkStock = true, vehicleType = null, pricing = null } = input;
   const businessIdObj = typeof businessId === 'string'
     ? new mongoose.Types.ObjectId(businessId)
     : businessId;
@@ -143,6 +149,13 @@ export async function resolveJobServiceLines(businessId, input = {}) {
   }
 
   const catalogMap = new Map(catalog.map((s) => [s._id.toString(), s]));
+  const pricingContext = pricing
+    ? await loadPricingContext(businessIdObj, {
+      branchId: pricing.branchId || null,
+      at: pricing.at || new Date(),
+      timezone: pricing.timezone || null
+    })
+    : null;
 
   const lines = requestedLines.map((row, index) => {
     const svc = catalogMap.get(row.serviceId.toString());
@@ -153,10 +166,13 @@ export async function resolveJobServiceLines(businessId, input = {}) {
     }
 
     let price;
+    let ruleFields = {};
     if (svc.isVariable) {
       if (row.price == null || row.price === '') {
         const catalogDefault = Number(svc.price) || 0;
-        price = (svc.skipWorkProcess && catalogDefault > 0) ? catalogDefault : 0;
+        const matrixDefault = vehicleMatrixPrice(svc, vehicleType);
+        if (matrixDefault != null) price = matrixDefault;
+        else price = (svc.skipWorkProcess && catalogDefault > 0) ? catalogDefault : 0;
       } else if (!Number.isFinite(row.price) || row.price < 0) {
         const err = new Error(`"${svc.name}" has an invalid price — enter 0 or more, or leave blank to set when editing the open invoice`);
         err.status = 400;
@@ -165,12 +181,19 @@ export async function resolveJobServiceLines(businessId, input = {}) {
         price = Math.round(Number(row.price) * 100) / 100;
       }
     } else {
-      price = Number(svc.price) || 0;
+      price = resolveServicePrice(svc, vehicleType);
       if (price < 0) {
         const err = new Error(`Service "${svc.name}" has invalid catalog price`);
         err.status = 400;
         throw err;
       }
+      if (pricingContext?.moment) {
+        ({ price, ...ruleFields } = priceLineWithRules(pricingContext.rules, pricingContext.moment, {
+          serviceId: svc._id,
+          branchId: pricingContext.branchId,
+          listPrice: price
+        }));
+      }
     }
 
     const customName = row.customName?.trim() || '';
@@ -186,7 +209,8 @@ export async function resolveJobServiceLines(businessId, input = {}) {
       serviceId: svc._id,
       price,
       quantity,
-      ...(customName ? { customName } : {})
+      ...(customName ? { customName } : {}),
+      ...ruleFields
     };
   });
 
@@ -202,17 +226,32 @@ export async function resolveJobServiceLines(businessId, input = {}) {
   return { lines, totalPrice, catalogServices: catalogOrdered };
 }
 
-export function jobLinesToInvoiceItems(jobServices = [], nameByServiceId = null) {
+/**
+ * @param {Map|object} [nameByServiceId] - catalog names by service id
+ * @param {Map} [taxByServiceId] - { hsnSac, taxRate } by service id (see loadServiceTaxMap)
+ */
+export function jobLinesToInvoiceItems(jobServices = [], nameByServiceId = null, taxByServiceId = null) {
   return (jobServices || []).map((s) => {
     const sid = s.serviceId?._id || s.serviceId;
     const catalogName = (nameByServiceId instanceof Map
       ? nameByServiceId.get(String(sid))
       : nameByServiceId?.[String(sid)]) || s.serviceId?.name || '';
+    const tax = taxByServiceId?.get(String(sid));
     return {
       serviceId: sid,
       serviceName: s.customName || catalogName || 'Service',
       servicePrice: s.price ?? 0,
-      quantity: lineQuantity(s.quantity)
+      quantity: lineQuantity(s.quantity),
+      hsnSac: tax?.hsnSac || '',
+      taxRate: tax?.taxRate ?? null,
+      ...(s.pricingRuleId
+        ? {
+            listPrice: s.listPrice,
+            pricingRuleId: s.pricingRuleId,
+            pricingRuleName: s.pricingRuleName,
+            ruleAdjustment: s.ruleAdjustment
+          }
+        : {})
     };
   });
 }
@@ -223,6 +262,10 @@ export async function syncDraftInvoiceFromJob(invoice, job, { force = false } =
 
   const businessId = job.businessId || invoice.businessId;
   const nameByServiceId = await serviceNameMapForLines(businessId, job.services || []);
+  const taxByServiceId = await loadServiceTaxMap(
+    businessId,
+    (job.services || []).map((s) => s.serviceId)
+  );
   // Prefer existing invoice labels (custom names) when catalog/customName are missing
   const previousNameById = new Map(
     (invoice.items || [])
@@ -239,8 +282,17 @@ export async function syncDraftInvoiceFromJob(invoice, job, { force = false } =
       ])
   );
 
-  const items = jobLinesToInvoiceItems(job.services || [], nameByServiceId).map((item) => {
-    let next = { ...item };
+  // Closed invoices keep the tax rates they were billed at
+  const previousTaxById = new Map(
+    isInvoiceFinanciallyClosed(invoice)
+      ? (invoice.items || [])
+        .filter((i) => i?.serviceId)
+        .map((i) => [String(i.serviceId?._id || i.serviceId), { hsnSac: i.hsnSac || '', taxRate: i.taxRate ?? null }])
+      : []
+  );
+
+  const items = jobLinesToInvoiceItems(job.services || [], nameByServiceId, taxByServiceId).map((item) => {
+    let next = { ...item, ...(previousTaxById.get(String(item.serviceId)) || {}) };
     if (!(next.serviceName && next.serviceName !== 'Service')) {
       const prevName = previousNameById.get(String(next.serviceId));
       if (prevName) next.serviceName = prevName;
@@ -303,7 +355,7 @@ export async function syncDraftInvoiceFromJob(invoice, job, { force = false } =
 export function recalculateInvoiceFinalAmount(invoice) {
   syncInvoiceDiscountAmount(invoice);
   const { afterDiscount } = resolveInvoiceDiscount(invoice);
-  const gst = Number(invoice.gstAmount) || 0;
+  const gst = gstChargedOnTop(invoice);
   const loyaltyAmt = Number(invoice.loyaltyRedeemedAmount) || 0;
   invoice.finalAmount = Math.max(0, Math.round((afterDiscount + gst - loyaltyAmt) * 100) / 100);
   return invoice.finalAmount;
@@ -463,7 +515,7 @@ export async function applyInvoiceItemPriceUpdates(invoice, itemsInput, business
 
 /**
  * Append product catalog lines to a job/sale invoice.
- * @param {{ allowClosed?: boolean }} [opts] - business owner may edit closed invoices
+ * @param {{ allowClosed?: boolean, userId?: string }} [opts] - business owner may edit closed invoices; userId for the stock ledger
  */
 export async function addProductLinesToOpenInvoice(invoice, businessId, productLinesInput = [], opts = {}) {
   if (!invoice?.jobId) {
@@ -559,7 +611,12 @@ export async function addProductLinesToOpenInvoice(invoice, businessId, productL
   await job.save();
 
   if (alreadyDeducted) {
-    await deductServiceStockForSale(businessId, newLines, catalogServices);
+    await deductServiceStockForSale(businessId, newLines, catalogServices, {
+      type: 'SALE',
+      userId: opts.userId || null,
+      branchId: job.branchId || null,
+      source: { kind: 'INVOICE', id: invoice._id, label: invoice.invoiceNumber }
+    });
   }
 
   await syncDraftInvoiceFromJob(invoice, job, { force: closed });
@@ -568,7 +625,7 @@ export async function addProductLinesToOpenInvoice(invoice, businessId, productL
 
 /**
  * Remove a retail product line from a job/sale invoice.
- * @param {{ allowClosed?: boolean }} [opts] - business owner may edit closed invoices
+ * @param {{ allowClosed?: boolean, userId?: string }} [opts] - business owner may edit closed invoices; userId for the stock ledger
  */
 export async function removeProductLineFromOpenInvoice(invoice, businessId, { serviceId } = {}, opts = {}) {
   if (!invoice?.jobId) {
@@ -653,7 +710,12 @@ export async function removeProductLineFromOpenInvoice(invoice, businessId, { se
   await job.save();
 
   if (alreadyDeducted && removedQty > 0) {
-    await restoreServiceStock(businessId, [{ serviceId: removedSvc._id, quantity: removedQty }]);
+    await restoreServiceStock(businessId, [{ serviceId: removedSvc._id, quantity: removedQty }], {
+      userId: opts.userId || null,
+      branchId: job.branchId || null,
+      source: { kind: 'INVOICE', id: invoice._id, label: invoice.invoiceNumber },
+      notes: 'Product line removed from invoice'
+    });
   }
 
   await syncDraftInvoiceFromJob(invoice, job, { force: closed });
@@ -109,6 +109,26 @@ export function invoiceSettlementCashOnlineByMode(inv) {
   return { ...base, ...modeSplit };
 }
 
+/**
+ * Cash + online + UPI/Card taken as a job advance. Same rules as the dashboard advance
+ * aggregation: rows without split amounts infer from advancePaymentMethod, and a SPLIT
+ * advance with no stored split counts as cash.
+ */
+export function jobAdvanceCashOnlineByMode(job) {
+  const adv = roundMoney(Number(job?.advancePayment) || 0);
+  if (adv <= 0) return { cash: 0, online: 0, upi: 0, card: 0 };
+  const pm = job.advancePaymentMethod;
+  let cash = job.advanceCashAmount ?? (pm === 'ONLINE' ? 0 : adv);
+  let online = job.advanceOnlineAmount ?? (pm === 'ONLINE' ? adv : 0);
+  cash = roundMoney(Number(cash) || 0);
+  online = roundMoney(Number(online) || 0);
+  if (pm === 'SPLIT' && cash + online <= 0.01) {
+    cash = adv;
+    online = 0;
+  }
+  return { cash, online, ...onlineAmountByMode(online, job.advanceOnlinePaymentMode) };
+}
+
 /**
  * MongoDB aggregation stages: compute settleCash / settleOnline / settleUpi / settleCard.
  * Run after filters; expects fields finalAmount, advancePayment, paymentMethod, paymentCashAmount, paymentOnlineAmount, paymentStatus, onlinePaymentMode.
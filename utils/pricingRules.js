@@ -0,0 +1,178 @@
+/** Happy-hour / weekday / festival-date price rules: validation, matching and line pricing. */
+
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import { normalizeTimeValue } from './bookingSchedule.js';
+import { roundMoney } from './invoicePayment.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function parseTime(raw, label) {
+  if (raw == null || String(raw).trim() === '') return '';
+  const t = normalizeTimeValue(String(raw).trim());
+  if (!TIME_RE.test(t)) throw httpError(`${label} must be HH:mm`);
+  return t;
+}
+
+function parseDates(raw) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) throw httpError('dates must be a list of YYYY-MM-DD days');
+  const out = new Set();
+  for (const d of raw) {
+    const s = String(d || '').trim().slice(0, 10);
+    if (!s) continue;
+    if (!DateTime.fromISO(s).isValid || !/^\d{4}-\d{2}-\d{2}$/.test(s)) throw httpError(`Invalid date "${d}"`);
+    out.add(s);
+  }
+  return [...out].sort();
+}
+
+/**
+ * Validate pricing rule input (create or partial update over `existing`).
+ * @returns {object} fields for PricingRule
+ */
+export function normalizePricingRuleInput(raw = {}, existing = {}) {
+  const pick = (key) => (raw[key] !== undefined ? raw[key] : existing[key]);
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw httpError('Rule name is required');
+
+  const adjustmentType = String(pick('adjustmentType') || 'DISCOUNT').toUpperCase();
+  if (!['DISCOUNT', 'SURCHARGE'].includes(adjustmentType)) throw httpError('adjustmentType must be DISCOUNT or SURCHARGE');
+  const valueType = String(pick('valueType') || 'PERCENT').toUpperCase();
+  if (!['PERCENT', 'FLAT'].includes(valueType)) throw httpError('valueType must be PERCENT or FLAT');
+  const value = roundMoney(pick('value'));
+  if (!(value > 0)) throw httpError('Adjustment must be greater than zero');
+  if (valueType === 'PERCENT' && adjustmentType === 'DISCOUNT' && value > 100) {
+    throw httpError('Discount cannot exceed 100%');
+  }
+
+  const weekdaysRaw = pick('weekdays') ?? [];
+  if (!Array.isArray(weekdaysRaw)) throw httpError('weekdays must be a list of 0 (Sunday) to 6 (Saturday)');
+  const weekdays = [...new Set(weekdaysRaw.map(Number))].sort();
+  if (weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw httpError('weekdays must be 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const startTime = parseTime(pick('startTime'), 'Start time');
+  const endTime = parseTime(pick('endTime'), 'End time');
+  if (!!startTime !== !!endTime) throw httpError('Set both start and end time, or neither for all day');
+  if (startTime && endTime <= startTime) throw httpError('End time must be after start time');
+
+  const serviceIdsRaw = pick('serviceIds') ?? [];
+  if (!Array.isArray(serviceIdsRaw)) throw httpError('serviceIds must be a list');
+  const serviceIds = [...new Set(serviceIdsRaw.map(String))];
+  if (serviceIds.some((id) => !mongoose.isValidObjectId(id))) throw httpError('Invalid service in rule');
+
+  const branchRaw = pick('branchId');
+  const branchId = branchRaw ? String(branchRaw) : null;
+  if (branchId && !mongoose.isValidObjectId(branchId)) throw httpError('Invalid branch');
+
+  const priority = Math.round(Number(pick('priority')) || 0);
+  const isActive = pick('isActive') === undefined ? true : pick('isActive') !== false;
+
+  return {
+    name,
+    branchId,
+    adjustmentType,
+    valueType,
+    value,
+    weekdays,
+    startTime,
+    endTime,
+    dates: parseDates(pick('dates')),
+    serviceIds,
+    priority,
+    isActive
+  };
+}
+
+/** Business-local calendar date, weekday (0 = Sunday) and HH:mm of an instant. */
+export function pricingMoment(at, timezone) {
+  const dt = DateTime.fromJSDate(at instanceof Date ? at : new Date(at)).setZone(timezone || 'UTC');
+  return { date: dt.toISODate(), weekday: dt.weekday % 7, time: dt.toFormat('HH:mm') };
+}
+
+/** Instant a booking is priced at: its slot start on the booked (business-local) day. */
+export function bookingPricingAt(bookingDate, slotStartTime, timezone) {
+  const day = bookingDate instanceof Date
+    ? DateTime.fromJSDate(bookingDate).setZone(timezone || 'UTC').toISODate()
+    : String(bookingDate || '').slice(0, 10);
+  const time = normalizeTimeValue(String(slotStartTime || '00:00'));
+  const dt = DateTime.fromISO(`${day}T${time}`, { zone: timezone || 'UTC' });
+  return dt.isValid ? dt.toJSDate() : new Date();
+}
+
+/** Does this rule cover the moment, branch and service? */
+export function pricingRuleMatches(rule, moment, { serviceId = null, branchId = null } = {}) {
+  if (!rule || rule.isActive === false) return false;
+  if (rule.branchId && String(rule.branchId) !== String(branchId || '')) return false;
+  const services = (rule.serviceIds || []).map(String);
+  if (services.length && !services.includes(String(serviceId))) return false;
+  if (rule.dates?.length) {
+    if (!rule.dates.includes(moment.date)) return false;
+  } else if (rule.weekdays?.length && !rule.weekdays.map(Number).includes(moment.weekday)) {
+    return false;
+  }
+  if (rule.startTime && rule.endTime) {
+    if (moment.time < rule.startTime || moment.time >= rule.endTime) return false;
+  }
+  return true;
+}
+
+function ruleSpecificity(rule) {
+  return (rule.dates?.length ? 4 : 0) + (rule.serviceIds?.length ? 2 : 0) + (rule.branchId ? 1 : 0);
+}
+
+/**
+ * One rule per line: a festival-date rule beats weekday/time rules, a service-specific rule beats
+ * an all-services rule, a branch rule beats a business-wide rule; then the higher priority.
+ */
+export function pickPricingRule(rules, moment, ctx = {}) {
+  let best = null;
+  for (const rule of rules || []) {
+    if (!pricingRuleMatches(rule, moment, ctx)) continue;
+    if (!best) {
+      best = rule;
+      continue;
+    }
+    const diff = ruleSpecificity(rule) - ruleSpecificity(best);
+    if (diff > 0 || (diff === 0 && (Number(rule.priority) || 0) > (Number(best.priority) || 0))) best = rule;
+  }
+  return best;
+}
+
+/** Unit price after the rule (never below zero). */
+export function applyPricingRule(rule, listPrice) {
+  const base = Math.max(0, Number(listPrice) || 0);
+  if (!rule) return roundMoney(base);
+  const value = Number(rule.value) || 0;
+  const delta = rule.valueType === 'FLAT' ? value : (base * value) / 100;
+  const sign = rule.adjustmentType === 'SURCHARGE' ? 1 : -1;
+  return Math.max(0, roundMoney(base + sign * delta));
+}
+
+/**
+ * Price one catalog line. Returns the line price plus the fields recorded on job lines /
+ * invoice items when a rule applied: listPrice, pricingRuleId, pricingRuleName, ruleAdjustment (per unit).
+ */
+export function priceLineWithRules(rules, moment, { serviceId, branchId = null, listPrice }) {
+  const rule = moment ? pickPricingRule(rules, moment, { serviceId, branchId }) : null;
+  const base = roundMoney(Math.max(0, Number(listPrice) || 0));
+  if (!rule) return { price: base };
+  const price = applyPricingRule(rule, base);
+  if (price === base) return { price: base };
+  return {
+    price,
+    listPrice: base,
+    pricingRuleId: rule._id,
+    pricingRuleName: rule.name,
+    ruleAdjustment: roundMoney(price - base)
+  };
+}
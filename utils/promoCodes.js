@@ -0,0 +1,169 @@
+/** Promo / coupon codes: input validation, eligibility and discount maths (no DB access). */
+
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import { roundMoney } from './invoicePayment.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const CODE_RE = /^[A-Z0-9][A-Z0-9_-]{2,29}$/;
+
+/** Canonical spelling of a typed code ("ab-12 " → "AB-12"); '' when blank. */
+export function normalizePromoCodeValue(raw) {
+  return String(raw ?? '').trim().toUpperCase();
+}
+
+function parseDay(raw, label) {
+  const s = String(raw ?? '').trim().slice(0, 10);
+  if (!s) return '';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || !DateTime.fromISO(s).isValid) throw httpError(`${label} must be YYYY-MM-DD`);
+  return s;
+}
+
+function parseIdList(raw, label) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) throw httpError(`${label} must be a list`);
+  const ids = [...new Set(raw.map(String).filter(Boolean))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw httpError(`Invalid id in ${label}`);
+  return ids;
+}
+
+function parseLimit(raw, label) {
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw httpError(`${label} must be a whole number of 1 or more`);
+  return n;
+}
+
+/**
+ * Validate promo code input (create or partial update over `existing`).
+ * @returns {object} fields for PromoCode
+ */
+export function normalizePromoInput(raw = {}, existing = {}) {
+  const pick = (key) => (raw[key] !== undefined ? raw[key] : existing[key]);
+
+  const code = normalizePromoCodeValue(pick('code'));
+  if (!CODE_RE.test(code)) throw httpError('Code must be 3–30 letters, digits, - or _');
+
+  const discountType = String(pick('discountType') || 'PERCENT').toUpperCase();
+  if (!['PERCENT', 'AMOUNT'].includes(discountType)) throw httpError('discountType must be PERCENT or AMOUNT');
+  const value = roundMoney(pick('value'));
+  if (!(value > 0)) throw httpError('Discount must be greater than zero');
+  if (discountType === 'PERCENT' && value > 100) throw httpError('Discount cannot exceed 100%');
+
+  const maxDiscountRaw = pick('maxDiscount');
+  const maxDiscount = maxDiscountRaw == null || maxDiscountRaw === '' ? null : roundMoney(maxDiscountRaw);
+  if (maxDiscount != null && !(maxDiscount > 0)) throw httpError('Maximum discount must be greater than zero');
+
+  const minBillAmount = roundMoney(pick('minBillAmount'));
+  if (minBillAmount < 0) throw httpError('Minimum bill cannot be negative');
+
+  const validFrom = parseDay(pick('validFrom'), 'Valid from');
+  const validTo = parseDay(pick('validTo'), 'Valid to');
+  if (validFrom && validTo && validTo < validFrom) throw httpError('Valid to must be on or after valid from');
+
+  const maxUses = parseLimit(pick('maxUses'), 'Total uses');
+  // Once per customer unless set; null / '' = unlimited
+  const perCustomer = pick('maxUsesPerCustomer');
+  const maxUsesPerCustomer = parseLimit(perCustomer === undefined ? 1 : perCustomer, 'Uses per customer');
+
+  const branchRaw = pick('branchId');
+  const branchId = branchRaw ? String(branchRaw) : null;
+  if (branchId && !mongoose.isValidObjectId(branchId)) throw httpError('Invalid branch');
+
+  const flag = (key, fallback) => (pick(key) === undefined ? fallback : pick(key) !== false);
+  const usableAtCheckout = flag('usableAtCheckout', true);
+  const usableOnBooking = flag('usableOnBooking', true);
+  if (!usableAtCheckout && !usableOnBooking) throw httpError('Allow the code at checkout, on bookings, or both');
+
+  return {
+    code,
+    campaign: String(pick('campaign') || '').trim(),
+    description: String(pick('description') || '').trim(),
+    branchId,
+    discountType,
+    value,
+    maxDiscount: discountType === 'PERCENT' ? maxDiscount : null,
+    validFrom,
+    validTo,
+    minBillAmount,
+    maxUses,
+    maxUsesPerCustomer,
+    serviceIds: parseIdList(pick('serviceIds'), 'serviceIds'),
+    categoryIds: parseIdList(pick('categoryIds'), 'categoryIds'),
+    firstVisitOnly: flag('firstVisitOnly', false),
+    usableAtCheckout,
+    usableOnBooking,
+    isActive: flag('isActive', true)
+  };
+}
+
+/** True when the code only discounts some services / categories. */
+export function promoIsRestricted(promo) {
+  return !!(promo?.serviceIds?.length || promo?.categoryIds?.length);
+}
+
+/**
+ * Part of the bill the code discounts.
+ * @param {{ serviceId?: any, categoryId?: any, amount: number }[]} lines
+ */
+export function promoEligibleSubtotal(promo, lines = []) {
+  const total = (lines || []).reduce((s, l) => s + (Number(l.amount) || 0), 0);
+  if (!promoIsRestricted(promo)) return roundMoney(total);
+  const services = new Set((promo.serviceIds || []).map(String));
+  const categories = new Set((promo.categoryIds || []).map(String));
+  return roundMoney((lines || []).reduce((s, l) => {
+    const match = (l.serviceId && services.has(String(l.serviceId)))
+      || (l.categoryId && categories.has(String(l.categoryId)));
+    return match ? s + (Number(l.amount) || 0) : s;
+  }, 0));
+}
+
+/** Discount on the eligible part of the bill, capped by maxDiscount and the bill itself. */
+export function computePromoDiscount(promo, { subtotal, eligibleSubtotal }) {
+  const bill = roundMoney(Math.max(0, Number(subtotal) || 0));
+  const base = Math.min(bill, roundMoney(Math.max(0, Number(eligibleSubtotal ?? bill) || 0)));
+  const value = Number(promo?.value) || 0;
+  let amount = promo?.discountType === 'AMOUNT' ? value : (base * value) / 100;
+  if (promo?.discountType !== 'AMOUNT' && promo?.maxDiscount != null) amount = Math.min(amount, Number(promo.maxDiscount) || 0);
+  return roundMoney(Math.max(0, Math.min(amount, base)));
+}
+
+/**
+ * Why the code cannot be used, or null when it can.
+ * `reserved` skips the date, usage and first-visit checks for a use already counted
+ * (a code taken on a booking is honoured when the job is billed).
+ * @param {object} ctx { today: 'YYYY-MM-DD', channel: 'CHECKOUT'|'BOOKING', branchId, subtotal,
+ *   eligibleSubtotal, customerUses, isFirstVisit, reserved }
+ */
+export function promoIneligibilityReason(promo, ctx = {}) {
+  if (!promo || promo.isActive === false) return 'This promo code is not valid';
+  if (promo.branchId && String(promo.branchId) !== String(ctx.branchId || '')) {
+    return 'This promo code is not valid at this branch';
+  }
+  if (!ctx.reserved) {
+    if (ctx.channel === 'BOOKING' && promo.usableOnBooking === false) return 'This promo code can only be used at the counter';
+    if (ctx.channel === 'CHECKOUT' && promo.usableAtCheckout === false) return 'This promo code can only be used for online bookings';
+    if (promo.validFrom && ctx.today < promo.validFrom) return `This promo code is valid from ${promo.validFrom}`;
+    if (promo.validTo && ctx.today > promo.validTo) return 'This promo code has expired';
+    if (promo.maxUses != null && (Number(promo.usedCount) || 0) >= promo.maxUses) {
+      return 'This promo code has reached its usage limit';
+    }
+    if (promo.maxUsesPerCustomer != null && (Number(ctx.customerUses) || 0) >= promo.maxUsesPerCustomer) {
+      return 'This promo code has already been used by this customer';
+    }
+    if (promo.firstVisitOnly && !ctx.isFirstVisit) return 'This promo code is for first-time customers only';
+  }
+  const minBill = Number(promo.minBillAmount) || 0;
+  if (minBill > 0 && (Number(ctx.subtotal) || 0) < minBill) {
+    return `This promo code needs a minimum bill of ${roundMoney(minBill)}`;
+  }
+  if (promoIsRestricted(promo) && !((Number(ctx.eligibleSubtotal) || 0) > 0)) {
+    return 'This promo code does not apply to the selected services';
+  }
+  return null;
+}
@@ -1,5 +1,62 @@
 import Service from '../models/Service.model.js';
+import StockMovement from '../models/StockMovement.model.js';
 import { lineQuantity, shouldTrackInventory } from './serviceCatalog.js';
+import { roundMoney } from './invoicePayment.js';
+import { notifyLowStockCrossing } from '../services/lowStockService.js';
+
+/**
+ * Moving weighted-average cost after receiving `quantity` units at `unitCost`.
+ * Stock without a known cost (or at / below zero) takes the new unit cost.
+ */
+export function weightedAverageCost({ stock, averageCost, quantity, unitCost }) {
+  const onHand = Math.max(0, Number(stock) || 0);
+  const qty = Number(quantity) || 0;
+  const cost = Number(unitCost) || 0;
+  if (averageCost == null || onHand <= 0) return roundMoney(cost);
+  if (onHand + qty <= 0) return roundMoney(Number(averageCost) || 0);
+  return roundMoney((onHand * (Number(averageCost) || 0) + qty * cost) / (onHand + qty));
+}
+
+/** Unit cost used for COGS when stock leaves: average, else last purchase cost, else unknown. */
+export function productUnitCost(service) {
+  if (service?.averageCost != null) return Number(service.averageCost);
+  if (service?.lastPurchaseCost != null) return Number(service.lastPurchaseCost);
+  return null;
+}
+
+/**
+ * Append a ledger row for a stock change already applied to `updated` (the post-change Service doc).
+ * movement: { type, userId, source: { kind, id, label }, notes, unitCost, branchId }
+ * Ledger failures are logged, never thrown — the stock change itself has already happened.
+ * Deductions also check the low-stock threshold (alert sent in the background).
+ */
+export async function recordStockMovement(businessId, updated, delta, movement = {}) {
+  if (!updated || !delta) return null;
+  const after = Number(updated.stockQuantity) || 0;
+  if (delta < 0) {
+    notifyLowStockCrossing(businessId, updated, delta)
+      .catch((err) => console.error('Low stock alert error:', err.message));
+  }
+  try {
+    return await StockMovement.create({
+      businessId,
+      branchId: movement.branchId || null,
+      serviceId: updated._id,
+      serviceName: updated.name,
+      type: movement.type || 'ADJUSTMENT',
+      quantity: delta,
+      before: after - delta,
+      after,
+      unitCost: movement.unitCost ?? null,
+      source: movement.source || {},
+      notes: movement.notes,
+      userId: movement.userId || null
+    });
+  } catch (err) {
+    console.error('Stock movement log error:', err.message);
+    return null;
+  }
+}
 
 export function catalogMapById(catalogServices = []) {
   return new Map(catalogServices.map((s) => [String(s._id), s]));
@@ -22,8 +79,8 @@ export function assertSufficientStock(jobLines = [], catalogServices = []) {
   }
 }
 
-/** Atomically reduce stock for tracked products on a completed sale. */
-export async function deductServiceStockForSale(businessId, jobLines = [], catalogServices = []) {
+/** Atomically reduce stock for tracked products on a completed sale. movement defaults to type SALE. */
+export async function deductServiceStockForSale(businessId, jobLines = [], catalogServices = [], movement = {}) {
   const byId = catalogMapById(catalogServices);
   const deductions = [];
 
@@ -48,19 +105,268 @@ export async function deductServiceStockForSale(businessId, jobLines = [], catal
       err.status = 409;
       throw err;
     }
-    deductions.push({ serviceId: svc._id, quantity: qty });
+    // COGS is captured here, at the cost of stock on hand when it leaves
+    const unitCost = productUnitCost(updated);
+    deductions.push({ serviceId: svc._id, quantity: qty, unitCost });
+    await recordStockMovement(businessId, updated, -qty, { type: 'SALE', ...movement, unitCost });
   }
 
   return deductions;
 }
 
-/** Restore stock if a sale is rolled back (best-effort). */
-export async function restoreServiceStock(businessId, deductions = []) {
+/**
+ * Restore stock if a sale is rolled back or refunded (best-effort). movement defaults to type RESTORE.
+ * Rows from deductServiceStockForSale carry the unit cost they left at, which reverses that COGS.
+ */
+export async function restoreServiceStock(businessId, deductions = [], movement = {}) {
   for (const row of deductions) {
     if (!row?.serviceId || !row.quantity) continue;
-    await Service.findOneAndUpdate(
+    const updated = await Service.findOneAndUpdate(
       { _id: row.serviceId, businessId },
-      { $inc: { stockQuantity: row.quantity } }
+      { $inc: { stockQuantity: row.quantity } },
+      { new: true }
+    );
+    await recordStockMovement(businessId, updated, row.quantity, {
+      type: 'RESTORE',
+      ...movement,
+      unitCost: row.unitCost ?? productUnitCost(updated)
+    });
+  }
+}
+
+/**
+ * Add received quantity to tracked products (goods receipt), moving the weighted-average cost
+ * and remembering the latest unit cost. Guarded on the stock read so concurrent sales cannot
+ * skew the average; retried a few times before giving up.
+ */
+export async function receiveServiceStock(businessId, rows = [], movement = {}) {
+  for (const row of rows) {
+    if (!row?.serviceId || !row.quantity) continue;
+    let updated = null;
+    for (let attempt = 0; attempt < 5 && !updated; attempt++) {
+      const current = await Service.findOne({ _id: row.serviceId, businessId })
+        .select('stockQuantity averageCost')
+        .lean();
+      if (!current) break;
+      const before = Number(current.stockQuantity) || 0;
+      const $set = { stockQuantity: before + row.quantity };
+      if (row.unitCost != null) {
+        $set.lastPurchaseCost = row.unitCost;
+        $set.averageCost = weightedAverageCost({
+          stock: before,
+          averageCost: current.averageCost,
+          quantity: row.quantity,
+          unitCost: row.unitCost
+        });
+      }
+      updated = await Service.findOneAndUpdate(
+        { _id: row.serviceId, businessId, stockQuantity: current.stockQuantity ?? null },
+        { $set },
+        { new: true }
+      );
+    }
+    if (!updated) {
+      const err = new Error('Stock changed while receiving goods. Try again.');
+      err.status = 409;
+      throw err;
+    }
+    await recordStockMovement(businessId, updated, row.quantity, {
+      type: 'PURCHASE_RECEIPT',
+      unitCost: row.unitCost ?? null,
+      ...movement
+    });
+  }
+}
+
+/** Recipe quantities are kept to 3 decimals (e.g. 0.25 of a cloth). */
+export function roundStockQuantity(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+function badRecipe(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate a consumables recipe [{ serviceId, quantity }] for wash service `service`.
+ * products: the tracked products referenced by the recipe.
+ */
+export function normalizeConsumablesRecipe(recipe, products = [], service = null) {
+  if (!Array.isArray(recipe)) throw badRecipe('Consumables must be a list');
+  if (recipe.length && service && shouldTrackInventory(service)) {
+    throw badRecipe('Consumables can only be set on wash services, not on products');
+  }
+  const byId = catalogMapById(products);
+  const seen = new Set();
+  return recipe.map((item) => {
+    const sid = String(item?.serviceId || '');
+    const product = byId.get(sid);
+    if (!product || !shouldTrackInventory(product)) throw badRecipe('Consumables must be products that track stock');
+    if (seen.has(sid)) throw badRecipe(`"${product.name}" is listed more than once`);
+    seen.add(sid);
+    const quantity = roundStockQuantity(item.quantity);
+    if (!(quantity > 0)) throw badRecipe(`Quantity of "${product.name}" must be greater than zero`);
+    return { serviceId: product._id, quantity };
+  });
+}
+
+/**
+ * Consumables needed for job lines from each wash service's recipe (× line quantity).
+ * catalogServices must include the recipe (consumables) of every service on the job.
+ * Returns one row per (consumable, wash service).
+ */
+export function consumablesForJobLines(jobLines = [], catalogServices = []) {
+  const byId = catalogMapById(catalogServices);
+  const rows = new Map();
+  for (const line of jobLines) {
+    const sid = String(line.serviceId?._id || line.serviceId || '');
+    const svc = byId.get(sid);
+    if (!svc?.consumables?.length) continue;
+    const qty = lineQuantity(line.quantity);
+    for (const item of svc.consumables) {
+      const key = `${item.serviceId}:${sid}`;
+      const row = rows.get(key) || { serviceId: item.serviceId, forServiceId: svc._id, quantity: 0 };
+      row.quantity = roundStockQuantity(row.quantity + (Number(item.quantity) || 0) * qty);
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()].filter((r) => r.quantity > 0);
+}
+
+/**
+ * Deduct consumables (CONSUMPTION movements). Never fails for lack of stock: takes what is
+ * there and reports the shortfall, so a wash is not blocked by an out-of-date count.
+ * Returns [{ serviceId, name, forServiceId, quantity, shortQuantity, unitCost, cost }].
+ */
+export async function consumeServiceStock(businessId, rows = [], movement = {}) {
+  const used = [];
+  for (const row of rows) {
+    if (!row?.serviceId || !(row.quantity > 0)) continue;
+    const before = await Service.findOneAndUpdate(
+      { _id: row.serviceId, businessId, trackInventory: { $ne: false } },
+      [{
+        $set: {
+          stockQuantity: {
+            $max: [0, { $subtract: [{ $ifNull: ['$stockQuantity', 0] }, row.quantity] }]
+          }
+        }
+      }],
+      { new: false }
     );
+    if (!before) continue;
+    const onHand = Math.max(0, Number(before.stockQuantity) || 0);
+    const taken = roundStockQuantity(Math.min(onHand, row.quantity));
+    const unitCost = productUnitCost(before);
+    used.push({
+      serviceId: before._id,
+      name: before.name,
+      forServiceId: row.forServiceId || null,
+      quantity: taken,
+      shortQuantity: roundStockQuantity(row.quantity - taken),
+      unitCost,
+      cost: unitCost != null ? roundMoney(taken * unitCost) : 0
+    });
+    if (taken > 0) {
+      const updated = before.toObject();
+      updated.stockQuantity = roundStockQuantity(onHand - taken);
+      await recordStockMovement(businessId, updated, -taken, { type: 'CONSUMPTION', ...movement, unitCost });
+    }
+  }
+  return used;
+}
+
+/**
+ * Manual stock correction: set an absolute quantity (newQuantity) or apply a signed delta.
+ * Returns { service, movement }.
+ */
+export async function adjustServiceStock(businessId, serviceId, { newQuantity, delta, ...movement } = {}) {
+  const current = await Service.findOne({ _id: serviceId, businessId }).lean();
+  if (!current || !shouldTrackInventory(current)) {
+    const err = new Error('Product not found or stock not tracked');
+    err.status = 404;
+    throw err;
+  }
+  const before = Number(current.stockQuantity) || 0;
+  const change = newQuantity !== undefined && newQuantity !== null
+    ? roundStockQuantity(Number(newQuantity) - before)
+    : roundStockQuantity(delta);
+  if (!Number.isFinite(change) || before + change < 0) {
+    const err = new Error('Stock cannot be negative');
+    err.status = 400;
+    throw err;
+  }
+  if (change === 0) return { service: current, movement: null };
+
+  const updated = await Service.findOneAndUpdate(
+    { _id: serviceId, businessId, stockQuantity: current.stockQuantity },
+    { $set: { stockQuantity: roundStockQuantity(before + change) } },
+    { new: true }
+  );
+  if (!updated) {
+    const err = new Error('Stock changed while saving. Reload and try again.');
+    err.status = 409;
+    throw err;
+  }
+  const row = await recordStockMovement(businessId, updated, change, {
+    type: 'ADJUSTMENT',
+    unitCost: productUnitCost(updated),
+    ...movement
+  });
+  return { service: updated, movement: row };
+}
+
+/**
+ * Per-product opening / in / out / closing from movements sorted oldest first.
+ * Opening is the stock before the first movement in the list, closing the stock after the last.
+ */
+export function summarizeStockMovements(movements) {
+  const byProduct = new Map();
+  for (const m of movements || []) {
+    const key = String(m.serviceId);
+    let row = byProduct.get(key);
+    if (!row) {
+      row = { serviceId: m.serviceId, serviceName: m.serviceName, opening: m.before, in: 0, out: 0, closing: m.after, byType: {} };
+      byProduct.set(key, row);
+    }
+    if (m.quantity > 0) row.in += m.quantity;
+    else row.out += -m.quantity;
+    row.closing = m.after;
+    row.byType[m.type] = (row.byType[m.type] || 0) + m.quantity;
+  }
+  return [...byProduct.values()].sort((a, b) => String(a.serviceName).localeCompare(String(b.serviceName)));
+}
+
+/** Movement types for products sold as lines (RESTORE reverses a sale). */
+export const PRODUCT_SALE_MOVEMENT_TYPES = ['SALE', 'DELIVERY', 'RESTORE'];
+/** Movement types that make up cost of goods sold: product sales plus wash consumables. */
+export const COGS_MOVEMENT_TYPES = [...PRODUCT_SALE_MOVEMENT_TYPES, 'CONSUMPTION'];
+
+/**
+ * Cost of goods sold per product from sale and consumption movements.
+ * Movements without a unit cost are counted in uncostedQuantity rather than guessed.
+ */
+export function summarizeCostOfGoodsSold(movements) {
+  const byProduct = new Map();
+  let total = 0;
+  for (const m of movements || []) {
+    if (!COGS_MOVEMENT_TYPES.includes(m.type)) continue;
+    const key = String(m.serviceId);
+    let row = byProduct.get(key);
+    if (!row) {
+      row = { serviceId: m.serviceId, serviceName: m.serviceName, quantity: 0, cost: 0, uncostedQuantity: 0 };
+      byProduct.set(key, row);
+    }
+    const sold = -(Number(m.quantity) || 0);
+    row.quantity += sold;
+    if (m.unitCost == null) {
+      row.uncostedQuantity += sold;
+      continue;
+    }
+    const cost = sold * Number(m.unitCost);
+    row.cost = roundMoney(row.cost + cost);
+    total += cost;
   }
+  return { total: roundMoney(total), products: [...byProduct.values()] };
 }
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import Car from '../models/Car.model.js';
+import { PRICEABLE_VEHICLE_TYPES, canonicalVehicleType } from '../constants/vehicleTypes.js';
+
+function httpError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate an admin-entered price matrix: [{ vehicleType, price }] or { SUV: 600, ... }.
+ * Types are matched case-insensitively to the scanner spelling; blank prices drop the row.
+ * @returns {{ vehicleType: string, price: number }[]}
+ */
+export function normalizeVehiclePrices(input) {
+  if (input == null || input === '') return [];
+  const rows = Array.isArray(input)
+    ? input
+    : typeof input === 'object'
+      ? Object.entries(input).map(([vehicleType, price]) => ({ vehicleType, price }))
+      : null;
+  if (!rows) throw httpError('vehiclePrices must be a list of { vehicleType, price }');
+
+  const byType = new Map();
+  for (const row of rows) {
+    const rawType = String(row?.vehicleType ?? '').trim();
+    if (!rawType) continue;
+    const vehicleType = canonicalVehicleType(rawType);
+    if (!vehicleType || !PRICEABLE_VEHICLE_TYPES.includes(vehicleType)) {
+      throw httpError(`Unknown vehicle type "${rawType}". Use one of: ${PRICEABLE_VEHICLE_TYPES.join(', ')}`);
+    }
+    if (row.price == null || row.price === '') continue;
+    const price = Number(row.price);
+    if (!Number.isFinite(price) || price < 0) {
+      throw httpError(`Price for ${vehicleType} must be 0 or more`);
+    }
+    byType.set(vehicleType, Math.round(price * 100) / 100);
+  }
+  return PRICEABLE_VEHICLE_TYPES.filter((t) => byType.has(t)).map((t) => ({ vehicleType: t, price: byType.get(t) }));
+}
+
+/** Matrix price for this vehicle type, or null when the service has none. */
+export function vehicleMatrixPrice(service, vehicleType) {
+  const type = canonicalVehicleType(vehicleType);
+  if (!type || !Array.isArray(service?.vehiclePrices)) return null;
+  const row = service.vehiclePrices.find((p) => canonicalVehicleType(p?.vehicleType) === type);
+  const price = Number(row?.price);
+  return row && Number.isFinite(price) ? price : null;
+}
+
+/** Catalog price of a service for a vehicle type (matrix row, else the base price). */
+export function resolveServicePrice(service, vehicleType) {
+  const matrix = vehicleMatrixPrice(service, vehicleType);
+  return matrix != null ? matrix : (Number(service?.price) || 0);
+}
+
+/**
+ * Vehicle type to price with: an explicit type wins, else the picked car's (by id, then plate).
+ * @returns {Promise<string|null>}
+ */
+export async function lookupVehicleType(businessId, { vehicleType, carId, vehicleNumber } = {}) {
+  const explicit = canonicalVehicleType(vehicleType);
+  if (explicit) return explicit;
+
+  let filter = null;
+  if (carId && mongoose.Types.ObjectId.isValid(String(carId))) {
+    filter = { _id: carId, businessId };
+  } else {
+    const carNumber = String(vehicleNumber || '').trim().toUpperCase();
+    if (carNumber) filter = { businessId, carNumber };
+  }
+  if (!filter) return null;
+  const car = await Car.findOne(filter).select('vehicleType').lean();
+  return canonicalVehicleType(car?.vehicleType);
+}
@@ -0,0 +1,64 @@
+/** Per-invoice UPI intent (NPCI deep link) and QR image, generated locally — no external QR service. */
+
+import QRCode from 'qrcode';
+import BusinessSettings from '../models/BusinessSettings.model.js';
+import BranchSettings from '../models/BranchSettings.model.js';
+import { roundMoney } from './invoicePayment.js';
+
+const UPI_ID_RE = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,64}$/;
+
+export function isValidUpiId(upiId) {
+  return UPI_ID_RE.test(String(upiId || '').trim());
+}
+
+/** UPI apps reject long notes and references; keep them short and printable. */
+function clip(value, max) {
+  return String(value || '').replace(/[^\x20-\x7E]/g, '').trim().slice(0, max);
+}
+
+/**
+ * upi://pay intent with a fixed amount. `tr` (transaction reference) carries the invoice
+ * number so the credit on the bank statement can be matched back to the invoice.
+ */
+export function buildUpiIntent({ upiId, payeeName, amount, reference, note, currency = 'INR' }) {
+  const params = [
+    ['pa', String(upiId).trim()],
+    ['pn', clip(payeeName, 50) || String(upiId).trim()],
+    ['am', roundMoney(amount).toFixed(2)],
+    ['cu', currency]
+  ];
+  if (reference) params.push(['tr', clip(reference, 35)]);
+  if (note) params.push(['tn', clip(note, 50)]);
+  return `upi://pay?${params.map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')}`;
+}
+
+/** Branch UPI ID when the invoice belongs to a branch that has one, else the business UPI ID. */
+export async function resolveUpiPayee(businessId, branchId = null) {
+  const [branchSettings, settings] = await Promise.all([
+    branchId ? BranchSettings.findOne({ branchId }).select('upiId').lean() : null,
+    BusinessSettings.findOne({ businessId }).select('upiId').lean()
+  ]);
+  const upiId = String(branchSettings?.upiId || settings?.upiId || '').trim();
+  return isValidUpiId(upiId) ? upiId : null;
+}
+
+/**
+ * UPI payment block for an invoice: intent string plus a PNG data URL of its QR code.
+ * Returns null when nothing is due or no valid UPI ID is configured.
+ */
+export async function buildInvoiceUpiPayment(invoice, { amountDue, payeeName } = {}) {
+  const amount = roundMoney(amountDue);
+  if (!invoice || !(amount > 0)) return null;
+  const upiId = await resolveUpiPayee(invoice.businessId, invoice.branchId || null);
+  if (!upiId) return null;
+  const reference = invoice.invoiceNumber || String(invoice._id);
+  const intent = buildUpiIntent({
+    upiId,
+    payeeName: payeeName || invoice.companyName,
+    amount,
+    reference,
+    note: `Invoice ${reference}`
+  });
+  const qrDataUrl = await QRCode.toDataURL(intent, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+  return { upiId, amount, reference, intent, qrDataUrl };
+}
@@ -1,40 +1,6 @@
 // WhatsApp API Integration
-// Replace with actual WhatsApp Business API integration
-
-export const sendWhatsAppMessage = async (to, message, templateId = null) => {
-  try {
-    // TODO: Integrate with WhatsApp Business API
-    // Example: Using Twilio WhatsApp API or Meta WhatsApp Business API
-    
-    // Mock implementation for development
-    console.log('WhatsApp message:', { to, message, templateId });
-    
-    // In production, replace with actual API call:
-    // const response = await fetch(process.env.WHATSAPP_API_URL + '/messages', {
-    //   method: 'POST',
-    //   headers: {
-    //     'Authorization': `Bearer ${process.env.WHATSAPP_API_TOKEN}`,
-    //     'Content-Type': 'application/json',
-    //   },
-    //   body: JSON.stringify({
-    //     to,
-    //     message,
-    //     templateId
-    //   }),
-    // });
-    
-    return {
-      success: true,
-      messageId: `msg_${Date.now()}`
-    };
-  } catch (error) {
-    console.error('WhatsApp send error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
+// Customer messages are sent with queueWhatsAppMessage (services/whatsapp/whatsappDeliveryService.js),
+// which records each send in WhatsAppMessage and delivers it through the provider and the outbox.
 
 export const formatTemplate = (template, variables) => {
   let formatted = template;
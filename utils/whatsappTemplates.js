@@ -27,3 +27,50 @@ export function normalizeWhatsappTemplates(stored) {
   }
   return merged
 }
+
+/**
+ * Meta-approved template per settings key. Cloud API templates use positional
+ * parameters ({{1}}, {{2}} …); `params` lists the variable names in that order.
+ * Template names are `${WHATSAPP_TEMPLATE_PREFIX}${suffix}` (prefix defaults to "vashq_").
+ */
+export const WHATSAPP_APPROVED_TEMPLATES = {
+  received: { suffix: 'received', params: ['name', 'vehicleNumber', 'token', 'beforeImagesLink'] },
+  workStarted: { suffix: 'work_started', params: ['vehicleNumber'] },
+  completed: { suffix: 'completed', params: ['vehicleNumber', 'token'] },
+  delivered: { suffix: 'delivered', params: ['vehicleNumber', 'beforeImagesLink', 'afterImagesLink'] },
+  invoiceShare: { suffix: 'invoice_share', params: ['name', 'total', 'currency', 'invoiceLink'] },
+  invoicePackage: { suffix: 'invoice_package', params: ['name', 'total', 'currency', 'packageName', 'invoiceLink'] },
+  googleReview: { suffix: 'google_review', params: ['reviewLink'] },
+  bookingConfirmed: {
+    suffix: 'booking_confirmed',
+    params: ['name', 'businessName', 'bookingDate', 'slotTime', 'vehicleNumber']
+  },
+  bookingCancelled: {
+    suffix: 'booking_cancelled',
+    params: ['name', 'businessName', 'vehicleNumber', 'bookingDate', 'slotTime']
+  },
+  bookingRejected: { suffix: 'booking_rejected', params: ['name', 'vehicleNumber', 'bookingDate', 'slotTime'] }
+}
+
+/**
+ * Provider template payload for a settings key, or null when the key has no approved template.
+ */
+export function resolveApprovedTemplate(templateKey, variables = {}) {
+  const def = WHATSAPP_APPROVED_TEMPLATES[templateKey]
+  if (!def) return null
+  const prefix = process.env.WHATSAPP_TEMPLATE_PREFIX ?? 'vashq_'
+  return {
+    key: templateKey,
+    name: `${prefix}${def.suffix}`,
+    language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en',
+    parameters: def.params.map((p) => (variables?.[p] == null ? '' : String(variables[p])))
+  }
+}
+
+/** Job status → whatsappTemplates key sent to the customer on that transition. */
+export const JOB_STATUS_TEMPLATE_KEYS = {
+  RECEIVED: 'received',
+  WORK_STARTED: 'workStarted',
+  COMPLETED: 'completed',
+  DELIVERED: 'delivered'
+}